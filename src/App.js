@@ -1,80 +1,326 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import { SelectableGroup, createSelectable } from "react-selectable-fast";
 import { saveAs } from "file-saver";
-import html2canvas from "html2canvas";
-import { jsPDF } from "jspdf";
 import Papa from "papaparse";
 import "./WellPlateSelector.css";
-import JSZip from "jszip";
-
-
-// Default metadata fields
-const DEFAULT_METADATA = {
-  base_strain: "",
-  receptor: "",
-  anchor: "",
-  nanobody: "",
-  negsel: "",
-  dilution: "",
-  notes: "",
-};
+import {
+  PLATE_FORMATS,
+  DEFAULT_FORMAT,
+  createFormat,
+  formatLabel,
+  getWellBounds,
+  getWellId,
+  getWellIds,
+  getWellRange,
+  getWellSize,
+  isSameFormat,
+  isWellInFormat,
+  offsetWellId,
+} from "./plateFormats";
+import {
+  DEFAULT_SCHEMA,
+  addFieldToPlates,
+  coerceFieldValue,
+  conformPlatesToSchema,
+  createWellMetadata,
+  formatFieldValue,
+  getField,
+  getFieldNames,
+  removeFieldFromPlates,
+  renameFieldInPlates,
+  validateFieldValue,
+} from "./metadataSchema";
+import { DEFAULT_COLOR_SETTINGS, createColorScale, renameFieldInColors, textColorFor } from "./colors";
+import ColorLegend from "./ColorLegend";
+import SchemaEditor from "./SchemaEditor";
+import HelpPanel from "./HelpPanel";
+import HistoryPanel from "./HistoryPanel";
+import useHistory from "./useHistory";
+import useProjects from "./useProjects";
+import ProjectPicker from "./ProjectPicker";
+import { PROJECT_FILE_EXTENSION, serializeProjectFile } from "./projectFile";
+import { parsePlateCsv } from "./plateImport";
+import ImportPreview from "./ImportPreview";
+import {
+  DEFAULT_LOOKUP_CONFIG,
+  buildStrainTable,
+  isFieldUsedByLookup,
+  removeFieldFromLookup,
+  renameFieldInLookup,
+  runStrainLookup,
+} from "./strainLookup";
+import StrainLookupEditor from "./StrainLookupEditor";
+import LookupReport from "./LookupReport";
+import { exportPlateMaps } from "./pdfExport";
+import PdfExportDialog from "./PdfExportDialog";
+import { DEFAULT_WORKLIST_CONFIG, renameFieldInWorklist } from "./worklist";
+import { exportWorklist } from "./worklistExport";
+import WorklistDialog from "./WorklistDialog";
+import { REFORMAT_OPERATIONS, describeSourceWell } from "./plateReformat";
+import ReformatDialog from "./ReformatDialog";
+import { WELL_ROLES, ensureRoleField, getWellRole } from "./wellRoles";
+import { applyTemplateToDoc } from "./layoutTemplates";
+import TemplateLibrary from "./TemplateLibrary";
+import { buildSpotJson, buildSpotRows, exportSpotCrops, isAlignmentValid, loadImage } from "./plateImage";
+import PlatePhoto from "./PlatePhoto";
+import { DEFAULT_DATASET_CONFIG, exportDataset, renameFieldInDataset } from "./datasetExport";
+import DatasetDialog from "./DatasetDialog";
+import {
+  createStamp,
+  describeEntry,
+  getLastEntry,
+  recordProvenance,
+  removeFieldFromProvenance,
+  renameFieldInProvenance,
+} from "./provenance";
+import WellHistory from "./WellHistory";
+import { acceptChanges, diffPlateSets, getChangedWells, readRevisedLayout } from "./plateDiff";
+import PlateDiffPanel from "./PlateDiffPanel";
+import {
+  defaultSheetSelection,
+  describeSheets,
+  exportWorkbook,
+  isWorkbookFile,
+  parseWorkbookSheets,
+  readWorkbookSheets,
+} from "./excelWorkbook";
+import PatternFillDialog from "./PatternFillDialog";
+import { copyWellsText, parseClipboardTable, planPaste } from "./gridClipboard";
+import { DEFAULT_VALIDATION, countProblems, renameFieldInRules, runValidation } from "./validation";
+import ValidationPanel from "./ValidationPanel";
+import { DEFAULT_QUERY, searchPlates } from "./wellQuery";
+import PlateSearch from "./PlateSearch";
+import PlateOverview from "./PlateOverview";
+import PlateDetails from "./PlateDetails";
+import {
+  DEFAULT_PLATE_SCHEMA,
+  addPlateField,
+  conformPlateInfo,
+  deletePlateField,
+  movePlateField,
+  nextPlateId,
+  trackLastPlateId,
+  plateLabel,
+  renamePlateField,
+  updatePlateField,
+} from "./plateInfo";
+import {
+  CSV_DELIMITERS,
+  DEFAULT_CSV_OPTIONS,
+  LINE_ENDINGS,
+  csvBlob,
+  exportGridCsv,
+  exportGridZip,
+  exportLongFormatCsv,
+  gridFileName,
+  writeCsv,
+} from "./csvExport";
+import {
+  countLabel,
+  createPlateMetadata,
+  insertPlate,
+  movePlate,
+  removePlate,
+  replacePlate,
+  setWellValues,
+  setWellsData,
+} from "./plateModel";
+
+
+const ALL_FIELDS = "__all__"; // Grid export choice: every field as its own file in a zip
+const USER_NAME_KEY = "spotplating-user-name"; // Name stamped on changes; kept per browser, not per project
 
-// Generate distinct colors for unique metadata values
-const colorMap = {};
-const getColorForValue = (value) => {
-  if (!value) return "#e0e0e0"; // Neutral gray if no metadata
-  if (!colorMap[value]) {
-    const randomColor = `hsl(${Math.random() * 360}, 60%, 75%)`; // Unique pleasant colors
-    colorMap[value] = randomColor;
+const readUserName = () => {
+  try {
+    return window.localStorage.getItem(USER_NAME_KEY) || "";
+  } catch {
+    return "";
   }
-  return colorMap[value];
 };
 
 // Selectable well component
-const Well = createSelectable(({ selectableRef, isSelected, wellId, metadata, displayedField }) => {
-  const fieldValue = metadata[wellId]?.[displayedField] || "";
-  const backgroundColor = isSelected ? "#007bff" : getColorForValue(fieldValue);
+const Well = createSelectable(({ selectableRef, isSelected, wellId, metadata, displayedField, field, colorFor, isCursor, isMatch, source, lastChange, changedFields, editor }) => {
+  const value = metadata[wellId]?.[displayedField];
+  const fieldValue = formatFieldValue(field, value);
+  const backgroundColor = colorFor(value); // Selection is drawn as an outline so the colour stays visible
+  const role = getWellRole(metadata[wellId]);
+  const tooltip = [
+    source && `From ${source}`,
+    lastChange && `${displayedField}: ${describeEntry(lastChange)}`,
+    changedFields && `Differs in the revised layout: ${changedFields.join(", ")}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
 
   return (
     <div
       ref={selectableRef}
-      className={`well ${isSelected ? "selected" : ""}`}
-      style={{ backgroundColor }}
+      className={`well role-${role} ${isSelected ? "selected" : ""} ${isCursor ? "cursor" : ""} ${isMatch ? "match" : ""} ${changedFields ? "diff" : ""}`}
+      style={{ backgroundColor, color: textColorFor(backgroundColor) }}
+      title={tooltip || undefined}
     >
       <strong>{wellId}</strong>
-      <div className="well-info">
-        <span>{fieldValue || "-"}</span>
-      </div>
+      {WELL_ROLES[role].badge && (
+        <span className="role-badge" title={WELL_ROLES[role].label}>{WELL_ROLES[role].badge}</span>
+      )}
+      {editor || (
+        <div className="well-info">
+          <span>{fieldValue || "-"}</span>
+        </div>
+      )}
     </div>
   );
 });
 
+// Document of a fresh session: one empty 96-well plate with the default fields
+const createBlankDoc = () => ({
+  plates: [conformPlateInfo({ id: 1, format: DEFAULT_FORMAT, metadata: createPlateMetadata(DEFAULT_FORMAT) }, DEFAULT_PLATE_SCHEMA)],
+  schema: DEFAULT_SCHEMA,
+  plateSchema: DEFAULT_PLATE_SCHEMA,
+  lookup: DEFAULT_LOOKUP_CONFIG,
+  validation: DEFAULT_VALIDATION,
+  colors: DEFAULT_COLOR_SETTINGS,
+  worklist: DEFAULT_WORKLIST_CONFIG,
+  dataset: DEFAULT_DATASET_CONFIG,
+  lastPlateId: 1, // Highest block number ever used; deleted numbers are not reused
+});
+
 const WellPlateSelector = () => {
-  const [plates, setPlates] = useState([{ id: 1, metadata: {} }]); // Multiple plates support
-  const [currentPlateIndex, setCurrentPlateIndex] = useState(0);
+  // Plates (multiple plates support) and the metadata schema form one undoable document
+  const history = useHistory(createBlankDoc());
+  const { doc, undo, redo } = history;
+  const [userName, setUserName] = useState(readUserName);
+
+  // Every change records where the well values it sets came from (provenance.js)
+  // and the highest block number used so far.
+  // options.source overrides the "manual" stamp; options.provenance === false skips recording.
+  const commit = (label, updater, options = {}) => {
+    const stamp = { ...createStamp("manual", label, userName), ...options.source };
+    history.commit(
+      label,
+      (prevDoc) => {
+        const nextDoc = updater(prevDoc);
+        return trackLastPlateId(options.provenance === false ? nextDoc : recordProvenance(prevDoc, nextDoc, stamp));
+      },
+      options
+    );
+  };
+  const { plates, schema, plateSchema, lookup, validation, colors, worklist, dataset } = doc;
+  const [showSchemaEditor, setShowSchemaEditor] = useState(false);
+  const [requestedPlateIndex, setCurrentPlateIndex] = useState(0);
+  const currentPlateIndex = Math.min(requestedPlateIndex, plates.length - 1); // Undo can remove plates
   const [selectedWells, setSelectedWells] = useState(new Set());
   const [displayedField, setDisplayedField] = useState("base_strain");
   const [bulkValue, setBulkValue] = useState("");
   const [selectionKey, setSelectionKey] = useState(0); // Forces re-render
-  const [csvData, setCsvData] = useState([]); // Store CSV data
+  const [cursorWell, setCursorWell] = useState(null); // Keyboard cursor on the grid
+  const [anchorWell, setAnchorWell] = useState(null); // Fixed corner of a Shift+arrow range
+  const [editingWell, setEditingWell] = useState(null); // Well being edited in place
+  const [editValue, setEditValue] = useState("");
+  const editingRef = useRef(null); // Guards against committing an edit twice (Enter, then blur)
+  const gridRef = useRef(null);
+  const [csvData, setCsvData] = useState([]); // Raw rows of the NP Plasmids sheet
+  const [lookupReport, setLookupReport] = useState(null); // Result of the last "Search Strain"
+  const [showLookupEditor, setShowLookupEditor] = useState(false);
+  const strainTable = useMemo(() => buildStrainTable(csvData, lookup), [csvData, lookup]);
+  const problems = useMemo(() => runValidation(doc, strainTable), [doc, strainTable]);
+  const problemCounts = countProblems(problems);
+  const [showProblems, setShowProblems] = useState(false);
+  const [searchQuery, setSearchQuery] = useState(DEFAULT_QUERY);
+  const [view, setView] = useState("plate"); // "plate" editor or "overview" of all plates
+  const searchResults = useMemo(() => searchPlates(plates, searchQuery, schema), [plates, searchQuery, schema]);
   const [targetPlateIndex, setTargetPlateIndex] = useState(0); // Stores the selected position
+  const [formatKey, setFormatKey] = useState("96"); // Format picked for new / reformatted plates
+  const [customRows, setCustomRows] = useState(8);
+  const [customColumns, setCustomColumns] = useState(12);
+  const [csvOptions, setCsvOptions] = useState(DEFAULT_CSV_OPTIONS);
+  const [pendingImport, setPendingImport] = useState(null); // { fileName, parsed, workbook? } shown in the import preview
+  const [showPdfDialog, setShowPdfDialog] = useState(false);
+  const [showWorklistDialog, setShowWorklistDialog] = useState(false);
+  const [showReformatDialog, setShowReformatDialog] = useState(false);
+  const [showDatasetDialog, setShowDatasetDialog] = useState(false);
+  const [patternFillWells, setPatternFillWells] = useState(null); // Wells the fill dialog was opened for
+  const [gridExportField, setGridExportField] = useState(ALL_FIELDS); // Field for "Export Grid CSV"
+  const [photos, setPhotos] = useState({}); // { plateId: { url, fileName, width, height } }; not saved with the project
+  const [showWellHistory, setShowWellHistory] = useState(false);
+  const [comparison, setComparison] = useState(null); // { fileName, revised, rejected: [change key] } of "Compare with"
+  const diff = useMemo(() => (comparison ? diffPlateSets(plates, comparison.revised) : null), [plates, comparison]);
+  const openChanges = useMemo(
+    () => (diff ? diff.changes.filter((change) => !comparison.rejected.includes(change.key)) : []),
+    [diff, comparison]
+  );
+  const changedWells = useMemo(() => getChangedWells(openChanges), [openChanges]);
 
-  // Initialize metadata for all wells in a new plate
-  const initializePlateMetadata = () => {
-    const initializedMetadata = {};
-    for (let row = 0; row < 8; row++) {
-      for (let col = 1; col <= 12; col++) {
-        const wellId = `${String.fromCharCode(65 + row)}${col}`;
-        initializedMetadata[wellId] = { ...DEFAULT_METADATA };
+  // Everything a saved project holds; settings are restored but not undoable
+  const snapshot = useMemo(
+    () => ({ doc, csvData, settings: { displayedField, currentPlateIndex, csvOptions } }),
+    [doc, csvData, displayedField, currentPlateIndex, csvOptions]
+  );
+
+  // Replaces the whole session with a stored one (project, autosave)
+  const loadSnapshot = (data, label) => {
+    history.reset(data.doc, label);
+    setCsvData(data.csvData || []);
+    const savedField = data.settings && data.settings.displayedField;
+    setDisplayedField(getField(data.doc.schema, savedField) ? savedField : data.doc.schema[0].name);
+    setCsvOptions({ ...DEFAULT_CSV_OPTIONS, ...(data.settings && data.settings.csvOptions) });
+    const savedIndex = (data.settings && data.settings.currentPlateIndex) || 0;
+    setCurrentPlateIndex(Math.min(Math.max(0, savedIndex), data.doc.plates.length - 1));
+    Object.values(photos).forEach((photo) => URL.revokeObjectURL(photo.url));
+    setPhotos({});
+    deselectAll();
+  };
+
+  const projectsApi = useProjects(snapshot, loadSnapshot, () => ({ doc: createBlankDoc(), csvData: [], settings: {} }));
+
+  // Keep the stored index in range once undo/redo changes the number of plates
+  useEffect(() => {
+    if (requestedPlateIndex !== currentPlateIndex) setCurrentPlateIndex(currentPlateIndex);
+  }, [requestedPlateIndex, currentPlateIndex]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y); text inputs keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
       }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo]);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(USER_NAME_KEY, userName);
+    } catch {
+      // Private browsing: the name lasts for this session only
     }
-    return initializedMetadata;
+  }, [userName]);
+
+  // Commits a labelled change to the plates array to the undo history
+  const updatePlates = (label, updater, options) => {
+    commit(
+      label,
+      (prevDoc) => {
+        const updatedPlates = updater(prevDoc.plates, prevDoc);
+        return updatedPlates === prevDoc.plates ? prevDoc : { ...prevDoc, plates: updatedPlates };
+      },
+      options
+    );
   };
 
-  // Ensure first plate starts with metadata
-  useEffect(() => {
-    setPlates([{ id: 1, metadata: initializePlateMetadata() }]);
-  }, []);
+  // Format chosen in the plate format picker (null if the custom size is invalid)
+  const getSelectedFormat = () => {
+    if (formatKey === "custom") return createFormat(customRows, customColumns);
+    return PLATE_FORMATS[formatKey];
+  };
 
   // Handle selection (reset selected wells each time)
   const handleSelection = (selectedItems) => {
@@ -83,69 +329,415 @@ const WellPlateSelector = () => {
       newSelection.add(item.props.wellId);
     });
     setSelectedWells(newSelection);
+
+    // ✅ The keyboard cursor follows the mouse: anchor top left, cursor bottom right
+    const bounds = getWellBounds(newSelection);
+    if (bounds) {
+      setAnchorWell(getWellId(bounds.top, bounds.left));
+      setCursorWell(getWellId(bounds.bottom, bounds.right));
+    }
+    if (gridRef.current) gridRef.current.focus({ preventScroll: true });
   };
 
   // **Apply bulk metadata update for the current plate only**
   const applyBulkUpdate = () => {
     if (selectedWells.size === 0) return;
 
-    setPlates((prevPlates) => {
-      const updatedPlates = [...prevPlates];
-      selectedWells.forEach((well) => {
-        updatedPlates[currentPlateIndex].metadata[well] = {
-          ...updatedPlates[currentPlateIndex].metadata[well],
-          [displayedField]: bulkValue,
-        };
-      });
-      return updatedPlates;
-    });
+    const field = getField(schema, displayedField);
+    const error = validateFieldValue(field, bulkValue);
+    if (error) {
+      alert(error);
+      return;
+    }
+    const value = coerceFieldValue(field, bulkValue);
+
+    const wells = [...selectedWells];
+    updatePlates(
+      `Set ${displayedField} on ${countLabel(wells.length, "well")} of Block ${plates[currentPlateIndex].id}`,
+      (prevPlates) =>
+        replacePlate(prevPlates, currentPlateIndex, setWellValues(prevPlates[currentPlateIndex], wells, { [displayedField]: value }))
+    );
 
     setBulkValue(""); 
     deselectAll();
   };
 
+  // **Fill a pattern (series, dilution, list, ...) into the selected wells**
+  const openPatternFill = () => {
+    if (selectedWells.size === 0) {
+      alert("Select the wells to fill first.");
+      return;
+    }
+    setPatternFillWells([...selectedWells]);
+  };
+
+  const applyPatternFill = (fieldName, updates) => {
+    updatePlates(
+      `Fill ${fieldName} pattern on ${countLabel(Object.keys(updates).length, "well")} of Block ${plates[currentPlateIndex].id}`,
+      (prevPlates) => replacePlate(prevPlates, currentPlateIndex, setWellsData(prevPlates[currentPlateIndex], updates))
+    );
+    setPatternFillWells(null);
+    deselectAll();
+  };
+
+  // **Mark the selected wells (or the cursor well) as samples, controls, blanks or excluded**
+  const setRoleOnWells = (role) => {
+    const wells = getTargetWells();
+    commit(`Mark ${countLabel(wells.length, "well")} of Block ${plates[currentPlateIndex].id} as ${WELL_ROLES[role].label.toLowerCase()}`, (prevDoc) => {
+      const updatedSchema = ensureRoleField(prevDoc.schema);
+      const updatedPlates = replacePlate(
+        prevDoc.plates,
+        currentPlateIndex,
+        setWellValues(prevDoc.plates[currentPlateIndex], wells, { role })
+      );
+      return { ...prevDoc, schema: updatedSchema, plates: conformPlatesToSchema(updatedPlates, updatedSchema) };
+    });
+  };
+
+  // **Fill a saved layout template into plates, keeping what is already there**
+  const applyLayoutTemplate = (template, plateIds) => {
+    const { report } = applyTemplateToDoc(doc, template, plateIds);
+    commit(
+      `Apply template ${template.name} to ${countLabel(plateIds.length, "plate")}`,
+      (prevDoc) => applyTemplateToDoc(prevDoc, template, plateIds).doc,
+      { source: { kind: "template", detail: template.name } }
+    );
+    const notes = [`Filled ${countLabel(report.filled, "value")}.`];
+    if (report.conflicts.length > 0) {
+      const examples = report.conflicts
+        .slice(0, 5)
+        .map((c) => `Block ${c.plateId} ${c.wellId} ${c.field}: kept "${c.value}" (template: "${c.templateValue}")`);
+      notes.push(`${countLabel(report.conflicts.length, "value")} already set differently and left as they were:`, ...examples);
+    }
+    if (report.outside > 0) notes.push(`${countLabel(report.outside, "template well")} did not fit on smaller plates.`);
+    alert(notes.join("\n"));
+  };
+
   // **Clear all metadata for the current plate**
   const clearField = () => {
-    setPlates((prevPlates) => {
-      const updatedPlates = [...prevPlates];
+    updatePlates(`Clear Block ${plates[currentPlateIndex].id}`, (prevPlates) => {
+      const plate = prevPlates[currentPlateIndex];
+      const metadata = {};
 
       // ✅ Loop through all wells in the current plate and reset metadata
-      Object.keys(updatedPlates[currentPlateIndex].metadata).forEach((well) => {
-        updatedPlates[currentPlateIndex].metadata[well] = { ...DEFAULT_METADATA };
+      Object.keys(plate.metadata).forEach((well) => {
+        metadata[well] = createWellMetadata(schema);
       });
 
-      return updatedPlates;
+      return replacePlate(prevPlates, currentPlateIndex, { ...plate, metadata });
     });
   };
 
+  // **Schema editing: fields are added, renamed and removed on every well of every plate**
+  const addField = (field) => {
+    commit(`Add field ${field.name}`, (prevDoc) => ({
+      ...prevDoc,
+      schema: [...prevDoc.schema, field],
+      plates: addFieldToPlates(prevDoc.plates, field),
+    }));
+  };
+
+  const renameField = (index, newName) => {
+    const oldName = schema[index].name;
+    const updatedSchema = schema.map((field, i) => (i === index ? { ...field, name: newName } : field));
+    // ✅ Values keep their history under the new name instead of counting as edits
+    commit(
+      `Rename field ${oldName} to ${newName}`,
+      (prevDoc) => ({
+        ...prevDoc,
+        schema: updatedSchema,
+        plates: conformPlatesToSchema(
+          renameFieldInProvenance(renameFieldInPlates(prevDoc.plates, oldName, newName), oldName, newName),
+          updatedSchema
+        ),
+        lookup: renameFieldInLookup(prevDoc.lookup, oldName, newName),
+        validation: renameFieldInRules(prevDoc.validation, oldName, newName),
+        colors: renameFieldInColors(prevDoc.colors, oldName, newName),
+        worklist: renameFieldInWorklist(prevDoc.worklist, oldName, newName),
+        dataset: renameFieldInDataset(prevDoc.dataset, oldName, newName),
+      }),
+      { provenance: false }
+    );
+    if (displayedField === oldName) setDisplayedField(newName);
+  };
+
+  const updateField = (index, changes) => {
+    commit(
+      `Change field ${schema[index].name}`,
+      (prevDoc) => ({
+        ...prevDoc,
+        schema: prevDoc.schema.map((field, i) => (i === index ? { ...field, ...changes } : field)),
+      }),
+      { coalesceKey: `field-${schema[index].name}-${Object.keys(changes).join()}` }
+    );
+  };
+
+  const moveField = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= schema.length) return;
+    const updatedSchema = [...schema];
+    [updatedSchema[index], updatedSchema[target]] = [updatedSchema[target], updatedSchema[index]];
+    commit(`Move field ${schema[index].name}`, (prevDoc) => ({
+      ...prevDoc,
+      schema: updatedSchema,
+      plates: conformPlatesToSchema(prevDoc.plates, updatedSchema),
+    }));
+  };
+
+  const deleteField = (index) => {
+    const { name } = schema[index];
+    const hasData = plates.some((plate) => Object.values(plate.metadata).some((wellData) => wellData[name]));
+    const usedByLookup = isFieldUsedByLookup(lookup, name);
+    const question = `Delete "${name}"${hasData ? " and its values on all plates" : ""}?${
+      usedByLookup ? " The strain lookup uses it and will no longer read or fill it." : ""
+    }`;
+    if ((hasData || usedByLookup) && !window.confirm(question)) return;
+
+    const updatedSchema = schema.filter((_, i) => i !== index);
+    commit(
+      `Delete field ${name}`,
+      (prevDoc) => ({
+        ...prevDoc,
+        schema: updatedSchema,
+        plates: removeFieldFromProvenance(removeFieldFromPlates(prevDoc.plates, name), name),
+        lookup: removeFieldFromLookup(prevDoc.lookup, name),
+      }),
+      { provenance: false }
+    );
+    if (displayedField === name) setDisplayedField(updatedSchema[0].name);
+  };
+
+  // **Plate name, barcode and attributes; typing into one input is one undo step**
+  const updateCurrentPlate = (changes, key) => {
+    const { id } = plates[currentPlateIndex];
+    commit(
+      `Change ${key} of Block ${id}`,
+      (prevDoc) => ({ ...prevDoc, plates: prevDoc.plates.map((plate) => (plate.id === id ? { ...plate, ...changes } : plate)) }),
+      { coalesceKey: `plate-${id}-${key}` }
+    );
+  };
+
+  const plateSchemaHandlers = {
+    onAddField: (field) => commit(`Add plate field ${field.name}`, (prevDoc) => addPlateField(prevDoc, field)),
+    onRenameField: (index, newName) =>
+      commit(`Rename plate field ${plateSchema[index].name} to ${newName}`, (prevDoc) => renamePlateField(prevDoc, index, newName)),
+    onUpdateField: (index, changes) =>
+      commit(`Change plate field ${plateSchema[index].name}`, (prevDoc) => updatePlateField(prevDoc, index, changes), {
+        coalesceKey: `plate-field-${plateSchema[index].name}-${Object.keys(changes).join()}`,
+      }),
+    onMoveField: (index, direction) =>
+      commit(`Move plate field ${plateSchema[index].name}`, (prevDoc) => movePlateField(prevDoc, index, direction)),
+    onDeleteField: (index) => {
+      const { name } = plateSchema[index];
+      const hasData = plates.some((plate) => plate.attributes[name] !== "");
+      if (hasData && !window.confirm(`Delete plate field "${name}" and its values on all plates?`)) return;
+      commit(`Delete plate field ${name}`, (prevDoc) => deletePlateField(prevDoc, index));
+    },
+  };
+
   // Deselect all selected wells
   const deselectAll = () => {
     setSelectedWells(new Set());
     setSelectionKey((prev) => prev + 1);
   };
 
+  const selectWells = (wellIds) => {
+    setSelectedWells(new Set(wellIds));
+    setSelectionKey((prev) => prev + 1);
+  };
+
+  // **Spreadsheet-style keyboard editing of the grid**
+  const getCursorWell = () => (cursorWell && isWellInFormat(cursorWell, currentFormat) ? cursorWell : "A1");
+
+  // Wells a keyboard action applies to: the selection, or the cursor well
+  const getTargetWells = () => (selectedWells.size > 0 ? [...selectedWells] : [getCursorWell()]);
+
+  const moveCursor = (rowDelta, columnDelta, extend) => {
+    const from = getCursorWell();
+    const next = cursorWell ? offsetWellId(currentFormat, from, rowDelta, columnDelta) : from;
+    setCursorWell(next);
+    if (extend) {
+      const anchor = anchorWell && isWellInFormat(anchorWell, currentFormat) ? anchorWell : from;
+      setAnchorWell(anchor);
+      selectWells(getWellRange(anchor, next));
+    } else {
+      setAnchorWell(next);
+      selectWells([next]);
+    }
+  };
+
+  const writeWells = (label, updates) =>
+    updatePlates(label, (prevPlates) =>
+      replacePlate(prevPlates, currentPlateIndex, setWellsData(prevPlates[currentPlateIndex], updates))
+    );
+
+  const startEdit = (initialValue) => {
+    const wellId = getCursorWell();
+    editingRef.current = wellId;
+    setCursorWell(wellId);
+    setEditingWell(wellId);
+    setEditValue(initialValue);
+  };
+
+  const focusGrid = () => gridRef.current && gridRef.current.focus({ preventScroll: true });
+
+  // Saves the in-place edit, then moves the cursor (Enter: down, Tab: right)
+  const finishEdit = (rowDelta, columnDelta, { keepOnError = false } = {}) => {
+    const wellId = editingRef.current;
+    if (!wellId) return;
+
+    const error = validateFieldValue(currentField, editValue);
+    if (error) {
+      alert(error);
+      if (keepOnError) return;
+    } else {
+      const value = coerceFieldValue(currentField, editValue);
+      if (value !== (plates[currentPlateIndex].metadata[wellId]?.[displayedField] ?? "")) {
+        writeWells(`Set ${displayedField} on ${wellId} of Block ${plates[currentPlateIndex].id}`, {
+          [wellId]: { [displayedField]: value },
+        });
+      }
+    }
+
+    editingRef.current = null;
+    setEditingWell(null);
+    if (rowDelta || columnDelta) moveCursor(rowDelta, columnDelta, false);
+  };
+
+  const cancelEdit = () => {
+    editingRef.current = null;
+    setEditingWell(null);
+    focusGrid();
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      const direction = e.shiftKey ? -1 : 1;
+      finishEdit(e.key === "Enter" ? direction : 0, e.key === "Tab" ? direction : 0, { keepOnError: true });
+      focusGrid();
+    } else if (e.key === "Escape") {
+      cancelEdit();
+    }
+  };
+
+  const handleGridKeyDown = (e) => {
+    if (e.target !== gridRef.current || e.ctrlKey || e.metaKey || e.altKey) return;
+    const arrows = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+
+    if (arrows[e.key]) {
+      e.preventDefault();
+      moveCursor(...arrows[e.key], e.shiftKey);
+    } else if (e.key === "Tab" && cursorWell) {
+      e.preventDefault();
+      moveCursor(0, e.shiftKey ? -1 : 1, false);
+    } else if (e.key === "Enter" || e.key === "F2") {
+      e.preventDefault();
+      const value = plates[currentPlateIndex].metadata[getCursorWell()]?.[displayedField];
+      startEdit(value === undefined || value === null ? "" : String(value));
+    } else if (e.key === "Delete" || e.key === "Backspace") {
+      e.preventDefault();
+      const wells = getTargetWells();
+      const updates = {};
+      wells.forEach((wellId) => {
+        updates[wellId] = { [displayedField]: "" };
+      });
+      writeWells(`Clear ${displayedField} on ${countLabel(wells.length, "well")} of Block ${plates[currentPlateIndex].id}`, updates);
+    } else if (e.key === "Escape") {
+      deselectAll();
+    } else if (e.key.length === 1) {
+      e.preventDefault(); // ✅ Typing starts editing the cursor well with that character
+      startEdit(e.key);
+    }
+  };
+
+  // ✅ Ctrl+C copies the selected range of the shown field as tab-separated text
+  const handleGridCopy = (e) => {
+    if (e.target !== gridRef.current) return;
+    e.preventDefault();
+    e.clipboardData.setData("text/plain", copyWellsText(plates[currentPlateIndex], getTargetWells(), displayedField));
+  };
+
+  // ✅ Ctrl+V fills wells from the cursor with a range copied from a spreadsheet
+  const handleGridPaste = (e) => {
+    if (e.target !== gridRef.current) return;
+    e.preventDefault();
+    const table = parseClipboardTable(e.clipboardData.getData("text/plain"));
+    if (table.length === 0) return;
+
+    const bounds = getWellBounds(selectedWells);
+    const startWellId = cursorWell && bounds ? getWellId(bounds.top, bounds.left) : getCursorWell();
+    const { updates, outside, error } = planPaste(plates[currentPlateIndex], table, currentField, {
+      startWellId,
+      selectedWellIds: [...selectedWells],
+    });
+    if (error) {
+      alert(error);
+      return;
+    }
+
+    const wells = Object.keys(updates);
+    if (wells.length > 0) {
+      writeWells(`Paste ${displayedField} into ${countLabel(wells.length, "well")} of Block ${plates[currentPlateIndex].id}`, updates);
+      selectWells(wells);
+    }
+    if (outside > 0) alert(`${countLabel(outside, "pasted cell")} fell outside the plate and ${outside === 1 ? "was" : "were"} skipped.`);
+  };
+
   // **Insert a new plate immediately after the current plate**
   const addNewPlate = () => {
-    setPlates((prevPlates) => {
-      // ✅ Create the new plate
-      const newPlate = { id: prevPlates.length + 1, metadata: initializePlateMetadata() };
-
-      // ✅ Insert the new plate at the correct position
-      const updatedPlates = [
-        ...prevPlates.slice(0, currentPlateIndex + 1), // Keep plates before current
-        newPlate, // Insert new plate
-        ...prevPlates.slice(currentPlateIndex + 1), // Keep plates after current
-      ];
-
-      // ✅ Renumber all plates sequentially
-      updatedPlates.forEach((plate, index) => {
-        plate.id = index + 1;
-      });
+    const format = getSelectedFormat();
+    if (!format) {
+      alert("Invalid plate format.");
+      return;
+    }
+
+    updatePlates(`Add ${formatLabel(format)} Block ${nextPlateId(plates, doc.lastPlateId)}`, (prevPlates, prevDoc) => {
+      // ✅ Create the new plate with the next unused block number
+      const newPlate = conformPlateInfo(
+        { id: nextPlateId(prevPlates, prevDoc.lastPlateId), format, metadata: createPlateMetadata(format, schema) },
+        plateSchema
+      );
 
-      return updatedPlates;
+      // ✅ Insert the new plate after the current one; other plates keep their numbers
+      return insertPlate(prevPlates, currentPlateIndex + 1, newPlate);
     });
 
-    setCurrentPlateIndex((prevIndex) => prevIndex + 1); // ✅ Move to the newly added plate
+    setCurrentPlateIndex(currentPlateIndex + 1); // ✅ Move to the newly added plate
+  };
+
+  // **Change the format of the current plate, keeping data in wells that still exist**
+  const changeCurrentPlateFormat = () => {
+    const format = getSelectedFormat();
+    if (!format) {
+      alert("Invalid plate format.");
+      return;
+    }
+
+    const plate = plates[currentPlateIndex];
+    if (isSameFormat(plate.format, format)) return;
+
+    const lostWells = Object.keys(plate.metadata).filter(
+      (wellId) =>
+        !isWellInFormat(wellId, format) &&
+        Object.values(plate.metadata[wellId]).some((val) => val !== "")
+    );
+    if (
+      lostWells.length > 0 &&
+      !window.confirm(`${lostWells.length} wells with data do not fit in a ${formatLabel(format)} plate and will be removed. Continue?`)
+    ) {
+      return;
+    }
+
+    updatePlates(`Change Block ${plate.id} to ${formatLabel(format)}`, (prevPlates) => {
+      const p = prevPlates[currentPlateIndex];
+      const metadata = createPlateMetadata(format, schema);
+      Object.keys(metadata).forEach((wellId) => {
+        if (p.metadata[wellId]) metadata[wellId] = { ...p.metadata[wellId] };
+      });
+      return replacePlate(prevPlates, currentPlateIndex, { ...p, format, metadata });
+    });
+    deselectAll();
   };
 
   const nextPlate = () => {
@@ -162,448 +754,499 @@ const WellPlateSelector = () => {
     }
   };
 
+  // **Read an uploaded plate CSV or Excel workbook and open the import preview**
   const handleFileUpload = (event) => {
     const file = event.target.files[0];
     if (!file) return;
-  
-    // First, check the first few rows to detect format
-    Papa.parse(file, {
-      preview: 5,
-      skipEmptyLines: true,
-      complete: (result) => {
-        const firstRow = result.data[0];
-        const isOldFormat = firstRow && firstRow.includes("from_block");
-        console.log(`Detected format: ${isOldFormat ? "Old Format" : "New Format"}`);
-  
-        // Process file again with the correct format
-        Papa.parse(file, {
-          header: isOldFormat,
-          skipEmptyLines: true,
-          complete: (result) => {
-            let updatedPlates = [...plates]; // Clone existing plates
-            let newPlates = [];
-  
-            if (isOldFormat) {
-              // ✅ Process OLD FORMAT (uses headers like "from_block", "well", etc.)
-              const uploadedPlates = {};
-  
-              result.data.forEach((row) => {
-                const plateId = parseInt(row["from_block"], 10);
-                const wellId = row["well"];
-                if (!plateId || !wellId) return;
-  
-                if (!uploadedPlates[plateId]) {
-                  uploadedPlates[plateId] = initializePlateMetadata(); // ✅ Initialize wells
-                }
-  
-                // ✅ Old format processes all metadata fields without file differentiation
-                uploadedPlates[plateId][wellId] = {
-                  base_strain: row["base_strain"] || "",
-                  receptor: row["receptor"] || "",
-                  anchor: row["anchor"] || "",
-                  nanobody: row["nanobody"] || "",
-                  negsel: row["negsel"] || "",
-                  dilution: row["dilution"] || "",
-                  notes: row["notes"] || "",
-                };
-              });
-  
-              newPlates = Object.keys(uploadedPlates).map((id) => ({
-                id: parseInt(id, 10),
-                metadata: uploadedPlates[id],
-              }));
-            } else {
-              // ✅ Process NEW FORMAT (grid layout with "Block X")
-              const fileName = file.name.toLowerCase();
-              const isBaseStrainFile = fileName.includes("basestrain_wells");
-              const isNanobodyFile = fileName.includes("nanobody_wells");
-  
-              if (!isBaseStrainFile && !isNanobodyFile) {
-                alert("Invalid file. Please upload 'basestrain_wells.csv' or 'nanobody_wells.csv'.");
-                return;
-              }
-  
-              let currentPlate = null;
-              let currentPlateId = null;
-  
-              result.data.forEach((row) => {
-                if (row[0] && row[0].startsWith("Block")) {
-                  // ✅ Start a new plate when "Block X" is found
-                  if (currentPlateId !== null) {
-                    newPlates.push(currentPlate);
-                  }
-  
-                  currentPlateId = parseInt(row[0].replace("Block ", ""), 10);
-                  
-                  // ✅ Merge with existing plate metadata (if exists)
-                  const existingPlate = updatedPlates.find((p) => p.id === currentPlateId);
-                  currentPlate = {
-                    id: currentPlateId,
-                    metadata: existingPlate ? { ...existingPlate.metadata } : initializePlateMetadata(),
-                  };
-                } else if (currentPlate) {
-                  // ✅ Process well data (rows A-H)
-                  const rowLabel = row[0];
-                  if (rowLabel && ["A", "B", "C", "D", "E", "F", "G", "H"].includes(rowLabel)) {
-                    for (let col = 1; col <= 12; col++) {
-                      const wellId = `${rowLabel}${col}`;
-                      const fieldValue = row[col] ? row[col].trim() : "";
-  
-                      // ✅ Merge new data with existing metadata instead of overwriting
-                      currentPlate.metadata[wellId] = {
-                        ...currentPlate.metadata[wellId], // Keep existing data
-                        [isBaseStrainFile ? "base_strain" : "nanobody"]: fieldValue, // Update only one field
-                      };
-                    }
-                  }
-                }
-              });
-  
-              // ✅ Add last plate if it has data
-              if (currentPlate) {
-                newPlates.push(currentPlate);
-              }
-            }
-  
-            // ✅ Remove empty plates (where ALL wells are empty)
-            newPlates = newPlates.filter((plate) =>
-              Object.values(plate.metadata).some(
-                (wellData) => Object.values(wellData).some((val) => val !== "")
-              )
-            );
-  
-            // ✅ Merge new plates into existing plates instead of replacing them
-            newPlates.forEach((newPlate) => {
-              const existingPlateIndex = updatedPlates.findIndex((p) => p.id === newPlate.id);
-              if (existingPlateIndex !== -1) {
-                // ✅ Merge metadata instead of overwriting
-                updatedPlates[existingPlateIndex] = {
-                  ...updatedPlates[existingPlateIndex],
-                  metadata: {
-                    ...updatedPlates[existingPlateIndex].metadata,
-                    ...newPlate.metadata,
-                  },
-                };
-              } else {
-                updatedPlates.push(newPlate);
-              }
-            });
-  
-            // ✅ Update state if plates exist
-            if (updatedPlates.length > 0) {
-              setPlates(updatedPlates);
-              setCurrentPlateIndex(0); // Reset to first plate
-            }
-          },
+    event.target.value = ""; // Allow uploading the same file again
+
+    if (isWorkbookFile(file.name)) {
+      file
+        .arrayBuffer()
+        .then(readWorkbookSheets)
+        .then((sheets) => {
+          const descriptions = describeSheets(sheets, schema);
+          const selected = defaultSheetSelection(descriptions);
+          if (selected.length === 0) {
+            alert("No blocks found on any sheet. Sheets need a long table (from_block, well, ...) or a grid with row letters.");
+            return;
+          }
+          setPendingImport({
+            fileName: file.name,
+            parsed: parseWorkbookSheets(sheets, selected, schema),
+            workbook: { sheets, descriptions, selected },
+          });
+        })
+        .catch((error) => {
+          console.error("Could not read workbook:", error);
+          alert(`Could not read ${file.name}: ${error.message}`);
         });
-      },
-    });
+      return;
+    }
+
+    file
+      .text()
+      .then((text) => {
+        const parsed = parsePlateCsv(text);
+        if (parsed.blocks.length === 0) {
+          alert(
+            parsed.layout === "long"
+              ? "No wells found. Rows need a from_block number and a well label."
+              : "No blocks found. Each block should start with a 'Block N' row."
+          );
+          return;
+        }
+        setPendingImport({ fileName: file.name, parsed });
+      })
+      .catch((error) => {
+        console.error("Could not read file:", error);
+        alert(`Could not read file: ${error.message}`);
+      });
+  };
+
+  // Picking other sheets of a workbook starts the preview over
+  const selectImportSheets = (selected) => {
+    setPendingImport((prev) => ({
+      ...prev,
+      parsed: parseWorkbookSheets(prev.workbook.sheets, selected, schema),
+      workbook: { ...prev.workbook, selected },
+    }));
+  };
+
+  const applyImport = (plan) => {
+    commit(
+      `Import ${pendingImport.fileName}`,
+      (prevDoc) => ({
+        ...prevDoc,
+        schema: plan.schema,
+        plateSchema: plan.plateSchema,
+        plates: plan.plates,
+      }),
+      { source: { kind: "import", detail: pendingImport.fileName } }
+    );
+    setPendingImport(null);
   };
 
   const handleCsvUpload = (event) => {
     const file = event.target.files[0];
     if (!file) return;
-  
+
     Papa.parse(file, {
-      header: false, // ❌ Do NOT treat first row as headers (since we skip first row manually)
+      header: false, // ❌ Headers are picked by the lookup config's header row
       skipEmptyLines: true, // ✅ Remove blank rows
       complete: (result) => {
-        let rawData = result.data;
-  
-        if (rawData.length < 2) {
-          console.error("CSV does not contain enough rows!");
-          return;
+        const table = buildStrainTable(result.data, lookup);
+        if (table.records.length === 0) {
+          alert(`No strain rows found below header row ${lookup.headerRow}. Check the header row in the lookup settings.`);
+        } else if (!table.headers.includes(lookup.keyColumn)) {
+          alert(`The sheet has no "${lookup.keyColumn}" column in row ${lookup.headerRow}. Pick the strain ID column in the lookup settings.`);
+          setShowLookupEditor(true);
         }
-  
-        // ✅ Use the second row as actual headers
-        let originalHeaders = rawData[1].map((header) => header.trim().replace(/\s+/g, "_"));
-  
-        // ✅ Ensure unique headers by appending a counter to duplicates
-        let headerCount = {};
-        let uniqueHeaders = originalHeaders.map((header) => {
-          if (headerCount[header]) {
-            headerCount[header]++;
-            return `${header}_${headerCount[header]}`; // Rename duplicate headers
-          } else {
-            headerCount[header] = 1;
-            return header; // Keep the first occurrence unchanged
-          }
-        });
-  
-        // ✅ Map remaining rows to new headers
-        let cleanedData = rawData.slice(1).map((row) => {
-          let rowData = {};
-          uniqueHeaders.forEach((key, index) => {
-            rowData[key] = row[index] || ""; // Ensure valid mapping
-          });
-          return rowData;
-        });
-  
-        cleanedData = cleanedData.filter(row => Object.values(row).some(val => val !== "")); // ✅ Remove empty rows
-  
-        console.log("Final Cleaned CSV Data with Unique Headers:", cleanedData); // ✅ Debugging output
-        setCsvData(cleanedData);
+        setCsvData(result.data);
       },
     });
   };
 
+  const updateLookupConfig = (config) => {
+    commit("Change strain lookup settings", (prevDoc) => ({ ...prevDoc, lookup: config }), { coalesceKey: "lookup" });
+  };
+
+  // coalesceKey lets dragging a colour picker become one undo step
+  const updateColors = (settings, coalesceKey = "settings") => {
+    commit("Change colours", (prevDoc) => ({ ...prevDoc, colors: settings }), { coalesceKey: `colors-${coalesceKey}` });
+  };
+
+  const updateWorklistConfig = (config, coalesceKey = "settings") => {
+    commit("Change worklist settings", (prevDoc) => ({ ...prevDoc, worklist: config }), { coalesceKey: `worklist-${coalesceKey}` });
+  };
+
+  const updateDatasetConfig = (config, coalesceKey = "settings") => {
+    commit("Change dataset settings", (prevDoc) => ({ ...prevDoc, dataset: config }), { coalesceKey: `dataset-${coalesceKey}` });
+  };
+
+  const updateValidation = (config) => {
+    commit("Change validation rules", (prevDoc) => ({ ...prevDoc, validation: config }), { coalesceKey: "validation" });
+  };
+
+  // Jumps to the well (and field) a problem is about
+  const showProblem = (problem) => {
+    selectWellsOnPlate(problem.plateId, problem.wellId ? [problem.wellId] : []);
+    if (problem.field && getField(schema, problem.field)) setDisplayedField(problem.field);
+  };
+
+  // ✅ Exports check the plates first; errors block or warn depending on the settings
+  const confirmExport = () => {
+    const { errors } = problemCounts;
+    if (errors === 0) return true;
+    setShowProblems(true);
+    if (validation.onExportErrors === "block") {
+      alert(`Export blocked: ${countLabel(errors, "error")} found. Fix them in the problems panel first.`);
+      return false;
+    }
+    return window.confirm(`${countLabel(errors, "error")} found (see the problems panel). Export anyway?`);
+  };
+
   const exportCSV = () => {
-    const csvHeader = "from_block,well,base_strain,receptor,anchor,nanobody,negsel,dilution,notes\n";
-    const csvRows = [];
-  
-    plates.forEach((plate) => {
-      Object.keys(plate.metadata).forEach((well) => {
-        const data = plate.metadata[well] || DEFAULT_METADATA;
-        
-        // ✅ Check if ALL metadata fields are empty
-        const isEmptyRow = Object.values(data).every((val) => val === "" || val === null || val === undefined);
-  
-        // ✅ If the entire row is empty, set all fields to "empty"
-        if (isEmptyRow) {
-          csvRows.push(`${plate.id},${well},empty,empty,empty,empty,empty,empty,empty`);
-        } else {
-          // ✅ Keep existing values, replace only truly empty fields with ""
-          const rowData = [
-            data.base_strain || "",
-            data.receptor || "",
-            data.anchor || "",
-            data.nanobody || "",
-            data.negsel || "",
-            data.dilution || "",
-            data.notes || "",
-          ];
-  
-          csvRows.push(`${plate.id},${well},${rowData.join(",")}`);
-        }
-      });
-    });
-  
-    const csvContent = csvHeader + csvRows.join("\n");
-    const blob = new Blob([csvContent], { type: "text/csv" });
-    saveAs(blob, "spots.csv");
+    if (!confirmExport()) return;
+    saveAs(csvBlob(exportLongFormatCsv(plates, schema, { ...csvOptions, plateSchema })), "spots.csv");
+  };
+
+  // ✅ Long sheet plus one grid sheet per block and field, coloured like the screen
+  const exportExcel = async () => {
+    if (!confirmExport()) return;
+    try {
+      saveAs(await exportWorkbook(plates, schema, { plateSchema, colors, emptyWells: csvOptions.emptyWells }), "spots.xlsx");
+    } catch (error) {
+      console.error("Excel export failed:", error);
+      alert(`Excel export failed: ${error.message}`);
+    }
+  };
+
+  // ✅ Block-grid layout, one field per file, readable by the grid importer
+  const exportGridCSV = async () => {
+    if (!confirmExport()) return;
+    if (gridExportField === ALL_FIELDS || !getField(schema, gridExportField)) {
+      saveAs(await exportGridZip(plates, schema, { ...csvOptions, plateSchema }), "grid_wells.zip");
+    } else {
+      saveAs(csvBlob(exportGridCsv(plates, gridExportField, csvOptions)), gridFileName(gridExportField));
+    }
   };
 
   const searchStrainByNumber = () => {
-    setPlates((prevPlates) => {
-      return prevPlates.map((plate) => {
-        const updatedMetadata = { ...plate.metadata };
-  
-        // ✅ Loop through all wells in this plate
-        Object.keys(updatedMetadata).forEach((well) => {
-          const wellMetadata = updatedMetadata[well];
-          const strainNumber = wellMetadata.base_strain || ""; // Assume strain number is stored in base_strain
-  
-          if (!strainNumber) return; // Skip wells without a base strain
-  
-          // ✅ Find the row where `Strain_Name` matches `base_strain`
-          const matchingRow = csvData.find((row) => row["Strain_Name"] === strainNumber);
-  
-          if (matchingRow) {
-            // ✅ Extract corresponding metadata values
-            updatedMetadata[well] = {
-              ...wellMetadata,
-              negsel: matchingRow["Construct_1"] || "",
-              anchor: matchingRow["Construct_2"] || "",
-              receptor: matchingRow["Construct_3"] || "",
-            };
-          }
-        });
-  
-        return { ...plate, metadata: updatedMetadata };
-      });
+    if (strainTable.records.length === 0) {
+      alert("Upload the NP Plasmids sheet first.");
+      return;
+    }
+    if (!getField(schema, lookup.wellField)) {
+      alert("Pick the well field holding the strain ID in the lookup settings.");
+      setShowLookupEditor(true);
+      return;
+    }
+
+    const { plates: updatedPlates, report } = runStrainLookup(plates, strainTable, lookup);
+    setLookupReport(report);
+    if (report.matched === 0) return;
+    // ✅ Each looked-up field records the sheet column it came from
+    const fieldDetails = {};
+    lookup.columnMap.forEach(({ column, field }) => {
+      if (column && field) fieldDetails[field] = `NP Plasmids column ${column}`;
     });
+    updatePlates(`Look up strains for ${countLabel(report.matched, "well")}`, () => updatedPlates, {
+      source: { kind: "lookup", detail: "NP Plasmids sheet", fieldDetails },
+    });
+  };
+
+  // **Open a plate and select the given wells on it**
+  const selectWellsOnPlate = (plateId, wellIds) => {
+    const plateIndex = plates.findIndex((plate) => plate.id === plateId);
+    if (plateIndex === -1) return;
+    setCurrentPlateIndex(plateIndex);
+    setSelectedWells(new Set(wellIds));
+    setSelectionKey((prev) => prev + 1);
   };
 
   // **Copy the current plate and insert it after the current plate**
   const copyCurrentPlate = () => {
-    setPlates((prevPlates) => {
-      // ✅ Create a deep copy of the current plate's metadata
+    updatePlates(`Copy Block ${plates[currentPlateIndex].id}`, (prevPlates, prevDoc) => {
+      // ✅ Create a deep copy of the current plate's metadata and attributes
+      const plate = prevPlates[currentPlateIndex];
       const copiedPlate = {
-        id: prevPlates.length + 1, // Temporary ID, will be renumbered
-        metadata: JSON.parse(JSON.stringify(prevPlates[currentPlateIndex].metadata)), // Deep copy metadata
+        id: nextPlateId(prevPlates, prevDoc.lastPlateId),
+        name: plate.name ? `${plate.name} (copy)` : "",
+        barcode: "", // A barcode belongs to one physical block
+        attributes: { ...plate.attributes },
+        format: plate.format,
+        metadata: JSON.parse(JSON.stringify(plate.metadata)), // Deep copy metadata
+        ...(plate.provenance && { provenance: plate.provenance }), // Copied values keep their history
       };
 
       // ✅ Insert the copied plate immediately after the current one
-      const updatedPlates = [
-        ...prevPlates.slice(0, currentPlateIndex + 1), // Keep plates before current
-        copiedPlate, // Insert copied plate
-        ...prevPlates.slice(currentPlateIndex + 1), // Keep plates after current
-      ];
-
-      // ✅ Renumber all plates sequentially
-      updatedPlates.forEach((plate, index) => {
-        plate.id = index + 1;
-      });
-
-      return updatedPlates;
+      return insertPlate(prevPlates, currentPlateIndex + 1, copiedPlate);
     });
 
-    setCurrentPlateIndex((prevIndex) => prevIndex + 1); // ✅ Move to the copied plate
+    setCurrentPlateIndex(currentPlateIndex + 1); // ✅ Move to the copied plate
     deselectAll();
   };
 
-  // **Delete the current plate and reorder plate numbers**
+  // **Add the plates made by a reformatting operation after the current plate**
+  const applyReformat = (newPlates, operation) => {
+    updatePlates(`${REFORMAT_OPERATIONS[operation]}: add ${newPlates.map((plate) => `Block ${plate.id}`).join(", ")}`, (prevPlates) =>
+      newPlates.reduce((result, plate, i) => insertPlate(result, currentPlateIndex + 1 + i, plate), prevPlates)
+    );
+    setCurrentPlateIndex(currentPlateIndex + 1); // ✅ Open the first new plate
+    setShowReformatDialog(false);
+    deselectAll();
+  };
+
+  // **Delete the current plate; the other plates keep their block numbers**
   const deleteCurrentPlate = () => {
-    setPlates((prevPlates) => {
-      // Prevent deleting the last remaining plate
-      if (prevPlates.length === 1) {
-        alert("You must have at least one plate.");
-        return prevPlates;
-      }
+    // Prevent deleting the last remaining plate
+    if (plates.length === 1) {
+      alert("You must have at least one plate.");
+      return;
+    }
 
-      // ✅ Remove the current plate
-      let updatedPlates = prevPlates.filter((_, index) => index !== currentPlateIndex);
+    // ✅ Remove the current plate
+    updatePlates(`Delete Block ${plates[currentPlateIndex].id}`, (prevPlates) => removePlate(prevPlates, currentPlateIndex));
 
-      // ✅ Reorder plate numbers sequentially
-      updatedPlates = updatedPlates.map((plate, index) => ({
-        ...plate,
-        id: index + 1, // Renumber plates starting from 1
-      }));
+    // ✅ Update current plate index (stay on previous plate or first plate)
+    setCurrentPlateIndex(Math.max(0, currentPlateIndex - 1));
+    deselectAll();
+  };
 
-      // ✅ Update current plate index (stay on previous plate or first plate)
-      const newIndex = Math.max(0, currentPlateIndex - 1);
-      setCurrentPlateIndex(newIndex);
+  const moveCurrentPlate = () => {
+    if (plates.length === 1) {
+      alert("You must have at least one plate.");
+      return;
+    }
 
-      return updatedPlates;
-    });
+    if (targetPlateIndex < 0 || targetPlateIndex >= plates.length) {
+      alert("Invalid plate position.");
+      return;
+    }
 
+    if (targetPlateIndex === currentPlateIndex) return;
+
+    movePlateTo(currentPlateIndex, targetPlateIndex);
+    setCurrentPlateIndex(targetPlateIndex); // ✅ Move to the newly positioned plate
     deselectAll();
   };
 
-  const moveCurrentPlate = () => {
-    setPlates((prevPlates) => {
-      if (prevPlates.length === 1) {
-        alert("You must have at least one plate.");
-        return prevPlates;
-      }
+  // ✅ Move a plate to a new position; block numbers travel with their plates
+  const movePlateTo = (fromIndex, toIndex) => {
+    updatePlates(`Move Block ${plates[fromIndex].id} to position ${toIndex + 1}`, (prevPlates) =>
+      movePlate(prevPlates, fromIndex, toIndex)
+    );
+    // Keep the open plate open wherever it ends up
+    if (fromIndex === currentPlateIndex) setCurrentPlateIndex(toIndex);
+    else if (fromIndex < currentPlateIndex && toIndex >= currentPlateIndex) setCurrentPlateIndex(currentPlateIndex - 1);
+    else if (fromIndex > currentPlateIndex && toIndex <= currentPlateIndex) setCurrentPlateIndex(currentPlateIndex + 1);
+  };
 
-      if (targetPlateIndex < 0 || targetPlateIndex >= prevPlates.length) {
-        alert("Invalid plate position.");
-        return prevPlates;
-      }
+  // Opens a plate from the overview
+  const openPlate = (index) => {
+    setCurrentPlateIndex(index);
+    deselectAll();
+    setView("plate");
+  };
 
-      // ✅ Remove the current plate from its position
-      const plateToMove = prevPlates[currentPlateIndex];
-      let updatedPlates = prevPlates.filter((_, index) => index !== currentPlateIndex);
+  // **Save the whole session (plates, fields, strain sheet, settings) as one file**
+  const exportProjectFile = () => {
+    const name = projectsApi.currentProject ? projectsApi.currentProject.name : "";
+    const blob = new Blob([serializeProjectFile(snapshot, name)], { type: "application/json" });
+    const fileName = (name || "spotplate").replace(/[^\w.-]+/g, "_");
+    saveAs(blob, `${fileName}${PROJECT_FILE_EXTENSION}`);
+  };
 
-      // ✅ Insert the plate at the new position
-      updatedPlates.splice(targetPlateIndex, 0, plateToMove);
+  const handleProjectFileUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = ""; // Allow opening the same file again
 
-      // ✅ Renumber all plates sequentially
-      updatedPlates = updatedPlates.map((plate, index) => ({
-        ...plate,
-        id: index + 1, // Assign new plate numbers
-      }));
+    file
+      .text()
+      .then((text) => projectsApi.importSession(JSON.parse(text), `Open ${file.name}`))
+      .catch((error) => {
+        console.error("Could not open project file:", error);
+        alert(`Could not open project file: ${error.message}`);
+      });
+  };
 
-      setCurrentPlateIndex(targetPlateIndex); // ✅ Move to the newly positioned plate
-      return updatedPlates;
-    });
+  // **Load a revised layout (CSV or project file) to compare the plates with**
+  const handleCompareUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = "";
 
-    deselectAll();
+    file
+      .text()
+      .then((text) => setComparison({ fileName: file.name, revised: readRevisedLayout(text, file.name, doc), rejected: [] }))
+      .catch((error) => {
+        console.error("Could not read revised layout:", error);
+        alert(`Could not read ${file.name}: ${error.message}`);
+      });
   };
 
-  const exportPDF = async () => {
-    const zip = new JSZip(); // ✅ Create ZIP file
-    const originalPlateIndex = currentPlateIndex; // ✅ Store original plate index
-  
-    for (const plateIndex in plates) {
-      setCurrentPlateIndex(parseInt(plateIndex)); // ✅ Switch to current plate
-      await new Promise((resolve) => setTimeout(resolve, 50)); // ✅ Allow UI update
-  
-      const pdf = new jsPDF("p", "mm", "a4"); // ✅ Create a new PDF
-      let yOffset = 15; // ✅ Reset Y-position
-  
-      for (const field of Object.keys(DEFAULT_METADATA)) {
-        setDisplayedField(field); // ✅ Change displayed field dynamically
-        await new Promise((resolve) => setTimeout(resolve, 50)); // ✅ Allow UI update
-  
-        const plateElement = document.querySelector(".well-plate");
-        if (!plateElement) {
-          console.warn(`Plate element not found for ${field}`);
-          continue;
-        }
-  
-        // ✅ Temporarily expand the plate to avoid cropping
-        plateElement.style.width = "1000px";
-        plateElement.style.overflow = "visible";
-  
-        // ✅ Capture the well plate as an image
-        const canvas = await html2canvas(plateElement, {
-          scale: 2,
-          width: plateElement.scrollWidth + 500,
-          height: plateElement.scrollHeight + 100,
-          useCORS: true,
-        });
-  
-        // ✅ Reset styles after capture
-        plateElement.style.width = "";
-        plateElement.style.overflow = "";
-  
-        const imgData = canvas.toDataURL("image/jpeg", 0.7); // ✅ Convert to JPEG with compression
-  
-        // ✅ Get image dimensions
-        const imgWidth = canvas.width;
-        const imgHeight = canvas.height;
-  
-        // ✅ Define PDF dimensions
-        const maxWidth = 170; // ✅ Ensure proper fit
-        const aspectRatio = imgHeight / imgWidth;
-        const displayHeight = maxWidth * aspectRatio;
-  
-        // ✅ Add metadata title
-        pdf.setFontSize(14);
-        pdf.text(`Plate ${plates[plateIndex].id} - ${field}`, 10, yOffset);
-  
-        // ✅ Add image to PDF
-        pdf.addImage(imgData, "JPEG", 10, yOffset + 5, maxWidth, displayHeight);
-        yOffset += displayHeight + 15;
-  
-        // ✅ Add new page if necessary
-        if (yOffset > 200) {
-          pdf.addPage();
-          yOffset = 15;
-        }
+  const acceptComparisonChanges = (changes) => {
+    const { kept } = acceptChanges(doc, changes, comparison.revised);
+    commit(
+      `Accept ${countLabel(changes.length, "change")} from ${comparison.fileName}`,
+      (prevDoc) => acceptChanges(prevDoc, changes, comparison.revised).doc,
+      { source: { kind: "compare", detail: comparison.fileName } }
+    );
+    if (kept.length > 0) alert(`Block ${kept.join(", ")} was kept: you must have at least one plate.`);
+  };
+
+  const rejectComparisonChanges = (changes) => {
+    setComparison((prev) => ({ ...prev, rejected: [...prev.rejected, ...changes.map((change) => change.key)] }));
+  };
+
+  // **PDF plate maps are drawn from the plate data, the screen is left as it is**
+  const exportPDF = async (options) => {
+    try {
+      const { blob, fileName } = await exportPlateMaps(plates, schema, { ...options, colors, plateSchema });
+      saveAs(blob, fileName);
+      setShowPdfDialog(false);
+    } catch (error) {
+      console.error("PDF export failed:", error);
+      alert(`PDF export failed: ${error.message}`);
+    }
+  };
+
+  // **Robot worklists and manual checklists for the spotting run**
+  const exportWorklistFile = async (builtWorklist, worklistPlates, options) => {
+    try {
+      const { blob, fileName } = await exportWorklist(builtWorklist, worklistPlates, worklist, { ...options, csvOptions });
+      saveAs(blob, fileName);
+      setShowWorklistDialog(false);
+    } catch (error) {
+      console.error("Worklist export failed:", error);
+      alert(`Worklist export failed: ${error.message}`);
+    }
+  };
+
+  // **Photo of the current block; the image stays in this session, its alignment goes into the plate**
+  const loadPlatePhoto = (file) => {
+    const { id } = plates[currentPlateIndex];
+    const url = URL.createObjectURL(file);
+    loadImage(url)
+      .then((image) => {
+        if (photos[id]) URL.revokeObjectURL(photos[id].url);
+        setPhotos((prev) => ({ ...prev, [id]: { url, fileName: file.name, width: image.naturalWidth, height: image.naturalHeight } }));
+      })
+      .catch((error) => {
+        URL.revokeObjectURL(url);
+        alert(`Could not load ${file.name}: ${error.message}`);
+      });
+  };
+
+  // Dragging a corner handle passes a coalesceKey so the drag is one undo step
+  const alignPlatePhoto = (photo, coalesceKey) => {
+    const { id } = plates[currentPlateIndex];
+    commit(
+      `Align Block ${id} on ${photo.fileName}`,
+      (prevDoc) => ({ ...prevDoc, plates: prevDoc.plates.map((plate) => (plate.id === id ? { ...plate, photo } : plate)) }),
+      { coalesceKey }
+    );
+  };
+
+  const clearPhotoAlignment = () => {
+    const { id } = plates[currentPlateIndex];
+    commit(`Clear photo alignment of Block ${id}`, (prevDoc) => ({
+      ...prevDoc,
+      plates: prevDoc.plates.map((plate) => {
+        if (plate.id !== id) return plate;
+        const { photo, ...rest } = plate;
+        return rest;
+      }),
+    }));
+  };
+
+  // ✅ Spot positions of every aligned block, as CSV, JSON or a zip of cropped images
+  const exportSpots = async (kind) => {
+    const alignedPlates = plates.filter((plate) => isAlignmentValid(plate.format, plate.photo));
+    if (alignedPlates.length === 0) {
+      alert("Align the grid on a photo of at least one block first.");
+      return;
+    }
+    if (!confirmExport()) return;
+    if (kind === "csv") {
+      saveAs(csvBlob(writeCsv(buildSpotRows(alignedPlates, schema, plateSchema), csvOptions)), "spot_boxes.csv");
+    } else if (kind === "json") {
+      saveAs(new Blob([JSON.stringify(buildSpotJson(alignedPlates, schema), null, 2)], { type: "application/json" }), "spot_boxes.json");
+    } else {
+      const withPhotos = alignedPlates.filter((plate) => {
+        const photo = photos[plate.id];
+        return photo && photo.width === plate.photo.width && photo.height === plate.photo.height;
+      });
+      if (withPhotos.length === 0) {
+        alert("Load the photos of the aligned blocks first; photos are not kept in the project.");
+        return;
+      }
+      try {
+        saveAs(await exportSpotCrops(withPhotos, photos), "spot_crops.zip");
+      } catch (error) {
+        console.error("Crop export failed:", error);
+        alert(`Crop export failed: ${error.message}`);
       }
-  
-      // ✅ Convert PDF to Blob and add it to ZIP
-      const pdfBlob = pdf.output("blob");
-      zip.file(`plate_${plates[plateIndex].id}_metadata.pdf`, pdfBlob);
     }
-  
-    // ✅ Restore original plate index
-    setCurrentPlateIndex(originalPlateIndex);
-  
-    // ✅ Generate ZIP file and trigger download
-    zip.generateAsync({ type: "blob" }).then((zipBlob) => {
-      saveAs(zipBlob, "plate_metadata.zip");
-    });
   };
 
+  // **COCO / JSON Lines annotations for training segmentation models**
+  const exportDatasetFile = (records, options) => {
+    const { blob, fileName } = exportDataset(records, schema, dataset, options);
+    saveAs(blob, fileName);
+    setShowDatasetDialog(false);
+  };
+
+  const currentFormat = plates[currentPlateIndex].format || DEFAULT_FORMAT;
+  const currentField = getField(schema, displayedField);
+  const currentScale = useMemo(() => createColorScale(currentField, plates, colors), [currentField, plates, colors]);
+  const currentMatches = new Set((searchResults.find((result) => result.plateIndex === currentPlateIndex) || { wellIds: [] }).wellIds);
 
   return (
     <div className="well-plate-container">
-      <h2>96-Well Block Metadata Helper</h2>
-      <p>This is a tool for making the metadata for spot plating image segmentation. First, download the NP Yeast Google Sheet as a CSV. Then upload the CSV here.
-        You can populate fields by dragging and selecting wells, clicking on the appropriate meta data button, populate the input field and press enter. </p>
-      <p>
-        You can also update the base_strains metadata by searching the strain number in the uploaded CSV.
-        The export PDF file exports images of all plates + meta data. It will cycle through all fields automatically and save as zip files.
-      </p>
-      <p>
-        Tips: You can also use the metadata template to upload the data back into the app. This might be easier than entering strains individually.  
-      </p>
+      <h2>Well Block Metadata Helper</h2>
+      <HelpPanel />
+
+      {projectsApi.pendingAutosave && (
+        <div className="autosave-banner">
+          Found an autosaved session from {new Date(projectsApi.pendingAutosave.savedAt).toLocaleString()}
+          {projectsApi.pendingAutosave.projectName ? ` (project ${projectsApi.pendingAutosave.projectName})` : ""}.
+          <button className="template-btn" onClick={projectsApi.restoreAutosave}>Restore</button>
+          <button className="template-btn" onClick={projectsApi.dismissAutosave}>Dismiss</button>
+        </div>
+      )}
+
+      {projectsApi.storageAvailable && (
+        <ProjectPicker
+          projects={projectsApi.projects}
+          currentProject={projectsApi.currentProject}
+          lastSavedAt={projectsApi.lastSavedAt}
+          onNew={projectsApi.newProject}
+          onSaveAs={projectsApi.saveAsProject}
+          onOpen={projectsApi.openProject}
+          onRename={projectsApi.renameProject}
+          onDuplicate={projectsApi.duplicateProject}
+          onDelete={projectsApi.deleteProject}
+        />
+      )}
+
+      <div className="view-tabs">
+        <button className={`field-btn ${view === "plate" ? "active" : ""}`} onClick={() => setView("plate")}>Plate</button>
+        <button className={`field-btn ${view === "overview" ? "active" : ""}`} onClick={() => setView("overview")}>
+          Overview ({countLabel(plates.length, "plate")})
+        </button>
+      </div>
+
+      <PlateSearch
+        query={searchQuery}
+        results={searchResults}
+        schema={schema}
+        onChange={setSearchQuery}
+        onSelect={selectWellsOnPlate}
+      />
 
       <input
         type="text"
         className="form-control metadata-input"
-        placeholder={`Set ${displayedField} for selected wells`}
+        placeholder={`Set ${displayedField}${currentField?.unit ? ` (${currentField.unit})` : ""} for selected wells`}
+        list={currentField?.type === "list" ? "field-options" : undefined}
         value={bulkValue}
         onChange={(e) => setBulkValue(e.target.value)}
         onKeyDown={(e) => e.key === "Enter" && applyBulkUpdate()}
       />
 
+      {currentField?.type === "list" && (
+        <datalist id="field-options">
+          {currentField.options.map((opt) => (
+            <option key={opt} value={opt} />
+          ))}
+        </datalist>
+      )}
+
       <div className="field-toggle">
-        {Object.keys(DEFAULT_METADATA).map((field) => (
+        {getFieldNames(schema).map((field) => (
           <button
             key={field}
             className={`field-btn ${displayedField === field ? "active" : ""}`}
@@ -612,33 +1255,352 @@ const WellPlateSelector = () => {
             {field}
           </button>
         ))}
+        <span className="role-buttons">
+          Mark as:
+          {Object.keys(WELL_ROLES).map((role) => (
+            <button key={role} className={`field-btn role-btn role-${role}`} onClick={() => setRoleOnWells(role)}>
+              {WELL_ROLES[role].badge} {WELL_ROLES[role].label}
+            </button>
+          ))}
+        </span>
+        <button className="field-btn edit-fields-btn" onClick={() => setShowSchemaEditor((prev) => !prev)}>
+          {showSchemaEditor ? "Done" : "Edit Fields"}
+        </button>
       </div>
 
-      <SelectableGroup key={selectionKey} className="well-plate" onSelectionFinish={handleSelection} allowClickWithoutSelected enableDeselect selectboxClassName="selection-box">
-        {Object.keys(plates[currentPlateIndex].metadata).map((wellId) => (
-          <Well key={wellId} wellId={wellId} isSelected={selectedWells.has(wellId)} metadata={plates[currentPlateIndex].metadata} displayedField={displayedField} />
-        ))}
-      </SelectableGroup>
+      {showSchemaEditor && (
+        <SchemaEditor
+          schema={schema}
+          onAddField={addField}
+          onRenameField={renameField}
+          onUpdateField={updateField}
+          onMoveField={moveField}
+          onDeleteField={deleteField}
+        />
+      )}
 
-      <div className="plate-nav">
-        <button className="template-btn" onClick={prevPlate} disabled={currentPlateIndex === 0}>← Previous Plate</button>
-        <span>Block {plates[currentPlateIndex].id}</span>
-        <button className="template-btn" onClick={nextPlate} disabled={currentPlateIndex === plates.length - 1}>Next Plate →</button>        
-      </div>
+      <TemplateLibrary plates={plates} currentPlateIndex={currentPlateIndex} schema={schema} onApply={applyLayoutTemplate} />
+
+      {view === "overview" ? (
+        <PlateOverview
+          plates={plates}
+          schema={schema}
+          colorField={displayedField}
+          colors={colors}
+          currentPlateIndex={currentPlateIndex}
+          onColorFieldChange={setDisplayedField}
+          onOpenPlate={openPlate}
+          onMovePlate={movePlateTo}
+        />
+      ) : (
+        <>
+          <div
+            ref={gridRef}
+            className="plate-keyboard"
+            tabIndex={0}
+            onKeyDown={handleGridKeyDown}
+            onCopy={handleGridCopy}
+            onPaste={handleGridPaste}
+          >
+            <SelectableGroup
+              key={selectionKey}
+              className={`well-plate ${getWellSize(currentFormat) < 40 ? "dense" : ""}`}
+              style={{
+                "--well-size": `${getWellSize(currentFormat)}px`,
+                gridTemplateColumns: `repeat(${currentFormat.columns}, var(--well-size))`,
+                gridTemplateRows: `repeat(${currentFormat.rows}, var(--well-size))`,
+              }}
+              onSelectionFinish={handleSelection} allowClickWithoutSelected enableDeselect selectboxClassName="selection-box">
+              {getWellIds(currentFormat).map((wellId) => (
+                <Well
+                  key={wellId}
+                  wellId={wellId}
+                  isSelected={selectedWells.has(wellId)}
+                  metadata={plates[currentPlateIndex].metadata}
+                  displayedField={displayedField}
+                  field={currentField}
+                  colorFor={currentScale.colorFor}
+                  isCursor={wellId === cursorWell}
+                  isMatch={currentMatches.has(wellId)}
+                  source={describeSourceWell(plates[currentPlateIndex], wellId)}
+                  lastChange={getLastEntry(plates[currentPlateIndex], wellId, displayedField)}
+                  changedFields={(changedWells[plates[currentPlateIndex].id] || {})[wellId]}
+                  editor={
+                    wellId === editingWell && (
+                      <input
+                        className="well-editor"
+                        autoFocus
+                        value={editValue}
+                        onChange={(e) => setEditValue(e.target.value)}
+                        onKeyDown={handleEditKeyDown}
+                        onBlur={() => finishEdit(0, 0)}
+                      />
+                    )
+                  }
+                />
+              ))}
+            </SelectableGroup>
+          </div>
+
+          <div className="plate-nav">
+            <button className="template-btn" onClick={prevPlate} disabled={currentPlateIndex === 0}>← Previous Plate</button>
+            <span title="Block numbers are permanent: they stay the same when plates are added, deleted or moved">
+              {plateLabel(plates[currentPlateIndex])} ({formatLabel(currentFormat)})
+            </span>
+            <button className="template-btn" onClick={nextPlate} disabled={currentPlateIndex === plates.length - 1}>Next Plate →</button>        
+          </div>
+
+          <PlatePhoto
+            key={plates[currentPlateIndex].id}
+            plate={plates[currentPlateIndex]}
+            photo={photos[plates[currentPlateIndex].id]}
+            selectedWells={selectedWells}
+            onLoadPhoto={loadPlatePhoto}
+            onAlign={alignPlatePhoto}
+            onClearAlignment={clearPhotoAlignment}
+            onSelectWell={(wellId) => selectWellsOnPlate(plates[currentPlateIndex].id, [wellId])}
+            onExport={exportSpots}
+          />
+
+          <PlateDetails
+            plate={plates[currentPlateIndex]}
+            plateSchema={plateSchema}
+            onChange={updateCurrentPlate}
+            schemaHandlers={plateSchemaHandlers}
+          />
+
+          <ColorLegend field={currentField} scale={currentScale} plates={plates} settings={colors} onChange={updateColors} />
+        </>
+      )}
 
       <div className="button-container">
+        <button className="template-btn" onClick={openPatternFill}>Fill Pattern…</button>
         <button className="template-btn" onClick={clearField}>Clear</button>
         <button className="template-btn" onClick={deselectAll}>Deselect All</button>
         <button className="template-btn" onClick={searchStrainByNumber}>Search Strain</button>
+        <button className="template-btn" onClick={() => setShowLookupEditor((prev) => !prev)}>Lookup Settings</button>
+        <button className="template-btn" onClick={() => setShowWellHistory((prev) => !prev)}>Well History</button>
+        <button className="template-btn" onClick={() => setShowProblems((prev) => !prev)}>
+          Problems ({countLabel(problemCounts.errors, "error")}, {countLabel(problemCounts.warnings, "warning")})
+        </button>
         <button className="template-btn" onClick={exportCSV}>Export CSV</button>
-        <button className="template-btn" onClick={exportPDF}>Export PDF</button>
+        <span className="grid-export">
+          <select value={gridExportField} onChange={(e) => setGridExportField(e.target.value)}>
+            <option value={ALL_FIELDS}>All fields (zip)</option>
+            {getFieldNames(schema).map((field) => (
+              <option key={field} value={field}>{field}</option>
+            ))}
+          </select>
+          <button className="template-btn" onClick={exportGridCSV}>Export Grid CSV</button>
+        </span>
+        <button className="template-btn" onClick={exportExcel}>Export Excel</button>
+        <button className="template-btn" onClick={() => confirmExport() && setShowPdfDialog(true)}>Export PDF</button>
+        <button className="template-btn" onClick={() => confirmExport() && setShowWorklistDialog(true)}>Export Worklist</button>
+        <button className="template-btn" onClick={() => confirmExport() && setShowDatasetDialog(true)}>Export Dataset</button>
+        <button className="template-btn" onClick={exportProjectFile}>Export Project File</button>
       </div>
 
 
+      <details className="csv-options">
+        <summary>CSV export options</summary>
+        <label>
+          Delimiter{" "}
+          <select value={csvOptions.delimiter} onChange={(e) => setCsvOptions({ ...csvOptions, delimiter: e.target.value })}>
+            {Object.keys(CSV_DELIMITERS).map((delimiter) => (
+              <option key={delimiter} value={delimiter}>{CSV_DELIMITERS[delimiter]}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Empty wells{" "}
+          <select value={csvOptions.emptyWells} onChange={(e) => setCsvOptions({ ...csvOptions, emptyWells: e.target.value })}>
+            <option value="placeholder">Write "empty"</option>
+            <option value="blank">Leave cells blank</option>
+          </select>
+        </label>
+        <label>
+          Line endings{" "}
+          <select value={csvOptions.lineEnding} onChange={(e) => setCsvOptions({ ...csvOptions, lineEnding: e.target.value })}>
+            {Object.keys(LINE_ENDINGS).map((lineEnding) => (
+              <option key={lineEnding} value={lineEnding}>{LINE_ENDINGS[lineEnding]}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={csvOptions.bom} onChange={(e) => setCsvOptions({ ...csvOptions, bom: e.target.checked })} />{" "}
+          UTF-8 BOM
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={csvOptions.provenance}
+            onChange={(e) => setCsvOptions({ ...csvOptions, provenance: e.target.checked })}
+          />{" "}
+          Provenance columns (source:, set_at:, set_by:)
+        </label>
+      </details>
+
+      {pendingImport && (
+        <ImportPreview
+          key={pendingImport.workbook ? pendingImport.workbook.selected.join("\n") : ""}
+          fileName={pendingImport.fileName}
+          parsed={pendingImport.parsed}
+          sheets={pendingImport.workbook && pendingImport.workbook.descriptions}
+          selectedSheets={pendingImport.workbook && pendingImport.workbook.selected}
+          onSelectSheets={selectImportSheets}
+          doc={doc}
+          onApply={applyImport}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
+
+      {patternFillWells && (
+        <PatternFillDialog
+          plate={plates[currentPlateIndex]}
+          wellIds={patternFillWells}
+          schema={schema}
+          initialField={displayedField}
+          onApply={applyPatternFill}
+          onCancel={() => setPatternFillWells(null)}
+        />
+      )}
+
+      {showPdfDialog && (
+        <PdfExportDialog
+          schema={schema}
+          displayedField={displayedField}
+          defaultTitle={projectsApi.currentProject ? projectsApi.currentProject.name : "Plate maps"}
+          onExport={exportPDF}
+          onCancel={() => setShowPdfDialog(false)}
+        />
+      )}
+
+      {showReformatDialog && (
+        <ReformatDialog
+          plates={plates}
+          lastPlateId={doc.lastPlateId}
+          currentPlateIndex={currentPlateIndex}
+          schema={schema}
+          onApply={applyReformat}
+          onCancel={() => setShowReformatDialog(false)}
+        />
+      )}
+
+      {showWorklistDialog && (
+        <WorklistDialog
+          plates={plates}
+          currentPlateIndex={currentPlateIndex}
+          schema={schema}
+          config={worklist}
+          defaultTitle={projectsApi.currentProject ? projectsApi.currentProject.name : "Spotting run"}
+          onChange={updateWorklistConfig}
+          onExport={exportWorklistFile}
+          onCancel={() => setShowWorklistDialog(false)}
+        />
+      )}
+
+      {showDatasetDialog && (
+        <DatasetDialog
+          plates={plates}
+          currentPlateIndex={currentPlateIndex}
+          schema={schema}
+          config={dataset}
+          defaultTitle={projectsApi.currentProject ? projectsApi.currentProject.name : "Spot plating"}
+          onChange={updateDatasetConfig}
+          onExport={exportDatasetFile}
+          onCancel={() => setShowDatasetDialog(false)}
+        />
+      )}
+
+      <HistoryPanel
+        entries={history.entries}
+        index={history.index}
+        canUndo={history.canUndo}
+        canRedo={history.canRedo}
+        onUndo={undo}
+        onRedo={redo}
+        onJump={history.jumpTo}
+      />
+
+      {showLookupEditor && (
+        <StrainLookupEditor
+          config={lookup}
+          headers={strainTable.headers}
+          recordCount={strainTable.records.length}
+          schema={schema}
+          onChange={updateLookupConfig}
+        />
+      )}
+
+      {lookupReport && (
+        <LookupReport
+          report={lookupReport}
+          onSelectWell={(plateId, wellId) => selectWellsOnPlate(plateId, [wellId])}
+          onClose={() => setLookupReport(null)}
+        />
+      )}
+
+      {showWellHistory && (
+        <WellHistory
+          plate={plates[currentPlateIndex]}
+          wellId={selectedWells.size === 1 ? [...selectedWells][0] : cursorWell && isWellInFormat(cursorWell, currentFormat) ? cursorWell : null}
+          schema={schema}
+          userName={userName}
+          onUserNameChange={setUserName}
+          onClose={() => setShowWellHistory(false)}
+        />
+      )}
+
+      {comparison && (
+        <PlateDiffPanel
+          fileName={comparison.fileName}
+          changes={openChanges}
+          problems={diff.problems}
+          fields={comparison.revised.fields}
+          onSelectWell={(change) => {
+            selectWellsOnPlate(change.plateId, [change.wellId]);
+            if (getField(schema, change.field)) setDisplayedField(change.field);
+          }}
+          onAccept={acceptComparisonChanges}
+          onReject={rejectComparisonChanges}
+          onClose={() => setComparison(null)}
+        />
+      )}
+
+      {showProblems && (
+        <ValidationPanel
+          problems={problems}
+          validation={validation}
+          schema={schema}
+          onChange={updateValidation}
+          onSelectProblem={showProblem}
+          onClose={() => setShowProblems(false)}
+        />
+      )}
+
       <div className="plate-edit">
         <button className="action-btn" onClick={copyCurrentPlate}>Copy Current Plate</button>
         <button className="action-btn" onClick={addNewPlate}>+ Add Plate</button>
+        <button className="action-btn" onClick={() => setShowReformatDialog(true)}>Reformat Plates…</button>
         <button className="action-btn delete-btn" onClick={deleteCurrentPlate}>Delete Current Plate</button>
+        <div className="format-picker">
+          <select value={formatKey} onChange={(e) => setFormatKey(e.target.value)}>
+            {Object.keys(PLATE_FORMATS).map((key) => (
+              <option key={key} value={key}>
+                {key}-well ({PLATE_FORMATS[key].rows}×{PLATE_FORMATS[key].columns})
+              </option>
+            ))}
+            <option value="custom">Custom grid</option>
+          </select>
+          {formatKey === "custom" && (
+            <>
+              <input type="number" min="1" value={customRows} onChange={(e) => setCustomRows(e.target.value)} title="Rows" />
+              ×
+              <input type="number" min="1" value={customColumns} onChange={(e) => setCustomColumns(e.target.value)} title="Columns" />
+            </>
+          )}
+          <button className="action-btn" onClick={changeCurrentPlateFormat}>Set Format</button>
+        </div>
         <div className="move-plate-container">
           <button className="action-btn" onClick={moveCurrentPlate}>Move Plate</button>
           <select
@@ -647,7 +1609,7 @@ const WellPlateSelector = () => {
           >
             {plates.map((plate, index) => (
               <option key={plate.id} value={index}>
-                {index + 1}
+                {index + 1} (Block {plate.id})
               </option>
             ))}
           </select>
@@ -656,14 +1618,24 @@ const WellPlateSelector = () => {
 
       <div className="upload-container">
         <div className="upload-box">
-          <h3>Upload a CSV file with metadata:</h3>
-          <input type="file" accept=".csv" className="file-upload" onChange={handleFileUpload} />
+          <h3>Upload a CSV or Excel file with metadata:</h3>
+          <input type="file" accept=".csv,.xlsx" className="file-upload" onChange={handleFileUpload} />
         </div>
 
         <div className="upload-box">
           <h3>Upload a CSV file from NP Plasmids Google Sheet:</h3>
           <input type="file" accept=".csv" className="file-upload" onChange={handleCsvUpload} />
         </div>
+
+        <div className="upload-box">
+          <h3>Open a project file ({PROJECT_FILE_EXTENSION}):</h3>
+          <input type="file" accept=".json" className="file-upload" onChange={handleProjectFileUpload} />
+        </div>
+
+        <div className="upload-box">
+          <h3>Compare with a revised layout (CSV or project file):</h3>
+          <input type="file" accept=".csv,.json" className="file-upload" onChange={handleCompareUpload} />
+        </div>
       </div>
 
 
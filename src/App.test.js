@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the plate helper with a 96-well block', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText(/well block metadata helper/i)).toBeInTheDocument();
+  expect(screen.getByText('H12')).toBeInTheDocument();
 });
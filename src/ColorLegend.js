@@ -0,0 +1,76 @@
+import React, { useMemo } from "react";
+import { formatFieldValue } from "./metadataSchema";
+import { countValues } from "./plateSummary";
+import { PALETTES, SCALE_TYPES, SEQUENTIAL_GRADIENT, getScaleType, toHex, toRgb } from "./colors";
+
+const MAX_LEGEND_VALUES = 60;
+
+// Legend for the displayed field, with the palette, scale and per-value colour
+// overrides (saved in the project, so PDFs and colleagues see the same colours)
+const ColorLegend = ({ field, scale, plates, settings, onChange }) => {
+  const values = useMemo(() => (field ? countValues(plates, field.name) : []), [plates, field]);
+  if (!field) return null;
+
+  const overrides = settings.overrides[field.name] || {};
+  const setOverride = (value, color) => {
+    const { [value]: removed, ...rest } = overrides;
+    const fieldOverrides = color ? { ...rest, [value]: color } : rest;
+    onChange({ ...settings, overrides: { ...settings.overrides, [field.name]: fieldOverrides } }, `${field.name}-${value}`);
+  };
+
+  return (
+    <div className="color-legend">
+      <div className="legend-settings">
+        <label>
+          Palette{" "}
+          <select value={settings.palette} onChange={(e) => onChange({ ...settings, palette: e.target.value })}>
+            {Object.keys(PALETTES).map((key) => (
+              <option key={key} value={key}>{PALETTES[key].label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {field.name} colours{" "}
+          <select
+            value={getScaleType(field, settings)}
+            onChange={(e) => onChange({ ...settings, scales: { ...settings.scales, [field.name]: e.target.value } })}
+          >
+            {Object.keys(SCALE_TYPES).map((key) => (
+              <option key={key} value={key}>{SCALE_TYPES[key]}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {scale.type !== "categorical" ? (
+        <div className="legend-scale">
+          <span>{formatFieldValue(field, scale.min)}</span>
+          <span className="legend-gradient" style={{ background: SEQUENTIAL_GRADIENT }} />
+          <span>{formatFieldValue(field, scale.max)}</span>
+        </div>
+      ) : values.length === 0 ? (
+        <p>No values for {field.name} yet.</p>
+      ) : (
+        <ul className="legend-values">
+          {values.slice(0, MAX_LEGEND_VALUES).map(({ value, count }) => (
+            <li key={value}>
+              <input
+                type="color"
+                title="Pick a colour for this value"
+                value={toHex(toRgb(scale.colorFor(value)))}
+                onChange={(e) => setOverride(String(value), e.target.value)}
+              />
+              {formatFieldValue(field, value)} ({count})
+              {overrides[String(value)] && (
+                <button className="link-btn" onClick={() => setOverride(String(value), null)}>reset</button>
+              )}
+            </li>
+          ))}
+          {values.length > MAX_LEGEND_VALUES && <li>… {values.length - MAX_LEGEND_VALUES} more values</li>}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ColorLegend;
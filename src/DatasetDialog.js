@@ -0,0 +1,146 @@
+import React, { useMemo, useState } from "react";
+import { getFieldNames } from "./metadataSchema";
+import { countLabel } from "./plateModel";
+import { loadImage } from "./plateImage";
+import { DATASET_FORMATS, buildDatasetRecords, matchFileToPlate } from "./datasetExport";
+
+// Options for "Export Dataset": format, class label field and the image naming
+// pattern (kept in the project). Picking the image files checks the pattern
+// against them and takes their real names and sizes.
+const DatasetDialog = ({ plates, currentPlateIndex, schema, config, defaultTitle, onChange, onExport, onCancel }) => {
+  const [format, setFormat] = useState("coco");
+  const [scope, setScope] = useState("all");
+  const [title, setTitle] = useState(defaultTitle);
+  const [imageFiles, setImageFiles] = useState({}); // { plateId: { fileName, width, height } }
+  const [unmatchedFiles, setUnmatchedFiles] = useState([]);
+  const selectedPlates = useMemo(
+    () => (scope === "current" ? [plates[currentPlateIndex]] : plates),
+    [scope, plates, currentPlateIndex]
+  );
+  const records = useMemo(
+    () => buildDatasetRecords(selectedPlates, schema, config, imageFiles),
+    [selectedPlates, schema, config, imageFiles]
+  );
+  const wellCount = records.images.reduce((sum, image) => sum + image.wells.length, 0);
+
+  const handleImageFiles = async (event) => {
+    const files = [...event.target.files];
+    event.target.value = "";
+    const matched = {};
+    const unmatched = [];
+    for (const file of files) {
+      const plate = matchFileToPlate(config.fileNamePattern, file.name, plates);
+      if (!plate) {
+        unmatched.push(file.name);
+        continue;
+      }
+      const url = URL.createObjectURL(file);
+      try {
+        const image = await loadImage(url);
+        matched[plate.id] = { fileName: file.name, width: image.naturalWidth, height: image.naturalHeight };
+      } catch (error) {
+        unmatched.push(`${file.name} (${error.message})`);
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }
+    setImageFiles(matched);
+    setUnmatchedFiles(unmatched);
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal dataset-dialog">
+        <h3>Export dataset annotations</h3>
+        <label>
+          Title <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} />
+        </label>
+        <label>
+          Blocks{" "}
+          <select value={scope} onChange={(e) => setScope(e.target.value)}>
+            <option value="all">All {countLabel(plates.length, "block")}</option>
+            <option value="current">Only Block {plates[currentPlateIndex].id}</option>
+          </select>
+        </label>
+        <label>
+          Format{" "}
+          <select value={format} onChange={(e) => setFormat(e.target.value)}>
+            {Object.keys(DATASET_FORMATS).map((key) => (
+              <option key={key} value={key}>{DATASET_FORMATS[key]}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Class label from{" "}
+          <select value={config.labelField} onChange={(e) => onChange({ ...config, labelField: e.target.value })}>
+            {getFieldNames(schema).map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={config.includeEmpty} onChange={(e) => onChange({ ...config, includeEmpty: e.target.checked })} />{" "}
+          Include unlabelled wells as "empty"
+        </label>
+        <label>
+          Image names{" "}
+          <input
+            type="text"
+            value={config.fileNamePattern}
+            onChange={(e) => onChange({ ...config, fileNamePattern: e.target.value }, "pattern")}
+          />
+        </label>
+        <p className="dataset-hint">
+          Use {"{block}"}, {"{block:3}"} (zero-padded), {"{name}"}, {"{barcode}"} or a plate field such as {"{media}"}.
+        </p>
+        <label>
+          Check against image files <input type="file" accept="image/*" multiple onChange={handleImageFiles} />
+        </label>
+        {unmatchedFiles.length > 0 && (
+          <p className="reformat-error">No block matches: {unmatchedFiles.join(", ")}</p>
+        )}
+
+        <h4>
+          {countLabel(records.images.length, "image")}, {countLabel(wellCount, "annotation")},{" "}
+          {countLabel(records.categories.length, "class label")}
+        </h4>
+        {records.problems.length > 0 && (
+          <ul className="worklist-problems">
+            {records.problems.map((problem, index) => (
+              <li key={index}>{problem}</li>
+            ))}
+          </ul>
+        )}
+        <table>
+          <thead>
+            <tr>
+              <th>Block</th>
+              <th>Image</th>
+              <th>Size</th>
+              <th>Wells</th>
+            </tr>
+          </thead>
+          <tbody>
+            {records.images.map((image) => (
+              <tr key={image.plate.id}>
+                <td>{image.plate.id}</td>
+                <td>{image.fileName}{imageFiles[image.plate.id] ? " ✓" : ""}</td>
+                <td>{image.width ? `${image.width}×${image.height}` : "unknown"}</td>
+                <td>{image.wells.length}{image.aligned ? "" : " (no boxes)"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="modal-buttons">
+          <button className="template-btn" onClick={onCancel}>Cancel</button>
+          <button className="action-btn" onClick={() => onExport(records, { format, title })} disabled={wellCount === 0}>
+            Export
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DatasetDialog;
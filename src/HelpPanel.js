@@ -0,0 +1,80 @@
+import React from "react";
+
+// What the tool is for, always shown above the sections
+const INTRODUCTION = [
+  "This is a tool for making the metadata for spot plating image segmentation. First, download the NP Yeast Google Sheet as a CSV. Then upload the CSV here.",
+  "You can populate fields by dragging and selecting wells, clicking on the appropriate meta data button, populate the input field and press enter. You can also update the base_strains metadata by searching the strain number in the uploaded CSV.",
+  "Tips: You can also use the metadata template to upload the data back into the app. This might be easier than entering strains individually.",
+];
+
+// How each part of the tool works, one short section per feature area
+const HELP_SECTIONS = [
+  {
+    title: "Filling wells",
+    text: [
+      "The plate works like a spreadsheet: arrow keys move the cursor, Shift+arrows select a range, typing edits the well, Delete clears it, and Ctrl+C / Ctrl+V copy and paste ranges of the shown field to and from Excel or Google Sheets.",
+      "The search bar finds wells on all plates by their metadata; click a result to select those wells for editing.",
+      "Fill Pattern writes series, dilutions, gradients, replicates or a list of values into the selected wells.",
+      "Mark as gives the selected wells a role (sample, positive or negative control, blank, excluded), exported in the \"role\" column. Layout templates save the roles and fixed fields of a plate and fill them into other plates without touching data already there.",
+    ],
+  },
+  {
+    title: "Plates and blocks",
+    text: [
+      "Block numbers are permanent: adding, deleting or moving plates never changes them, and the number of a deleted block is not used again.",
+      "Each plate also has a name, a barcode and plate fields (date spotted, media, ...) edited under the plate, which are written into every export.",
+      "Reformat Plates combines four plates into the quadrants of one, splits a plate into quadrants, transposes, rotates or subsamples it. The new plates remember which source well each well came from (hover a well to see it).",
+    ],
+  },
+  {
+    title: "Importing",
+    text: [
+      "Uploads open a preview first, where you choose which field each column fills and how to treat values that are already on the plates.",
+      "Excel workbooks (.xlsx) can be imported with one long table or one sheet per block, choosing which sheets to read.",
+      "Compare with a revised layout lists the blocks added or removed and every value that differs, outlines the changed wells on the grid, and lets you accept or reject each change.",
+    ],
+  },
+  {
+    title: "Exporting",
+    text: [
+      "Export Grid CSV writes a field in the same \"Block N\" grid layout as the templates, so it can be uploaded again. Export Excel writes the long table plus a coloured grid sheet for every block and field.",
+      "Export PDF draws plate maps of the fields you pick, with a colour legend, as one PDF or a zip with one PDF per plate.",
+      "Export Worklist turns the plates into transfer lists for a liquid handler (CSV, Echo, Opentrons) or a checklist for pipetting by hand.",
+      "Export Dataset writes COCO JSON or a JSON Lines manifest with one image per block, named by a pattern such as block{block}.jpg, and the class label taken from a field you choose.",
+    ],
+  },
+  {
+    title: "Plate photos",
+    text: [
+      "Plate photo lays the grid over a photo of the block: click the four corner wells, then drag the corners to fine-tune. It exports each well's pixel box with its metadata, or cropped per-spot images.",
+    ],
+  },
+  {
+    title: "Where values came from",
+    text: [
+      "Every value remembers where it came from (an edit, an import file, the strain lookup or a template), when and by whom.",
+      "Hover a well for the shown field, open Well History for all of a well's past values, and tick \"Provenance columns\" in the CSV export options to write source:, set_at: and set_by: columns.",
+    ],
+  },
+];
+
+const HelpPanel = () => (
+  <>
+    {INTRODUCTION.map((paragraph) => (
+      <p key={paragraph}>{paragraph}</p>
+    ))}
+    <details className="help-panel">
+      <summary>How to use</summary>
+      {HELP_SECTIONS.map((section) => (
+        <section key={section.title}>
+          <h4>{section.title}</h4>
+          {section.text.map((paragraph) => (
+            <p key={paragraph}>{paragraph}</p>
+          ))}
+        </section>
+      ))}
+    </details>
+  </>
+);
+
+export default HelpPanel;
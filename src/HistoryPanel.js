@@ -0,0 +1,25 @@
+import React from "react";
+
+// List of undoable actions; clicking an entry returns the plates to that point
+const HistoryPanel = ({ entries, index, canUndo, canRedo, onUndo, onRedo, onJump }) => (
+  <details className="history-panel">
+    <summary>History ({index} of {entries.length - 1})</summary>
+    <div className="history-buttons">
+      <button className="template-btn" onClick={onUndo} disabled={!canUndo} title="Ctrl+Z">↶ Undo</button>
+      <button className="template-btn" onClick={onRedo} disabled={!canRedo} title="Ctrl+Shift+Z">↷ Redo</button>
+    </div>
+    <ol className="history-list">
+      {entries.map((entry, i) => (
+        <li
+          key={`${i}-${entry.time}`}
+          className={`${i === index ? "current" : ""} ${i > index ? "undone" : ""}`}
+          onClick={() => onJump(i)}
+        >
+          {entry.label}
+        </li>
+      ))}
+    </ol>
+  </details>
+);
+
+export default HistoryPanel;
@@ -0,0 +1,238 @@
+import React, { useMemo, useState } from "react";
+import { formatLabel, getWellId } from "./plateFormats";
+import { getFieldNames, normalizeFieldName, validateFieldName } from "./metadataSchema";
+import { GRID_COLUMN, IMPORT_STRATEGIES, defaultColumnMapping, planImport } from "./plateImport";
+
+const MAX_LISTED_CHANGES = 200;
+const NEW_FIELD = "__new__";
+
+const WELL_STATUS_LABELS = { added: "added", changed: "conflict", cleared: "cleared" };
+
+// Mini map of one block: each well coloured by what the import does to it
+const ImportWellMap = ({ block }) => (
+  <div className="import-well-map">
+    <div>Block {block.id}</div>
+    <div className="import-well-grid" style={{ gridTemplateColumns: `repeat(${block.format.columns}, 8px)` }}>
+      {Array.from({ length: block.format.rows }, (_, row) =>
+        Array.from({ length: block.format.columns }, (_, col) => {
+          const wellId = getWellId(row, col + 1);
+          const status = block.wellStatus[wellId];
+          return (
+            <span
+              key={wellId}
+              className={`import-well ${status ? `change-${status}` : ""}`}
+              title={`${wellId}${status ? `: ${WELL_STATUS_LABELS[status]}` : ""}`}
+            />
+          );
+        })
+      )}
+    </div>
+  </div>
+);
+
+// Dialog shown before an import is applied: column mapping, merge strategy per
+// field and a summary of the blocks and wells the import would add or change.
+// Workbooks also list their sheets ({ name, layout, blockIds }) to pick from.
+const ImportPreview = ({ fileName, parsed, doc, sheets, selectedSheets, onSelectSheets, onApply, onCancel }) => {
+  const [mapping, setMapping] = useState(() => defaultColumnMapping(parsed, doc.schema, fileName));
+  const [strategies, setStrategies] = useState({});
+  const [excludedBlocks, setExcludedBlocks] = useState([]);
+
+  const plan = useMemo(
+    () => planImport(doc, parsed, { mapping, strategies, excludedBlocks }),
+    [doc, parsed, mapping, strategies, excludedBlocks]
+  );
+
+  const mappedFields = [...new Set(Object.values(mapping).filter((name) => name))];
+  const fieldChoices = [...new Set([...getFieldNames(doc.schema), ...mappedFields])];
+  const conflicts = plan.changes.filter((change) => change.kind !== "added");
+  const mappedBlocks = plan.blocks.filter((block) => block.included && Object.keys(block.wellStatus).length > 0);
+  const canApply = mappedFields.length > 0 && plan.blocks.some((block) => block.included);
+
+  const setColumnField = (column, value) => {
+    let fieldName = value;
+    if (value === NEW_FIELD) {
+      const name = window.prompt("Name of the new field:", column === GRID_COLUMN ? "" : column);
+      if (!name) return;
+      const error = validateFieldName(doc.schema, name);
+      if (error) {
+        alert(error);
+        return;
+      }
+      fieldName = normalizeFieldName(name);
+    }
+    setMapping((prev) => ({ ...prev, [column]: fieldName }));
+  };
+
+  const toggleSheet = (name) =>
+    onSelectSheets(sheets.map((sheet) => sheet.name).filter((n) => (n === name ? !selectedSheets.includes(name) : selectedSheets.includes(n))));
+
+  const toggleBlock = (id) => {
+    setExcludedBlocks((prev) => (prev.includes(id) ? prev.filter((blockId) => blockId !== id) : [...prev, id]));
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal import-preview">
+        <h3>Import {fileName}</h3>
+        <p>
+          {parsed.layout === "long" ? "Long format (one row per well)" : "Grid format (one block per section)"},{" "}
+          {parsed.blocks.length} block{parsed.blocks.length === 1 ? "" : "s"}.
+        </p>
+
+        {sheets && (
+          <>
+            <h4>Sheets</h4>
+            <div className="import-sheets">
+              {sheets.map((sheet) => (
+                <label key={sheet.name}>
+                  <input
+                    type="checkbox"
+                    checked={selectedSheets.includes(sheet.name)}
+                    disabled={sheet.blockIds.length === 0}
+                    onChange={() => toggleSheet(sheet.name)}
+                  />{" "}
+                  {sheet.name}{" "}
+                  <span className="import-sheet-info">
+                    {sheet.blockIds.length === 0
+                      ? "(no blocks)"
+                      : `(${sheet.layout}, ${sheet.blockIds.length === 1 ? "block" : "blocks"} ${sheet.blockIds.join(", ")})`}
+                  </span>
+                </label>
+              ))}
+            </div>
+          </>
+        )}
+
+        <h4>Columns</h4>
+        <table>
+          <thead>
+            <tr>
+              <th>{parsed.layout === "grid" ? "Grid values" : "Column"}</th>
+              <th>Field</th>
+              <th>Existing values</th>
+            </tr>
+          </thead>
+          <tbody>
+            {parsed.columns.map((column) => (
+              <tr key={column}>
+                <td>{column === GRID_COLUMN && parsed.layout === "grid" ? "All wells" : column}</td>
+                <td>
+                  <select value={mapping[column] || ""} onChange={(e) => setColumnField(column, e.target.value)}>
+                    <option value="">(ignore)</option>
+                    {fieldChoices.map((name) => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                    <option value={NEW_FIELD}>New field…</option>
+                  </select>
+                </td>
+                <td>
+                  {mapping[column] && (
+                    <select
+                      value={strategies[mapping[column]] || "overwrite"}
+                      onChange={(e) => setStrategies((prev) => ({ ...prev, [mapping[column]]: e.target.value }))}
+                    >
+                      {Object.keys(IMPORT_STRATEGIES).map((strategy) => (
+                        <option key={strategy} value={strategy}>{IMPORT_STRATEGIES[strategy]}</option>
+                      ))}
+                    </select>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h4>Blocks</h4>
+        <table>
+          <thead>
+            <tr>
+              <th>Import</th>
+              <th>Block</th>
+              <th>Format</th>
+              <th className="change-added">Added</th>
+              <th className="change-changed">Conflicts</th>
+              <th className="change-cleared">Cleared</th>
+              <th>Unchanged</th>
+            </tr>
+          </thead>
+          <tbody>
+            {plan.blocks.map((block) => (
+              <tr key={block.id}>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={block.included}
+                    disabled={block.isEmpty && block.isNew}
+                    onChange={() => toggleBlock(block.id)}
+                  />
+                </td>
+                <td>
+                  Block {block.id} {block.isNew ? "(new)" : ""} {block.isEmpty ? "(empty in file)" : ""}
+                </td>
+                <td>{formatLabel(block.format)}</td>
+                <td>{block.counts.added}</td>
+                <td>{block.counts.changed}</td>
+                <td>{block.counts.cleared}</td>
+                <td>{block.counts.unchanged}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {mappedBlocks.length > 0 && (
+          <>
+            <h4>Wells</h4>
+            <div className="import-well-maps">
+              {mappedBlocks.map((block) => (
+                <ImportWellMap key={block.id} block={block} />
+              ))}
+            </div>
+          </>
+        )}
+
+        {conflicts.length > 0 && (
+          <>
+            <h4>Conflicts with existing values ({conflicts.length})</h4>
+            <div className="change-list">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Block</th>
+                    <th>Well</th>
+                    <th>Field</th>
+                    <th>Current</th>
+                    <th>In file</th>
+                    <th>Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {conflicts.slice(0, MAX_LISTED_CHANGES).map((change) => (
+                    <tr key={`${change.blockId}-${change.wellId}-${change.field}`} className={`change-${change.kind}`}>
+                      <td>{change.blockId}</td>
+                      <td>{change.wellId}</td>
+                      <td>{change.field}</td>
+                      <td>{change.from}</td>
+                      <td>{change.to || <em>blank</em>}</td>
+                      <td>{change.applied ? "overwrite" : "keep"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {conflicts.length > MAX_LISTED_CHANGES && <p>… and {conflicts.length - MAX_LISTED_CHANGES} more.</p>}
+            </div>
+          </>
+        )}
+
+        <div className="modal-buttons">
+          <button className="template-btn" onClick={onCancel}>Cancel</button>
+          <button className="action-btn" onClick={() => onApply(plan)} disabled={!canApply}>
+            Apply Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportPreview;
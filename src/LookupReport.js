@@ -0,0 +1,38 @@
+import React from "react";
+
+// Result of the last "Search Strain" run: wells whose strain was missing or duplicated
+const LookupReport = ({ report, onSelectWell, onClose }) => (
+  <div className="lookup-report">
+    <strong>
+      Strain lookup: {report.matched} wells filled, {report.notFound.length} not found, {report.ambiguous.length} matched
+      more than once.
+    </strong>
+    <button className="template-btn" onClick={onClose}>Close</button>
+    {report.notFound.length > 0 && (
+      <details open>
+        <summary>Not found in the sheet</summary>
+        <ul>
+          {report.notFound.map(({ plateId, wellId, strain }) => (
+            <li key={`${plateId}-${wellId}`} onClick={() => onSelectWell(plateId, wellId)}>
+              Block {plateId} {wellId}: {strain}
+            </li>
+          ))}
+        </ul>
+      </details>
+    )}
+    {report.ambiguous.length > 0 && (
+      <details open>
+        <summary>Matched more than one row (first row used)</summary>
+        <ul>
+          {report.ambiguous.map(({ plateId, wellId, strain, count }) => (
+            <li key={`${plateId}-${wellId}`} onClick={() => onSelectWell(plateId, wellId)}>
+              Block {plateId} {wellId}: {strain} ({count} rows)
+            </li>
+          ))}
+        </ul>
+      </details>
+    )}
+  </div>
+);
+
+export default LookupReport;
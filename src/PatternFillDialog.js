@@ -0,0 +1,151 @@
+import React, { useMemo, useState } from "react";
+import { getRowLabel, getWellId, parseWellId } from "./plateFormats";
+import { coerceFieldValue, formatFieldValue, getField, getFieldNames, validateFieldValue } from "./metadataSchema";
+import { DEFAULT_PATTERN, FILL_DIRECTIONS, PATTERN_KINDS, buildPatternValues } from "./patternFill";
+
+// Fill dialog for the selected wells: pick a pattern, see the values on the
+// selected part of the plate, then apply them as one undoable step
+const PatternFillDialog = ({ plate, wellIds, schema, initialField, onApply, onCancel }) => {
+  const fieldNames = getFieldNames(schema);
+  const [fieldName, setFieldName] = useState(fieldNames.includes(initialField) ? initialField : fieldNames[0]);
+  const [pattern, setPattern] = useState(DEFAULT_PATTERN);
+  const field = getField(schema, fieldName);
+  const update = (changes) => setPattern((prev) => ({ ...prev, ...changes }));
+
+  const { values, error } = useMemo(() => {
+    try {
+      const generated = buildPatternValues(wellIds, pattern);
+      const invalid = Object.values(generated).map((value) => validateFieldValue(field, value)).find((message) => message);
+      return { values: generated, error: invalid || null };
+    } catch (err) {
+      return { values: {}, error: err.message };
+    }
+  }, [wellIds, pattern, field]);
+
+  // ✅ Preview covers the rows and columns spanned by the selection
+  const positions = wellIds.map(parseWellId).filter((position) => position);
+  const rows = positions.map((p) => p.row);
+  const columns = positions.map((p) => p.column);
+  const rowRange = [Math.min(...rows), Math.max(...rows)];
+  const columnRange = [Math.min(...columns), Math.max(...columns)];
+
+  const apply = () => {
+    const updates = {};
+    Object.keys(values).forEach((wellId) => {
+      updates[wellId] = { [fieldName]: coerceFieldValue(field, values[wellId]) };
+    });
+    onApply(fieldName, updates);
+  };
+
+  const numberInput = (key, label) => (
+    <label>
+      {label}{" "}
+      <input type="text" value={pattern[key]} onChange={(e) => update({ [key]: e.target.value })} />
+    </label>
+  );
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal pattern-fill">
+        <h3>Fill pattern into {wellIds.length} selected wells of Block {plate.id}</h3>
+
+        <div className="pattern-options">
+          <label>
+            Field{" "}
+            <select value={fieldName} onChange={(e) => setFieldName(e.target.value)}>
+              {fieldNames.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Pattern{" "}
+            <select value={pattern.kind} onChange={(e) => update({ kind: e.target.value })}>
+              {Object.keys(PATTERN_KINDS).map((kind) => (
+                <option key={kind} value={kind}>{PATTERN_KINDS[kind]}</option>
+              ))}
+            </select>
+          </label>
+
+          {pattern.kind !== "list" && numberInput("start", "Start")}
+          {pattern.kind === "series" && numberInput("step", "Step")}
+          {pattern.kind === "dilution" && numberInput("multiplier", "Multiplier")}
+          {pattern.kind === "gradient" && numberInput("end", "End")}
+          {pattern.kind === "list" && (
+            <label>
+              Values (one per line or comma separated){" "}
+              <textarea rows={4} value={pattern.values} onChange={(e) => update({ values: e.target.value })} />
+            </label>
+          )}
+
+          <label>
+            Fill{" "}
+            <select value={pattern.direction} onChange={(e) => update({ direction: e.target.value })}>
+              {Object.keys(FILL_DIRECTIONS).map((direction) => (
+                <option key={direction} value={direction}>{FILL_DIRECTIONS[direction]}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Repeat each value for{" "}
+            <input type="number" min="1" value={pattern.repeat} onChange={(e) => update({ repeat: e.target.value })} /> wells
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={pattern.restartEachLine}
+              onChange={(e) => update({ restartEachLine: e.target.checked })}
+            />{" "}
+            Restart at each {pattern.direction === "column" ? "column" : "row"}
+          </label>
+        </div>
+
+        {error && <p className="pattern-error">{error}</p>}
+
+        {positions.length > 0 && (
+          <div className="pattern-preview">
+            <table>
+              <thead>
+                <tr>
+                  <th></th>
+                  {Array.from({ length: columnRange[1] - columnRange[0] + 1 }, (_, i) => (
+                    <th key={i}>{columnRange[0] + i}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {Array.from({ length: rowRange[1] - rowRange[0] + 1 }, (_, r) => {
+                  const row = rowRange[0] + r;
+                  return (
+                    <tr key={row}>
+                      <th>{getRowLabel(row)}</th>
+                      {Array.from({ length: columnRange[1] - columnRange[0] + 1 }, (_, c) => {
+                        const wellId = getWellId(row, columnRange[0] + c);
+                        const isFilled = wellId in values;
+                        const current = (plate.metadata[wellId] || {})[fieldName];
+                        return (
+                          <td key={wellId} className={isFilled ? "change-added" : "pattern-untouched"} title={wellId}>
+                            {formatFieldValue(field, isFilled ? values[wellId] : current)}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="modal-buttons">
+          <button className="template-btn" onClick={onCancel}>Cancel</button>
+          <button className="action-btn" onClick={apply} disabled={Boolean(error) || Object.keys(values).length === 0}>
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PatternFillDialog;
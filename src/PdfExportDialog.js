@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import { getFieldNames } from "./metadataSchema";
+import { PDF_LAYOUTS, PDF_OUTPUTS } from "./pdfExport";
+
+// Options for "Export PDF": which fields go on the plate maps, which one colours
+// the wells, page layout and whether to get one PDF or a zip per plate
+const PdfExportDialog = ({ schema, displayedField, defaultTitle, onExport, onCancel }) => {
+  const fieldNames = getFieldNames(schema);
+  const [fields, setFields] = useState(() => (fieldNames.includes(displayedField) ? [displayedField] : fieldNames.slice(0, 1)));
+  const [colorField, setColorField] = useState(fields[0] || "");
+  const [layout, setLayout] = useState("plate");
+  const [output, setOutput] = useState("combined");
+  const [title, setTitle] = useState(defaultTitle);
+  const [exporting, setExporting] = useState(false);
+
+  // Keep the chosen fields in schema order
+  const toggleField = (name) =>
+    setFields((prev) => fieldNames.filter((n) => (n === name ? !prev.includes(name) : prev.includes(n))));
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await onExport({ fields, colorField: fields.includes(colorField) ? colorField : fields[0], layout, output, title });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal pdf-export">
+        <h3>Export PDF plate maps</h3>
+        <label>
+          Title{" "}
+          <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} />
+        </label>
+
+        <fieldset>
+          <legend>Fields</legend>
+          {fieldNames.map((name) => (
+            <label key={name}>
+              <input type="checkbox" checked={fields.includes(name)} onChange={() => toggleField(name)} /> {name}
+            </label>
+          ))}
+        </fieldset>
+
+        <label>
+          Layout{" "}
+          <select value={layout} onChange={(e) => setLayout(e.target.value)}>
+            {Object.keys(PDF_LAYOUTS).map((key) => (
+              <option key={key} value={key}>{PDF_LAYOUTS[key]}</option>
+            ))}
+          </select>
+        </label>
+        {layout === "plate" && (
+          <label>
+            Colour wells by{" "}
+            <select value={colorField} onChange={(e) => setColorField(e.target.value)}>
+              {fields.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label>
+          Output{" "}
+          <select value={output} onChange={(e) => setOutput(e.target.value)}>
+            {Object.keys(PDF_OUTPUTS).map((key) => (
+              <option key={key} value={key}>{PDF_OUTPUTS[key]}</option>
+            ))}
+          </select>
+        </label>
+
+        <div className="modal-buttons">
+          <button className="template-btn" onClick={onCancel}>Cancel</button>
+          <button className="action-btn" onClick={handleExport} disabled={fields.length === 0 || exporting}>
+            {exporting ? "Exporting…" : "Export"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PdfExportDialog;
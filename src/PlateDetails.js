@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+import { RESERVED_PLATE_FIELDS } from "./plateInfo";
+import { REFORMAT_OPERATIONS } from "./plateReformat";
+import SchemaEditor from "./SchemaEditor";
+
+// Name, barcode and attributes of the open plate, committed as the user types
+// (one undo step per input). The block number itself is not editable.
+const PlateDetails = ({ plate, plateSchema, onChange, schemaHandlers }) => {
+  const [showFields, setShowFields] = useState(false);
+
+  const setAttribute = (name, value) => onChange({ attributes: { ...plate.attributes, [name]: value } }, name);
+
+  return (
+    <div className="plate-details">
+      <div className="plate-details-inputs">
+        <label>
+          Name <input type="text" value={plate.name} onChange={(e) => onChange({ name: e.target.value }, "name")} />
+        </label>
+        <label>
+          Barcode <input type="text" value={plate.barcode} onChange={(e) => onChange({ barcode: e.target.value }, "barcode")} />
+        </label>
+        {plateSchema.map((field) => (
+          <label key={field.name}>
+            {field.name}
+            {field.unit ? ` (${field.unit})` : ""}{" "}
+            {field.type === "list" ? (
+              <select value={plate.attributes[field.name]} onChange={(e) => setAttribute(field.name, e.target.value)}>
+                <option value="">(none)</option>
+                {field.options.map((opt) => (
+                  <option key={opt} value={opt}>{opt}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type={field.type === "number" ? "number" : "text"}
+                value={plate.attributes[field.name]}
+                onChange={(e) => setAttribute(field.name, e.target.value)}
+              />
+            )}
+          </label>
+        ))}
+        <button className="link-btn" onClick={() => setShowFields((prev) => !prev)}>
+          {showFields ? "Done" : "Edit plate fields"}
+        </button>
+      </div>
+
+      {plate.origin && (
+        <p className="plate-origin">
+          Made by “{REFORMAT_OPERATIONS[plate.origin.operation]}” from Block {plate.origin.plateIds.join(", ")}
+          {plate.origin.quadrant ? ` (${plate.origin.quadrant})` : ""}
+        </p>
+      )}
+
+      {showFields && (
+        <SchemaEditor
+          schema={plateSchema}
+          reservedNames={RESERVED_PLATE_FIELDS}
+          placeholder="New plate field, e.g. incubator"
+          {...schemaHandlers}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PlateDetails;
@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import { countLabel } from "./plateModel";
+
+const MAX_LISTED_CHANGES = 500;
+
+const describeBlockChange = (change) =>
+  change.type === "added" ? `Block ${change.plateId} is only in the revised layout` : `Block ${change.plateId} is not in the revised layout`;
+
+// Differences between the plates and a revised layout. Accepting a change takes
+// it into the plates (one undo step); rejecting it drops it from the list.
+// Changed wells of the open plate are outlined on the grid.
+const PlateDiffPanel = ({ fileName, changes, problems, fields, onSelectWell, onAccept, onReject, onClose }) => {
+  const [fieldFilter, setFieldFilter] = useState("");
+  const blockChanges = changes.filter((change) => change.type !== "well");
+  const wellChanges = changes.filter((change) => change.type === "well" && (!fieldFilter || change.field === fieldFilter));
+  const listed = [...blockChanges, ...wellChanges];
+
+  return (
+    <div className="plate-diff">
+      <div className="validation-summary">
+        <strong>
+          Compared with {fileName}: {countLabel(blockChanges.length, "block change")}, {countLabel(changes.length - blockChanges.length, "changed value")}
+        </strong>
+        <label>
+          Field{" "}
+          <select value={fieldFilter} onChange={(e) => setFieldFilter(e.target.value)}>
+            <option value="">All</option>
+            {fields.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <button className="template-btn" onClick={() => onAccept(listed)} disabled={listed.length === 0}>Accept All</button>
+        <button className="template-btn" onClick={() => onReject(listed)} disabled={listed.length === 0}>Reject All</button>
+        <button className="template-btn" onClick={onClose}>Close</button>
+      </div>
+      {problems.length > 0 && (
+        <ul className="worklist-problems">
+          {problems.map((problem, index) => (
+            <li key={index}>{problem}</li>
+          ))}
+        </ul>
+      )}
+      {changes.length === 0 && <p>No differences left.</p>}
+      {listed.length > 0 && (
+        <table>
+          <thead>
+            <tr>
+              <th>Block</th>
+              <th>Well</th>
+              <th>Field</th>
+              <th>Current</th>
+              <th>Revised</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {listed.slice(0, MAX_LISTED_CHANGES).map((change) => (
+              <tr key={change.key} className={`diff-${change.type}`}>
+                <td>{change.plateId}</td>
+                {change.type === "well" ? (
+                  <>
+                    <td className="diff-well" onClick={() => onSelectWell(change)}>{change.wellId}</td>
+                    <td>{change.field}</td>
+                    <td>{change.from || <em>(empty)</em>}</td>
+                    <td>{change.to || <em>(empty)</em>}</td>
+                  </>
+                ) : (
+                  <td colSpan={4}>{describeBlockChange(change)}</td>
+                )}
+                <td>
+                  <button className="template-btn" onClick={() => onAccept([change])}>Accept</button>
+                  <button className="template-btn" onClick={() => onReject([change])}>Reject</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {listed.length > MAX_LISTED_CHANGES && <p>Showing the first {MAX_LISTED_CHANGES} changes.</p>}
+    </div>
+  );
+};
+
+export default PlateDiffPanel;
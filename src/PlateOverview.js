@@ -0,0 +1,185 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { formatLabel, getWellId } from "./plateFormats";
+import { formatFieldValue, getField, getFieldNames } from "./metadataSchema";
+import { countLabel } from "./plateModel";
+import { createColorScale } from "./colors";
+import { plateLabel } from "./plateInfo";
+import { countCombinations, countValues, countWellsPerPlate } from "./plateSummary";
+
+const THUMBNAIL_WIDTH = 168;
+const MAX_SUMMARY_ROWS = 100;
+const SUMMARY_FIELDS = ["base_strain", "nanobody", "receptor"]; // Shown first when the schema has them
+
+// Mini map of one plate drawn on a canvas (cheap even for 1536-well plates)
+const PlateThumbnail = ({ plate, field, colorFor }) => {
+  const canvasRef = useRef(null);
+  const { rows, columns } = plate.format;
+  const cell = THUMBNAIL_WIDTH / columns;
+  const height = Math.ceil(cell * rows);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const context = canvas && canvas.getContext && canvas.getContext("2d");
+    if (!context) return;
+    context.clearRect(0, 0, THUMBNAIL_WIDTH, height);
+    for (let row = 0; row < rows; row++) {
+      for (let col = 1; col <= columns; col++) {
+        const value = (plate.metadata[getWellId(row, col)] || {})[field && field.name];
+        context.fillStyle = colorFor(value);
+        context.fillRect((col - 1) * cell + 0.5, row * cell + 0.5, Math.max(1, cell - 1), Math.max(1, cell - 1));
+      }
+    }
+  }, [plate, field, colorFor, rows, columns, cell, height]);
+
+  return <canvas ref={canvasRef} width={THUMBNAIL_WIDTH} height={height} />;
+};
+
+const SummaryTable = ({ title, headers, rows }) => (
+  <div className="summary-table">
+    <h4>{title}</h4>
+    {rows.length === 0 ? (
+      <p>Nothing filled in yet.</p>
+    ) : (
+      <table>
+        <thead>
+          <tr>
+            {headers.map((header) => (
+              <th key={header}>{header}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.slice(0, MAX_SUMMARY_ROWS).map((cells, index) => (
+            <tr key={index}>
+              {cells.map((cell, i) => (
+                <td key={i}>{cell}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+    {rows.length > MAX_SUMMARY_ROWS && <p>… and {rows.length - MAX_SUMMARY_ROWS} more</p>}
+  </div>
+);
+
+// Every plate at once: thumbnails coloured by a field (click to open, drag to
+// reorder) and summary tables over the whole experiment
+const PlateOverview = ({ plates, schema, colorField, colors, currentPlateIndex, onColorFieldChange, onOpenPlate, onMovePlate }) => {
+  const fieldNames = getFieldNames(schema);
+  const [summaryFields, setSummaryFields] = useState(() => {
+    const preferred = SUMMARY_FIELDS.filter((name) => fieldNames.includes(name));
+    return preferred.length > 0 ? preferred : fieldNames.slice(0, 1);
+  });
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const field = getField(schema, colorField);
+  const scale = useMemo(() => createColorScale(field, plates, colors), [field, plates, colors]);
+  // Fields deleted from the schema since they were ticked drop out
+  const activeSummaryFields = useMemo(
+    () => summaryFields.filter((name) => schema.some((f) => f.name === name)),
+    [summaryFields, schema]
+  );
+
+  const valueSummaries = useMemo(
+    () => activeSummaryFields.map((name) => ({ name, values: countValues(plates, name) })),
+    [plates, activeSummaryFields]
+  );
+  const wellCounts = useMemo(() => countWellsPerPlate(plates), [plates]);
+  const combinations = useMemo(
+    () => (activeSummaryFields.length > 1 ? countCombinations(plates, activeSummaryFields) : []),
+    [plates, activeSummaryFields]
+  );
+
+  const toggleSummaryField = (name) =>
+    setSummaryFields((prev) => fieldNames.filter((n) => (n === name ? !prev.includes(name) : prev.includes(n))));
+
+  const handleDrop = (index) => {
+    if (dragIndex !== null && dragIndex !== index) onMovePlate(dragIndex, index);
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  const blockList = (plateIds) => plateIds.join(", ");
+
+  return (
+    <div className="plate-overview">
+      <label>
+        Colour plates by{" "}
+        <select value={colorField} onChange={(e) => onColorFieldChange(e.target.value)}>
+          {fieldNames.map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      </label>
+      <p className="overview-hint">Click a plate to open it, drag it to change the block order.</p>
+
+      <div className="thumbnail-grid">
+        {plates.map((plate, index) => (
+          <div
+            key={plate.id}
+            className={`plate-thumbnail ${index === currentPlateIndex ? "current" : ""} ${index === dropIndex ? "drop-target" : ""}`}
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.effectAllowed = "move";
+              setDragIndex(index);
+            }}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDropIndex(index);
+            }}
+            onDragLeave={() => setDropIndex((prev) => (prev === index ? null : prev))}
+            onDrop={(e) => {
+              e.preventDefault();
+              handleDrop(index);
+            }}
+            onDragEnd={() => {
+              setDragIndex(null);
+              setDropIndex(null);
+            }}
+            onClick={() => onOpenPlate(index)}
+          >
+            <PlateThumbnail plate={plate} field={field} colorFor={scale.colorFor} />
+            <div>
+              {plateLabel(plate)} · {formatLabel(plate.format)}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <fieldset className="summary-fields">
+        <legend>Summarise fields</legend>
+        {fieldNames.map((name) => (
+          <label key={name}>
+            <input type="checkbox" checked={summaryFields.includes(name)} onChange={() => toggleSummaryField(name)} /> {name}
+          </label>
+        ))}
+      </fieldset>
+
+      <div className="summary-tables">
+        {valueSummaries.map(({ name, values }) => (
+          <SummaryTable
+            key={name}
+            title={`Wells per ${name}`}
+            headers={[name, "Wells", "Blocks"]}
+            rows={values.map((entry) => [formatFieldValue(getField(schema, name), entry.value), entry.count, blockList(entry.plateIds)])}
+          />
+        ))}
+        <SummaryTable
+          title="Wells per block"
+          headers={["Block", "Filled", "Empty", "Total"]}
+          rows={wellCounts.map((entry) => [entry.plateId, entry.filled, entry.empty, entry.total])}
+        />
+        {activeSummaryFields.length > 1 && (
+          <SummaryTable
+            title={`Combinations (${countLabel(combinations.length, "combination")})`}
+            headers={[...activeSummaryFields, "Wells", "Blocks"]}
+            rows={combinations.map((entry) => [...entry.values.map((value) => value || "-"), entry.count, blockList(entry.plateIds)])}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PlateOverview;
@@ -0,0 +1,156 @@
+import React, { useRef, useState } from "react";
+import { findWellAt, getCornerWells, getWellGeometry, isAlignmentValid } from "./plateImage";
+
+// A photo of the current block with the plate grid laid over it. "Align Grid"
+// asks for the centres of the four corner wells; afterwards the corner handles
+// can be dragged and clicking a well on the photo selects it on the grid.
+const PlatePhoto = ({ plate, photo, selectedWells, onLoadPhoto, onAlign, onClearAlignment, onSelectWell, onExport }) => {
+  const svgRef = useRef(null);
+  const [clicked, setClicked] = useState(null); // Corner points so far while aligning
+  const [dragging, setDragging] = useState(null); // Index of the corner handle being dragged
+  const [showLabels, setShowLabels] = useState(true);
+  const cornerWells = getCornerWells(plate.format);
+  const alignment = plate.photo;
+  const matchesPhoto = !!photo && !!alignment && alignment.width === photo.width && alignment.height === photo.height;
+  const aligned = matchesPhoto && isAlignmentValid(plate.format, alignment);
+  const geometry = aligned && !clicked ? getWellGeometry(plate) : {};
+  const pitch = aligned
+    ? Math.hypot(alignment.corners[1][0] - alignment.corners[0][0], alignment.corners[1][1] - alignment.corners[0][1]) /
+      Math.max(plate.format.columns - 1, 1)
+    : 0;
+
+  const handleFile = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = "";
+    setClicked(null);
+    onLoadPhoto(file);
+  };
+
+  // Pointer position in image pixels
+  const toImagePoint = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return [
+      Math.round(((event.clientX - rect.left) * photo.width) / rect.width),
+      Math.round(((event.clientY - rect.top) * photo.height) / rect.height),
+    ];
+  };
+
+  const handleClick = (event) => {
+    const point = toImagePoint(event);
+    if (clicked) {
+      const corners = [...clicked, point];
+      if (corners.length < 4) {
+        setClicked(corners);
+        return;
+      }
+      setClicked(null);
+      onAlign({ fileName: photo.fileName, width: photo.width, height: photo.height, corners });
+      return;
+    }
+    const wellId = aligned && findWellAt(plate, point);
+    if (wellId) onSelectWell(wellId);
+  };
+
+  const handlePointerMove = (event) => {
+    if (dragging === null) return;
+    const point = toImagePoint(event);
+    onAlign({ ...alignment, corners: alignment.corners.map((corner, i) => (i === dragging ? point : corner)) }, `photo-${plate.id}`);
+  };
+
+  return (
+    <details className="plate-photo">
+      <summary>Plate photo (Block {plate.id}, {alignment ? `aligned on ${alignment.fileName}` : "not aligned"})</summary>
+      <div className="plate-photo-controls">
+        <label>
+          {photo ? "Replace photo" : "Load photo"} <input type="file" accept="image/*" onChange={handleFile} />
+        </label>
+        {photo && (
+          <button className="template-btn" onClick={() => setClicked(clicked ? null : [])}>
+            {clicked ? "Cancel Alignment" : aligned ? "Realign Grid" : "Align Grid"}
+          </button>
+        )}
+        {alignment && (
+          <button className="template-btn" onClick={onClearAlignment}>Clear Alignment</button>
+        )}
+        {aligned && (
+          <label>
+            <input type="checkbox" checked={showLabels} onChange={(e) => setShowLabels(e.target.checked)} /> Well labels
+          </label>
+        )}
+      </div>
+
+      {clicked && (
+        <p className="plate-photo-hint">
+          Click the centre of well <strong>{cornerWells[clicked.length]}</strong> ({clicked.length + 1} of 4).
+        </p>
+      )}
+      {photo && alignment && !matchesPhoto && (
+        <p className="plate-photo-hint">
+          The saved alignment is for {alignment.fileName} ({alignment.width}×{alignment.height}); align the grid on this photo again.
+        </p>
+      )}
+      {!photo && alignment && (
+        <p className="plate-photo-hint">
+          Aligned on {alignment.fileName}. Load that photo again to check the alignment or export crops; photos are not kept in the project.
+        </p>
+      )}
+
+      {photo && (
+        <svg
+          ref={svgRef}
+          className={`plate-photo-image ${clicked ? "aligning" : ""}`}
+          viewBox={`0 0 ${photo.width} ${photo.height}`}
+          onClick={handleClick}
+          onPointerMove={handlePointerMove}
+          onPointerUp={() => setDragging(null)}
+          onPointerLeave={() => setDragging(null)}
+        >
+          <image href={photo.url} width={photo.width} height={photo.height} />
+          {Object.keys(geometry).map((wellId) => (
+            <g key={wellId}>
+              <polygon
+                className={`photo-well ${selectedWells.has(wellId) ? "selected" : ""}`}
+                points={geometry[wellId].outline.map((point) => point.join(",")).join(" ")}
+              />
+              {showLabels && (
+                <text x={geometry[wellId].center[0]} y={geometry[wellId].center[1]} fontSize={pitch * 0.3} className="photo-well-label">
+                  {wellId}
+                </text>
+              )}
+            </g>
+          ))}
+          {aligned &&
+            !clicked &&
+            alignment.corners.map(([x, y], i) => (
+              <circle
+                key={i}
+                className="photo-corner"
+                cx={x}
+                cy={y}
+                r={Math.max(pitch * 0.15, 4)}
+                onPointerDown={(e) => {
+                  e.stopPropagation();
+                  setDragging(i);
+                }}
+                onClick={(e) => e.stopPropagation()}
+              >
+                <title>{cornerWells[i]} (drag to adjust)</title>
+              </circle>
+            ))}
+          {(clicked || []).map(([x, y], i) => (
+            <circle key={i} className="photo-corner" cx={x} cy={y} r={Math.max(photo.width / 150, 4)} />
+          ))}
+        </svg>
+      )}
+
+      <div className="plate-photo-controls">
+        <button className="template-btn" onClick={() => onExport("csv")}>Export Spot Boxes (CSV)</button>
+        <button className="template-btn" onClick={() => onExport("json")}>Export Spot Boxes (JSON)</button>
+        <button className="template-btn" onClick={() => onExport("crops")}>Export Spot Crops (zip)</button>
+      </div>
+    </details>
+  );
+};
+
+export default PlatePhoto;
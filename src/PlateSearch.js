@@ -0,0 +1,96 @@
+import React from "react";
+import { countLabel } from "./plateModel";
+import { getFieldNames } from "./metadataSchema";
+import {
+  ANY_FIELD,
+  DEFAULT_QUERY,
+  SEARCH_OPERATORS,
+  createCondition,
+  getActiveConditions,
+  operatorNeedsValue,
+} from "./wellQuery";
+
+const MAX_LISTED_WELLS = 48; // Per block; the rest are summarised
+
+// Search bar for metadata across all plates. Matching wells are highlighted on
+// the grid; clicking a block or a well selects them for the bulk edit tools.
+const PlateSearch = ({ query, results, schema, onChange, onSelect }) => {
+  const fieldNames = getFieldNames(schema);
+  const total = results.reduce((sum, result) => sum + result.wellIds.length, 0);
+  const updateCondition = (index, changes) =>
+    onChange({ ...query, conditions: query.conditions.map((c, i) => (i === index ? { ...c, ...changes } : c)) });
+
+  return (
+    <div className="plate-search">
+      {query.conditions.map((condition, index) => (
+        <div key={index} className="search-condition">
+          {index > 0 && (
+            <select value={query.combine} onChange={(e) => onChange({ ...query, combine: e.target.value })}>
+              <option value="and">AND</option>
+              <option value="or">OR</option>
+            </select>
+          )}
+          <select value={condition.field} onChange={(e) => updateCondition(index, { field: e.target.value })}>
+            <option value={ANY_FIELD}>any field</option>
+            {fieldNames.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <select value={condition.operator} onChange={(e) => updateCondition(index, { operator: e.target.value })}>
+            {Object.keys(SEARCH_OPERATORS).map((operator) => (
+              <option key={operator} value={operator}>{SEARCH_OPERATORS[operator]}</option>
+            ))}
+          </select>
+          {operatorNeedsValue(condition.operator) && (
+            <input
+              type="search"
+              placeholder="Search metadata on all plates"
+              value={condition.value}
+              onChange={(e) => updateCondition(index, { value: e.target.value })}
+            />
+          )}
+          {query.conditions.length > 1 && (
+            <button onClick={() => onChange({ ...query, conditions: query.conditions.filter((_, i) => i !== index) })}>✕</button>
+          )}
+        </div>
+      ))}
+      <div className="search-actions">
+        <button className="template-btn" onClick={() => onChange({ ...query, conditions: [...query.conditions, createCondition()] })}>
+          + Condition
+        </button>
+        <label>
+          <input type="checkbox" checked={query.ignoreCase} onChange={(e) => onChange({ ...query, ignoreCase: e.target.checked })} />{" "}
+          Ignore case
+        </label>
+        <button className="template-btn" onClick={() => onChange(DEFAULT_QUERY)}>Clear Search</button>
+      </div>
+
+      {results.length === 0 && getActiveConditions(query).length > 0 && <p>No wells match.</p>}
+      {results.length > 0 && (
+        <div className="search-results">
+          <strong>
+            {countLabel(total, "well")} on {countLabel(results.length, "block")}
+          </strong>
+          <ul>
+            {results.map(({ plateId, wellIds }) => (
+              <li key={plateId}>
+                <button className="link-btn" onClick={() => onSelect(plateId, wellIds)}>
+                  Block {plateId} ({wellIds.length})
+                </button>
+                :{" "}
+                {wellIds.slice(0, MAX_LISTED_WELLS).map((wellId) => (
+                  <button key={wellId} className="link-btn" onClick={() => onSelect(plateId, [wellId])}>
+                    {wellId}
+                  </button>
+                ))}
+                {wellIds.length > MAX_LISTED_WELLS && ` … ${wellIds.length - MAX_LISTED_WELLS} more`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlateSearch;
@@ -0,0 +1,34 @@
+import React, { useState } from "react";
+
+const formatTime = (time) => (time ? new Date(time).toLocaleString() : "never");
+
+// Create, open, rename, duplicate and delete projects stored in the browser
+const ProjectPicker = ({ projects, currentProject, lastSavedAt, onNew, onSaveAs, onOpen, onRename, onDuplicate, onDelete }) => {
+  const [selectedId, setSelectedId] = useState("");
+  const selected = projects.find((p) => p.id === selectedId) ? selectedId : "";
+
+  return (
+    <div className="project-picker">
+      <span className="project-name">
+        {currentProject ? `Project: ${currentProject.name}` : "Unsaved session"}
+        <small> (last saved {formatTime(lastSavedAt)})</small>
+      </span>
+      <button className="template-btn" onClick={onNew}>New Project</button>
+      <button className="template-btn" onClick={onSaveAs}>Save As Project</button>
+      <select value={selected} onChange={(e) => setSelectedId(e.target.value)}>
+        <option value="">Select a project…</option>
+        {projects.map((project) => (
+          <option key={project.id} value={project.id}>
+            {project.name} — modified {formatTime(project.modifiedAt)}
+          </option>
+        ))}
+      </select>
+      <button className="template-btn" onClick={() => onOpen(selected)} disabled={!selected}>Open</button>
+      <button className="template-btn" onClick={() => onRename(selected)} disabled={!selected}>Rename</button>
+      <button className="template-btn" onClick={() => onDuplicate(selected)} disabled={!selected}>Duplicate</button>
+      <button className="template-btn" onClick={() => onDelete(selected)} disabled={!selected}>Delete</button>
+    </div>
+  );
+};
+
+export default ProjectPicker;
@@ -0,0 +1,128 @@
+import React, { useMemo, useState } from "react";
+import { formatLabel } from "./plateFormats";
+import { countLabel } from "./plateModel";
+import { plateLabel } from "./plateInfo";
+import {
+  DEFAULT_SUBSAMPLE,
+  QUADRANT_LAYOUTS,
+  QUADRANT_NAMES,
+  REFORMAT_OPERATIONS,
+  reformatPlates,
+  validateReformat,
+} from "./plateReformat";
+
+// Options for "Reformat Plate": the operation, its source plates and settings,
+// and a preview of the plates it will add after the current one
+const ReformatDialog = ({ plates, lastPlateId, currentPlateIndex, schema, onApply, onCancel }) => {
+  const [operation, setOperation] = useState("combine");
+  const [layout, setLayout] = useState("interleaved");
+  // ✅ Combining starts from the current plate and the three after it
+  const [quadrantIds, setQuadrantIds] = useState(() =>
+    QUADRANT_NAMES.map((_, i) => (plates[currentPlateIndex + i] ? plates[currentPlateIndex + i].id : ""))
+  );
+  const [subsample, setSubsample] = useState(DEFAULT_SUBSAMPLE);
+  const currentPlate = plates[currentPlateIndex];
+
+  const sourcePlates = useMemo(
+    () => (operation === "combine" ? quadrantIds.map((id) => plates.find((p) => p.id === id) || null) : [currentPlate]),
+    [operation, quadrantIds, plates, currentPlate]
+  );
+  const options = { layout, subsample, lastPlateId };
+  const error = validateReformat(operation, sourcePlates, options);
+  const preview = error ? [] : reformatPlates(operation, sourcePlates, plates, schema, options);
+
+  const setSubsampleValue = (key, value) => setSubsample((prev) => ({ ...prev, [key]: Math.max(0, parseInt(value, 10) || 0) }));
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal reformat-dialog">
+        <h3>Reformat plates</h3>
+        <label>
+          Operation{" "}
+          <select value={operation} onChange={(e) => setOperation(e.target.value)}>
+            {Object.keys(REFORMAT_OPERATIONS).map((key) => (
+              <option key={key} value={key}>{REFORMAT_OPERATIONS[key]}</option>
+            ))}
+          </select>
+        </label>
+
+        {(operation === "combine" || operation === "split") && (
+          <label>
+            Quadrants{" "}
+            <select value={layout} onChange={(e) => setLayout(e.target.value)}>
+              {Object.keys(QUADRANT_LAYOUTS).map((key) => (
+                <option key={key} value={key}>{QUADRANT_LAYOUTS[key]}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        {operation === "combine" ? (
+          <fieldset>
+            <legend>Plates for each quadrant</legend>
+            {QUADRANT_NAMES.map((name, quadrant) => (
+              <label key={name}>
+                {name}{" "}
+                <select
+                  value={quadrantIds[quadrant]}
+                  onChange={(e) =>
+                    setQuadrantIds((prev) => prev.map((id, i) => (i === quadrant ? (e.target.value ? Number(e.target.value) : "") : id)))
+                  }
+                >
+                  <option value="">(leave empty)</option>
+                  {plates.map((plate) => (
+                    <option key={plate.id} value={plate.id}>
+                      {plateLabel(plate)} ({formatLabel(plate.format)})
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </fieldset>
+        ) : (
+          <p>Source: {plateLabel(currentPlate)} ({formatLabel(currentPlate.format)})</p>
+        )}
+
+        {operation === "subsample" && (
+          <fieldset>
+            <legend>Keep every</legend>
+            <label>
+              <input type="number" min="1" value={subsample.rowStep} onChange={(e) => setSubsampleValue("rowStep", e.target.value)} /> rows,
+              starting at row{" "}
+              <input type="number" min="1" value={subsample.rowOffset + 1} onChange={(e) => setSubsampleValue("rowOffset", e.target.value - 1)} />
+            </label>
+            <label>
+              <input type="number" min="1" value={subsample.columnStep} onChange={(e) => setSubsampleValue("columnStep", e.target.value)} /> columns,
+              starting at column{" "}
+              <input
+                type="number"
+                min="1"
+                value={subsample.columnOffset + 1}
+                onChange={(e) => setSubsampleValue("columnOffset", e.target.value - 1)}
+              />
+            </label>
+          </fieldset>
+        )}
+
+        {error ? (
+          <p className="reformat-error">{error}</p>
+        ) : (
+          <p>
+            Adds {countLabel(preview.length, "plate")} after the current one:{" "}
+            {preview.map((plate) => `Block ${plate.id} "${plate.name}" (${formatLabel(plate.format)})`).join(", ")}.
+            Each well remembers the source well it came from.
+          </p>
+        )}
+
+        <div className="modal-buttons">
+          <button className="template-btn" onClick={onCancel}>Cancel</button>
+          <button className="action-btn" onClick={() => onApply(preview, operation)} disabled={!!error}>
+            Create plates
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReformatDialog;
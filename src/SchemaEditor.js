@@ -0,0 +1,144 @@
+import React, { useState } from "react";
+import { FIELD_TYPES, RESERVED_COLUMNS, createField, normalizeFieldName, validateFieldName } from "./metadataSchema";
+
+// Editor for the metadata schema: add, rename, reorder, retype and delete fields.
+// Also edits the plate schema, which reserves different names. Locked fields
+// (the well role) cannot be renamed or retyped.
+const SchemaEditor = ({
+  schema,
+  reservedNames = RESERVED_COLUMNS,
+  placeholder = "New field name, e.g. inducer",
+  onAddField,
+  onRenameField,
+  onUpdateField,
+  onMoveField,
+  onDeleteField,
+}) => {
+  const [newFieldName, setNewFieldName] = useState("");
+  const [draftNames, setDraftNames] = useState({}); // Names being typed, keyed by field index
+
+  const addField = () => {
+    const error = validateFieldName(schema, newFieldName, -1, reservedNames);
+    if (error) {
+      alert(error);
+      return;
+    }
+    onAddField(createField(normalizeFieldName(newFieldName)));
+    setNewFieldName("");
+  };
+
+  const commitRename = (index) => {
+    const draft = draftNames[index];
+    setDraftNames((prev) => {
+      const { [index]: done, ...rest } = prev;
+      return rest;
+    });
+    if (draft === undefined || normalizeFieldName(draft) === schema[index].name) return;
+
+    const error = validateFieldName(schema, draft, index, reservedNames);
+    if (error) {
+      alert(error);
+      return;
+    }
+    onRenameField(index, normalizeFieldName(draft));
+  };
+
+  return (
+    <div className="schema-editor">
+      <table>
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>Type</th>
+            <th>Unit / allowed values</th>
+            <th>Default</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {schema.map((field, index) => (
+            <tr key={field.name}>
+              <td>
+                <input
+                  type="text"
+                  disabled={field.locked}
+                  value={draftNames[index] !== undefined ? draftNames[index] : field.name}
+                  onChange={(e) => setDraftNames((prev) => ({ ...prev, [index]: e.target.value }))}
+                  onBlur={() => commitRename(index)}
+                  onKeyDown={(e) => e.key === "Enter" && commitRename(index)}
+                />
+              </td>
+              <td>
+                <select value={field.type} disabled={field.locked} onChange={(e) => onUpdateField(index, { type: e.target.value })}>
+                  {Object.keys(FIELD_TYPES).map((type) => (
+                    <option key={type} value={type}>
+                      {FIELD_TYPES[type]}
+                    </option>
+                  ))}
+                </select>
+              </td>
+              <td>
+                {field.type === "number" && (
+                  <input
+                    type="text"
+                    placeholder="Unit, e.g. µM"
+                    value={field.unit}
+                    onChange={(e) => onUpdateField(index, { unit: e.target.value })}
+                  />
+                )}
+                {field.type === "list" && !field.locked && (
+                  <input
+                    type="text"
+                    placeholder="Comma-separated values"
+                    defaultValue={field.options.join(", ")}
+                    onBlur={(e) =>
+                      onUpdateField(index, {
+                        options: e.target.value.split(",").map((opt) => opt.trim()).filter((opt) => opt !== ""),
+                      })
+                    }
+                  />
+                )}
+              </td>
+              <td>
+                {field.type === "list" ? (
+                  <select value={field.default} onChange={(e) => onUpdateField(index, { default: e.target.value })}>
+                    <option value="">(none)</option>
+                    {field.options.map((opt) => (
+                      <option key={opt} value={opt}>
+                        {opt}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type={field.type === "number" ? "number" : "text"}
+                    value={field.default}
+                    onChange={(e) => onUpdateField(index, { default: e.target.value })}
+                  />
+                )}
+              </td>
+              <td className="schema-actions">
+                <button onClick={() => onMoveField(index, -1)} disabled={index === 0} title="Move up">↑</button>
+                <button onClick={() => onMoveField(index, 1)} disabled={index === schema.length - 1} title="Move down">↓</button>
+                <button onClick={() => onDeleteField(index)} disabled={schema.length === 1} title="Delete field">✕</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="schema-add">
+        <input
+          type="text"
+          placeholder={placeholder}
+          value={newFieldName}
+          onChange={(e) => setNewFieldName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && addField()}
+        />
+        <button className="template-btn" onClick={addField}>+ Add Field</button>
+      </div>
+    </div>
+  );
+};
+
+export default SchemaEditor;
@@ -0,0 +1,101 @@
+import React from "react";
+import { getFieldNames } from "./metadataSchema";
+
+// Column mapping for "Search Strain": header row, key column and sheet column -> field
+const StrainLookupEditor = ({ config, headers, recordCount, schema, onChange }) => {
+  const fieldNames = getFieldNames(schema);
+  const update = (changes) => onChange({ ...config, ...changes });
+  const updateMapping = (index, changes) =>
+    update({ columnMap: config.columnMap.map((m, i) => (i === index ? { ...m, ...changes } : m)) });
+
+  // Keeps a configured column selectable even if the loaded sheet lacks it
+  const columnOptions = (current) => (current && !headers.includes(current) ? [current, ...headers] : headers);
+
+  return (
+    <div className="lookup-editor">
+      <p>
+        {recordCount > 0
+          ? `${recordCount} strain rows loaded, ${headers.length} columns.`
+          : "Upload the NP Plasmids sheet to see its columns."}
+      </p>
+      <label>
+        Header row{" "}
+        <input
+          type="number"
+          min="1"
+          value={config.headerRow}
+          onChange={(e) => update({ headerRow: parseInt(e.target.value, 10) || 1 })}
+        />
+      </label>
+      <label>
+        Strain ID column{" "}
+        <select value={config.keyColumn} onChange={(e) => update({ keyColumn: e.target.value })}>
+          {columnOptions(config.keyColumn).map((header) => (
+            <option key={header} value={header}>{header}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        matches well field{" "}
+        <select value={config.wellField} onChange={(e) => update({ wellField: e.target.value })}>
+          <option value="">(choose)</option>
+          {fieldNames.map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        <input type="checkbox" checked={config.ignoreCase} onChange={(e) => update({ ignoreCase: e.target.checked })} />{" "}
+        Ignore case
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={config.ignoreWhitespace}
+          onChange={(e) => update({ ignoreWhitespace: e.target.checked })}
+        />{" "}
+        Ignore whitespace
+      </label>
+
+      <table>
+        <thead>
+          <tr>
+            <th>Sheet column</th>
+            <th>fills field</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {config.columnMap.map((mapping, index) => (
+            <tr key={index}>
+              <td>
+                <select value={mapping.column} onChange={(e) => updateMapping(index, { column: e.target.value })}>
+                  <option value="">(choose)</option>
+                  {columnOptions(mapping.column).map((header) => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </td>
+              <td>
+                <select value={mapping.field} onChange={(e) => updateMapping(index, { field: e.target.value })}>
+                  <option value="">(choose)</option>
+                  {fieldNames.map((name) => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+              </td>
+              <td>
+                <button onClick={() => update({ columnMap: config.columnMap.filter((_, i) => i !== index) })}>✕</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button className="template-btn" onClick={() => update({ columnMap: [...config.columnMap, { column: "", field: "" }] })}>
+        + Add Column
+      </button>
+    </div>
+  );
+};
+
+export default StrainLookupEditor;
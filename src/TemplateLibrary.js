@@ -0,0 +1,149 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { saveAs } from "file-saver";
+import * as store from "./projectStore";
+import { formatLabel } from "./plateFormats";
+import { getFieldNames } from "./metadataSchema";
+import { countLabel } from "./plateModel";
+import { plateLabel } from "./plateInfo";
+import { ROLE_FIELD } from "./wellRoles";
+import { createTemplate, readTemplatesFile, serializeTemplates } from "./layoutTemplates";
+
+// Library of layout templates kept in the browser: save the current plate's
+// roles and fixed fields as a template, apply one to any plates, share as a file
+const TemplateLibrary = ({ plates, currentPlateIndex, schema, onApply }) => {
+  const storageAvailable = store.isStorageAvailable();
+  const [templates, setTemplates] = useState([]);
+  const [selectedId, setSelectedId] = useState("");
+  const [targetIds, setTargetIds] = useState(() => [plates[currentPlateIndex].id]);
+  const [newName, setNewName] = useState("");
+  const [chosenFields, setChosenFields] = useState(null); // null: just the role until the user picks
+  const templateFields = getFieldNames(schema).filter((name) => (chosenFields || [ROLE_FIELD]).includes(name));
+  const currentPlate = plates[currentPlateIndex];
+  const selected = templates.find((template) => template.id === selectedId) || null;
+
+  const reportError = (action) => (error) => {
+    console.error(`Could not ${action}:`, error);
+    alert(`Could not ${action}: ${error.message || error}`);
+  };
+
+  const refresh = useCallback(() => (storageAvailable ? store.listTemplates().then(setTemplates) : Promise.resolve()), [storageAvailable]);
+
+  useEffect(() => {
+    refresh().catch((error) => console.error("Could not list templates:", error));
+  }, [refresh]);
+
+  // Plates deleted since they were ticked drop out
+  const activeTargetIds = targetIds.filter((id) => plates.some((plate) => plate.id === id));
+
+  const toggleField = (name) =>
+    setChosenFields(getFieldNames(schema).filter((n) => (n === name ? !templateFields.includes(name) : templateFields.includes(n))));
+
+  const toggleTarget = (id) =>
+    setTargetIds((prev) => plates.map((plate) => plate.id).filter((i) => (i === id ? !prev.includes(id) : prev.includes(i))));
+
+  const saveCurrent = () => {
+    const name = newName.trim();
+    if (!name) {
+      alert("Give the template a name.");
+      return;
+    }
+    const template = createTemplate(name, currentPlate, schema, templateFields);
+    if (Object.keys(template.wells).length === 0) {
+      alert(`Block ${currentPlate.id} has nothing in ${templateFields.join(", ") || "the chosen fields"} to save.`);
+      return;
+    }
+    store
+      .saveTemplate(template)
+      .then(refresh)
+      .then(() => {
+        setSelectedId(template.id);
+        setNewName("");
+      })
+      .catch(reportError("save the template"));
+  };
+
+  const deleteSelected = () => {
+    if (!selected || !window.confirm(`Delete the template "${selected.name}"?`)) return;
+    store
+      .deleteTemplate(selected.id)
+      .then(refresh)
+      .then(() => setSelectedId(""))
+      .catch(reportError("delete the template"));
+  };
+
+  const downloadLibrary = () =>
+    saveAs(new Blob([serializeTemplates(templates)], { type: "application/json" }), "layout_templates.json");
+
+  const handleUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = "";
+    file
+      .text()
+      .then((text) => readTemplatesFile(JSON.parse(text)))
+      .then((loaded) => Promise.all(loaded.map((template) => store.saveTemplate(template))).then(() => loaded))
+      .then((loaded) => {
+        alert(`Added ${countLabel(loaded.length, "template")}.`);
+        return refresh();
+      })
+      .catch(reportError("read the templates file"));
+  };
+
+  if (!storageAvailable) return null;
+
+  return (
+    <details className="template-library">
+      <summary>Layout templates ({templates.length})</summary>
+
+      <div className="template-apply">
+        <select value={selectedId} onChange={(e) => setSelectedId(e.target.value)}>
+          <option value="">(choose a template)</option>
+          {templates.map((template) => (
+            <option key={template.id} value={template.id}>
+              {template.name} ({formatLabel(template.format)}, {countLabel(Object.keys(template.wells).length, "well")})
+            </option>
+          ))}
+        </select>
+        {selected && <span> Fields: {selected.fields.map((field) => field.name).join(", ")}</span>}
+        <fieldset>
+          <legend>Apply to</legend>
+          {plates.map((plate) => (
+            <label key={plate.id}>
+              <input type="checkbox" checked={activeTargetIds.includes(plate.id)} onChange={() => toggleTarget(plate.id)} />{" "}
+              {plateLabel(plate)}
+            </label>
+          ))}
+          <button className="link-btn" onClick={() => setTargetIds(plates.map((plate) => plate.id))}>all</button>
+        </fieldset>
+        <button
+          className="template-btn"
+          disabled={!selected || activeTargetIds.length === 0}
+          onClick={() => onApply(selected, activeTargetIds)}
+        >
+          Apply (fills empty fields only)
+        </button>
+        <button className="template-btn" disabled={!selected} onClick={deleteSelected}>Delete</button>
+      </div>
+
+      <div className="template-save">
+        <input type="text" placeholder="Template name" value={newName} onChange={(e) => setNewName(e.target.value)} />
+        <span> from Block {currentPlate.id}, with </span>
+        {getFieldNames(schema).map((name) => (
+          <label key={name}>
+            <input type="checkbox" checked={templateFields.includes(name)} onChange={() => toggleField(name)} /> {name}
+          </label>
+        ))}
+        <button className="template-btn" disabled={templateFields.length === 0} onClick={saveCurrent}>Save as Template</button>
+      </div>
+
+      <div className="template-share">
+        <button className="template-btn" disabled={templates.length === 0} onClick={downloadLibrary}>Download library</button>
+        <label>
+          Add templates from file <input type="file" accept=".json" onChange={handleUpload} />
+        </label>
+      </div>
+    </details>
+  );
+};
+
+export default TemplateLibrary;
@@ -0,0 +1,149 @@
+import React, { useState } from "react";
+import { getFieldNames } from "./metadataSchema";
+import { EXPORT_ERROR_MODES, RULE_TYPES, SEVERITIES, countProblems, createRule } from "./validation";
+
+const MAX_LISTED_PROBLEMS = 500;
+
+// Fields each rule type needs in the editor
+const usesField = (type) => type !== "duplicatePlates";
+
+// Problems found in the plates (click one to jump to the well) and the rules
+// that produce them
+const ValidationPanel = ({ problems, validation, schema, onChange, onSelectProblem, onClose }) => {
+  const [filter, setFilter] = useState("all");
+  const fieldNames = getFieldNames(schema);
+  const { errors, warnings } = countProblems(problems);
+  const listed = problems.filter((problem) => filter === "all" || problem.severity === filter);
+
+  const update = (changes) => onChange({ ...validation, ...changes });
+  const updateRule = (index, changes) =>
+    update({ rules: validation.rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)) });
+
+  const fieldSelect = (value, onSelect) => (
+    <select value={value} onChange={(e) => onSelect(e.target.value)}>
+      <option value="">(choose)</option>
+      {(value && !fieldNames.includes(value) ? [value, ...fieldNames] : fieldNames).map((name) => (
+        <option key={name} value={name}>{name}</option>
+      ))}
+    </select>
+  );
+
+  const ruleParameters = (rule, index) => {
+    switch (rule.type) {
+      case "requiredWith":
+        return <>when {fieldSelect(rule.otherField, (otherField) => updateRule(index, { otherField }))} is set</>;
+      case "allowedValues":
+        return (
+          <input
+            type="text"
+            placeholder="Comma separated values"
+            value={rule.values.join(", ")}
+            onChange={(e) => updateRule(index, { values: e.target.value.split(",").map((v) => v.trim()).filter((v) => v) })}
+          />
+        );
+      case "numeric":
+        return (
+          <>
+            min <input type="number" value={rule.min} onChange={(e) => updateRule(index, { min: e.target.value })} /> max{" "}
+            <input type="number" value={rule.max} onChange={(e) => updateRule(index, { max: e.target.value })} />
+          </>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="validation-panel">
+      <div className="validation-summary">
+        <strong>
+          {errors} errors, {warnings} warnings
+        </strong>
+        <select value={filter} onChange={(e) => setFilter(e.target.value)}>
+          <option value="all">Show all</option>
+          <option value="error">Errors only</option>
+          <option value="warning">Warnings only</option>
+        </select>
+        <button className="template-btn" onClick={onClose}>Close</button>
+      </div>
+
+      {listed.length === 0 ? (
+        <p>No problems found.</p>
+      ) : (
+        <ul className="problem-list">
+          {listed.slice(0, MAX_LISTED_PROBLEMS).map((problem) => (
+            <li
+              key={problem.id}
+              className={`problem-${problem.severity}`}
+              onClick={() => problem.plateId !== null && onSelectProblem(problem)}
+            >
+              {problem.plateId !== null && `Block ${problem.plateId}${problem.wellId ? ` ${problem.wellId}` : ""}: `}
+              {problem.message}
+            </li>
+          ))}
+          {listed.length > MAX_LISTED_PROBLEMS && <li>… and {listed.length - MAX_LISTED_PROBLEMS} more</li>}
+        </ul>
+      )}
+
+      <details>
+        <summary>Validation rules</summary>
+        <label>
+          When exporting with errors{" "}
+          <select value={validation.onExportErrors} onChange={(e) => update({ onExportErrors: e.target.value })}>
+            {Object.keys(EXPORT_ERROR_MODES).map((mode) => (
+              <option key={mode} value={mode}>{EXPORT_ERROR_MODES[mode]}</option>
+            ))}
+          </select>
+        </label>
+        <table>
+          <thead>
+            <tr>
+              <th>On</th>
+              <th>Rule</th>
+              <th>Field</th>
+              <th>Settings</th>
+              <th>Severity</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {validation.rules.map((rule, index) => (
+              <tr key={rule.id}>
+                <td>
+                  <input type="checkbox" checked={rule.enabled} onChange={(e) => updateRule(index, { enabled: e.target.checked })} />
+                </td>
+                <td>
+                  <select value={rule.type} onChange={(e) => updateRule(index, { type: e.target.value })}>
+                    {Object.keys(RULE_TYPES).map((type) => (
+                      <option key={type} value={type}>{RULE_TYPES[type]}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>{usesField(rule.type) && fieldSelect(rule.field, (field) => updateRule(index, { field }))}</td>
+                <td>{ruleParameters(rule, index)}</td>
+                <td>
+                  <select value={rule.severity} onChange={(e) => updateRule(index, { severity: e.target.value })}>
+                    {Object.keys(SEVERITIES).map((severity) => (
+                      <option key={severity} value={severity}>{SEVERITIES[severity]}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <button onClick={() => update({ rules: validation.rules.filter((_, i) => i !== index) })}>✕</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button
+          className="template-btn"
+          onClick={() => update({ rules: [...validation.rules, createRule("required", { field: fieldNames[0] || "" })] })}
+        >
+          + Add Rule
+        </button>
+      </details>
+    </div>
+  );
+};
+
+export default ValidationPanel;
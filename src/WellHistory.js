@@ -0,0 +1,51 @@
+import React from "react";
+import { getFieldNames } from "./metadataSchema";
+import { describeSource, formatTimestamp, getWellHistory } from "./provenance";
+
+// Values a well's fields have held, newest first, with where each came from.
+// The name typed here is stamped on every change made from now on.
+const WellHistory = ({ plate, wellId, schema, userName, onUserNameChange, onClose }) => {
+  const history = wellId ? getWellHistory(plate, wellId) : {};
+  const fields = getFieldNames(schema).filter((name) => (history[name] || []).length > 0);
+
+  return (
+    <div className="well-history">
+      <div className="validation-summary">
+        <strong>{wellId ? `Block ${plate.id} ${wellId}` : "Select a well to see its history"}</strong>
+        <label>
+          Your name <input type="text" value={userName} placeholder="optional" onChange={(e) => onUserNameChange(e.target.value)} />
+        </label>
+        <button className="template-btn" onClick={onClose}>Close</button>
+      </div>
+      {wellId && fields.length === 0 && <p>No changes recorded for this well.</p>}
+      {fields.length > 0 && (
+        <table>
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Value</th>
+              <th>Source</th>
+              <th>When</th>
+              <th>By</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields.flatMap((name) =>
+              [...history[name]].reverse().map((entry, index) => (
+                <tr key={`${name}-${index}`} className={index === 0 ? "history-current" : ""}>
+                  <td>{index === 0 ? name : ""}</td>
+                  <td>{entry.value === "" ? <em>(cleared)</em> : String(entry.value)}</td>
+                  <td>{describeSource(entry)}</td>
+                  <td>{formatTimestamp(entry.at)}</td>
+                  <td>{entry.user}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default WellHistory;
@@ -0,0 +1,257 @@
+import React, { useMemo, useState } from "react";
+import { PLATE_FORMATS } from "./plateFormats";
+import { getFieldNames } from "./metadataSchema";
+import { countLabel } from "./plateModel";
+import { TRANSFER_ORDERS, WORKLIST_FORMATS, buildWorklist, createSource, readSourceMap } from "./worklist";
+
+const PREVIEW_TRANSFERS = 20;
+
+// Source plate settings and the value -> source well map, with per-value volumes
+const SourceEditor = ({ source, wells, schema, canRemove, onChange, onRemove }) => {
+  const fieldNames = getFieldNames(schema);
+  const numberFields = schema.filter((field) => field.type === "number").map((field) => field.name);
+  const update = (changes, key) => onChange({ ...source, ...changes }, key);
+
+  const setWell = (value, well) => {
+    const { [value]: removed, ...rest } = source.wells;
+    update({ wells: well.trim() ? { ...rest, [value]: { plate: (removed && removed.plate) || "", well: well.trim() } } : rest });
+  };
+
+  const setValueVolume = (value, volume) => {
+    const { [value]: removed, ...rest } = source.volumes;
+    update({ volumes: volume === "" ? rest : { ...rest, [value]: volume } }, `volume-${value}`);
+  };
+
+  const handleSourceMapUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = "";
+    file
+      .text()
+      .then((text) => update({ wells: readSourceMap(text) }))
+      .catch((error) => alert(`Could not read source map: ${error.message}`));
+  };
+
+  return (
+    <fieldset className="worklist-source">
+      <legend>{source.plateName || "Source plate"}</legend>
+      <label>
+        Name <input type="text" value={source.plateName} onChange={(e) => update({ plateName: e.target.value }, "name")} />
+      </label>
+      <label>
+        Holds{" "}
+        <select value={source.field} onChange={(e) => update({ field: e.target.value })}>
+          <option value="">(choose a field)</option>
+          {fieldNames.map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Plate{" "}
+        <select value={source.formatKey} onChange={(e) => update({ formatKey: e.target.value })}>
+          {Object.keys(PLATE_FORMATS).map((key) => (
+            <option key={key} value={key}>{key}-well</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        µL per transfer{" "}
+        <input type="number" min="0" step="any" value={source.volume} onChange={(e) => update({ volume: e.target.value }, "volume")} />
+      </label>
+      <label>
+        Volume from field{" "}
+        <select value={source.volumeField} onChange={(e) => update({ volumeField: e.target.value })}>
+          <option value="">(none)</option>
+          {numberFields.map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Source map CSV <input type="file" accept=".csv" onChange={handleSourceMapUpload} />
+      </label>
+      {canRemove && (
+        <button className="link-btn" onClick={onRemove}>Remove source</button>
+      )}
+
+      {Object.keys(wells).length > 0 && (
+        <div className="change-list">
+          <table>
+            <thead>
+              <tr>
+                <th>{source.field}</th>
+                <th>Source plate</th>
+                <th>Well</th>
+                <th>µL (blank: default)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.keys(wells).map((value) => (
+                <tr key={value}>
+                  <td>{value}</td>
+                  <td>{wells[value].plate}</td>
+                  <td>
+                    <input
+                      key={wells[value].well}
+                      type="text"
+                      size="4"
+                      defaultValue={wells[value].well}
+                      title={source.wells[value] ? "From the source map" : "Laid out automatically; type a well to pin it"}
+                      onBlur={(e) => e.target.value !== wells[value].well && setWell(value, e.target.value)}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={source.volumes[value] === undefined ? "" : source.volumes[value]}
+                      onChange={(e) => setValueVolume(value, e.target.value)}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </fieldset>
+  );
+};
+
+// Options for "Export Worklist": which blocks, output format, transfer order and
+// the source plates (kept in the project, so the next run starts from them)
+const WorklistDialog = ({ plates, currentPlateIndex, schema, config, defaultTitle, onChange, onExport, onCancel }) => {
+  const [format, setFormat] = useState("csv");
+  const [scope, setScope] = useState("all");
+  const [title, setTitle] = useState(defaultTitle);
+  const [exporting, setExporting] = useState(false);
+  const selectedPlates = useMemo(
+    () => (scope === "current" ? [plates[currentPlateIndex]] : plates),
+    [scope, plates, currentPlateIndex]
+  );
+  const worklist = useMemo(() => buildWorklist(selectedPlates, schema, config), [selectedPlates, schema, config]);
+  const isOpentrons = format === "opentronsPython" || format === "opentronsJson";
+
+  const updateSource = (index, source, key) =>
+    onChange({ ...config, sources: config.sources.map((s, i) => (i === index ? source : s)) }, key && `${source.id}-${key}`);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await onExport(worklist, selectedPlates, { format, title });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal worklist-dialog">
+        <h3>Export worklist</h3>
+        <label>
+          Title <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} />
+        </label>
+        <label>
+          Blocks{" "}
+          <select value={scope} onChange={(e) => setScope(e.target.value)}>
+            <option value="all">All {countLabel(plates.length, "block")}</option>
+            <option value="current">Only Block {plates[currentPlateIndex].id}</option>
+          </select>
+        </label>
+        <label>
+          Format{" "}
+          <select value={format} onChange={(e) => setFormat(e.target.value)}>
+            {Object.keys(WORKLIST_FORMATS).map((key) => (
+              <option key={key} value={key}>{WORKLIST_FORMATS[key]}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Order{" "}
+          <select value={config.order} onChange={(e) => onChange({ ...config, order: e.target.value })}>
+            {Object.keys(TRANSFER_ORDERS).map((key) => (
+              <option key={key} value={key}>{TRANSFER_ORDERS[key]}</option>
+            ))}
+          </select>
+        </label>
+        {isOpentrons && (
+          <div>
+            <label>
+              Source labware{" "}
+              <input type="text" value={config.sourceLabware} onChange={(e) => onChange({ ...config, sourceLabware: e.target.value }, "labware")} />
+            </label>
+            <label>
+              Block labware{" "}
+              <input
+                type="text"
+                placeholder="By plate size (needed for 1536-well and custom)"
+                value={config.destinationLabware}
+                onChange={(e) => onChange({ ...config, destinationLabware: e.target.value }, "labware")}
+              />
+            </label>
+          </div>
+        )}
+
+        {config.sources.map((source, index) => (
+          <SourceEditor
+            key={source.id}
+            source={source}
+            wells={(worklist.layouts.find((layout) => layout.source.id === source.id) || { wells: {} }).wells}
+            schema={schema}
+            canRemove={config.sources.length > 1}
+            onChange={(next, key) => updateSource(index, next, key)}
+            onRemove={() => onChange({ ...config, sources: config.sources.filter((_, i) => i !== index) })}
+          />
+        ))}
+        <button className="template-btn" onClick={() => onChange({ ...config, sources: [...config.sources, createSource()] })}>
+          + Add Source Plate
+        </button>
+
+        <h4>{countLabel(worklist.transfers.length, "transfer")}</h4>
+        {worklist.problems.length > 0 && (
+          <ul className="worklist-problems">
+            {worklist.problems.map((problem, index) => (
+              <li key={index}>{problem}</li>
+            ))}
+          </ul>
+        )}
+        {worklist.transfers.length > 0 && (
+          <table>
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>From</th>
+                <th>To</th>
+                <th>Content</th>
+                <th>µL</th>
+              </tr>
+            </thead>
+            <tbody>
+              {worklist.transfers.slice(0, PREVIEW_TRANSFERS).map((t) => (
+                <tr key={t.step}>
+                  <td>{t.step}</td>
+                  <td>{t.sourcePlate} {t.sourceWell}</td>
+                  <td>Block {t.destinationId} {t.destinationWell}</td>
+                  <td>{t.value}</td>
+                  <td>{t.volume}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {worklist.transfers.length > PREVIEW_TRANSFERS && <p>… and {worklist.transfers.length - PREVIEW_TRANSFERS} more</p>}
+
+        <div className="modal-buttons">
+          <button className="template-btn" onClick={onCancel}>Cancel</button>
+          <button className="action-btn" onClick={handleExport} disabled={worklist.transfers.length === 0 || exporting}>
+            {exporting ? "Exporting…" : "Export"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WorklistDialog;
@@ -0,0 +1,145 @@
+// Well colours. Colours come from the value itself (a hash), so they are the
+// same after a reload and on everyone's screen and PDFs. Colour settings live in
+// the document (doc.colors): the palette, a scale per field and manual overrides.
+
+import { isEmptyValue } from "./metadataSchema";
+
+export const EMPTY_COLOR = "#e0e0e0"; // Neutral gray if no metadata
+
+// Categorical palettes; "pastel" spreads hues around the colour wheel, the others
+// are fixed colour-blind-safe sets (Okabe & Ito, Paul Tol's muted scheme)
+export const PALETTES = {
+  pastel: { label: "Pastel", colors: null },
+  okabeIto: {
+    label: "Colour-blind safe (Okabe-Ito)",
+    colors: ["#E69F00", "#56B4E9", "#009E73", "#F0E442", "#0072B2", "#D55E00", "#CC79A7", "#999999"],
+  },
+  tolMuted: {
+    label: "Colour-blind safe (Tol muted)",
+    colors: ["#CC6677", "#332288", "#DDCC77", "#117733", "#88CCEE", "#882255", "#44AA99", "#999933", "#AA4499"],
+  },
+};
+
+// How a field's values map to colours
+export const SCALE_TYPES = {
+  categorical: "One colour per value",
+  linear: "Numeric scale",
+  log: "Numeric scale (log, for dilutions)",
+};
+
+// Viridis, sampled; readable in greyscale and for colour-blind viewers
+const SEQUENTIAL_STOPS = ["#440154", "#482878", "#3e4989", "#31688e", "#26828e", "#1f9e89", "#35b779", "#6ece58", "#b5de2b", "#fde725"];
+
+export const DEFAULT_COLOR_SETTINGS = {
+  palette: "pastel",
+  scales: {}, // { fieldName: "categorical" | "linear" | "log" }; number fields default to "linear"
+  overrides: {}, // { fieldName: { value: "#rrggbb" } }
+};
+
+// FNV-1a; small, fast and stable across browsers
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Same value, same colour, every time
+export const getColorForValue = (value, palette = "pastel") => {
+  if (isEmptyValue(value)) return EMPTY_COLOR;
+  const hash = hashString(String(value));
+  const colors = (PALETTES[palette] || PALETTES.pastel).colors;
+  if (colors) return colors[hash % colors.length];
+  return `hsl(${hash % 360}, 60%, 75%)`; // Unique pleasant colors
+};
+
+const hslToRgb = (h, s, l) => {
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+  };
+  return [channel(0), channel(8), channel(4)];
+};
+
+// "#rrggbb" or "hsl(h, s%, l%)" as [r, g, b], for drawing outside the DOM (PDF, canvas)
+export const toRgb = (color) => {
+  const hex = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+  if (hex) return [parseInt(hex[1], 16), parseInt(hex[2], 16), parseInt(hex[3], 16)];
+  const hsl = /^hsl\(\s*([\d.]+)\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%\s*\)$/i.exec(color);
+  if (hsl) return hslToRgb(parseFloat(hsl[1]), parseFloat(hsl[2]) / 100, parseFloat(hsl[3]) / 100);
+  return [224, 224, 224];
+};
+
+export const toHex = ([r, g, b]) => `#${[r, g, b].map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+
+// Black or white, whichever reads better on the given background
+export const textColorFor = (color) => {
+  const [r, g, b] = toRgb(color);
+  return 0.299 * r + 0.587 * g + 0.114 * b > 150 ? "#000000" : "#ffffff";
+};
+
+// Colour at position t (0..1) along the sequential scale
+export const sequentialColor = (t) => {
+  const position = Math.max(0, Math.min(1, t)) * (SEQUENTIAL_STOPS.length - 1);
+  const index = Math.min(SEQUENTIAL_STOPS.length - 2, Math.floor(position));
+  const from = toRgb(SEQUENTIAL_STOPS[index]);
+  const to = toRgb(SEQUENTIAL_STOPS[index + 1]);
+  const f = position - index;
+  return toHex(from.map((c, i) => Math.round(c + (to[i] - c) * f)));
+};
+
+export const SEQUENTIAL_GRADIENT = `linear-gradient(to right, ${SEQUENTIAL_STOPS.join(", ")})`;
+
+export const getScaleType = (field, settings = DEFAULT_COLOR_SETTINGS) => {
+  if (!field) return "categorical";
+  return (settings.scales && settings.scales[field.name]) || (field.type === "number" ? "linear" : "categorical");
+};
+
+// Colour function for one field over the given plates:
+// { type, colorFor(value), min, max } (min and max only for numeric scales)
+export const createColorScale = (field, plates, settings = DEFAULT_COLOR_SETTINGS) => {
+  const type = getScaleType(field, settings);
+  const overrides = (field && settings.overrides && settings.overrides[field.name]) || {};
+  const palette = settings.palette || "pastel";
+  const withOverrides = (colorFor) => (value) =>
+    !isEmptyValue(value) && overrides[String(value)] ? overrides[String(value)] : colorFor(value);
+
+  if (type === "categorical" || !field) {
+    return { type: "categorical", colorFor: withOverrides((value) => getColorForValue(value, palette)) };
+  }
+
+  // ✅ Numeric scales stretch over the values present on all plates
+  const transform = (value) => (type === "log" ? Math.log10(value) : value);
+  const numbers = [];
+  plates.forEach((plate) =>
+    Object.values(plate.metadata).forEach((wellData) => {
+      const number = Number(wellData[field.name]);
+      if (!isEmptyValue(wellData[field.name]) && Number.isFinite(number) && (type !== "log" || number > 0)) numbers.push(number);
+    })
+  );
+  const min = numbers.length > 0 ? Math.min(...numbers) : 0;
+  const max = numbers.length > 0 ? Math.max(...numbers) : 0;
+  const low = numbers.length > 0 ? transform(min) : 0;
+  const span = numbers.length > 0 ? transform(max) - low : 0;
+
+  const colorFor = (value) => {
+    if (isEmptyValue(value)) return EMPTY_COLOR;
+    const number = Number(value);
+    if (!Number.isFinite(number) || (type === "log" && number <= 0)) return getColorForValue(value, palette); // Not on the scale
+    return sequentialColor(span > 0 ? (transform(number) - low) / span : 0.5);
+  };
+  return { type, colorFor: withOverrides(colorFor), min, max };
+};
+
+// Keeps colour settings attached to a field after it is renamed
+export const renameFieldInColors = (colors, oldName, newName) => {
+  const renameKey = (map) => {
+    if (!map || !(oldName in map)) return map;
+    const { [oldName]: entry, ...rest } = map;
+    return { ...rest, [newName]: entry };
+  };
+  return { ...colors, scales: renameKey(colors.scales), overrides: renameKey(colors.overrides) };
+};
@@ -0,0 +1,55 @@
+import { PLATE_FORMATS } from "./plateFormats";
+import { DEFAULT_SCHEMA, createField } from "./metadataSchema";
+import { createPlateMetadata } from "./plateModel";
+import { DEFAULT_COLOR_SETTINGS, EMPTY_COLOR, PALETTES, createColorScale, getColorForValue, renameFieldInColors } from "./colors";
+
+const makePlates = () => {
+  const plate = { id: 1, format: PLATE_FORMATS[6], metadata: createPlateMetadata(PLATE_FORMATS[6], DEFAULT_SCHEMA) };
+  ["1", "0.1", "0.01", "0.001"].forEach((dilution, index) => {
+    plate.metadata[`A${index + 1}`] = { ...plate.metadata[`A${index + 1}`], dilution, base_strain: `yNP${index}` };
+  });
+  return [plate];
+};
+
+test("colours depend only on the value", () => {
+  expect(getColorForValue("yNP22422")).toBe(getColorForValue("yNP22422"));
+  expect(getColorForValue("yNP22422")).toMatch(/^hsl\(\d+, 60%, 75%\)$/);
+  expect(getColorForValue("")).toBe(EMPTY_COLOR);
+  expect(PALETTES.okabeIto.colors).toContain(getColorForValue("yNP22422", "okabeIto"));
+});
+
+test("a value keeps its colour when plates are added or reordered", () => {
+  const settings = { ...DEFAULT_COLOR_SETTINGS, palette: "okabeIto" };
+  const [plate] = makePlates();
+  const other = { ...plate, id: 2, metadata: { ...plate.metadata, A1: { ...plate.metadata.A1, base_strain: "yNP9" } } };
+  const colorOf = (plates) => createColorScale(DEFAULT_SCHEMA[0], plates, settings).colorFor("yNP1");
+  expect(colorOf([plate])).toBe(getColorForValue("yNP1", "okabeIto"));
+  expect(colorOf([other, plate])).toBe(colorOf([plate]));
+  expect(colorOf([plate, other])).toBe(colorOf([plate]));
+});
+
+test("manual overrides win over the palette", () => {
+  const settings = { ...DEFAULT_COLOR_SETTINGS, overrides: { base_strain: { yNP1: "#123456" } } };
+  const scale = createColorScale(DEFAULT_SCHEMA[0], makePlates(), settings);
+  expect(scale.colorFor("yNP1")).toBe("#123456");
+  expect(scale.colorFor("yNP2")).toBe(getColorForValue("yNP2"));
+});
+
+test("numeric scales run from the lowest to the highest value", () => {
+  const dilution = DEFAULT_SCHEMA.find((field) => field.name === "dilution");
+  const log = createColorScale(dilution, makePlates(), { ...DEFAULT_COLOR_SETTINGS, scales: { dilution: "log" } });
+  expect([log.min, log.max]).toEqual([0.001, 1]);
+  expect(log.colorFor("0.001")).toBe("#440154");
+  expect(log.colorFor("1")).toBe("#fde725");
+  expect(log.colorFor("0.01")).toBe(log.colorFor("0.0100"));
+  expect(log.colorFor("")).toBe(EMPTY_COLOR);
+
+  // Number fields use a linear scale unless told otherwise
+  const od = createColorScale(createField("od", { type: "number" }), makePlates(), DEFAULT_COLOR_SETTINGS);
+  expect(od.type).toBe("linear");
+});
+
+test("renaming a field keeps its colour settings", () => {
+  const settings = { ...DEFAULT_COLOR_SETTINGS, scales: { dilution: "log" }, overrides: { dilution: { 1: "#000000" } } };
+  expect(renameFieldInColors(settings, "dilution", "dil")).toMatchObject({ scales: { dil: "log" }, overrides: { dil: { 1: "#000000" } } });
+});
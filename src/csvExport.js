@@ -0,0 +1,126 @@
+// CSV writing. Everything goes through Papa.unparse so values containing the
+// delimiter, quotes or line breaks are quoted and escaped per RFC 4180.
+
+import Papa from "papaparse";
+import JSZip from "jszip";
+import { getFieldNames, isWellEmpty } from "./metadataSchema";
+import { getRowLabel, getWellId, getWellIds } from "./plateFormats";
+import { EMPTY_PLACEHOLDER } from "./plateImport";
+import { getPlateColumnValues, getPlateColumns } from "./plateInfo";
+import { getProvenanceColumns, getProvenanceValues } from "./provenance";
+
+export const CSV_DELIMITERS = {
+  ",": "Comma",
+  ";": "Semicolon",
+  "\t": "Tab",
+};
+
+export const LINE_ENDINGS = {
+  "\r\n": "Windows (CRLF)",
+  "\n": "Unix (LF)",
+};
+
+// Matches the templates in public/: UTF-8 with a BOM, CRLF, blank wells as "empty"
+export const DEFAULT_CSV_OPTIONS = {
+  delimiter: ",",
+  lineEnding: "\r\n",
+  bom: true,
+  emptyWells: "placeholder", // "placeholder" writes "empty" into every field, "blank" leaves cells empty
+  provenance: false, // Add source / set_at / set_by columns for every field
+};
+
+export const writeCsv = (rows, options = {}) => {
+  const { delimiter, lineEnding, bom } = { ...DEFAULT_CSV_OPTIONS, ...options };
+  const text = Papa.unparse(rows, { delimiter, newline: lineEnding, quotes: false });
+  return `${bom ? "\uFEFF" : ""}${text}${lineEnding}`;
+};
+
+export const csvBlob = (text) => new Blob([text], { type: "text/csv;charset=utf-8" });
+
+// Long format (spots.csv): one row per well, one column per schema field.
+// With options.plateSchema, every row also carries its plate's name, barcode
+// and attributes in "plate:<name>" columns; with options.provenance, where each
+// value came from in "source:<field>", "set_at:<field>" and "set_by:<field>".
+export const buildLongFormatRows = (plates, schema, options = {}) => {
+  const { emptyWells, plateSchema, provenance } = { ...DEFAULT_CSV_OPTIONS, ...options };
+  const fieldNames = getFieldNames(schema);
+  const rows = [
+    [
+      "from_block",
+      "well",
+      ...fieldNames,
+      ...(plateSchema ? getPlateColumns(plateSchema) : []),
+      ...(provenance ? getProvenanceColumns(fieldNames) : []),
+    ],
+  ];
+
+  plates.forEach((plate) => {
+    const plateValues = plateSchema ? getPlateColumnValues(plate, plateSchema) : [];
+    getWellIds(plate.format).forEach((well) => {
+      const data = plate.metadata[well] || {};
+      const provenanceValues = provenance ? getProvenanceValues(plate, well, fieldNames) : [];
+
+      // ✅ If the entire row is empty, optionally set all fields to "empty"
+      if (isWellEmpty(data) && emptyWells === "placeholder") {
+        rows.push([plate.id, well, ...fieldNames.map(() => EMPTY_PLACEHOLDER), ...plateValues, ...provenanceValues]);
+      } else {
+        rows.push([
+          plate.id,
+          well,
+          ...fieldNames.map((name) => (data[name] === undefined || data[name] === null ? "" : data[name])),
+          ...plateValues,
+          ...provenanceValues,
+        ]);
+      }
+    });
+  });
+
+  return rows;
+};
+
+export const exportLongFormatCsv = (plates, schema, options = {}) => writeCsv(buildLongFormatRows(plates, schema, options), options);
+
+// Grid format (basestrain_wells.csv): one "Block N" section per plate holding a
+// single field, column numbers across the top, row letters down the side and a
+// blank row between blocks. Empty wells are always blank cells.
+export const buildGridRows = (plates, fieldName) => {
+  const rows = [];
+  plates.forEach((plate, index) => {
+    const { rows: rowCount, columns } = plate.format;
+    if (index > 0) rows.push(new Array(columns + 1).fill(""));
+    rows.push([`Block ${plate.id}`, ...Array.from({ length: columns }, (_, col) => col + 1)]);
+    for (let row = 0; row < rowCount; row++) {
+      const cells = [];
+      for (let col = 1; col <= columns; col++) {
+        const value = (plate.metadata[getWellId(row, col)] || {})[fieldName];
+        cells.push(value === undefined || value === null ? "" : value);
+      }
+      rows.push([getRowLabel(row), ...cells]);
+    }
+  });
+  return rows;
+};
+
+export const exportGridCsv = (plates, fieldName, options = {}) => writeCsv(buildGridRows(plates, fieldName), options);
+
+// "<field>_wells.csv", the name the importer recognises for grid files
+export const gridFileName = (fieldName) => `${fieldName}_wells.csv`;
+
+// One row per plate: from_block, then the "plate:<name>" columns
+export const buildPlateInfoRows = (plates, plateSchema) => [
+  ["from_block", ...getPlateColumns(plateSchema)],
+  ...plates.map((plate) => [plate.id, ...getPlateColumnValues(plate, plateSchema)]),
+];
+
+export const PLATE_INFO_FILE_NAME = "plates.csv";
+
+// Every schema field as its own grid file, zipped; with options.plateSchema the
+// plate names, barcodes and attributes go alongside in plates.csv
+export const exportGridZip = (plates, schema, options = {}) => {
+  const zip = new JSZip();
+  getFieldNames(schema).forEach((fieldName) => {
+    zip.file(gridFileName(fieldName), exportGridCsv(plates, fieldName, options));
+  });
+  if (options.plateSchema) zip.file(PLATE_INFO_FILE_NAME, writeCsv(buildPlateInfoRows(plates, options.plateSchema), options));
+  return zip.generateAsync({ type: "blob" });
+};
@@ -0,0 +1,130 @@
+import { PLATE_FORMATS } from "./plateFormats";
+import { DEFAULT_SCHEMA, createField } from "./metadataSchema";
+import { createPlateMetadata } from "./plateModel";
+import { buildGridRows, buildLongFormatRows, exportGridCsv, exportLongFormatCsv, gridFileName } from "./csvExport";
+import { importPlateCsv } from "./plateImport";
+import { DEFAULT_PLATE_SCHEMA, conformPlateInfo } from "./plateInfo";
+import { createStamp, recordProvenance } from "./provenance";
+
+const schema = [...DEFAULT_SCHEMA, createField("concentration", { type: "number", unit: "µM" })];
+const plateSchema = DEFAULT_PLATE_SCHEMA;
+
+const makePlates = () => {
+  const block1 = conformPlateInfo(
+    {
+      id: 1,
+      name: "Screen, day 1",
+      barcode: "KB-0001",
+      attributes: { media: "YPD", temperature: "30" },
+      format: PLATE_FORMATS[96],
+      metadata: createPlateMetadata(PLATE_FORMATS[96], schema),
+    },
+    plateSchema
+  );
+  block1.metadata.A1 = { ...block1.metadata.A1, base_strain: "yNP22422", notes: 'spot, then "dry"\nrepeat;\ttwice' };
+  block1.metadata.B2 = { ...block1.metadata.B2, nanobody: "Nb-α 12", concentration: "2.5" };
+  block1.metadata.H12 = { ...block1.metadata.H12, notes: "  padded  " };
+
+  const block3 = conformPlateInfo({ id: 3, format: PLATE_FORMATS[384], metadata: createPlateMetadata(PLATE_FORMATS[384], schema) }, plateSchema);
+  block3.metadata.P24 = { ...block3.metadata.P24, base_strain: "yNP22423", dilution: "1e-3" };
+  return [block1, block3];
+};
+
+const roundTrip = (plates, options) =>
+  importPlateCsv(exportLongFormatCsv(plates, schema, { ...options, plateSchema }), "spots.csv", { plates: [], schema, plateSchema });
+
+test.each([
+  [{}],
+  [{ delimiter: ";", lineEnding: "\n", bom: false }],
+  [{ delimiter: "\t", emptyWells: "blank" }],
+])("long-format export reads back exactly (%j)", (options) => {
+  const plates = makePlates();
+  const imported = roundTrip(plates, options);
+  expect(imported.layout).toBe("long");
+  expect(imported.schema.map((f) => f.name)).toEqual(schema.map((f) => f.name));
+  expect(imported.plateSchema).toEqual(plateSchema);
+  expect(imported.plates).toEqual(plates);
+});
+
+test("plate columns follow the well fields and repeat on every row", () => {
+  const rows = buildLongFormatRows(makePlates(), schema, { plateSchema });
+  expect(rows[0].slice(-7)).toEqual([
+    "plate:name",
+    "plate:barcode",
+    "plate:date_spotted",
+    "plate:media",
+    "plate:temperature",
+    "plate:operator",
+    "plate:source_plate",
+  ]);
+  expect(rows[5].slice(-7)).toEqual(["Screen, day 1", "KB-0001", "", "YPD", "30", "", ""]);
+  expect(buildLongFormatRows(makePlates(), schema)[0]).toHaveLength(2 + schema.length);
+});
+
+test("unknown plate columns become plate fields on import", () => {
+  const text = "from_block,well,base_strain,plate:incubator\r\n7,A1,yNP1,Shelf 2\r\n7,A2,yNP2,\r\n";
+  const imported = importPlateCsv(text, "spots.csv", { plates: [], schema, plateSchema });
+  expect(imported.plateSchema.map((f) => f.name)).toEqual([...plateSchema.map((f) => f.name), "incubator"]);
+  expect(imported.plates[0].id).toBe(7);
+  expect(imported.plates[0].attributes.incubator).toBe("Shelf 2");
+  expect(imported.plates[0].metadata.A1).not.toHaveProperty("plate:incubator");
+});
+
+test("provenance columns give the source of each field's current value and are skipped on import", () => {
+  const plates = makePlates();
+  const doc = { plates, schema };
+  const edited = { ...plates[0], metadata: { ...plates[0].metadata, A2: { ...plates[0].metadata.A2, base_strain: "yNP5" } } };
+  const stamp = createStamp("import", "spots.csv", "Sam", "2024-05-01T14:03:00.000Z");
+  const recorded = recordProvenance(doc, { ...doc, plates: [edited, plates[1]] }, stamp).plates;
+
+  const rows = buildLongFormatRows(recorded, schema, { provenance: true });
+  expect(rows[0].slice(2 + schema.length, 2 + schema.length + 3)).toEqual(["source:base_strain", "set_at:base_strain", "set_by:base_strain"]);
+  expect(rows[0]).toHaveLength(2 + schema.length * 4);
+  expect(rows[2].slice(2 + schema.length, 2 + schema.length + 3)).toEqual(["Imported: spots.csv", "2024-05-01T14:03:00.000Z", "Sam"]);
+  expect(rows[1].slice(2 + schema.length).every((val) => val === "")).toBe(true);
+
+  const text = exportLongFormatCsv(recorded, schema, { provenance: true, plateSchema });
+  const imported = importPlateCsv(text, "spots.csv", { plates: [], schema, plateSchema });
+  expect(imported.schema.map((f) => f.name)).toEqual(schema.map((f) => f.name));
+  expect(imported.plates[0].metadata.A2.base_strain).toBe("yNP5");
+});
+
+test("values with delimiters, quotes and newlines are quoted", () => {
+  const text = exportLongFormatCsv(makePlates(), schema);
+  expect(text.startsWith("\uFEFFfrom_block,well,base_strain")).toBe(true);
+  expect(text).toContain('"spot, then ""dry""\nrepeat;\ttwice"');
+  expect(text.endsWith("\r\n")).toBe(true);
+});
+
+test("blank wells are written as placeholders or left empty", () => {
+  const plates = makePlates();
+  const placeholderRow = buildLongFormatRows(plates, schema)[3];
+  expect(placeholderRow.slice(0, 3)).toEqual([1, "A3", "empty"]);
+  const blankRow = buildLongFormatRows(plates, schema, { emptyWells: "blank" })[3];
+  expect(blankRow.slice(2).every((val) => val === "")).toBe(true);
+});
+
+test.each([["base_strain"], ["nanobody"], ["dilution"]])("grid export of %s reads back into the same wells", (fieldName) => {
+  const plates = makePlates();
+  const text = exportGridCsv(plates, fieldName, { delimiter: ";" });
+  // Blocks with nothing in them are only imported over existing plates
+  const blankPlates = plates.map((plate) => ({ ...plate, metadata: createPlateMetadata(plate.format, schema) }));
+  const imported = importPlateCsv(text, gridFileName(fieldName), { plates: blankPlates, schema, plateSchema });
+
+  expect(imported.layout).toBe("grid");
+  expect(imported.plates.map((plate) => [plate.id, plate.format])).toEqual(plates.map((plate) => [plate.id, plate.format]));
+  imported.plates.forEach((plate, index) => {
+    Object.keys(plates[index].metadata).forEach((wellId) => {
+      expect(plate.metadata[wellId][fieldName]).toBe(plates[index].metadata[wellId][fieldName]);
+    });
+  });
+});
+
+test("grid export matches the template layout", () => {
+  const rows = buildGridRows(makePlates(), "base_strain");
+  expect(rows[0]).toEqual(["Block 1", 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+  expect(rows[1].slice(0, 3)).toEqual(["A", "yNP22422", ""]);
+  expect(rows[9]).toEqual(new Array(25).fill(""));
+  expect(rows[10].slice(0, 2)).toEqual(["Block 3", 1]);
+  expect(rows).toHaveLength(1 + 8 + 1 + 1 + 16);
+});
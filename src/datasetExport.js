@@ -0,0 +1,214 @@
+// Annotations for segmentation / ML datasets: one image per block, one annotation
+// per well, the class label taken from a chosen metadata field and every well
+// field kept as an attribute. Image file names come from a naming pattern
+// ("block{block:3}.jpg" -> block001.jpg); the same pattern matches files back
+// to blocks. Pixel boxes come from the block's photo alignment (plateImage.js).
+
+import { getFieldNames, isEmptyValue } from "./metadataSchema";
+import { getWellIds, parseWellId } from "./plateFormats";
+import { EMPTY_PLACEHOLDER } from "./plateImport";
+import { getWellGeometry, isAlignmentValid } from "./plateImage";
+import { getWellRole } from "./wellRoles";
+
+export const DATASET_FORMATS = {
+  coco: "COCO JSON",
+  jsonl: "JSON Lines manifest (one block image per line)",
+};
+
+export const DEFAULT_DATASET_CONFIG = {
+  labelField: "base_strain",
+  fileNamePattern: "block{block}.jpg",
+  includeEmpty: false, // Wells without a label get the "empty" class instead of being left out
+};
+
+// {block}, {block:3} (zero-padded), {name}, {barcode} and any plate attribute, e.g. {media}
+const PLACEHOLDER = /\{(\w+)(?::(\d+))?\}/g;
+
+const placeholderValue = (plate, key) => {
+  if (key === "block") return String(plate.id);
+  if (key === "name" || key === "barcode") return plate[key] || "";
+  const value = (plate.attributes || {})[key];
+  return value === undefined || value === null ? "" : String(value);
+};
+
+export const renderFileName = (pattern, plate) =>
+  pattern.replace(PLACEHOLDER, (_, key, width) => {
+    const value = placeholderValue(plate, key);
+    return width && key === "block" ? value.padStart(Number(width), "0") : value;
+  });
+
+const stripExtension = (fileName) => fileName.replace(/\.[a-z0-9]+$/i, "");
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// The plate a file name belongs to under the pattern, or null. Extensions and
+// case are ignored, and {block} matches with or without zero padding.
+export const matchFileToPlate = (pattern, fileName, plates) => {
+  const keys = [];
+  let source = "";
+  let last = 0;
+  const bare = stripExtension(pattern);
+  bare.replace(PLACEHOLDER, (match, key, _, offset) => {
+    source += escapeRegExp(bare.slice(last, offset)) + (key === "block" ? "(\\d+)" : "(.+?)");
+    keys.push(key);
+    last = offset + match.length;
+    return match;
+  });
+  source += escapeRegExp(bare.slice(last));
+  const match = new RegExp(`^${source}$`, "i").exec(stripExtension(fileName));
+  if (!match || keys.length === 0) return null;
+  return (
+    plates.find((plate) =>
+      keys.every((key, i) =>
+        key === "block"
+          ? Number(match[i + 1]) === plate.id
+          : match[i + 1].toLowerCase() === placeholderValue(plate, key).toLowerCase()
+      )
+    ) || null
+  );
+};
+
+// Everything both formats need. imageFiles: { plateId: { fileName, width, height } }
+// for image files matched to blocks; otherwise names come from the pattern and
+// sizes from the photo alignment.
+// Returns { images: [{ plate, fileName, width, height, aligned, wells: [{ wellId, label, geometry, data }] }],
+//           categories: [label], problems: [message] }
+export const buildDatasetRecords = (plates, schema, config = DEFAULT_DATASET_CONFIG, imageFiles = {}) => {
+  const { labelField, fileNamePattern, includeEmpty } = { ...DEFAULT_DATASET_CONFIG, ...config };
+  const problems = [];
+  const categories = [];
+  if (!getFieldNames(schema).includes(labelField)) problems.push(`There is no field "${labelField}" to use as the class label.`);
+
+  const images = plates.map((plate) => {
+    const aligned = isAlignmentValid(plate.format, plate.photo);
+    const file = imageFiles[plate.id];
+    const size = file || (aligned ? plate.photo : { width: null, height: null });
+    if (aligned && file && (file.width !== plate.photo.width || file.height !== plate.photo.height)) {
+      problems.push(`Block ${plate.id}: ${file.fileName} is not the size of the photo the grid was aligned on; boxes may be off.`);
+    }
+    if (!aligned) problems.push(`Block ${plate.id} has no photo alignment, so its wells have no pixel boxes.`);
+
+    const geometry = aligned ? getWellGeometry(plate) : {};
+    const wells = [];
+    getWellIds(plate.format).forEach((wellId) => {
+      const data = plate.metadata[wellId] || {};
+      if (getWellRole(data) === "excluded") return;
+      const value = data[labelField];
+      if (isEmptyValue(value) && !includeEmpty) return;
+      const label = isEmptyValue(value) ? EMPTY_PLACEHOLDER : String(value);
+      if (!categories.includes(label)) categories.push(label);
+      wells.push({ wellId, label, geometry: geometry[wellId] || null, data });
+    });
+
+    return {
+      plate,
+      fileName: file ? file.fileName : renderFileName(fileNamePattern, plate),
+      width: size.width,
+      height: size.height,
+      aligned,
+      wells,
+    };
+  });
+
+  const fileNames = images.map((image) => image.fileName.toLowerCase());
+  if (new Set(fileNames).size !== fileNames.length) {
+    problems.push("Several blocks get the same image file name; add {block} to the naming pattern.");
+  }
+  categories.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  return { images, categories, problems };
+};
+
+// Every well field, plus where the well is
+const wellAttributes = (schema, well) => {
+  const { row, column } = parseWellId(well.wellId);
+  const attributes = { well: well.wellId, row: row + 1, column };
+  getFieldNames(schema).forEach((name) => {
+    const value = well.data[name];
+    attributes[name] = value === undefined || value === null ? "" : value;
+  });
+  return attributes;
+};
+
+const boxOf = (geometry) => [geometry.box.x, geometry.box.y, geometry.box.width, geometry.box.height];
+
+const plateRecord = (image) => ({
+  block: image.plate.id,
+  name: image.plate.name || "",
+  barcode: image.plate.barcode || "",
+  plate_attributes: { ...image.plate.attributes },
+});
+
+// COCO: images, categories and one annotation per well. Wells of unaligned
+// blocks have no bbox / segmentation.
+export const buildCocoDataset = (records, schema, config = DEFAULT_DATASET_CONFIG, { title = "", date = new Date() } = {}) => {
+  const categoryIds = {};
+  records.categories.forEach((label, i) => {
+    categoryIds[label] = i + 1;
+  });
+  const annotations = [];
+  records.images.forEach((image) => {
+    image.wells.forEach((well) => {
+      const annotation = {
+        id: annotations.length + 1,
+        image_id: image.plate.id,
+        category_id: categoryIds[well.label],
+        iscrowd: 0,
+        attributes: wellAttributes(schema, well),
+      };
+      if (well.geometry) {
+        annotation.bbox = boxOf(well.geometry);
+        annotation.area = well.geometry.box.width * well.geometry.box.height;
+        annotation.segmentation = [well.geometry.outline.flatMap(([x, y]) => [Math.round(x * 10) / 10, Math.round(y * 10) / 10])];
+      }
+      annotations.push(annotation);
+    });
+  });
+  return {
+    info: { description: title, date_created: date.toISOString(), version: "1.0" },
+    images: records.images.map((image) => ({
+      id: image.plate.id,
+      file_name: image.fileName,
+      width: image.width,
+      height: image.height,
+      ...plateRecord(image),
+    })),
+    categories: records.categories.map((label) => ({
+      id: categoryIds[label],
+      name: label,
+      supercategory: { ...DEFAULT_DATASET_CONFIG, ...config }.labelField,
+    })),
+    annotations,
+  };
+};
+
+// JSON Lines: one record per block image holding its wells
+export const buildJsonlManifest = (records, schema) =>
+  records.images
+    .map((image) =>
+      JSON.stringify({
+        file_name: image.fileName,
+        width: image.width,
+        height: image.height,
+        ...plateRecord(image),
+        wells: image.wells.map((well) => ({
+          well: well.wellId,
+          label: well.label,
+          ...(well.geometry ? { bbox: boxOf(well.geometry), center: well.geometry.center } : {}),
+          attributes: wellAttributes(schema, well),
+        })),
+      })
+    )
+    .join("\n") + "\n";
+
+// Builds the chosen format; returns { blob, fileName }
+export const exportDataset = (records, schema, config, { format = "coco", title, date } = {}) => {
+  if (format === "jsonl") {
+    return { blob: new Blob([buildJsonlManifest(records, schema)], { type: "application/x-ndjson" }), fileName: "annotations.jsonl" };
+  }
+  const coco = buildCocoDataset(records, schema, config, { title, date });
+  return { blob: new Blob([JSON.stringify(coco, null, 2)], { type: "application/json" }), fileName: "annotations_coco.json" };
+};
+
+export const renameFieldInDataset = (config, oldName, newName) => ({
+  ...config,
+  labelField: config.labelField === oldName ? newName : config.labelField,
+});
@@ -0,0 +1,105 @@
+import { PLATE_FORMATS } from "./plateFormats";
+import { DEFAULT_SCHEMA } from "./metadataSchema";
+import { createPlateMetadata } from "./plateModel";
+import { ensureRoleField } from "./wellRoles";
+import {
+  DEFAULT_DATASET_CONFIG,
+  buildCocoDataset,
+  buildDatasetRecords,
+  buildJsonlManifest,
+  matchFileToPlate,
+  renameFieldInDataset,
+  renderFileName,
+} from "./datasetExport";
+
+const schema = ensureRoleField(DEFAULT_SCHEMA);
+
+// 24-well photo, 100 px pitch, A1 centred at (100, 100)
+const photo = { fileName: "IMG_0001.jpg", width: 800, height: 500, corners: [[100, 100], [600, 100], [600, 400], [100, 400]] };
+
+const makePlate = (id, values, info = {}) => {
+  const plate = { id, name: "", barcode: "", attributes: { media: "YPD" }, format: PLATE_FORMATS[24], metadata: createPlateMetadata(PLATE_FORMATS[24], schema), ...info };
+  Object.keys(values).forEach((wellId) => {
+    plate.metadata[wellId] = { ...plate.metadata[wellId], ...values[wellId] };
+  });
+  return plate;
+};
+
+const plates = [
+  makePlate(3, { A1: { base_strain: "yNP2", nanobody: "Nb1" }, A2: { base_strain: "yNP10" }, B1: { base_strain: "yNP2", role: "excluded" } }, { barcode: "KB-3", photo }),
+  makePlate(12, { C4: { base_strain: "yNP10" } }, { barcode: "KB-12" }),
+];
+
+test("image names follow the pattern and files match back to their block", () => {
+  expect(renderFileName("block{block:3}_{media}.jpg", plates[0])).toBe("block003_YPD.jpg");
+  expect(renderFileName("{barcode}.tif", plates[1])).toBe("KB-12.tif");
+  expect(matchFileToPlate("block{block:3}.jpg", "Block12.PNG", plates)).toBe(plates[1]);
+  expect(matchFileToPlate("block{block}.jpg", "block003.jpg", plates)).toBe(plates[0]);
+  expect(matchFileToPlate("{barcode}_day1.jpg", "kb-3_day1.jpeg", plates)).toBe(plates[0]);
+  expect(matchFileToPlate("block{block}.jpg", "block7.jpg", plates)).toBeNull();
+  expect(matchFileToPlate("plate.jpg", "plate.jpg", plates)).toBeNull();
+});
+
+test("labelled wells become annotations; excluded and unlabelled wells are left out", () => {
+  const records = buildDatasetRecords(plates, schema);
+  expect(records.categories).toEqual(["yNP2", "yNP10"]);
+  expect(records.images.map((image) => [image.fileName, image.width, image.wells.map((well) => well.wellId)])).toEqual([
+    ["block3.jpg", 800, ["A1", "A2"]],
+    ["block12.jpg", null, ["C4"]],
+  ]);
+  expect(records.problems).toEqual(["Block 12 has no photo alignment, so its wells have no pixel boxes."]);
+
+  const withEmpty = buildDatasetRecords(plates, schema, { ...DEFAULT_DATASET_CONFIG, includeEmpty: true, labelField: "nanobody" });
+  expect(withEmpty.categories).toEqual(["empty", "Nb1"]);
+  expect(withEmpty.images[0].wells).toHaveLength(23);
+});
+
+test("matched image files give the real names and sizes", () => {
+  const records = buildDatasetRecords(plates, schema, DEFAULT_DATASET_CONFIG, { 12: { fileName: "block012.png", width: 1200, height: 900 } });
+  expect(records.images[1]).toMatchObject({ fileName: "block012.png", width: 1200, height: 900 });
+});
+
+test("COCO output has one image per block, one category per label and boxes for aligned blocks", () => {
+  const coco = buildCocoDataset(buildDatasetRecords(plates, schema), schema, DEFAULT_DATASET_CONFIG, {
+    title: "Screen 1",
+    date: new Date("2024-05-01T00:00:00Z"),
+  });
+  expect(coco.info).toEqual({ description: "Screen 1", date_created: "2024-05-01T00:00:00.000Z", version: "1.0" });
+  expect(coco.images[0]).toEqual({
+    id: 3,
+    file_name: "block3.jpg",
+    width: 800,
+    height: 500,
+    block: 3,
+    name: "",
+    barcode: "KB-3",
+    plate_attributes: { media: "YPD" },
+  });
+  expect(coco.categories).toEqual([
+    { id: 1, name: "yNP2", supercategory: "base_strain" },
+    { id: 2, name: "yNP10", supercategory: "base_strain" },
+  ]);
+  const [a1, , c4] = coco.annotations;
+  expect(a1).toMatchObject({ id: 1, image_id: 3, category_id: 1, bbox: [50, 50, 100, 100], area: 10000, iscrowd: 0 });
+  expect(a1.segmentation).toEqual([[50, 50, 150, 50, 150, 150, 50, 150]]);
+  expect(a1.attributes).toMatchObject({ well: "A1", row: 1, column: 1, base_strain: "yNP2", nanobody: "Nb1", role: "" });
+  expect(c4).toMatchObject({ id: 3, image_id: 12, category_id: 2 });
+  expect(c4.bbox).toBeUndefined();
+});
+
+test("the JSON Lines manifest has one record per block image", () => {
+  const lines = buildJsonlManifest(buildDatasetRecords(plates, schema), schema).trim().split("\n").map((line) => JSON.parse(line));
+  expect(lines).toHaveLength(2);
+  expect(lines[0]).toMatchObject({ file_name: "block3.jpg", block: 3, barcode: "KB-3", plate_attributes: { media: "YPD" } });
+  expect(lines[0].wells[0]).toMatchObject({ well: "A1", label: "yNP2", bbox: [50, 50, 100, 100], center: [100, 100] });
+  expect(lines[1].wells[0]).toEqual({
+    well: "C4",
+    label: "yNP10",
+    attributes: expect.objectContaining({ well: "C4", row: 3, column: 4, base_strain: "yNP10" }),
+  });
+});
+
+test("renaming the label field follows into the settings", () => {
+  expect(renameFieldInDataset(DEFAULT_DATASET_CONFIG, "base_strain", "strain").labelField).toBe("strain");
+  expect(renameFieldInDataset(DEFAULT_DATASET_CONFIG, "nanobody", "nb").labelField).toBe("base_strain");
+});
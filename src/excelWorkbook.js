@@ -0,0 +1,154 @@
+// Excel workbooks (.xlsx). Reading: every worksheet is turned into rows of
+// strings and parsed like a CSV (long or grid layout), so a workbook can hold
+// one long table or one sheet per block (and field). Writing: a long-format
+// "spots" sheet, the plate information and one grid sheet per block and field
+// with the cells filled in the colours shown on screen.
+
+import ExcelJS from "exceljs";
+import { getFieldNames } from "./metadataSchema";
+import { GRID_COLUMN, mergeParsedPlates, parsePlateRows } from "./plateImport";
+import { buildGridRows, buildLongFormatRows, buildPlateInfoRows } from "./csvExport";
+import { createColorScale, textColorFor, toHex, toRgb } from "./colors";
+
+export const WORKBOOK_MIME_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+export const isWorkbookFile = (fileName) => /\.xlsx$/i.test(String(fileName || ""));
+
+// A cell's value as the text a CSV would hold
+const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso;
+  }
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if ("result" in value) return cellText(value.result); // Formula: its last computed value
+    if ("text" in value) return cellText(value.text); // Hyperlink
+    return ""; // Errors
+  }
+  return String(value);
+};
+
+// [{ name, rows }] with rows of strings; blank rows and trailing blank cells are dropped
+export const readWorkbookSheets = async (data) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(data);
+  return workbook.worksheets.map((worksheet) => {
+    const rows = [];
+    for (let r = 1; r <= worksheet.rowCount; r++) {
+      const cells = [];
+      for (let c = 1; c <= worksheet.columnCount; c++) cells.push(cellText(worksheet.getCell(r, c).value).trim());
+      while (cells.length > 0 && cells[cells.length - 1] === "") cells.pop();
+      if (cells.length > 0) rows.push(cells);
+    }
+    return { name: worksheet.name, rows };
+  });
+};
+
+// Field a grid sheet holds, from a sheet name ending in the field ("Block 2 nanobody")
+export const gridFieldFromSheetName = (sheetName, schema = []) => {
+  const name = String(sheetName || "").trim().toLowerCase();
+  const match = [...getFieldNames(schema)]
+    .sort((a, b) => b.length - a.length)
+    .find((fieldName) => name.endsWith(fieldName.toLowerCase()));
+  return match || null;
+};
+
+// Block number a sheet without a "Block N" label stands for: the first number in its name
+const blockIdFromSheetName = (sheetName) => {
+  const match = /\d+/.exec(String(sheetName || ""));
+  return match ? parseInt(match[0], 10) : null;
+};
+
+const parseSheet = (sheet, index, schema) => {
+  const parsed = parsePlateRows(sheet.rows, { fallbackBlockId: blockIdFromSheetName(sheet.name) || index + 1 });
+  const field = parsed.layout === "grid" && gridFieldFromSheetName(sheet.name, schema);
+  if (!field) return parsed;
+  // ✅ A grid sheet named after a field fills that field
+  return {
+    ...parsed,
+    columns: [field],
+    blocks: parsed.blocks.map((block) => {
+      const wells = {};
+      Object.keys(block.wells).forEach((wellId) => {
+        wells[wellId] = { [field]: block.wells[wellId][GRID_COLUMN] };
+      });
+      return { ...block, wells };
+    }),
+  };
+};
+
+// Per sheet: { name, layout, blockIds } for choosing what to import
+export const describeSheets = (sheets, schema) =>
+  sheets.map((sheet, index) => {
+    const parsed = parseSheet(sheet, index, schema);
+    return { name: sheet.name, layout: parsed.layout, blockIds: parsed.blocks.map((block) => block.id) };
+  });
+
+// Sheets picked at first: the long tables if there are any (a workbook this app
+// wrote holds the same data twice), otherwise every sheet with blocks
+export const defaultSheetSelection = (descriptions) => {
+  const withBlocks = descriptions.filter((sheet) => sheet.blockIds.length > 0);
+  const long = withBlocks.filter((sheet) => sheet.layout === "long");
+  return (long.length > 0 ? long : withBlocks).map((sheet) => sheet.name);
+};
+
+// The chosen sheets as one import, in the shape parsePlateCsv returns
+export const parseWorkbookSheets = (sheets, sheetNames, schema) =>
+  mergeParsedPlates(
+    sheets.map((sheet, index) => (sheetNames.includes(sheet.name) ? parseSheet(sheet, index, schema) : null)).filter(Boolean)
+  );
+
+// Excel sheet names: at most 31 characters, none of : \ / ? * [ ], unique
+const sheetName = (name, used) => {
+  const base = name.replace(/[:\\/?*[\]]/g, "_").slice(0, 31);
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${base.slice(0, 31 - String(n).length - 1)}~${n}`;
+  used.add(candidate.toLowerCase());
+  return candidate;
+};
+
+const argb = (color) => `FF${toHex(toRgb(color)).slice(1).toUpperCase()}`;
+
+const addTable = (workbook, name, rows) => {
+  const worksheet = workbook.addWorksheet(name, { views: [{ state: "frozen", xSplit: 0, ySplit: 1 }] });
+  worksheet.addRows(rows);
+  worksheet.getRow(1).font = { bold: true };
+  return worksheet;
+};
+
+// options: { plateSchema, colors, emptyWells } (emptyWells as in the CSV export)
+export const buildWorkbook = (plates, schema, options = {}) => {
+  const { plateSchema, colors, emptyWells } = options;
+  const workbook = new ExcelJS.Workbook();
+  const used = new Set();
+  addTable(workbook, sheetName("spots", used), buildLongFormatRows(plates, schema, { plateSchema, emptyWells }));
+  if (plateSchema) addTable(workbook, sheetName("plates", used), buildPlateInfoRows(plates, plateSchema));
+
+  const scales = schema.map((field) => createColorScale(field, plates, colors));
+  plates.forEach((plate) => {
+    schema.forEach((field, fieldIndex) => {
+      const scale = scales[fieldIndex];
+      const worksheet = workbook.addWorksheet(sheetName(`Block ${plate.id} ${field.name}`, used));
+      worksheet.addRows(buildGridRows([plate], field.name));
+      worksheet.getRow(1).font = { bold: true };
+      worksheet.getColumn(1).font = { bold: true };
+      for (let row = 2; row <= plate.format.rows + 1; row++) {
+        for (let column = 2; column <= plate.format.columns + 1; column++) {
+          const cell = worksheet.getCell(row, column);
+          const color = scale.colorFor(cell.value === null ? "" : cell.value);
+          cell.fill = { type: "pattern", pattern: "solid", fgColor: { argb: argb(color) } };
+          cell.font = { color: { argb: argb(textColorFor(color)) } };
+          cell.border = { top: { style: "thin" }, left: { style: "thin" }, bottom: { style: "thin" }, right: { style: "thin" } };
+        }
+      }
+    });
+  });
+  return workbook;
+};
+
+export const exportWorkbook = async (plates, schema, options = {}) => {
+  const buffer = await buildWorkbook(plates, schema, options).xlsx.writeBuffer();
+  return new Blob([buffer], { type: WORKBOOK_MIME_TYPE });
+};
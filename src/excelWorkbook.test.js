@@ -0,0 +1,90 @@
+import ExcelJS from "exceljs";
+import { PLATE_FORMATS } from "./plateFormats";
+import { DEFAULT_SCHEMA, createField } from "./metadataSchema";
+import { DEFAULT_PLATE_SCHEMA } from "./plateInfo";
+import { createPlateMetadata } from "./plateModel";
+import { DEFAULT_COLOR_SETTINGS, createColorScale, toHex, toRgb } from "./colors";
+import { GRID_COLUMN } from "./plateImport";
+import {
+  buildWorkbook,
+  defaultSheetSelection,
+  describeSheets,
+  gridFieldFromSheetName,
+  parseWorkbookSheets,
+  readWorkbookSheets,
+} from "./excelWorkbook";
+
+const schema = [...DEFAULT_SCHEMA, createField("spot_volume", { type: "number" })];
+
+const makePlate = (id, values) => {
+  const plate = { id, name: "", barcode: `KB-${id}`, attributes: {}, format: PLATE_FORMATS[6], metadata: createPlateMetadata(PLATE_FORMATS[6], schema) };
+  Object.keys(values).forEach((wellId) => {
+    plate.metadata[wellId] = { ...plate.metadata[wellId], ...values[wellId] };
+  });
+  return plate;
+};
+
+const plates = [makePlate(1, { A1: { base_strain: "yNP2", spot_volume: 2.5 } }), makePlate(4, { B3: { base_strain: "yNP10" } })];
+
+// Writes a workbook and reads it back, as an upload would
+const roundTrip = async (workbook) => readWorkbookSheets(await workbook.xlsx.writeBuffer());
+
+test("the exported workbook has a long sheet, plate info and coloured grid sheets", async () => {
+  const workbook = buildWorkbook(plates, schema, { plateSchema: DEFAULT_PLATE_SCHEMA, colors: DEFAULT_COLOR_SETTINGS });
+  expect(workbook.worksheets.map((sheet) => sheet.name).slice(0, 4)).toEqual(["spots", "plates", "Block 1 base_strain", "Block 1 receptor"]);
+  expect(workbook.worksheets).toHaveLength(2 + plates.length * schema.length);
+
+  const grid = workbook.getWorksheet("Block 1 base_strain");
+  expect(grid.getCell("A1").value).toBe("Block 1");
+  expect(grid.getCell("B2").value).toBe("yNP2");
+  const expected = toHex(toRgb(createColorScale(schema[0], plates, DEFAULT_COLOR_SETTINGS).colorFor("yNP2"))).slice(1).toUpperCase();
+  expect(grid.getCell("B2").fill.fgColor.argb).toBe(`FF${expected}`);
+
+  const sheets = await roundTrip(workbook);
+  const spots = sheets.find((sheet) => sheet.name === "spots");
+  expect(spots.rows[0].slice(0, 3)).toEqual(["from_block", "well", "base_strain"]);
+  expect(spots.rows[1].slice(0, 3)).toEqual(["1", "A1", "yNP2"]);
+});
+
+test("a workbook this app wrote imports from its long sheet, or from its grid sheets", async () => {
+  const sheets = await roundTrip(buildWorkbook(plates, schema, { plateSchema: DEFAULT_PLATE_SCHEMA }));
+  const descriptions = describeSheets(sheets, schema);
+  expect(descriptions[0]).toEqual({ name: "spots", layout: "long", blockIds: [1, 4] });
+  expect(defaultSheetSelection(descriptions)).toEqual(["spots"]);
+
+  const fromLong = parseWorkbookSheets(sheets, ["spots"], schema);
+  expect(fromLong.blocks.find((block) => block.id === 1).wells.A1).toMatchObject({ base_strain: "yNP2", spot_volume: "2.5" });
+
+  const fromGrids = parseWorkbookSheets(sheets, ["Block 4 base_strain", "Block 4 spot_volume", "Block 1 spot_volume"], schema);
+  expect(fromGrids.layout).toBe("grid");
+  // Sheets are read in workbook order, whatever order they were picked in
+  expect(fromGrids.columns).toEqual(["spot_volume", "base_strain"]);
+  expect(fromGrids.blocks.map((block) => block.id)).toEqual([1, 4]);
+  expect(fromGrids.blocks[0].wells.A1).toEqual({ spot_volume: "2.5" });
+  expect(fromGrids.blocks[1].wells.B3).toEqual({ base_strain: "yNP10", spot_volume: "" });
+});
+
+test("one sheet per block works without the Block label, numbered from the sheet name", async () => {
+  const workbook = new ExcelJS.Workbook();
+  const first = workbook.addWorksheet("Plate 7");
+  first.addRows([[null, 1, 2, 3], ["A", "yNP1", null, "yNP3"], ["B", null, "yNP5"]]);
+  const second = workbook.addWorksheet("Sheet2");
+  second.addRows([["A", "x", "y"], ["B", "z", { richText: [{ text: "r" }, { text: "t" }] }]]);
+  const sheets = await roundTrip(workbook);
+
+  expect(describeSheets(sheets, schema).map((sheet) => [sheet.layout, sheet.blockIds])).toEqual([
+    ["grid", [7]],
+    ["grid", [2]],
+  ]);
+  const parsed = parseWorkbookSheets(sheets, ["Plate 7", "Sheet2"], schema);
+  expect(parsed.columns).toEqual([GRID_COLUMN]);
+  expect(parsed.blocks[0].format).toEqual(PLATE_FORMATS[6]);
+  expect(parsed.blocks[0].wells.A3).toEqual({ [GRID_COLUMN]: "yNP3" });
+  expect(parsed.blocks[1].wells.B2).toEqual({ [GRID_COLUMN]: "rt" });
+});
+
+test("a grid sheet named after a field fills that field", () => {
+  expect(gridFieldFromSheetName("Block 2 nanobody", schema)).toBe("nanobody");
+  expect(gridFieldFromSheetName("Block 2 base_strain", [createField("strain"), createField("base_strain")])).toBe("base_strain");
+  expect(gridFieldFromSheetName("Sheet1", schema)).toBeNull();
+});
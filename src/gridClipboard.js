@@ -0,0 +1,62 @@
+// Copying wells to and pasting from spreadsheets. Excel and Google Sheets put
+// ranges on the clipboard as tab-separated text, one line per row, with cells
+// holding tabs, quotes or line breaks quoted.
+
+import Papa from "papaparse";
+import { getWellBounds, getWellId, isWellInFormat, parseWellId } from "./plateFormats";
+import { coerceFieldValue, validateFieldValue } from "./metadataSchema";
+
+// Clipboard text as rows of cells; the trailing line break spreadsheets add is dropped
+export const parseClipboardTable = (text) => {
+  const trimmed = String(text || "").replace(/(\r?\n)+$/, "");
+  if (trimmed === "") return [];
+  return Papa.parse(trimmed, { delimiter: "\t", newline: trimmed.includes("\r\n") ? "\r\n" : "\n" }).data;
+};
+
+// One field of the wells' bounding rectangle as tab-separated text. Wells in the
+// rectangle that are not in the selection are copied as empty cells.
+export const copyWellsText = (plate, wellIds, fieldName) => {
+  const bounds = getWellBounds(wellIds);
+  if (!bounds) return "";
+  const selected = new Set(wellIds);
+  const rows = [];
+  for (let row = bounds.top; row <= bounds.bottom; row++) {
+    const cells = [];
+    for (let col = bounds.left; col <= bounds.right; col++) {
+      const wellId = getWellId(row, col);
+      const value = selected.has(wellId) ? (plate.metadata[wellId] || {})[fieldName] : "";
+      cells.push(value === undefined || value === null ? "" : value);
+    }
+    rows.push(cells);
+  }
+  return Papa.unparse(rows, { delimiter: "\t", newline: "\r\n", quotes: false });
+};
+
+// Where a pasted table lands: from the start well to the right and down. A
+// single pasted value fills every selected well instead.
+// Returns { updates: { wellId: { field: value } }, outside, error }
+export const planPaste = (plate, table, field, { startWellId, selectedWellIds = [] }) => {
+  const targets = [];
+  let outside = 0;
+
+  if (table.length === 1 && table[0].length === 1 && selectedWellIds.length > 1) {
+    selectedWellIds.forEach((wellId) => targets.push({ wellId, value: table[0][0] }));
+  } else {
+    const start = parseWellId(startWellId) || { row: 0, column: 1 };
+    table.forEach((cells, rowOffset) => {
+      cells.forEach((value, columnOffset) => {
+        const wellId = getWellId(start.row + rowOffset, start.column + columnOffset);
+        if (isWellInFormat(wellId, plate.format)) targets.push({ wellId, value });
+        else outside++;
+      });
+    });
+  }
+
+  const updates = {};
+  for (const { wellId, value } of targets) {
+    const error = validateFieldValue(field, value);
+    if (error) return { updates: {}, outside, error: `${wellId}: ${error}` };
+    updates[wellId] = { [field.name]: coerceFieldValue(field, value) };
+  }
+  return { updates, outside, error: null };
+};
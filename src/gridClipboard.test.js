@@ -0,0 +1,44 @@
+import { PLATE_FORMATS, getWellRange, offsetWellId } from "./plateFormats";
+import { DEFAULT_SCHEMA, createField } from "./metadataSchema";
+import { createPlateMetadata } from "./plateModel";
+import { copyWellsText, parseClipboardTable, planPaste } from "./gridClipboard";
+
+const schema = [...DEFAULT_SCHEMA, createField("od", { type: "number" })];
+const makePlate = () => ({ id: 1, format: PLATE_FORMATS[96], metadata: createPlateMetadata(PLATE_FORMATS[96], schema) });
+const field = (name) => schema.find((f) => f.name === name);
+
+test("the cursor stays on the plate and ranges span two corners", () => {
+  expect(offsetWellId(PLATE_FORMATS[96], "A1", -1, -1)).toBe("A1");
+  expect(offsetWellId(PLATE_FORMATS[96], "G11", 5, 5)).toBe("H12");
+  expect(getWellRange("B3", "A2")).toEqual(["A2", "A3", "B2", "B3"]);
+});
+
+test("a pasted spreadsheet range fills wells from the start well", () => {
+  const table = parseClipboardTable('yNP1\tyNP2\r\n"two\nlines"\t\r\n');
+  expect(table).toEqual([["yNP1", "yNP2"], ["two\nlines", ""]]);
+
+  const { updates, outside, error } = planPaste(makePlate(), table, field("base_strain"), { startWellId: "G12" });
+  expect(error).toBeNull();
+  expect(outside).toBe(2);
+  expect(updates).toEqual({ G12: { base_strain: "yNP1" }, H12: { base_strain: "two\nlines" } });
+});
+
+test("one pasted value fills the whole selection and bad numbers are refused", () => {
+  const single = planPaste(makePlate(), [["Nb-12"]], field("nanobody"), { startWellId: "A1", selectedWellIds: ["A1", "B1"] });
+  expect(Object.keys(single.updates)).toEqual(["A1", "B1"]);
+
+  const bad = planPaste(makePlate(), [["1.5", "lots"]], field("od"), { startWellId: "A1" });
+  expect(bad.error).toMatch(/^A2: od must be a number/);
+});
+
+test("copied wells paste back into the same layout", () => {
+  const plate = makePlate();
+  plate.metadata.A1 = { ...plate.metadata.A1, base_strain: "yNP1" };
+  plate.metadata.B2 = { ...plate.metadata.B2, base_strain: "tab\there" };
+
+  const text = copyWellsText(plate, ["A1", "B2"], "base_strain");
+  expect(text).toBe('yNP1\t\r\n\t"tab\there"');
+  const { updates } = planPaste(makePlate(), parseClipboardTable(text), field("base_strain"), { startWellId: "C3" });
+  expect(updates.C3.base_strain).toBe("yNP1");
+  expect(updates.D4.base_strain).toBe("tab\there");
+});
@@ -0,0 +1,99 @@
+// Layout templates: the well roles and fixed metadata (controls, blanks, media
+// wells, ...) an experiment reuses, saved from a plate and applied to others.
+// Applying only fills empty fields, so sample data on the plates is never
+// overwritten; differing values are reported instead.
+
+import { getWellIds, isWellInFormat } from "./plateFormats";
+import { conformPlatesToSchema, createField, getField, isEmptyValue } from "./metadataSchema";
+import { ROLE_FIELD, createRoleField } from "./wellRoles";
+
+export const TEMPLATE_FILE_TYPE = "spotplate-layout-templates";
+
+let templateCount = 0;
+
+// Template from the given fields of a plate; wells with none of them set are left out
+export const createTemplate = (name, plate, schema, fieldNames) => {
+  const fields = schema.filter((field) => fieldNames.includes(field.name));
+  const wells = {};
+  getWellIds(plate.format).forEach((wellId) => {
+    const values = {};
+    fields.forEach(({ name: fieldName }) => {
+      const value = (plate.metadata[wellId] || {})[fieldName];
+      if (!isEmptyValue(value)) values[fieldName] = value;
+    });
+    if (Object.keys(values).length > 0) wells[wellId] = values;
+  });
+  return {
+    id: `template-${Date.now().toString(36)}-${++templateCount}`,
+    name,
+    format: plate.format,
+    fields,
+    wells,
+    createdAt: Date.now(),
+  };
+};
+
+// Fills a template into one plate.
+// Returns { plate, filled, conflicts: [{ wellId, field, value, templateValue }], outside }
+export const applyTemplate = (plate, template) => {
+  const metadata = { ...plate.metadata };
+  const conflicts = [];
+  let filled = 0;
+  let outside = 0;
+
+  Object.keys(template.wells).forEach((wellId) => {
+    if (!isWellInFormat(wellId, plate.format)) {
+      outside++;
+      return;
+    }
+    const wellData = { ...metadata[wellId] };
+    Object.keys(template.wells[wellId]).forEach((fieldName) => {
+      const templateValue = template.wells[wellId][fieldName];
+      const value = wellData[fieldName];
+      if (isEmptyValue(value)) {
+        wellData[fieldName] = templateValue;
+        filled++;
+      } else if (String(value) !== String(templateValue)) {
+        conflicts.push({ wellId, field: fieldName, value, templateValue });
+      }
+    });
+    metadata[wellId] = wellData;
+  });
+  return { plate: { ...plate, metadata }, filled, conflicts, outside };
+};
+
+// Applies a template to the plates with the given ids, adding any template
+// fields the schema lacks. Returns { doc, report: { filled, conflicts, outside } }
+// where conflicts carry the plateId.
+export const applyTemplateToDoc = (doc, template, plateIds) => {
+  let schema = doc.schema;
+  template.fields.forEach((field) => {
+    if (getField(schema, field.name)) return;
+    schema = [...schema, field.name === ROLE_FIELD ? createRoleField() : createField(field.name, field)];
+  });
+
+  const report = { filled: 0, conflicts: [], outside: 0 };
+  const plates = doc.plates.map((plate) => {
+    if (!plateIds.includes(plate.id)) return plate;
+    const result = applyTemplate(plate, template);
+    report.filled += result.filled;
+    report.outside += result.outside;
+    report.conflicts.push(...result.conflicts.map((conflict) => ({ plateId: plate.id, ...conflict })));
+    return result.plate;
+  });
+  return { doc: { ...doc, schema, plates: conformPlatesToSchema(plates, schema) }, report };
+};
+
+// Templates shared as a file: { type, version, templates }
+export const serializeTemplates = (templates) =>
+  JSON.stringify({ type: TEMPLATE_FILE_TYPE, version: 1, templates }, null, 2);
+
+// Reads a shared templates file; throws an Error with a user-facing message
+export const readTemplatesFile = (data) => {
+  if (!data || data.type !== TEMPLATE_FILE_TYPE || !Array.isArray(data.templates)) {
+    throw new Error("Not a layout templates file.");
+  }
+  return data.templates
+    .filter((template) => template && template.name && template.format && template.wells)
+    .map((template) => ({ ...template, fields: (template.fields || []).map((field) => createField(field.name, field)) }));
+};
@@ -0,0 +1,63 @@
+import { PLATE_FORMATS } from "./plateFormats";
+import { DEFAULT_SCHEMA, getField } from "./metadataSchema";
+import { createPlateMetadata } from "./plateModel";
+import { ROLE_FIELD, ensureRoleField, getWellRole } from "./wellRoles";
+import { applyTemplate, applyTemplateToDoc, createTemplate, readTemplatesFile, serializeTemplates } from "./layoutTemplates";
+
+const roleSchema = ensureRoleField(DEFAULT_SCHEMA);
+
+const makePlate = (id, format, schema, values) => {
+  const plate = { id, name: "", barcode: "", attributes: {}, format, metadata: createPlateMetadata(format, schema) };
+  Object.keys(values).forEach((wellId) => {
+    plate.metadata[wellId] = { ...plate.metadata[wellId], ...values[wellId] };
+  });
+  return plate;
+};
+
+const source = makePlate(1, PLATE_FORMATS[24], roleSchema, {
+  A1: { role: "positive_control", base_strain: "yNP2" },
+  A2: { role: "blank", base_strain: "yNP10" },
+  D6: { role: "negative_control" },
+  B3: { base_strain: "yNP7" },
+});
+
+test("a template keeps only the chosen fields of wells that have them", () => {
+  const template = createTemplate("Controls", source, roleSchema, [ROLE_FIELD]);
+  expect(template.fields.map((field) => field.name)).toEqual([ROLE_FIELD]);
+  expect(template.wells).toEqual({
+    A1: { role: "positive_control" },
+    A2: { role: "blank" },
+    D6: { role: "negative_control" },
+  });
+});
+
+test("applying a template fills empty fields and reports conflicts and wells off the plate", () => {
+  const template = createTemplate("Controls", source, roleSchema, [ROLE_FIELD, "base_strain"]);
+  const target = makePlate(2, PLATE_FORMATS[12], roleSchema, { A1: { base_strain: "yNP2" }, A2: { base_strain: "yNP99" } });
+  const { plate, filled, conflicts, outside } = applyTemplate(target, template);
+  expect(plate.metadata.A1).toMatchObject({ role: "positive_control", base_strain: "yNP2" });
+  expect(plate.metadata.A2).toMatchObject({ role: "blank", base_strain: "yNP99" });
+  expect(conflicts).toEqual([{ wellId: "A2", field: "base_strain", value: "yNP99", templateValue: "yNP10" }]);
+  expect(plate.metadata.B3.base_strain).toBe("yNP7");
+  expect(outside).toBe(1); // D6 is not on a 12-well plate
+  expect(filled).toBe(3);
+  expect(target.metadata.A1.role).toBe(""); // The original plate is untouched
+});
+
+test("applying to a document adds the locked role field and only touches the chosen plates", () => {
+  const template = createTemplate("Controls", source, roleSchema, [ROLE_FIELD]);
+  const plates = [makePlate(3, PLATE_FORMATS[24], DEFAULT_SCHEMA, {}), makePlate(4, PLATE_FORMATS[24], DEFAULT_SCHEMA, {})];
+  const { doc, report } = applyTemplateToDoc({ plates, schema: DEFAULT_SCHEMA }, template, [4]);
+  expect(getField(doc.schema, ROLE_FIELD)).toMatchObject({ type: "list", locked: true });
+  expect(getWellRole(doc.plates[1].metadata.D6)).toBe("negative_control");
+  expect(getWellRole(doc.plates[0].metadata.D6)).toBe("sample");
+  expect(doc.plates[0].metadata.D6.role).toBe(""); // Conformed to the new schema
+  expect(report).toEqual({ filled: 3, conflicts: [], outside: 0 });
+});
+
+test("templates survive a round trip through a shared file", () => {
+  const template = createTemplate("Controls", source, roleSchema, [ROLE_FIELD]);
+  const [loaded] = readTemplatesFile(JSON.parse(serializeTemplates([template])));
+  expect(loaded).toEqual(template);
+  expect(() => readTemplatesFile({ type: "something else" })).toThrow("Not a layout templates file.");
+});
@@ -0,0 +1,155 @@
+// Metadata schema: the ordered list of per-well fields the user works with.
+// A field is { name, type, unit, options, default } where type is one of FIELD_TYPES.
+
+export const FIELD_TYPES = {
+  text: "Free text",
+  number: "Number",
+  list: "List of values",
+};
+
+// Column names used by the long CSV format itself, never allowed as field names
+export const RESERVED_COLUMNS = ["from_block", "well"];
+
+export const createField = (name, overrides = {}) => ({
+  name,
+  type: "text",
+  unit: "",
+  options: [],
+  default: "",
+  ...overrides,
+});
+
+export const DEFAULT_SCHEMA = [
+  createField("base_strain"),
+  createField("receptor"),
+  createField("anchor"),
+  createField("nanobody"),
+  createField("negsel"),
+  createField("dilution"),
+  createField("notes"),
+];
+
+export const getFieldNames = (schema) => schema.map((field) => field.name);
+
+export const getField = (schema, name) => schema.find((field) => field.name === name);
+
+// Metadata of an untouched well: every field at its default
+export const createWellMetadata = (schema) => {
+  const metadata = {};
+  schema.forEach((field) => {
+    metadata[field.name] = field.default || "";
+  });
+  return metadata;
+};
+
+export const isEmptyValue = (val) => val === "" || val === null || val === undefined;
+
+export const isWellEmpty = (wellData) => !wellData || Object.values(wellData).every(isEmptyValue);
+
+// "Base Strain " -> "Base_Strain", matching how the plasmid sheet headers are cleaned
+export const normalizeFieldName = (name) => String(name || "").trim().replace(/\s+/g, "_");
+
+// Loose key for matching file headers to fields: case, spaces, dashes and underscores ignored
+const matchKey = (name) => String(name || "").toLowerCase().replace(/[\s_-]+/g, "");
+
+// Returns an error message, or null if the name can be used
+export const validateFieldName = (schema, name, ignoreIndex = -1, reserved = RESERVED_COLUMNS) => {
+  const normalized = normalizeFieldName(name);
+  if (!normalized) return "Field name cannot be empty.";
+  if (reserved.includes(normalized.toLowerCase())) return `"${normalized}" is reserved.`;
+  const duplicate = schema.findIndex((field, index) => index !== ignoreIndex && field.name === normalized);
+  if (duplicate !== -1) return `A field named "${normalized}" already exists.`;
+  return null;
+};
+
+// "25 µM" -> "25" for a number field whose unit is µM
+const stripUnit = (field, value) => {
+  const text = String(value).trim();
+  if (field.unit && text.endsWith(field.unit)) return text.slice(0, -field.unit.length).trim();
+  return text;
+};
+
+// Checks a value against its field type; returns an error message or null
+export const validateFieldValue = (field, value) => {
+  if (!field || isEmptyValue(value)) return null;
+  if (field.type === "number" && Number.isNaN(Number(stripUnit(field, value)))) {
+    return `${field.name} must be a number${field.unit ? ` (${field.unit})` : ""}.`;
+  }
+  if (field.type === "list" && field.options.length > 0 && !field.options.includes(String(value))) {
+    return `${field.name} must be one of: ${field.options.join(", ")}.`;
+  }
+  return null;
+};
+
+// Normalises a typed or imported value for storage
+export const coerceFieldValue = (field, value) => {
+  if (isEmptyValue(value)) return "";
+  if (field && field.type === "number") return stripUnit(field, value);
+  return String(value);
+};
+
+// Value as shown on a well, with the unit of number fields
+export const formatFieldValue = (field, value) => {
+  if (isEmptyValue(value)) return "";
+  if (field && field.type === "number" && field.unit) return `${value} ${field.unit}`;
+  return String(value);
+};
+
+// Maps file headers onto schema fields. Headers that match no field become new
+// text fields, so imports never drop columns.
+export const mapColumnsToSchema = (schema, headers) => {
+  const nextSchema = [...schema];
+  const mapping = {};
+  headers.forEach((header) => {
+    const normalized = normalizeFieldName(header);
+    if (!normalized || RESERVED_COLUMNS.includes(normalized.toLowerCase())) return;
+    let field = nextSchema.find((f) => matchKey(f.name) === matchKey(normalized));
+    if (!field) {
+      field = createField(normalized);
+      nextSchema.push(field);
+    }
+    mapping[header] = field.name;
+  });
+  return { schema: nextSchema, mapping };
+};
+
+// Adds any fields missing from the schema (e.g. a grid import targeting "nanobody")
+export const ensureFields = (schema, names) => {
+  const missing = names.filter((name) => !getField(schema, name));
+  return missing.length > 0 ? [...schema, ...missing.map((name) => createField(name))] : schema;
+};
+
+// Applies a function to every well of every plate, returning new plate objects
+const mapWells = (plates, fn) =>
+  plates.map((plate) => {
+    const metadata = {};
+    Object.keys(plate.metadata).forEach((wellId) => {
+      metadata[wellId] = fn(plate.metadata[wellId] || {});
+    });
+    return { ...plate, metadata };
+  });
+
+export const addFieldToPlates = (plates, field) =>
+  mapWells(plates, (wellData) => ({ ...wellData, [field.name]: field.default || "" }));
+
+export const removeFieldFromPlates = (plates, name) =>
+  mapWells(plates, (wellData) => {
+    const { [name]: removed, ...rest } = wellData;
+    return rest;
+  });
+
+export const renameFieldInPlates = (plates, oldName, newName) =>
+  mapWells(plates, (wellData) => {
+    const { [oldName]: value, ...rest } = wellData;
+    return { ...rest, [newName]: value === undefined ? "" : value };
+  });
+
+// Makes sure every well has exactly the schema's fields, in schema order
+export const conformPlatesToSchema = (plates, schema) =>
+  mapWells(plates, (wellData) => {
+    const metadata = {};
+    schema.forEach((field) => {
+      metadata[field.name] = wellData[field.name] === undefined ? "" : wellData[field.name];
+    });
+    return metadata;
+  });
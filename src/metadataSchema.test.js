@@ -0,0 +1,36 @@
+import {
+  DEFAULT_SCHEMA,
+  createField,
+  getFieldNames,
+  mapColumnsToSchema,
+  renameFieldInPlates,
+  validateFieldName,
+  validateFieldValue,
+  coerceFieldValue,
+} from "./metadataSchema";
+
+test("unknown import columns become new fields", () => {
+  const { schema, mapping } = mapColumnsToSchema(DEFAULT_SCHEMA, ["from_block", "well", "Base Strain", "inducer"]);
+  expect(mapping).toEqual({ "Base Strain": "base_strain", inducer: "inducer" });
+  expect(getFieldNames(schema)).toEqual([...getFieldNames(DEFAULT_SCHEMA), "inducer"]);
+});
+
+test("field names must be unique and not reserved", () => {
+  expect(validateFieldName(DEFAULT_SCHEMA, "notes")).toMatch(/already exists/);
+  expect(validateFieldName(DEFAULT_SCHEMA, "well")).toMatch(/reserved/);
+  expect(validateFieldName(DEFAULT_SCHEMA, "media")).toBeNull();
+});
+
+test("typed fields validate and coerce values", () => {
+  const concentration = createField("concentration", { type: "number", unit: "µM" });
+  const media = createField("media", { type: "list", options: ["YPD", "SC"] });
+  expect(validateFieldValue(concentration, "25 µM")).toBeNull();
+  expect(coerceFieldValue(concentration, "25 µM")).toBe("25");
+  expect(validateFieldValue(concentration, "lots")).toMatch(/number/);
+  expect(validateFieldValue(media, "LB")).toMatch(/one of/);
+});
+
+test("renaming a field moves its values", () => {
+  const plates = [{ id: 1, metadata: { A1: { notes: "x" } } }];
+  expect(renameFieldInPlates(plates, "notes", "comment")[0].metadata.A1).toEqual({ comment: "x" });
+});
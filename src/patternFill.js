@@ -0,0 +1,118 @@
+// Pattern fills for the selected wells: number series, dilution series,
+// gradients, incrementing IDs and cycled value lists. Wells are walked row by
+// row or column by column; each value can be repeated for replicates.
+
+import { parseWellId } from "./plateFormats";
+
+export const PATTERN_KINDS = {
+  series: "Series (start + step; also counts up IDs like yNP22422)",
+  dilution: "Dilution (start × multiplier)",
+  gradient: "Gradient (start to end)",
+  list: "List of values, cycled",
+};
+
+export const FILL_DIRECTIONS = {
+  row: "Along rows (A1, A2, …)",
+  column: "Down columns (A1, B1, …)",
+};
+
+export const DEFAULT_PATTERN = {
+  kind: "series",
+  direction: "row",
+  start: "1",
+  step: "1",
+  multiplier: "0.1",
+  end: "10",
+  values: "",
+  repeat: 1, // Each value is used for this many wells in a row (replicates)
+  restartEachLine: false, // Start the pattern again at every row (or column)
+};
+
+// Selected wells in fill order, grouped into lines (rows or columns)
+export const orderWells = (wellIds, direction = "row") => {
+  const wells = wellIds
+    .map((wellId) => ({ wellId, position: parseWellId(wellId) }))
+    .filter((well) => well.position);
+  const lineOf = (well) => (direction === "column" ? well.position.column : well.position.row);
+  const stepOf = (well) => (direction === "column" ? well.position.row : well.position.column);
+  wells.sort((a, b) => lineOf(a) - lineOf(b) || stepOf(a) - stepOf(b));
+
+  const lines = [];
+  wells.forEach((well) => {
+    const last = lines[lines.length - 1];
+    if (last && last.line === lineOf(well)) last.wellIds.push(well.wellId);
+    else lines.push({ line: lineOf(well), wellIds: [well.wellId] });
+  });
+  return lines.map((line) => line.wellIds);
+};
+
+// Drops floating point noise (0.1 * 0.1 = 0.010000000000000002) without rounding real digits
+const cleanNumber = (value) => String(Number(value.toPrecision(12)));
+
+const parseNumber = (text, label) => {
+  const value = Number(String(text).trim());
+  if (String(text).trim() === "" || Number.isNaN(value)) throw new Error(`${label} must be a number.`);
+  return value;
+};
+
+// Value at position `step` of the pattern (0-based, after replicates are grouped)
+const makeGenerator = (pattern, stepCount) => {
+  switch (pattern.kind) {
+    case "series": {
+      const step = parseNumber(pattern.step, "Step");
+      const start = String(pattern.start).trim();
+      if (start !== "" && !Number.isNaN(Number(start))) return (i) => cleanNumber(Number(start) + step * i);
+
+      // ✅ Text with a trailing number (yNP22422, S-007) counts up and keeps zero padding
+      const match = /^(.*?)(\d+)$/.exec(start);
+      if (!match) throw new Error("Start must be a number or end in a number (e.g. yNP22422).");
+      const [, prefix, digits] = match;
+      return (i) => {
+        const number = parseInt(digits, 10) + step * i;
+        if (number < 0 || !Number.isInteger(number)) throw new Error("IDs can only count up or down by whole steps to 0.");
+        return `${prefix}${String(number).padStart(digits.length, "0")}`;
+      };
+    }
+    case "dilution": {
+      const start = parseNumber(pattern.start, "Start");
+      const multiplier = parseNumber(pattern.multiplier, "Multiplier");
+      return (i) => cleanNumber(start * Math.pow(multiplier, i));
+    }
+    case "gradient": {
+      const start = parseNumber(pattern.start, "Start");
+      const end = parseNumber(pattern.end, "End");
+      return (i) => cleanNumber(stepCount > 1 ? start + ((end - start) * i) / (stepCount - 1) : start);
+    }
+    case "list": {
+      const values = String(pattern.values)
+        .split(/\r?\n|,/)
+        .map((value) => value.trim())
+        .filter((value) => value !== "");
+      if (values.length === 0) throw new Error("Enter at least one value.");
+      return (i) => values[i % values.length];
+    }
+    default:
+      throw new Error(`Unknown pattern "${pattern.kind}".`);
+  }
+};
+
+// { wellId: value } for the selected wells. Throws with a readable message
+// when the pattern settings are invalid.
+export const buildPatternValues = (wellIds, options = {}) => {
+  const pattern = { ...DEFAULT_PATTERN, ...options };
+  const repeat = Math.max(1, parseInt(pattern.repeat, 10) || 1);
+  const lines = orderWells(wellIds, pattern.direction);
+  const sequences = pattern.restartEachLine ? lines : [lines.flat()];
+
+  // Gradients spread over the longest sequence so every line gets the same values
+  const stepCount = Math.max(0, ...sequences.map((wells) => Math.ceil(wells.length / repeat)));
+  const valueAt = makeGenerator(pattern, stepCount);
+
+  const values = {};
+  sequences.forEach((wells) => {
+    wells.forEach((wellId, index) => {
+      values[wellId] = valueAt(Math.floor(index / repeat));
+    });
+  });
+  return values;
+};
@@ -0,0 +1,56 @@
+import { buildPatternValues, orderWells } from "./patternFill";
+
+const block = (rows, columns) => {
+  const wellIds = [];
+  rows.split("").forEach((row) => columns.forEach((col) => wellIds.push(`${row}${col}`)));
+  return wellIds;
+};
+
+test("wells are ordered along rows or down columns", () => {
+  const wells = block("AB", [1, 2]);
+  expect(orderWells(wells, "row")).toEqual([["A1", "A2"], ["B1", "B2"]]);
+  expect(orderWells(wells, "column")).toEqual([["A1", "B1"], ["A2", "B2"]]);
+});
+
+test("a 10-fold dilution runs across columns 1-6 on every row", () => {
+  const values = buildPatternValues(block("AB", [1, 2, 3, 4, 5, 6]), {
+    kind: "dilution",
+    start: "1",
+    multiplier: "0.1",
+    restartEachLine: true,
+  });
+  expect(["A1", "A2", "A3", "A6"].map((w) => values[w])).toEqual(["1", "0.1", "0.01", "0.00001"]);
+  expect(values.B3).toBe("0.01");
+});
+
+test("IDs count up with replicates down the columns", () => {
+  const values = buildPatternValues(block("ABCD", [1, 2]), {
+    kind: "series",
+    start: "yNP022422",
+    step: "1",
+    direction: "column",
+    repeat: 2,
+  });
+  expect(["A1", "B1", "C1", "D1", "A2", "C2"].map((w) => values[w])).toEqual([
+    "yNP022422",
+    "yNP022422",
+    "yNP022423",
+    "yNP022423",
+    "yNP022424",
+    "yNP022425",
+  ]);
+});
+
+test("gradients and value lists", () => {
+  const wells = block("A", [1, 2, 3, 4, 5]);
+  const gradient = buildPatternValues(wells, { kind: "gradient", start: "0", end: "2" });
+  expect(wells.map((w) => gradient[w])).toEqual(["0", "0.5", "1", "1.5", "2"]);
+
+  const list = buildPatternValues(wells, { kind: "list", values: "YPD, SC\n-Ura" });
+  expect(wells.map((w) => list[w])).toEqual(["YPD", "SC", "-Ura", "YPD", "SC"]);
+});
+
+test("invalid settings explain themselves", () => {
+  expect(() => buildPatternValues(["A1"], { kind: "series", start: "abc" })).toThrow(/end in a number/);
+  expect(() => buildPatternValues(["A1"], { kind: "list", values: " " })).toThrow(/at least one value/);
+});
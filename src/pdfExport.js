@@ -0,0 +1,306 @@
+// Plate map PDFs drawn straight from the plate data as vector shapes and text
+// (A4 landscape, one page per plate, or per plate and field), and the printable
+// checklist of a worklist.
+
+import { jsPDF } from "jspdf";
+import JSZip from "jszip";
+import { formatLabel, getRowLabel, getWellId } from "./plateFormats";
+import { formatFieldValue, getField } from "./metadataSchema";
+import { DEFAULT_COLOR_SETTINGS, createColorScale, sequentialColor, textColorFor, toRgb } from "./colors";
+import { describePlateAttributes, plateLabel } from "./plateInfo";
+
+export const PDF_LAYOUTS = {
+  plate: "One page per plate (all chosen fields in each well)",
+  plateField: "One page per plate and field",
+};
+
+export const PDF_OUTPUTS = {
+  combined: "One multi-page PDF",
+  zip: "Zip with one PDF per plate",
+};
+
+const PAGE = { width: 297, height: 210, margin: 12 };
+const TITLE_HEIGHT = 24;
+const LEGEND_WIDTH = 60;
+const LABEL_SPACE = 7; // Room for row letters and column numbers
+const PT_PER_MM = 2.835;
+const COLOR_BAR_STEPS = 40;
+
+const setFill = (pdf, color) => pdf.setFillColor(...toRgb(color));
+const setText = (pdf, color) => pdf.setTextColor(...toRgb(color));
+
+// Shortens text with an ellipsis until it fits the width (mm) at the current font size
+const fitText = (pdf, text, width) => {
+  if (pdf.getTextWidth(text) <= width) return text;
+  let shortened = text;
+  while (shortened.length > 1 && pdf.getTextWidth(`${shortened}…`) > width) {
+    shortened = shortened.slice(0, -1);
+  }
+  return `${shortened}…`;
+};
+
+const drawTitleBlock = (pdf, plate, fields, { title, date, plateSchema }) => {
+  const { margin, width } = PAGE;
+  setText(pdf, "#000000");
+  pdf.setFont("helvetica", "bold");
+  pdf.setFontSize(16);
+  pdf.text(fitText(pdf, title || "Plate map", width - 2 * margin - 50), margin, margin + 6);
+  pdf.setFont("helvetica", "normal");
+  pdf.setFontSize(10);
+  pdf.text(date, width - margin, margin + 6, { align: "right" });
+  pdf.setFontSize(12);
+  const heading = [plateLabel(plate), plate.barcode, formatLabel(plate.format), fields.join(", ")].filter(Boolean).join("  ·  ");
+  pdf.text(fitText(pdf, heading, width - 2 * margin), margin, margin + 13);
+  // ✅ Plate attributes (media, date spotted, ...) on a small line underneath
+  const attributes = describePlateAttributes(plate, plateSchema || []);
+  if (attributes) {
+    pdf.setFontSize(8);
+    pdf.text(fitText(pdf, attributes, width - 2 * margin), margin, margin + 18);
+  }
+  pdf.setDrawColor(150);
+  pdf.line(margin, margin + TITLE_HEIGHT - 4, width - margin, margin + TITLE_HEIGHT - 4);
+};
+
+// Distinct values of the colour field with their well counts, most common first
+const collectLegend = (plate, colorField) => {
+  const counts = {};
+  Object.values(plate.metadata).forEach((wellData) => {
+    const value = wellData[colorField] || "";
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return Object.keys(counts)
+    .sort((a, b) => (a === "" ? 1 : b === "" ? -1 : counts[b] - counts[a] || a.localeCompare(b)))
+    .map((value) => ({ value, count: counts[value] }));
+};
+
+const drawLegend = (pdf, plate, colorField, scale, schema, top) => {
+  const { margin, width, height } = PAGE;
+  const x = width - margin - LEGEND_WIDTH;
+  const lineHeight = 5;
+  const maxLines = Math.floor((height - margin - top - 8) / lineHeight);
+
+  setText(pdf, "#000000");
+  pdf.setFont("helvetica", "bold");
+  pdf.setFontSize(10);
+  pdf.text(`Legend: ${colorField}`, x, top + 3);
+  pdf.setFont("helvetica", "normal");
+  pdf.setFontSize(8);
+
+  // ✅ Numeric scales get a colour bar from the lowest to the highest value
+  if (scale.type !== "categorical") {
+    const barHeight = 60;
+    const steps = COLOR_BAR_STEPS;
+    for (let i = 0; i < steps; i++) {
+      setFill(pdf, sequentialColor(1 - i / (steps - 1)));
+      pdf.rect(x, top + 6 + (i * barHeight) / steps, 6, barHeight / steps + 0.2, "F");
+    }
+    const field = getField(schema, colorField);
+    pdf.text(formatFieldValue(field, scale.max), x + 8, top + 8);
+    pdf.text(formatFieldValue(field, scale.min), x + 8, top + 6 + barHeight);
+    if (scale.type === "log") pdf.text("(log scale)", x + 8, top + 6 + barHeight / 2);
+    return;
+  }
+
+  const entries = collectLegend(plate, colorField);
+  entries.slice(0, maxLines).forEach(({ value, count }, index) => {
+    const y = top + 8 + index * lineHeight;
+    setFill(pdf, scale.colorFor(value));
+    pdf.setDrawColor(120);
+    pdf.rect(x, y - 3, 4, 4, "FD");
+    const label = value ? formatFieldValue(getField(schema, colorField), value) : "(empty)";
+    pdf.text(fitText(pdf, `${label} (${count})`, LEGEND_WIDTH - 6), x + 6, y);
+  });
+  if (entries.length > maxLines) {
+    pdf.text(`+ ${entries.length - maxLines} more values`, x, top + 8 + maxLines * lineHeight);
+  }
+};
+
+const drawGrid = (pdf, plate, fields, scale, schema, top) => {
+  const { margin, width, height } = PAGE;
+  const { rows, columns } = plate.format;
+  const areaWidth = width - 2 * margin - LEGEND_WIDTH - LABEL_SPACE - 5;
+  const areaHeight = height - margin - top - LABEL_SPACE;
+  const cell = Math.min(areaWidth / columns, areaHeight / rows);
+  const left = margin + LABEL_SPACE;
+  const gridTop = top + LABEL_SPACE;
+  const gap = Math.min(0.8, cell * 0.06);
+
+  // ✅ Row letters and column numbers
+  setText(pdf, "#000000");
+  pdf.setFontSize(Math.min(10, cell * PT_PER_MM * 0.45));
+  for (let col = 1; col <= columns; col++) {
+    pdf.text(String(col), left + (col - 0.5) * cell, gridTop - 2, { align: "center" });
+  }
+  for (let row = 0; row < rows; row++) {
+    pdf.text(getRowLabel(row), left - 2, gridTop + (row + 0.5) * cell, { align: "right", baseline: "middle" });
+  }
+
+  // ✅ One rounded cell per well, coloured by the colour field, values written inside
+  const lineCount = fields.length;
+  const fontSize = Math.max(3, Math.min(8, ((cell - 2 * gap) * PT_PER_MM) / (lineCount + 1.5)));
+  for (let row = 0; row < rows; row++) {
+    for (let col = 1; col <= columns; col++) {
+      const wellData = plate.metadata[getWellId(row, col)] || {};
+      const x = left + (col - 1) * cell + gap;
+      const y = gridTop + row * cell + gap;
+      const size = cell - 2 * gap;
+      const color = scale.colorFor(wellData[scale.fieldName]);
+
+      setFill(pdf, color);
+      pdf.setDrawColor(90);
+      pdf.roundedRect(x, y, size, size, size * 0.12, size * 0.12, "FD");
+
+      setText(pdf, textColorFor(color));
+      pdf.setFontSize(fontSize);
+      const lineHeight = fontSize / PT_PER_MM * 1.15;
+      const firstLine = y + size / 2 - ((lineCount - 1) * lineHeight) / 2;
+      fields.forEach((fieldName, index) => {
+        const text = formatFieldValue(getField(schema, fieldName), wellData[fieldName]) || "-";
+        pdf.text(fitText(pdf, text, size - 1), x + size / 2, firstLine + index * lineHeight, {
+          align: "center",
+          baseline: "middle",
+        });
+      });
+    }
+  }
+};
+
+const drawPlatePage = (pdf, plate, fields, colorField, schema, options) => {
+  drawTitleBlock(pdf, plate, fields, options);
+  const top = PAGE.margin + TITLE_HEIGHT;
+  const scale = options.scaleFor(colorField);
+  drawGrid(pdf, plate, fields, scale, schema, top);
+  drawLegend(pdf, plate, colorField, scale, schema, top);
+};
+
+// Adds the pages for one plate; returns the pdf for chaining
+const addPlatePages = (pdf, plate, schema, options, isFirstPage) => {
+  const pages =
+    options.layout === "plateField"
+      ? options.fields.map((field) => ({ fields: [field], colorField: field }))
+      : [{ fields: options.fields, colorField: options.colorField || options.fields[0] }];
+  pages.forEach((page, index) => {
+    if (!isFirstPage || index > 0) pdf.addPage();
+    drawPlatePage(pdf, plate, page.fields, page.colorField, schema, options);
+  });
+  return pdf;
+};
+
+const newDocument = () => new jsPDF({ orientation: "landscape", unit: "mm", format: "a4" });
+
+const safeFileName = (text) => String(text).replace(/[^\w.-]+/g, "_");
+
+// options: { fields, colorField, layout, output, title, date, colors, plateSchema }
+// Resolves to { blob, fileName } ready for saveAs
+export const exportPlateMaps = async (plates, schema, options) => {
+  const settings = { date: new Date().toLocaleDateString(), colors: DEFAULT_COLOR_SETTINGS, ...options };
+
+  // ✅ Same colours as on screen: scales span all plates and use the project's colour settings
+  const scales = {};
+  settings.scaleFor = (fieldName) => {
+    if (!scales[fieldName]) scales[fieldName] = { ...createColorScale(getField(schema, fieldName), plates, settings.colors), fieldName };
+    return scales[fieldName];
+  };
+  const baseName = safeFileName(settings.title || "plate_maps");
+
+  if (settings.output === "zip") {
+    const zip = new JSZip(); // ✅ One PDF per plate
+    plates.forEach((plate) => {
+      const pdf = addPlatePages(newDocument(), plate, schema, settings, true);
+      zip.file(`plate_${safeFileName(plate.id)}_metadata.pdf`, pdf.output("blob"));
+    });
+    return { blob: await zip.generateAsync({ type: "blob" }), fileName: `${baseName}.zip` };
+  }
+
+  const pdf = newDocument();
+  plates.forEach((plate, index) => addPlatePages(pdf, plate, schema, settings, index === 0));
+  return { blob: pdf.output("blob"), fileName: `${baseName}.pdf` };
+};
+
+// **Worklist checklist: the transfers as a table with tick boxes, for pipetting by hand**
+const CHECKLIST = { width: 210, height: 297, margin: 14, rowHeight: 6.5 };
+const CHECKLIST_COLUMNS = [
+  { header: "", width: 8 },
+  { header: "#", width: 10, text: (t) => String(t.step) },
+  { header: "Source plate", width: 38, text: (t) => t.sourcePlate },
+  { header: "Well", width: 12, text: (t) => t.sourceWell },
+  { header: "Content", width: 44, text: (t) => t.value },
+  { header: "Block", width: 38, text: (t) => t.destinationPlate },
+  { header: "Well", width: 12, text: (t) => t.destinationWell },
+  { header: "µL", width: 20, text: (t) => String(t.volume) },
+];
+
+// worklist as built by buildWorklist; options: { title, date }. Returns a PDF Blob.
+export const exportWorklistChecklist = (worklist, options = {}) => {
+  const { width, height, margin, rowHeight } = CHECKLIST;
+  const { title = "Worklist", date = new Date().toLocaleDateString() } = options;
+  const pdf = new jsPDF({ orientation: "portrait", unit: "mm", format: "a4" });
+  let y = margin;
+
+  const header = () => {
+    setText(pdf, "#000000");
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(9);
+    let x = margin;
+    CHECKLIST_COLUMNS.forEach((column) => {
+      pdf.text(column.header, x + 1, y + 4);
+      x += column.width;
+    });
+    pdf.setFont("helvetica", "normal");
+    pdf.setDrawColor(150);
+    pdf.line(margin, y + rowHeight - 1, width - margin, y + rowHeight - 1);
+    y += rowHeight;
+  };
+
+  pdf.setFont("helvetica", "bold");
+  pdf.setFontSize(16);
+  pdf.text(fitText(pdf, title, width - 2 * margin - 40), margin, y + 6);
+  pdf.setFont("helvetica", "normal");
+  pdf.setFontSize(10);
+  pdf.text(date, width - margin, y + 6, { align: "right" });
+  pdf.text(`${worklist.transfers.length} transfers`, margin, y + 12);
+  y += 18;
+
+  // ✅ Where each value goes on the source plates, to set them up before starting
+  pdf.setFontSize(9);
+  worklist.layouts.forEach(({ source, wells }) => {
+    const entries = Object.keys(wells).map((value) => `${wells[value].plate} ${wells[value].well}: ${value}`);
+    if (entries.length === 0) return;
+    pdf.setFont("helvetica", "bold");
+    pdf.text(`${source.plateName} (${source.field})`, margin, y + 4);
+    pdf.setFont("helvetica", "normal");
+    y += 5;
+    pdf.splitTextToSize(entries.join(";  "), width - 2 * margin).forEach((line) => {
+      if (y + 5 > height - margin) {
+        pdf.addPage();
+        y = margin;
+      }
+      pdf.text(line, margin, y + 4);
+      y += 4.5;
+    });
+    y += 2;
+  });
+  y += 2;
+
+  header();
+  worklist.transfers.forEach((transfer) => {
+    if (y + rowHeight > height - margin) {
+      pdf.addPage();
+      y = margin;
+      header();
+    }
+    pdf.setDrawColor(0);
+    pdf.rect(margin + 1.5, y + 1, 4, 4);
+    pdf.setFontSize(9);
+    let x = margin;
+    CHECKLIST_COLUMNS.forEach((column) => {
+      if (column.text) pdf.text(fitText(pdf, column.text(transfer), column.width - 2), x + 1, y + 4);
+      x += column.width;
+    });
+    pdf.setDrawColor(220);
+    pdf.line(margin, y + rowHeight - 0.5, width - margin, y + rowHeight - 0.5);
+    y += rowHeight;
+  });
+
+  return pdf.output("blob");
+};
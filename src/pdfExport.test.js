@@ -0,0 +1,64 @@
+import JSZip from "jszip";
+import { PLATE_FORMATS } from "./plateFormats";
+import { DEFAULT_SCHEMA } from "./metadataSchema";
+import { createPlateMetadata } from "./plateModel";
+import { textColorFor, toRgb } from "./colors";
+import { exportPlateMaps } from "./pdfExport";
+
+const makePlate = (id, format) => {
+  const plate = { id, format, metadata: createPlateMetadata(format, DEFAULT_SCHEMA) };
+  plate.metadata.A1 = { ...plate.metadata.A1, base_strain: "yNP22422", nanobody: "Nb-α 12" };
+  plate.metadata.B2 = { ...plate.metadata.B2, base_strain: "yNP22422", nanobody: "Nb7" };
+  return plate;
+};
+
+const readBlob = (blob) =>
+  new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsBinaryString(blob);
+  });
+
+// Page count and the strings written on the pages of an (uncompressed) PDF
+const readPdf = (text) => ({
+  pages: (text.match(/\/Type \/Page\b/g) || []).length,
+  texts: [...text.matchAll(/\(((?:[^()\\]|\\.)*)\) Tj/g)].map((match) => match[1].replace(/\\(.)/g, "$1")),
+});
+
+test("colours convert to RGB for drawing", () => {
+  expect(toRgb("#e0e0e0")).toEqual([224, 224, 224]);
+  expect(toRgb("hsl(0, 100%, 50%)")).toEqual([255, 0, 0]);
+  expect(textColorFor("hsl(120, 60%, 75%)")).toBe("#000000");
+  expect(textColorFor("#202020")).toBe("#ffffff");
+});
+
+test("a combined PDF has a page per plate with well labels, values and a legend", async () => {
+  const plates = [makePlate(1, PLATE_FORMATS[96]), makePlate(2, PLATE_FORMATS[384])];
+  const options = { fields: ["base_strain", "nanobody"], colorField: "base_strain", layout: "plate", output: "combined", title: "Run 7" };
+  const { blob, fileName } = await exportPlateMaps(plates, DEFAULT_SCHEMA, options);
+  const { pages, texts } = readPdf(await readBlob(blob));
+
+  expect(fileName).toBe("Run_7.pdf");
+  expect(pages).toBe(2);
+  expect(texts).toEqual(expect.arrayContaining(["Run 7", "Block 1  ·  96-well  ·  base_strain, nanobody", "Block 2  ·  384-well  ·  base_strain, nanobody"]));
+  expect(texts).toEqual(expect.arrayContaining(["A", "H", "P", "12", "24"]));
+  // 384-well cells are too small for the whole strain name, so it is shortened there
+  expect(texts.filter((text) => text === "yNP22422")).toHaveLength(2);
+  expect(texts.filter((text) => text === "Nb7")).toHaveLength(2);
+  expect(texts.filter((text) => text === "Legend: base_strain")).toHaveLength(2);
+  expect(texts).toEqual(expect.arrayContaining(["yNP22422 (2)", "(empty) (94)", "(empty) (382)"]));
+});
+
+test("the zip holds one PDF per plate, with a page per field", async () => {
+  const plates = [makePlate(1, PLATE_FORMATS[96]), makePlate(2, PLATE_FORMATS[384])];
+  const options = { fields: ["base_strain", "nanobody"], layout: "plateField", output: "zip", title: "Run 7" };
+  const { blob, fileName } = await exportPlateMaps(plates, DEFAULT_SCHEMA, options);
+  const zip = await JSZip.loadAsync(blob);
+
+  expect(fileName).toBe("Run_7.zip");
+  expect(Object.keys(zip.files)).toEqual(["plate_1_metadata.pdf", "plate_2_metadata.pdf"]);
+  const { pages, texts } = readPdf(await zip.file("plate_1_metadata.pdf").async("binarystring"));
+  expect(pages).toBe(2);
+  expect(texts).toEqual(expect.arrayContaining(["Legend: base_strain", "Legend: nanobody", "Nb7 (1)", "yNP22422 (2)"]));
+  expect(texts.filter((text) => text.startsWith("Block 2"))).toEqual([]);
+});
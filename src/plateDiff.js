@@ -0,0 +1,145 @@
+// Comparing the plates with a revised layout (a colleague's CSV or project
+// file): blocks only one side has, and every well value that differs, field by
+// field. Each change has a key, so it can be accepted into the current plates
+// or rejected (left out of the list) one at a time.
+
+import { conformPlatesToSchema, createField, getField, getFieldNames, isEmptyValue } from "./metadataSchema";
+import { createPlateMetadata, setWellsData } from "./plateModel";
+import { formatLabel, getWellIds, isSameFormat, isWellInFormat } from "./plateFormats";
+import { conformPlateInfo } from "./plateInfo";
+import { GRID_COLUMN, defaultColumnMapping, parsePlateCsv, planImport } from "./plateImport";
+import { readProjectFile } from "./projectFile";
+
+export const changeKey = (change) =>
+  change.type === "well" ? `well:${change.plateId}:${change.wellId}:${change.field}` : `${change.type}:${change.plateId}`;
+
+const valueText = (value) => (isEmptyValue(value) ? "" : String(value));
+
+// Reads a revised layout into { plates, schema, fields }; fields are the ones the
+// file has values for, so a grid file of one field is only compared on that field.
+// Throws an Error with a user-facing message for files it cannot use.
+export const readRevisedLayout = (text, fileName, doc) => {
+  if (/\.json$/i.test(fileName)) {
+    const { doc: revised } = readProjectFile(JSON.parse(text)).snapshot;
+    return { plates: revised.plates, schema: revised.schema, fields: getFieldNames(revised.schema) };
+  }
+
+  const parsed = parsePlateCsv(text);
+  if (parsed.blocks.length === 0) throw new Error("No blocks found in the file.");
+  const mapping = defaultColumnMapping(parsed, doc.schema, fileName);
+  if (parsed.layout === "grid" && !mapping[GRID_COLUMN]) {
+    throw new Error("Grid files must be named '<field>_wells.csv' so the field they hold is known.");
+  }
+  // ✅ Every block in the file counts, blank ones too: they start as blank plates
+  const blankPlates = parsed.blocks.map((block) =>
+    conformPlateInfo({ id: block.id, format: block.format, metadata: createPlateMetadata(block.format, doc.schema) }, doc.plateSchema)
+  );
+  const { plates, schema } = planImport({ ...doc, plates: blankPlates }, parsed, { mapping });
+  return { plates, schema, fields: [...new Set(Object.values(mapping).filter((name) => name))] };
+};
+
+// Returns { changes, problems }. changes: [{ key, type, plateId, ... }] with type
+//   "added"   – a block only the revised layout has (plate)
+//   "removed" – a block only the current plates have
+//   "well"    – a value that differs (wellId, field, from, to)
+export const diffPlateSets = (plates, revised) => {
+  const changes = [];
+  const problems = [];
+  const push = (change) => changes.push({ ...change, key: changeKey(change) });
+
+  plates.forEach((plate) => {
+    if (!revised.plates.some((other) => other.id === plate.id)) push({ type: "removed", plateId: plate.id });
+  });
+  revised.plates.forEach((other) => {
+    const plate = plates.find((p) => p.id === other.id);
+    if (!plate) {
+      push({ type: "added", plateId: other.id, plate: other });
+      return;
+    }
+    if (!isSameFormat(plate.format, other.format)) {
+      problems.push(
+        `Block ${plate.id} is ${formatLabel(other.format)} in the revised layout but ${formatLabel(plate.format)} here; only wells both have are compared.`
+      );
+    }
+    getWellIds(plate.format).forEach((wellId) => {
+      if (!isWellInFormat(wellId, other.format)) return;
+      const ours = plate.metadata[wellId] || {};
+      const theirs = other.metadata[wellId] || {};
+      revised.fields.forEach((field) => {
+        const from = valueText(ours[field]);
+        const to = valueText(theirs[field]);
+        if (from !== to) push({ type: "well", plateId: plate.id, wellId, field, from, to });
+      });
+    });
+  });
+  return { changes, problems };
+};
+
+// { plateId: { wellId: [field] } } of the changed wells, for highlighting the grid
+export const getChangedWells = (changes) => {
+  const wells = {};
+  changes.forEach((change) => {
+    if (change.type !== "well") return;
+    wells[change.plateId] = wells[change.plateId] || {};
+    wells[change.plateId][change.wellId] = [...(wells[change.plateId][change.wellId] || []), change.field];
+  });
+  return wells;
+};
+
+// Fields a change brings in: its field, or for a new block every compared field it has values in
+const changeFields = (change, fields) => {
+  if (change.type === "well") return [change.field];
+  if (change.type !== "added") return [];
+  return fields.filter((field) => Object.values(change.plate.metadata).some((data) => !isEmptyValue(data[field])));
+};
+
+// Where a new block goes: before the first plate with a higher block number
+const insertByBlockNumber = (plates, plate) => {
+  const index = plates.findIndex((p) => p.id > plate.id);
+  return index === -1 ? [...plates, plate] : [...plates.slice(0, index), plate, ...plates.slice(index)];
+};
+
+// Takes the given changes over; returns { doc, kept: [plateId] }. Fields only the
+// revised layout has are added, with its field settings when it has them. A
+// project needs at least one plate, so when the removals would leave none the
+// first plate is kept (and listed in kept).
+export const acceptChanges = (doc, changes, revised) => {
+  const newFields = [];
+  changes.forEach((change) => {
+    changeFields(change, revised.fields).forEach((name) => {
+      if (!getField(doc.schema, name) && !newFields.includes(name)) newFields.push(name);
+    });
+  });
+  const schema = [...doc.schema, ...newFields.map((name) => getField(revised.schema, name) || createField(name))];
+
+  const added = changes.filter((change) => change.type === "added").map((change) => conformPlateInfo(change.plate, doc.plateSchema));
+  let removed = changes.filter((change) => change.type === "removed").map((change) => change.plateId);
+  const kept = [];
+  if (added.length === 0 && doc.plates.every((plate) => removed.includes(plate.id))) {
+    kept.push(doc.plates[0].id);
+    removed = removed.filter((plateId) => plateId !== doc.plates[0].id);
+  }
+
+  let plates = doc.plates
+    .filter((plate) => !removed.includes(plate.id))
+    .map((plate) => {
+      const updates = {};
+      changes.forEach((change) => {
+        if (change.type !== "well" || change.plateId !== plate.id) return;
+        updates[change.wellId] = { ...updates[change.wellId], [change.field]: change.to };
+      });
+      return Object.keys(updates).length > 0 ? setWellsData(plate, updates) : plate;
+    });
+  added.forEach((plate) => {
+    plates = insertByBlockNumber(plates, plate);
+  });
+
+  return {
+    doc: {
+      ...doc,
+      schema,
+      plates: newFields.length > 0 || added.length > 0 ? conformPlatesToSchema(plates, schema) : plates,
+    },
+    kept,
+  };
+};
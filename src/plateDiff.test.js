@@ -0,0 +1,93 @@
+import { PLATE_FORMATS } from "./plateFormats";
+import { DEFAULT_SCHEMA, createField, getFieldNames } from "./metadataSchema";
+import { createPlateMetadata, setWellsData } from "./plateModel";
+import { DEFAULT_PLATE_SCHEMA, conformPlateInfo } from "./plateInfo";
+import { exportGridCsv, exportLongFormatCsv } from "./csvExport";
+import { serializeProjectFile } from "./projectFile";
+import { acceptChanges, diffPlateSets, getChangedWells, readRevisedLayout } from "./plateDiff";
+
+const makePlate = (id, values = {}, format = PLATE_FORMATS[96], schema = DEFAULT_SCHEMA) =>
+  setWellsData(conformPlateInfo({ id, format, metadata: createPlateMetadata(format, schema) }, DEFAULT_PLATE_SCHEMA), values);
+
+const makeDoc = () => ({
+  schema: DEFAULT_SCHEMA,
+  plateSchema: DEFAULT_PLATE_SCHEMA,
+  plates: [makePlate(1, { A1: { base_strain: "yNP1" }, A2: { base_strain: "yNP2" } }), makePlate(2, { B1: { notes: "dry" } })],
+});
+
+// A colleague's copy: block 1 edited, block 2 dropped, block 3 added
+const makeRevised = () => [
+  makePlate(1, { A1: { base_strain: "yNP1" }, A2: { base_strain: "yNP7" }, C3: { nanobody: "Nb4" } }),
+  makePlate(3, { A1: { base_strain: "yNP9" } }),
+];
+
+test("a revised CSV shows added and removed blocks and each changed value", () => {
+  const doc = makeDoc();
+  const revised = readRevisedLayout(exportLongFormatCsv(makeRevised(), DEFAULT_SCHEMA, { plateSchema: DEFAULT_PLATE_SCHEMA }), "spots.csv", doc);
+  const { changes, problems } = diffPlateSets(doc.plates, revised);
+
+  expect(problems).toEqual([]);
+  expect(changes.map((change) => change.key)).toEqual(["removed:2", "well:1:A2:base_strain", "well:1:C3:nanobody", "added:3"]);
+  expect(changes[1]).toMatchObject({ from: "yNP2", to: "yNP7" });
+  expect(getChangedWells(changes)).toEqual({ 1: { A2: ["base_strain"], C3: ["nanobody"] } });
+});
+
+test("a grid file is only compared on the field it holds", () => {
+  const doc = makeDoc();
+  const revisedPlates = [makePlate(1, { A1: { base_strain: "yNP5" }, A2: { base_strain: "yNP2", notes: "other" } }), makePlate(2)];
+  const revised = readRevisedLayout(exportGridCsv(revisedPlates, "base_strain"), "base_strain_wells.csv", doc);
+  expect(revised.fields).toEqual(["base_strain"]);
+  expect(diffPlateSets(doc.plates, revised).changes.map((change) => change.key)).toEqual(["well:1:A1:base_strain"]);
+});
+
+test("accepting changes takes over values, blocks and new fields; the rest stays", () => {
+  const doc = { ...makeDoc(), schema: [createField("base_strain"), createField("notes")] };
+  doc.plates = doc.plates.map((plate) => ({ ...plate, metadata: createPlateMetadata(plate.format, doc.schema) }));
+  doc.plates[0] = setWellsData(doc.plates[0], { A2: { base_strain: "yNP2" } });
+  const revisedSchema = [createField("base_strain"), createField("notes"), createField("od600", { type: "number" })];
+  const revised = {
+    schema: revisedSchema,
+    fields: getFieldNames(revisedSchema),
+    plates: [makePlate(1, { A2: { base_strain: "yNP7" }, B2: { od600: "0.4" } }, PLATE_FORMATS[96], revisedSchema), makePlate(3, {}, PLATE_FORMATS[96], revisedSchema)],
+  };
+  const { changes } = diffPlateSets(doc.plates, revised);
+  const picked = changes.filter((change) => ["removed:2", "well:1:B2:od600"].includes(change.key));
+  const next = acceptChanges(doc, picked, revised).doc;
+
+  expect(next.plates.map((plate) => plate.id)).toEqual([1]);
+  expect(next.schema[2]).toEqual(revisedSchema[2]);
+  expect(next.plates[0].metadata.B2).toEqual({ base_strain: "", notes: "", od600: "0.4" });
+  expect(next.plates[0].metadata.A2.base_strain).toBe("yNP2");
+
+  const remaining = diffPlateSets(next.plates, revised).changes.map((change) => change.key);
+  expect(remaining).toEqual(["well:1:A2:base_strain", "added:3"]);
+  expect(acceptChanges(next, diffPlateSets(next.plates, revised).changes, revised).doc.plates.map((plate) => plate.id)).toEqual([1, 3]);
+});
+
+test("accepted blocks go in block-number order, and the last plate is never removed", () => {
+  const doc = { ...makeDoc(), plates: [makePlate(2), makePlate(5)] };
+  const revised = { schema: DEFAULT_SCHEMA, fields: getFieldNames(DEFAULT_SCHEMA), plates: [makePlate(1), makePlate(3), makePlate(7)] };
+  const { changes } = diffPlateSets(doc.plates, revised);
+
+  const added = acceptChanges(doc, changes.filter((change) => change.type === "added"), revised);
+  expect(added.doc.plates.map((plate) => plate.id)).toEqual([1, 2, 3, 5, 7]);
+
+  const removals = acceptChanges(doc, changes.filter((change) => change.type === "removed"), revised);
+  expect(removals.doc.plates.map((plate) => plate.id)).toEqual([2]);
+  expect(removals.kept).toEqual([2]);
+
+  const everything = acceptChanges(doc, changes, revised);
+  expect(everything.doc.plates.map((plate) => plate.id)).toEqual([1, 3, 7]);
+  expect(everything.kept).toEqual([]);
+});
+
+test("a project file is compared on all its fields, and format differences are reported", () => {
+  const doc = makeDoc();
+  const revisedDoc = { ...doc, plates: [doc.plates[0], makePlate(2, { B1: { notes: "dry" } }, PLATE_FORMATS[384])] };
+  const text = serializeProjectFile({ doc: revisedDoc, csvData: [], settings: {} }, "revised");
+  const revised = readRevisedLayout(text, "revised.spotplate.json", doc);
+  const { changes, problems } = diffPlateSets(doc.plates, revised);
+  expect(revised.fields).toEqual(getFieldNames(DEFAULT_SCHEMA));
+  expect(changes).toEqual([]);
+  expect(problems).toHaveLength(1);
+});
@@ -0,0 +1,155 @@
+// Plate formats: every plate carries its own { rows, columns } so a session can
+// mix e.g. 96-well blocks with a 384-well source plate.
+
+export const PLATE_FORMATS = {
+  6: { rows: 2, columns: 3 },
+  12: { rows: 3, columns: 4 },
+  24: { rows: 4, columns: 6 },
+  48: { rows: 6, columns: 8 },
+  96: { rows: 8, columns: 12 },
+  384: { rows: 16, columns: 24 },
+  1536: { rows: 32, columns: 48 },
+};
+
+export const DEFAULT_FORMAT = PLATE_FORMATS[96];
+
+export const MAX_ROWS = 64;
+export const MAX_COLUMNS = 96;
+
+// Row labels follow spreadsheet columns: A..Z, then AA, AB, ...
+export const getRowLabel = (rowIndex) => {
+  let label = "";
+  let n = rowIndex + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    label = String.fromCharCode(65 + remainder) + label;
+    n = Math.floor((n - 1) / 26);
+  }
+  return label;
+};
+
+export const getRowIndex = (rowLabel) => {
+  const label = String(rowLabel || "").trim().toUpperCase();
+  if (!/^[A-Z]{1,2}$/.test(label)) return -1;
+  let n = 0;
+  for (const char of label) {
+    n = n * 26 + (char.charCodeAt(0) - 64);
+  }
+  return n - 1;
+};
+
+export const getWellId = (rowIndex, column) => `${getRowLabel(rowIndex)}${column}`;
+
+// Accepts "A1", "p24", "AA1" and zero-padded "A01"; returns null for anything else
+export const parseWellId = (wellId) => {
+  const match = /^([A-Za-z]{1,2})0*(\d+)$/.exec(String(wellId || "").trim());
+  if (!match) return null;
+  const row = getRowIndex(match[1]);
+  const column = parseInt(match[2], 10);
+  if (row < 0 || column < 1) return null;
+  return { row, column };
+};
+
+// Normalises a well label from a file ("a01" -> "A1")
+export const normalizeWellId = (wellId) => {
+  const parsed = parseWellId(wellId);
+  return parsed ? getWellId(parsed.row, parsed.column) : null;
+};
+
+// All well ids of a format, row by row (A1, A2, ..., B1, ...)
+export const getWellIds = (format = DEFAULT_FORMAT) => {
+  const wellIds = [];
+  for (let row = 0; row < format.rows; row++) {
+    for (let col = 1; col <= format.columns; col++) {
+      wellIds.push(getWellId(row, col));
+    }
+  }
+  return wellIds;
+};
+
+export const isWellInFormat = (wellId, format) => {
+  const parsed = parseWellId(wellId);
+  return !!parsed && parsed.row < format.rows && parsed.column <= format.columns;
+};
+
+// Well reached by moving from wellId, kept inside the plate
+export const offsetWellId = (format, wellId, rowDelta, columnDelta) => {
+  const parsed = parseWellId(wellId) || { row: 0, column: 1 };
+  const row = Math.max(0, Math.min(format.rows - 1, parsed.row + rowDelta));
+  const column = Math.max(1, Math.min(format.columns, parsed.column + columnDelta));
+  return getWellId(row, column);
+};
+
+// Rows and columns spanned by a set of wells: { top, left, bottom, right } or null
+export const getWellBounds = (wellIds) => {
+  const positions = [...wellIds].map(parseWellId).filter((position) => position);
+  if (positions.length === 0) return null;
+  return {
+    top: Math.min(...positions.map((p) => p.row)),
+    bottom: Math.max(...positions.map((p) => p.row)),
+    left: Math.min(...positions.map((p) => p.column)),
+    right: Math.max(...positions.map((p) => p.column)),
+  };
+};
+
+// All wells of the rectangle with the two wells as opposite corners, row by row
+export const getWellRange = (fromWellId, toWellId) => {
+  const bounds = getWellBounds([fromWellId, toWellId]);
+  if (!bounds) return [];
+  const wellIds = [];
+  for (let row = bounds.top; row <= bounds.bottom; row++) {
+    for (let col = bounds.left; col <= bounds.right; col++) {
+      wellIds.push(getWellId(row, col));
+    }
+  }
+  return wellIds;
+};
+
+export const getWellCount = (format) => format.rows * format.columns;
+
+export const isSameFormat = (a, b) => !!a && !!b && a.rows === b.rows && a.columns === b.columns;
+
+// Key into PLATE_FORMATS ("96") or "custom"
+export const getFormatKey = (format) => {
+  const key = Object.keys(PLATE_FORMATS).find((k) => isSameFormat(PLATE_FORMATS[k], format));
+  return key || "custom";
+};
+
+export const formatLabel = (format) => {
+  const key = getFormatKey(format);
+  if (key !== "custom") return `${key}-well`;
+  return `${format.rows}×${format.columns}`;
+};
+
+export const createFormat = (rows, columns) => {
+  const r = parseInt(rows, 10);
+  const c = parseInt(columns, 10);
+  if (!r || !c || r < 1 || c < 1 || r > MAX_ROWS || c > MAX_COLUMNS) return null;
+  return { rows: r, columns: c };
+};
+
+// Smallest standard format that holds a plate of the given size,
+// or a custom grid if none of the presets fit
+export const inferFormat = (rows, columns) => {
+  const fits = Object.keys(PLATE_FORMATS)
+    .map((key) => PLATE_FORMATS[key])
+    .filter((format) => format.rows >= rows && format.columns >= columns)
+    .sort((a, b) => getWellCount(a) - getWellCount(b));
+  return fits.length > 0 ? { ...fits[0] } : createFormat(rows, columns);
+};
+
+// Format needed to hold every well id in the list
+export const inferFormatFromWellIds = (wellIds) => {
+  let rows = 1;
+  let columns = 1;
+  wellIds.forEach((wellId) => {
+    const parsed = parseWellId(wellId);
+    if (!parsed) return;
+    rows = Math.max(rows, parsed.row + 1);
+    columns = Math.max(columns, parsed.column);
+  });
+  return inferFormat(rows, columns);
+};
+
+// Pixel size of one well on screen, shrinking for dense plates
+export const getWellSize = (format) => Math.max(24, Math.min(75, Math.floor(900 / format.columns) - 4));
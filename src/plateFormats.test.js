@@ -0,0 +1,39 @@
+import {
+  PLATE_FORMATS,
+  getRowLabel,
+  getRowIndex,
+  getWellIds,
+  parseWellId,
+  normalizeWellId,
+  inferFormat,
+  inferFormatFromWellIds,
+} from "./plateFormats";
+
+test("row labels continue past Z", () => {
+  expect(getRowLabel(0)).toBe("A");
+  expect(getRowLabel(15)).toBe("P");
+  expect(getRowLabel(26)).toBe("AA");
+  expect(getRowIndex("AF")).toBe(31);
+  expect(getRowIndex("1")).toBe(-1);
+});
+
+test("well ids cover the whole format in row order", () => {
+  const wells = getWellIds(PLATE_FORMATS[384]);
+  expect(wells).toHaveLength(384);
+  expect(wells[0]).toBe("A1");
+  expect(wells[24]).toBe("B1");
+  expect(wells[383]).toBe("P24");
+});
+
+test("well ids are parsed and normalised", () => {
+  expect(parseWellId("p24")).toEqual({ row: 15, column: 24 });
+  expect(normalizeWellId("A01")).toBe("A1");
+  expect(normalizeWellId("12")).toBeNull();
+});
+
+test("formats are inferred from the wells in use", () => {
+  expect(inferFormat(6, 8)).toEqual(PLATE_FORMATS[48]);
+  expect(inferFormatFromWellIds(["A1", "H12"])).toEqual(PLATE_FORMATS[96]);
+  expect(inferFormatFromWellIds(["A1", "I1"])).toEqual(PLATE_FORMATS[384]);
+  expect(inferFormat(40, 10)).toEqual({ rows: 40, columns: 10 });
+});
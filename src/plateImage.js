@@ -0,0 +1,219 @@
+// Plate photos: the grid is placed on a photo of the spotted block by clicking
+// the centres of its four corner wells. A homography (perspective transform)
+// through those points handles rotation, skew and a tilted camera, and gives
+// every well's centre, outline and bounding box in image pixels.
+// The alignment is kept on the plate as plate.photo:
+//   { fileName, width, height, corners: [[x, y] of A1, A<last>, <last><last>, <last>1] }
+// The photo itself stays in the browser session; only its alignment is saved.
+
+import JSZip from "jszip";
+import { getFieldNames } from "./metadataSchema";
+import { getRowLabel, getWellId, getWellIds, parseWellId } from "./plateFormats";
+import { getPlateColumnValues, getPlateColumns } from "./plateInfo";
+
+// The wells whose centres are clicked, in order
+export const getCornerWells = (format) => {
+  const lastRow = getRowLabel(format.rows - 1);
+  return ["A1", `A${format.columns}`, `${lastRow}${format.columns}`, `${lastRow}1`];
+};
+
+// Grid coordinates of the corner well centres: x = column index, y = row index
+const gridCorners = (format) => [
+  [0, 0],
+  [format.columns - 1, 0],
+  [format.columns - 1, format.rows - 1],
+  [0, format.rows - 1],
+];
+
+// Solves a x = b by Gaussian elimination; null when the system is singular
+const solveLinear = (a, b) => {
+  const n = b.length;
+  const m = a.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+  return m.map((row, i) => row[n] / row[i]);
+};
+
+// 3×3 homography (as 9 numbers) taking the four `from` points onto the four `to` points
+export const solveHomography = (from, to) => {
+  const a = [];
+  const b = [];
+  from.forEach(([x, y], i) => {
+    const [u, v] = to[i];
+    a.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    b.push(u);
+    a.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    b.push(v);
+  });
+  const h = solveLinear(a, b);
+  return h && [...h, 1];
+};
+
+export const applyHomography = (h, [x, y]) => {
+  const w = h[6] * x + h[7] * y + h[8];
+  return [(h[0] * x + h[1] * y + h[2]) / w, (h[3] * x + h[4] * y + h[5]) / w];
+};
+
+// Needs three clicked corners not on one line (and a plate at least 2×2)
+export const isAlignmentValid = (format, photo) =>
+  !!(photo && photo.corners && photo.corners.length === 4 && format.rows > 1 && format.columns > 1 &&
+    solveHomography(gridCorners(format), photo.corners));
+
+// Grid -> image transform of a plate, or null when it is not aligned
+const plateTransform = (plate) =>
+  isAlignmentValid(plate.format, plate.photo) ? solveHomography(gridCorners(plate.format), plate.photo.corners) : null;
+
+// Image point -> "C7" for the well under it, or null
+export const findWellAt = (plate, point) => {
+  if (!isAlignmentValid(plate.format, plate.photo)) return null;
+  const [x, y] = applyHomography(solveHomography(plate.photo.corners, gridCorners(plate.format)), point);
+  const column = Math.round(x) + 1;
+  const row = Math.round(y);
+  if (row < 0 || row >= plate.format.rows || column < 1 || column > plate.format.columns) return null;
+  return getWellId(row, column);
+};
+
+const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+// { wellId: { center: [x, y], outline: four [x, y], box: { x, y, width, height } } }
+// in image pixels. A well's outline is its share of the grid (half the well
+// pitch each side of the centre); boxes are rounded and kept inside the photo.
+export const getWellGeometry = (plate) => {
+  const h = plateTransform(plate);
+  if (!h) return {};
+  const { width, height } = plate.photo;
+  const geometry = {};
+  getWellIds(plate.format).forEach((wellId) => {
+    const { row, column } = parseWellId(wellId);
+    const x = column - 1;
+    const outline = [
+      [x - 0.5, row - 0.5],
+      [x + 0.5, row - 0.5],
+      [x + 0.5, row + 0.5],
+      [x - 0.5, row + 0.5],
+    ].map((point) => applyHomography(h, point));
+    const xs = outline.map(([px]) => px);
+    const ys = outline.map(([, py]) => py);
+    const left = Math.round(clamp(Math.min(...xs), width));
+    const top = Math.round(clamp(Math.min(...ys), height));
+    const right = Math.round(clamp(Math.max(...xs), width));
+    const bottom = Math.round(clamp(Math.max(...ys), height));
+    geometry[wellId] = {
+      center: applyHomography(h, [x, row]).map((value) => Math.round(value * 10) / 10),
+      outline,
+      box: { x: left, y: top, width: right - left, height: bottom - top },
+    };
+  });
+  return geometry;
+};
+
+export const SPOT_COLUMNS = ["from_block", "well", "image", "center_x", "center_y", "x_min", "y_min", "x_max", "y_max"];
+
+// One row per well of every aligned plate: position in the photo, then the
+// well's metadata and (with plateSchema) the plate columns
+export const buildSpotRows = (plates, schema, plateSchema) => {
+  const fieldNames = getFieldNames(schema);
+  const rows = [[...SPOT_COLUMNS, ...fieldNames, ...(plateSchema ? getPlateColumns(plateSchema) : [])]];
+  plates.forEach((plate) => {
+    const geometry = getWellGeometry(plate);
+    const plateValues = plateSchema ? getPlateColumnValues(plate, plateSchema) : [];
+    Object.keys(geometry).forEach((wellId) => {
+      const { center, box } = geometry[wellId];
+      const data = plate.metadata[wellId] || {};
+      rows.push([
+        plate.id,
+        wellId,
+        plate.photo.fileName,
+        ...center,
+        box.x,
+        box.y,
+        box.x + box.width,
+        box.y + box.height,
+        ...fieldNames.map((name) => (data[name] === undefined || data[name] === null ? "" : data[name])),
+        ...plateValues,
+      ]);
+    });
+  });
+  return rows;
+};
+
+// The same as JSON: one entry per aligned plate, boxes as [x, y, width, height]
+export const buildSpotJson = (plates, schema) => {
+  const fieldNames = getFieldNames(schema);
+  return {
+    images: plates
+      .filter((plate) => isAlignmentValid(plate.format, plate.photo))
+      .map((plate) => {
+        const geometry = getWellGeometry(plate);
+        return {
+          block: plate.id,
+          name: plate.name || "",
+          barcode: plate.barcode || "",
+          attributes: { ...plate.attributes },
+          file: plate.photo.fileName,
+          width: plate.photo.width,
+          height: plate.photo.height,
+          corners: plate.photo.corners,
+          wells: Object.keys(geometry).map((wellId) => ({
+            well: wellId,
+            center: geometry[wellId].center,
+            bbox: [geometry[wellId].box.x, geometry[wellId].box.y, geometry[wellId].box.width, geometry[wellId].box.height],
+            metadata: Object.fromEntries(
+              fieldNames.map((name) => {
+                const value = (plate.metadata[wellId] || {})[name];
+                return [name, value === undefined || value === null ? "" : value];
+              })
+            ),
+          })),
+        };
+      }),
+  };
+};
+
+export const spotCropFileName = (plate, wellId) => `block${plate.id}_${wellId}.png`;
+
+// Loads an image URL into an <img> element
+export const loadImage = (url) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("The photo could not be read as an image."));
+    image.src = url;
+  });
+
+const cropToBlob = (image, box) =>
+  new Promise((resolve, reject) => {
+    const canvas = document.createElement("canvas");
+    canvas.width = box.width;
+    canvas.height = box.height;
+    canvas.getContext("2d").drawImage(image, box.x, box.y, box.width, box.height, 0, 0, box.width, box.height);
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Could not crop the photo."))), "image/png");
+  });
+
+// Zip of one PNG per well of every aligned plate whose photo is loaded.
+// photos: { plateId: { url, fileName, width, height } } as loaded in the app
+export const exportSpotCrops = async (plates, photos) => {
+  const zip = new JSZip();
+  for (const plate of plates) {
+    const photo = photos[plate.id];
+    if (!photo || !isAlignmentValid(plate.format, plate.photo)) continue;
+    const image = await loadImage(photo.url);
+    const geometry = getWellGeometry(plate);
+    for (const wellId of Object.keys(geometry)) {
+      const { box } = geometry[wellId];
+      if (box.width > 0 && box.height > 0) zip.file(spotCropFileName(plate, wellId), await cropToBlob(image, box));
+    }
+  }
+  return zip.generateAsync({ type: "blob" });
+};
@@ -0,0 +1,118 @@
+import { PLATE_FORMATS } from "./plateFormats";
+import { DEFAULT_SCHEMA } from "./metadataSchema";
+import { DEFAULT_PLATE_SCHEMA } from "./plateInfo";
+import { createPlateMetadata } from "./plateModel";
+import JSZip from "jszip";
+import {
+  applyHomography,
+  buildSpotJson,
+  buildSpotRows,
+  exportSpotCrops,
+  findWellAt,
+  getCornerWells,
+  getWellGeometry,
+  isAlignmentValid,
+  solveHomography,
+} from "./plateImage";
+
+// A 96-well photo with a 100 px well pitch, A1 centred at (150, 100)
+const straightPhoto = { fileName: "block1.jpg", width: 1400, height: 1000, corners: [[150, 100], [1250, 100], [1250, 800], [150, 800]] };
+
+const makePlate = (id, photo) => {
+  const plate = { id, name: "Day 1", barcode: `KB-${id}`, attributes: {}, format: PLATE_FORMATS[96], metadata: createPlateMetadata(PLATE_FORMATS[96], DEFAULT_SCHEMA), photo };
+  plate.metadata.B3 = { ...plate.metadata.B3, base_strain: "yNP2" };
+  return plate;
+};
+
+test("the corner wells are clicked clockwise from A1", () => {
+  expect(getCornerWells(PLATE_FORMATS[96])).toEqual(["A1", "A12", "H12", "H1"]);
+  expect(getCornerWells(PLATE_FORMATS[384])).toEqual(["A1", "A24", "P24", "P1"]);
+});
+
+test("a homography maps its four points and handles perspective", () => {
+  const from = [[0, 0], [1, 0], [1, 1], [0, 1]];
+  const to = [[10, 10], [110, 20], [100, 90], [0, 120]];
+  const h = solveHomography(from, to);
+  from.forEach((point, i) => {
+    const [x, y] = applyHomography(h, point);
+    expect(x).toBeCloseTo(to[i][0]);
+    expect(y).toBeCloseTo(to[i][1]);
+  });
+  expect(solveHomography(from, [[0, 0], [1, 1], [2, 2], [3, 3]])).toBeNull();
+});
+
+test("well centres and boxes follow the grid, and clicks find their well", () => {
+  const plate = makePlate(1, straightPhoto);
+  const geometry = getWellGeometry(plate);
+  expect(Object.keys(geometry)).toHaveLength(96);
+  expect(geometry.A1.center).toEqual([150, 100]);
+  expect(geometry.B3.center).toEqual([350, 200]);
+  expect(geometry.B3.box).toEqual({ x: 300, y: 150, width: 100, height: 100 });
+  expect(geometry.A1.box).toEqual({ x: 100, y: 50, width: 100, height: 100 });
+  expect(findWellAt(plate, [340, 230])).toBe("B3");
+  expect(findWellAt(plate, [10, 10])).toBeNull();
+});
+
+test("a rotated grid gives rotated well positions", () => {
+  // The same grid turned 90° clockwise: A1 top right, A12 bottom right
+  const rotated = { ...straightPhoto, corners: [[900, 150], [900, 1250], [200, 1250], [200, 150]], width: 1000, height: 1400 };
+  const geometry = getWellGeometry(makePlate(1, rotated));
+  expect(geometry.A2.center).toEqual([900, 250]);
+  expect(geometry.B1.center).toEqual([800, 150]);
+  expect(findWellAt(makePlate(1, rotated), [805, 245])).toBe("B2");
+});
+
+test("boxes are kept inside the photo", () => {
+  const geometry = getWellGeometry(makePlate(1, { ...straightPhoto, corners: [[20, 20], [1120, 20], [1120, 720], [20, 720]] }));
+  expect(geometry.A1.box).toEqual({ x: 0, y: 0, width: 70, height: 70 });
+});
+
+test("only aligned plates are exported, with their metadata and plate columns", () => {
+  const plates = [makePlate(1, straightPhoto), makePlate(2, undefined), makePlate(3, { ...straightPhoto, corners: [[0, 0], [1, 1]] })];
+  expect(plates.map((plate) => isAlignmentValid(plate.format, plate.photo))).toEqual([true, false, false]);
+
+  const rows = buildSpotRows(plates, DEFAULT_SCHEMA, DEFAULT_PLATE_SCHEMA);
+  expect(rows).toHaveLength(97);
+  expect(rows[0].slice(0, 10)).toEqual(["from_block", "well", "image", "center_x", "center_y", "x_min", "y_min", "x_max", "y_max", "base_strain"]);
+  expect(rows[0]).toContain("plate:barcode");
+  const b3 = rows.find((row) => row[1] === "B3");
+  expect(b3.slice(0, 10)).toEqual([1, "B3", "block1.jpg", 350, 200, 300, 150, 400, 250, "yNP2"]);
+  expect(b3).toContain("KB-1");
+
+  const json = buildSpotJson(plates, DEFAULT_SCHEMA);
+  expect(json.images).toHaveLength(1);
+  expect(json.images[0]).toMatchObject({ block: 1, barcode: "KB-1", file: "block1.jpg", width: 1400, height: 1000 });
+  expect(json.images[0].wells.find((well) => well.well === "B3")).toMatchObject({
+    center: [350, 200],
+    bbox: [300, 150, 100, 100],
+    metadata: { base_strain: "yNP2", nanobody: "" },
+  });
+});
+
+test("spot crops are cut from the photos the app loaded, one PNG per well", async () => {
+  const loaded = [];
+  const OriginalImage = global.Image;
+  // jsdom neither loads images nor draws on canvases
+  global.Image = class {
+    set src(url) {
+      loaded.push(url);
+      setTimeout(() => this.onload());
+    }
+  };
+  const drawImage = jest.fn();
+  const getContext = jest.spyOn(HTMLCanvasElement.prototype, "getContext").mockReturnValue({ drawImage });
+  const toBlob = jest.spyOn(HTMLCanvasElement.prototype, "toBlob").mockImplementation((callback) => callback(new Blob(["png"])));
+  try {
+    const photos = { 1: { url: "blob:photo-1", fileName: "block1.jpg", width: 1400, height: 1000 } };
+    const blob = await exportSpotCrops([makePlate(1, straightPhoto), makePlate(2, straightPhoto)], photos);
+    expect(loaded).toEqual(["blob:photo-1"]);
+    const zip = await JSZip.loadAsync(blob);
+    expect(Object.keys(zip.files)).toHaveLength(96);
+    expect(zip.file("block1_B3.png")).not.toBeNull();
+    expect(drawImage).toHaveBeenCalledTimes(96);
+  } finally {
+    global.Image = OriginalImage;
+    getContext.mockRestore();
+    toBlob.mockRestore();
+  }
+});
@@ -0,0 +1,336 @@
+// Reading plate layouts from CSV (and worksheets, see excelWorkbook.js). Two layouts are understood:
+// - long: one row per well with "from_block", "well" and one column per field (spots.csv),
+//   optionally with the plate's name, barcode and attributes in "plate:<name>" columns
+// - grid: "Block N" sections with row labels down the side and column numbers across
+//   the top, holding a single field (basestrain_wells.csv)
+//
+// Importing is split in two steps so it can be previewed: parsePlateCsv reads the
+// file on its own, planImport works out what merging it into the plates would do.
+
+import Papa from "papaparse";
+import {
+  getRowIndex,
+  getWellId,
+  inferFormat,
+  inferFormatFromWellIds,
+  normalizeWellId,
+} from "./plateFormats";
+import {
+  coerceFieldValue,
+  createField,
+  getField,
+  getFieldNames,
+  isEmptyValue,
+  mapColumnsToSchema,
+  conformPlatesToSchema,
+} from "./metadataSchema";
+import { createPlateMetadata } from "./plateModel";
+import { conformPlateInfo, isPlateColumn, readPlateColumns } from "./plateInfo";
+import { isProvenanceColumn } from "./provenance";
+
+// Placeholder the long-format export writes into every field of a blank well
+export const EMPTY_PLACEHOLDER = "empty";
+
+// Format an incoming block should use: keep the existing plate's format when
+// the data fits, otherwise grow to a format that holds it
+export const resolveImportFormat = (existingPlate, incomingFormat) => {
+  if (!existingPlate) return incomingFormat;
+  const current = existingPlate.format;
+  if (current.rows >= incomingFormat.rows && current.columns >= incomingFormat.columns) return current;
+  return inferFormat(Math.max(current.rows, incomingFormat.rows), Math.max(current.columns, incomingFormat.columns));
+};
+
+export const detectLayout = (rows) => {
+  const firstRow = (rows[0] || []).map((cell) => String(cell).trim());
+  return firstRow.includes("from_block") ? "long" : "grid";
+};
+
+// Field a grid file fills, guessed from its name (the preview lets the user pick any field).
+// Grid exports are named "<field>_wells.csv", so any schema field is recognised.
+export const gridFieldFromFileName = (fileName, schema = []) => {
+  const name = String(fileName || "").toLowerCase();
+  if (name.includes("basestrain_wells")) return "base_strain";
+  if (name.includes("nanobody_wells")) return "nanobody";
+  const match = [...getFieldNames(schema)]
+    .sort((a, b) => b.length - a.length) // "strain_wells" must not win over "base_strain_wells"
+    .find((fieldName) => name.includes(`${fieldName.toLowerCase()}_wells`));
+  return match || null;
+};
+
+export const parseCsvRows = (text) => Papa.parse(text, { skipEmptyLines: true }).data;
+
+// The single column of a grid file; the import preview maps it onto a field
+export const GRID_COLUMN = "value";
+
+export const IMPORT_STRATEGIES = {
+  overwrite: "Overwrite",
+  fillEmpty: "Fill empty only",
+  skip: "Skip",
+};
+
+// Rows of cells -> one object per row keyed by the header row
+const readRecords = (rows) => {
+  const headers = (rows[0] || []).map((cell, i) => (i === 0 ? String(cell).replace(/^\uFEFF/, "") : String(cell)));
+  const records = rows.slice(1).map((row) => {
+    const record = {};
+    headers.forEach((header, i) => {
+      record[header] = row[i];
+    });
+    return record;
+  });
+  return { headers, records };
+};
+
+const readLongBlocks = (rows) => {
+  const { headers, records } = readRecords(rows);
+  const columns = headers.filter(
+    (header) => header && !["from_block", "well"].includes(header.trim()) && !isPlateColumn(header) && !isProvenanceColumn(header)
+  );
+  const blocks = {};
+
+  records.forEach((row) => {
+    const plateId = parseInt(row["from_block"], 10);
+    const wellId = normalizeWellId(row["well"]);
+    if (!plateId || !wellId) return;
+    if (!blocks[plateId]) blocks[plateId] = { id: plateId, wells: {}, plateInfo: { attributes: {} } };
+
+    // ✅ Plate values repeat on every row of the block; the first filled one wins
+    const plateInfo = readPlateColumns(row);
+    const block = blocks[plateId];
+    ["name", "barcode"].forEach((key) => {
+      if (plateInfo[key] !== undefined && block.plateInfo[key] === undefined) block.plateInfo[key] = plateInfo[key];
+    });
+    block.plateInfo.attributes = { ...plateInfo.attributes, ...block.plateInfo.attributes };
+
+    // ✅ A row of nothing but placeholders is a blank well
+    const values = columns.map((column) => row[column]);
+    const isPlaceholderRow = values.length > 0 && values.every((val) => val === EMPTY_PLACEHOLDER);
+    const wellData = {};
+    columns.forEach((column) => {
+      wellData[column] = isPlaceholderRow || isEmptyValue(row[column]) ? "" : row[column];
+    });
+    blocks[plateId].wells[wellId] = wellData;
+  });
+
+  // ✅ Each block's format is inferred from its wells
+  const blockList = Object.values(blocks).map((block) => ({
+    ...block,
+    format: inferFormatFromWellIds(Object.keys(block.wells)),
+  }));
+  return { columns, blocks: blockList };
+};
+
+// fallbackId: block number for a grid that has lost its "Block N" label (a
+// worksheet holding one block); its column-number row or first row label starts it
+const readGridBlocks = (rows, fallbackId) => {
+  // ✅ Collect each "Block X" section first; its size decides the plate format
+  const sections = [];
+  let currentSection = null;
+  const isColumnHeader = (row) => row.slice(1).some((cell) => /^\d+$/.test(String(cell).trim()));
+
+  rows.forEach((row) => {
+    const firstCell = row[0] ? String(row[0]).replace(/^\uFEFF/, "").trim() : "";
+    if (!currentSection && fallbackId && !firstCell.startsWith("Block") && (isColumnHeader(row) || getRowIndex(firstCell) >= 0)) {
+      const columnCount = isColumnHeader(row) ? row.slice(1).filter((cell) => /^\d+$/.test(String(cell).trim())).length : row.length - 1;
+      currentSection = { id: fallbackId, columns: columnCount || 12, rows: [] };
+      sections.push(currentSection);
+      if (isColumnHeader(row)) return;
+    }
+    if (firstCell.startsWith("Block")) {
+      // ✅ Start a new plate when "Block X" is found
+      const columnCount = row.slice(1).filter((cell) => /^\d+$/.test(String(cell).trim())).length;
+      currentSection = {
+        id: parseInt(firstCell.replace("Block", ""), 10),
+        columns: columnCount || 12,
+        rows: [],
+      };
+      sections.push(currentSection);
+    } else if (currentSection && getRowIndex(firstCell) >= 0) {
+      // ✅ Row labels A, B, ..., P, AA, ... depending on the plate size
+      currentSection.rows.push({ rowIndex: getRowIndex(firstCell), cells: row.slice(1) });
+    }
+  });
+
+  const blocks = sections
+    .filter((section) => section.id && section.rows.length > 0)
+    .map((section) => {
+      const wells = {};
+      section.rows.forEach(({ rowIndex, cells }) => {
+        for (let col = 1; col <= section.columns; col++) {
+          wells[getWellId(rowIndex, col)] = { [GRID_COLUMN]: cells[col - 1] ? String(cells[col - 1]).trim() : "" };
+        }
+      });
+      const rowCount = Math.max(...section.rows.map((r) => r.rowIndex)) + 1;
+      return { id: section.id, format: inferFormat(rowCount, section.columns), wells };
+    });
+  return { columns: [GRID_COLUMN], blocks };
+};
+
+// Reads plate rows (cells as strings) of either layout without looking at the current plates:
+// { layout, columns, blocks: [{ id, format, wells: { wellId: { column: value } }, plateInfo }] }
+// plateInfo ({ name, barcode, attributes }) is only read from long files.
+// options.fallbackBlockId numbers a grid without a "Block N" label.
+export const parsePlateRows = (rows, options = {}) => {
+  const layout = detectLayout(rows);
+  return { layout, ...(layout === "long" ? readLongBlocks(rows) : readGridBlocks(rows, options.fallbackBlockId)) };
+};
+
+export const parsePlateCsv = (text) => parsePlateRows(parseCsvRows(text));
+
+// Combines several parsed sources (e.g. worksheets) into one import: blocks with
+// the same number are merged, so one sheet per field and block becomes one block.
+// Grid sources may have their column renamed to a field first.
+export const mergeParsedPlates = (parsedList) => {
+  const blocks = [];
+  const columns = [];
+  parsedList.forEach((parsed) => {
+    parsed.columns.forEach((column) => {
+      if (!columns.includes(column)) columns.push(column);
+    });
+    parsed.blocks.forEach((block) => {
+      const existing = blocks.find((b) => b.id === block.id);
+      if (!existing) {
+        blocks.push(block);
+        return;
+      }
+      const wells = { ...existing.wells };
+      Object.keys(block.wells).forEach((wellId) => {
+        wells[wellId] = { ...wells[wellId], ...block.wells[wellId] };
+      });
+      const info = existing.plateInfo || block.plateInfo
+        ? {
+            ...block.plateInfo,
+            ...existing.plateInfo,
+            attributes: { ...(block.plateInfo || {}).attributes, ...(existing.plateInfo || {}).attributes },
+          }
+        : undefined;
+      blocks[blocks.indexOf(existing)] = {
+        ...existing,
+        format: inferFormat(Math.max(existing.format.rows, block.format.rows), Math.max(existing.format.columns, block.format.columns)),
+        wells,
+        ...(info ? { plateInfo: info } : {}),
+      };
+    });
+  });
+  const layout = parsedList.every((parsed) => parsed.layout === "grid") ? "grid" : "long";
+  return { layout, columns, blocks };
+};
+
+// Column -> field name ("" to ignore). Named columns are matched to fields (adding
+// fields for unknown ones); the unnamed grid column is guessed from the file name.
+export const defaultColumnMapping = (parsed, schema, fileName) => {
+  if (parsed.layout !== "grid") return mapColumnsToSchema(schema, parsed.columns).mapping;
+  const { mapping } = mapColumnsToSchema(schema, parsed.columns.filter((column) => column !== GRID_COLUMN));
+  if (parsed.columns.includes(GRID_COLUMN)) mapping[GRID_COLUMN] = gridFieldFromFileName(fileName, schema) || "";
+  return mapping;
+};
+
+// A well's status in the preview is its most significant change
+const STATUS_PRIORITY = { added: 1, cleared: 2, changed: 3 };
+
+const isBlockEmpty = (block) =>
+  Object.values(block.wells).every((wellData) => Object.values(wellData).every((val) => val === ""));
+
+// Works out the result of merging parsed blocks into the document.
+// options: { mapping, strategies: { field: strategy }, excludedBlocks: [id] }
+// Returns the next { plates, schema, plateSchema } and a per-block summary for the preview.
+// Plate names, barcodes and attributes in the file replace the plate's own.
+export const planImport = (doc, parsed, { mapping, strategies = {}, excludedBlocks = [] }) => {
+  // ✅ Fields the mapping names that the schema does not have yet are added
+  const mappedFields = [...new Set(Object.values(mapping).filter((name) => name))];
+  const schema = [...doc.schema, ...mappedFields.filter((name) => !getField(doc.schema, name)).map((name) => createField(name))];
+  // ✅ So are plate attributes the plate schema does not have
+  const docPlateSchema = doc.plateSchema || [];
+  const attributeNames = new Set();
+  parsed.blocks.forEach((block) => Object.keys((block.plateInfo && block.plateInfo.attributes) || {}).forEach((name) => attributeNames.add(name)));
+  const plateSchema = [
+    ...docPlateSchema,
+    ...[...attributeNames].filter((name) => !getField(docPlateSchema, name)).map((name) => createField(name)),
+  ];
+  const plates = [...doc.plates];
+  const changes = [];
+
+  const blocks = parsed.blocks.map((block) => {
+    const existingIndex = plates.findIndex((p) => p.id === block.id);
+    const existingPlate = existingIndex === -1 ? null : plates[existingIndex];
+    const isEmpty = isBlockEmpty(block);
+    // ✅ Blocks with nothing in them are skipped unless they would change an existing plate
+    const included = !excludedBlocks.includes(block.id) && !(isEmpty && !existingPlate);
+    const summary = {
+      id: block.id,
+      isNew: !existingPlate,
+      isEmpty,
+      included,
+      format: resolveImportFormat(existingPlate, block.format),
+      counts: { added: 0, changed: 0, cleared: 0, unchanged: 0 },
+      wellStatus: {},
+    };
+
+    const metadata = createPlateMetadata(summary.format, schema);
+    if (existingPlate) {
+      Object.keys(metadata).forEach((wellId) => {
+        if (existingPlate.metadata[wellId]) metadata[wellId] = { ...metadata[wellId], ...existingPlate.metadata[wellId] };
+      });
+    }
+
+    Object.keys(block.wells).forEach((wellId) => {
+      Object.keys(mapping).forEach((column) => {
+        const fieldName = mapping[column];
+        if (!fieldName || block.wells[wellId][column] === undefined) return;
+        const field = getField(schema, fieldName);
+        const incoming = coerceFieldValue(field, block.wells[wellId][column]);
+        const current = metadata[wellId][fieldName] || "";
+        if (incoming === current) {
+          summary.counts.unchanged++;
+          return;
+        }
+
+        // ✅ added: well was empty; changed: a conflicting value; cleared: the file has a blank
+        const kind = current === "" ? "added" : incoming === "" ? "cleared" : "changed";
+        const strategy = strategies[fieldName] || "overwrite";
+        const applied =
+          included && (strategy === "overwrite" || (strategy === "fillEmpty" && kind === "added"));
+
+        summary.counts[kind]++;
+        if ((STATUS_PRIORITY[summary.wellStatus[wellId]] || 0) < STATUS_PRIORITY[kind]) {
+          summary.wellStatus[wellId] = kind;
+        }
+        changes.push({ blockId: block.id, wellId, field: fieldName, from: current, to: incoming, kind, applied });
+        if (applied) metadata[wellId] = { ...metadata[wellId], [fieldName]: incoming };
+      });
+    });
+
+    if (included) {
+      const base = existingPlate || { id: block.id };
+      const info = block.plateInfo || { attributes: {} };
+      const plate = conformPlateInfo(
+        {
+          ...base,
+          ...(info.name !== undefined && { name: info.name }),
+          ...(info.barcode !== undefined && { barcode: info.barcode }),
+          attributes: { ...base.attributes, ...info.attributes },
+          format: summary.format,
+          metadata,
+        },
+        plateSchema
+      );
+      if (existingPlate) plates[existingIndex] = plate;
+      else plates.push(plate);
+    }
+    return summary;
+  });
+
+  return { schema, plateSchema, plates: conformPlatesToSchema(plates, schema), blocks, changes };
+};
+
+// Imports a plate CSV straight away with the default mapping, overwriting
+// existing values. Throws an Error with a user-facing message for files it cannot use.
+export const importPlateCsv = (text, fileName, doc) => {
+  const parsed = parsePlateCsv(text);
+  const mapping = defaultColumnMapping(parsed, doc.schema, fileName);
+  if (parsed.layout === "grid" && !mapping[GRID_COLUMN]) {
+    throw new Error("Invalid file. Grid files must be named '<field>_wells.csv', e.g. 'basestrain_wells.csv' or 'nanobody_wells.csv'.");
+  }
+  const { plates, schema, plateSchema } = planImport(doc, parsed, { mapping });
+  return { layout: parsed.layout, plates, schema, plateSchema };
+};
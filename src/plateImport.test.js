@@ -0,0 +1,52 @@
+import { PLATE_FORMATS } from "./plateFormats";
+import { DEFAULT_SCHEMA } from "./metadataSchema";
+import { createPlateMetadata } from "./plateModel";
+import { GRID_COLUMN, defaultColumnMapping, parsePlateCsv, planImport } from "./plateImport";
+
+const makeDoc = () => {
+  const metadata = createPlateMetadata(PLATE_FORMATS[96], DEFAULT_SCHEMA);
+  metadata.A1 = { ...metadata.A1, base_strain: "yNP1" };
+  metadata.A2 = { ...metadata.A2, base_strain: "yNP2" };
+  return { schema: DEFAULT_SCHEMA, plates: [{ id: 1, format: PLATE_FORMATS[96], metadata }] };
+};
+
+const longCsv = "from_block,well,base_strain,media\n1,A1,yNP1,YPD\n1,A2,yNP9,\n1,A3,yNP3,\n2,A1,yNP4,SC\n";
+
+test("the plan reports added, conflicting and new blocks", () => {
+  const doc = makeDoc();
+  const parsed = parsePlateCsv(longCsv);
+  const plan = planImport(doc, parsed, { mapping: defaultColumnMapping(parsed, doc.schema, "x.csv") });
+
+  expect(plan.schema.map((f) => f.name)).toContain("media");
+  expect(plan.blocks.map((b) => [b.id, b.isNew])).toEqual([[1, false], [2, true]]);
+  expect(plan.blocks[0].counts).toMatchObject({ added: 2, changed: 1 });
+  expect(plan.blocks[0].wellStatus.A2).toBe("changed");
+  expect(plan.plates[0].metadata.A2.base_strain).toBe("yNP9");
+  expect(plan.plates[1].metadata.A1).toMatchObject({ base_strain: "yNP4", media: "SC" });
+  // Wells the file does not mention keep their values
+  expect(plan.plates).toHaveLength(2);
+});
+
+test("fill-empty-only and skip strategies keep existing values", () => {
+  const doc = makeDoc();
+  const parsed = parsePlateCsv(longCsv);
+  const mapping = defaultColumnMapping(parsed, doc.schema, "x.csv");
+
+  const fill = planImport(doc, parsed, { mapping, strategies: { base_strain: "fillEmpty" } });
+  expect(fill.plates[0].metadata.A2.base_strain).toBe("yNP2");
+  expect(fill.plates[0].metadata.A3.base_strain).toBe("yNP3");
+
+  const skip = planImport(doc, parsed, { mapping, strategies: { base_strain: "skip" }, excludedBlocks: [2] });
+  expect(skip.plates[0].metadata.A3.base_strain).toBe("");
+  expect(skip.plates[0].metadata.A1.media).toBe("YPD");
+  expect(skip.plates).toHaveLength(1);
+});
+
+test("a grid file can fill any chosen field", () => {
+  const parsed = parsePlateCsv("Block 1,1,2\nA,x,y\nB,,z\n");
+  expect(defaultColumnMapping(parsed, DEFAULT_SCHEMA, "layout.csv")).toEqual({ [GRID_COLUMN]: "" });
+
+  const plan = planImport(makeDoc(), parsed, { mapping: { [GRID_COLUMN]: "negsel" } });
+  expect(plan.plates[0].metadata.A1).toMatchObject({ base_strain: "yNP1", negsel: "x" });
+  expect(plan.plates[0].metadata.B2.negsel).toBe("z");
+});
@@ -0,0 +1,118 @@
+// Plate identity and plate-level metadata. A plate's id is its permanent block
+// number: it is written on the physical block and in exports, so it never
+// changes when plates are added, deleted or reordered. Plate attributes (date
+// spotted, media, ...) follow their own schema, doc.plateSchema.
+
+import { createField, formatFieldValue, isEmptyValue } from "./metadataSchema";
+
+export const DEFAULT_PLATE_SCHEMA = [
+  createField("date_spotted"),
+  createField("media"),
+  createField("temperature", { type: "number", unit: "°C" }),
+  createField("operator"),
+  createField("source_plate"),
+];
+
+// Names plate attributes cannot take: they are columns of their own
+export const RESERVED_PLATE_FIELDS = ["name", "barcode", "from_block"];
+
+// Export columns holding plate-level values are "plate:<name>"
+export const PLATE_COLUMN_PREFIX = "plate:";
+
+export const isPlateColumn = (column) => String(column).trim().startsWith(PLATE_COLUMN_PREFIX);
+
+const highestPlateId = (plates) => plates.reduce((max, plate) => Math.max(max, Number(plate.id) || 0), 0);
+
+// Next block number. lastPlateId is the highest number the document has ever
+// used (doc.lastPlateId), so numbers of deleted blocks are not given out again.
+export const nextPlateId = (plates, lastPlateId = 0) => Math.max(highestPlateId(plates), Number(lastPlateId) || 0) + 1;
+
+// Keeps doc.lastPlateId up with the plates; returns the document itself when it already is
+export const trackLastPlateId = (doc) => {
+  const lastPlateId = Math.max(highestPlateId(doc.plates), Number(doc.lastPlateId) || 0);
+  return lastPlateId === doc.lastPlateId ? doc : { ...doc, lastPlateId };
+};
+
+// Fills name, barcode and attributes so every plate has exactly the plate
+// schema's fields; missing ones get the field's default
+export const conformPlateInfo = (plate, plateSchema) => {
+  const attributes = {};
+  plateSchema.forEach((field) => {
+    const value = plate.attributes && plate.attributes[field.name];
+    attributes[field.name] = value === undefined || value === null ? field.default || "" : value;
+  });
+  return { ...plate, name: plate.name || "", barcode: plate.barcode || "", attributes };
+};
+
+// "Block 3" or "Block 3 – Nb screen A"
+export const plateLabel = (plate) => `Block ${plate.id}${plate.name ? ` – ${plate.name}` : ""}`;
+
+// "media: YPD · temperature: 30 °C", the filled-in attributes for titles and reports
+export const describePlateAttributes = (plate, plateSchema) =>
+  plateSchema
+    .filter((field) => !isEmptyValue(plate.attributes && plate.attributes[field.name]))
+    .map((field) => `${field.name}: ${formatFieldValue(field, plate.attributes[field.name])}`)
+    .join(" · ");
+
+// Plate-level export columns: name, barcode, then the plate schema's fields
+export const getPlateColumns = (plateSchema) => [
+  `${PLATE_COLUMN_PREFIX}name`,
+  `${PLATE_COLUMN_PREFIX}barcode`,
+  ...plateSchema.map((field) => `${PLATE_COLUMN_PREFIX}${field.name}`),
+];
+
+export const getPlateColumnValues = (plate, plateSchema) => [
+  plate.name || "",
+  plate.barcode || "",
+  ...plateSchema.map((field) => {
+    const value = plate.attributes && plate.attributes[field.name];
+    return isEmptyValue(value) ? "" : value;
+  }),
+];
+
+// Plate values from one exported row: { name, barcode, attributes } with only
+// the non-empty cells, so a block's rows can be merged in any order
+export const readPlateColumns = (row) => {
+  const info = { attributes: {} };
+  Object.keys(row).forEach((column) => {
+    if (!isPlateColumn(column) || isEmptyValue(row[column]) || row[column] === "") return;
+    const name = column.trim().slice(PLATE_COLUMN_PREFIX.length);
+    if (name === "name" || name === "barcode") info[name] = row[column];
+    else info.attributes[name] = row[column];
+  });
+  return info;
+};
+
+// Plate schema edits; each returns the next document
+export const addPlateField = (doc, field) => {
+  const plateSchema = [...doc.plateSchema, field];
+  return { ...doc, plateSchema, plates: doc.plates.map((plate) => conformPlateInfo(plate, plateSchema)) };
+};
+
+export const renamePlateField = (doc, index, newName) => {
+  const oldName = doc.plateSchema[index].name;
+  const plateSchema = doc.plateSchema.map((field, i) => (i === index ? { ...field, name: newName } : field));
+  const plates = doc.plates.map((plate) => {
+    const { [oldName]: value, ...rest } = plate.attributes || {};
+    return conformPlateInfo({ ...plate, attributes: { ...rest, [newName]: value } }, plateSchema);
+  });
+  return { ...doc, plateSchema, plates };
+};
+
+export const updatePlateField = (doc, index, changes) => ({
+  ...doc,
+  plateSchema: doc.plateSchema.map((field, i) => (i === index ? { ...field, ...changes } : field)),
+});
+
+export const movePlateField = (doc, index, direction) => {
+  const target = index + direction;
+  if (target < 0 || target >= doc.plateSchema.length) return doc;
+  const plateSchema = [...doc.plateSchema];
+  [plateSchema[index], plateSchema[target]] = [plateSchema[target], plateSchema[index]];
+  return { ...doc, plateSchema, plates: doc.plates.map((plate) => conformPlateInfo(plate, plateSchema)) };
+};
+
+export const deletePlateField = (doc, index) => {
+  const plateSchema = doc.plateSchema.filter((_, i) => i !== index);
+  return { ...doc, plateSchema, plates: doc.plates.map((plate) => conformPlateInfo(plate, plateSchema)) };
+};
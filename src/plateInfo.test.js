@@ -0,0 +1,60 @@
+import { createField } from "./metadataSchema";
+import {
+  DEFAULT_PLATE_SCHEMA,
+  addPlateField,
+  conformPlateInfo,
+  deletePlateField,
+  describePlateAttributes,
+  nextPlateId,
+  plateLabel,
+  readPlateColumns,
+  renamePlateField,
+  trackLastPlateId,
+} from "./plateInfo";
+
+const makeDoc = () => ({
+  plateSchema: DEFAULT_PLATE_SCHEMA,
+  plates: [
+    conformPlateInfo({ id: 3, name: "Screen A", attributes: { media: "YPD", temperature: 30 } }, DEFAULT_PLATE_SCHEMA),
+    conformPlateInfo({ id: 1 }, DEFAULT_PLATE_SCHEMA),
+  ],
+});
+
+test("new block numbers never reuse an existing or deleted one", () => {
+  expect(nextPlateId([{ id: 3 }, { id: 1 }])).toBe(4);
+  expect(nextPlateId([])).toBe(1);
+
+  // Deleting the highest block, then adding one, must not bring its number back
+  let doc = trackLastPlateId(makeDoc());
+  expect(doc.lastPlateId).toBe(3);
+  doc = trackLastPlateId({ ...doc, plates: doc.plates.filter((plate) => plate.id !== 3) });
+  expect(doc.lastPlateId).toBe(3);
+  expect(nextPlateId(doc.plates, doc.lastPlateId)).toBe(4);
+  expect(trackLastPlateId(doc)).toBe(doc);
+});
+
+test("plates are labelled and described from their name and attributes", () => {
+  const [screen, blank] = makeDoc().plates;
+  expect(plateLabel(screen)).toBe("Block 3 – Screen A");
+  expect(plateLabel(blank)).toBe("Block 1");
+  expect(describePlateAttributes(screen, DEFAULT_PLATE_SCHEMA)).toBe("media: YPD · temperature: 30 °C");
+  expect(describePlateAttributes(blank, DEFAULT_PLATE_SCHEMA)).toBe("");
+});
+
+test("plate fields are added, renamed and deleted on every plate", () => {
+  let doc = addPlateField(makeDoc(), createField("incubator", { default: "Shelf 1" }));
+  expect(doc.plates.map((plate) => plate.attributes.incubator)).toEqual(["Shelf 1", "Shelf 1"]);
+
+  doc = renamePlateField(doc, 1, "medium");
+  expect(doc.plateSchema[1].name).toBe("medium");
+  expect(doc.plates[0].attributes).toMatchObject({ medium: "YPD" });
+  expect(doc.plates[0].attributes).not.toHaveProperty("media");
+
+  doc = deletePlateField(doc, 1);
+  expect(Object.keys(doc.plates[0].attributes)).toEqual(["date_spotted", "temperature", "operator", "source_plate", "incubator"]);
+});
+
+test("plate columns of an exported row are read back, blanks skipped", () => {
+  const row = { from_block: "2", well: "A1", "plate:name": "Screen A", "plate:barcode": "", "plate:media": "YPD", base_strain: "yNP1" };
+  expect(readPlateColumns(row)).toEqual({ name: "Screen A", attributes: { media: "YPD" } });
+});
@@ -0,0 +1,46 @@
+// Immutable helpers for editing plates. Plates are never mutated in place so
+// that every earlier state can be kept in the undo history.
+
+import { DEFAULT_FORMAT, getWellIds } from "./plateFormats";
+import { DEFAULT_SCHEMA, createWellMetadata } from "./metadataSchema";
+
+// Metadata for all wells of a plate in the given format
+export const createPlateMetadata = (format = DEFAULT_FORMAT, schema = DEFAULT_SCHEMA) => {
+  const metadata = {};
+  getWellIds(format).forEach((wellId) => {
+    metadata[wellId] = createWellMetadata(schema);
+  });
+  return metadata;
+};
+
+// Applies the same field values to a list of wells on one plate
+export const setWellValues = (plate, wellIds, values) => {
+  const metadata = { ...plate.metadata };
+  wellIds.forEach((wellId) => {
+    metadata[wellId] = { ...metadata[wellId], ...values };
+  });
+  return { ...plate, metadata };
+};
+
+// Applies per-well values: updates is { wellId: { field: value } }
+export const setWellsData = (plate, updates) => {
+  const metadata = { ...plate.metadata };
+  Object.keys(updates).forEach((wellId) => {
+    metadata[wellId] = { ...metadata[wellId], ...updates[wellId] };
+  });
+  return { ...plate, metadata };
+};
+
+export const replacePlate = (plates, index, plate) => plates.map((p, i) => (i === index ? plate : p));
+
+export const insertPlate = (plates, index, plate) => [...plates.slice(0, index), plate, ...plates.slice(index)];
+
+export const removePlate = (plates, index) => plates.filter((_, i) => i !== index);
+
+export const movePlate = (plates, fromIndex, toIndex) => {
+  const updatedPlates = removePlate(plates, fromIndex);
+  updatedPlates.splice(toIndex, 0, plates[fromIndex]);
+  return updatedPlates;
+};
+
+export const countLabel = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
@@ -0,0 +1,184 @@
+// Whole-plate reformatting: combining four plates into quadrants of one, splitting
+// a plate into its quadrants, transposing, rotating by 180° and subsampling.
+// Every operation makes new plates; each destination well records the source
+// well it came from in plate.sourceWells ({ wellId: { plateId, wellId } }) and
+// the plate records the operation in plate.origin. Value histories (provenance)
+// move with the wells.
+
+import { createFormat, formatLabel, getWellId } from "./plateFormats";
+import { createWellMetadata } from "./metadataSchema";
+import { nextPlateId } from "./plateInfo";
+
+export const REFORMAT_OPERATIONS = {
+  combine: "Combine four plates into quadrants",
+  split: "Split into four quadrant plates",
+  transpose: "Transpose (rows ↔ columns)",
+  rotate: "Rotate 180°",
+  subsample: "Subsample rows / columns",
+};
+
+// How quadrants sit on the large plate
+export const QUADRANT_LAYOUTS = {
+  interleaved: "Interleaved (A1, A2, B1, B2 – like a 96-channel head stamping a 384)",
+  blocks: "Side by side (top left, top right, bottom left, bottom right)",
+};
+
+export const QUADRANT_NAMES = ["Q1", "Q2", "Q3", "Q4"];
+
+export const DEFAULT_SUBSAMPLE = { rowStep: 2, rowOffset: 0, columnStep: 1, columnOffset: 0 };
+
+// Builds one plate of the given format; sourceFor(row, column) returns
+// { plate, row, column } for the source well, or null for an empty well
+const remapPlate = (id, format, sourceFor, schema) => {
+  const metadata = {};
+  const sourceWells = {};
+  const provenance = {};
+  for (let row = 0; row < format.rows; row++) {
+    for (let column = 1; column <= format.columns; column++) {
+      const wellId = getWellId(row, column);
+      const source = sourceFor(row, column);
+      const sourceWellId = source && getWellId(source.row, source.column);
+      const sourceData = source && source.plate.metadata[sourceWellId];
+      metadata[wellId] = sourceData ? { ...sourceData } : createWellMetadata(schema);
+      if (sourceData) sourceWells[wellId] = { plateId: source.plate.id, wellId: sourceWellId };
+      if (sourceData && source.plate.provenance && source.plate.provenance[sourceWellId]) {
+        provenance[wellId] = source.plate.provenance[sourceWellId];
+      }
+    }
+  }
+  return { id, format, metadata, sourceWells, provenance };
+};
+
+// Name, barcode and attributes of a new plate: attributes come from its (first) source
+const withInfo = (plate, source, name, origin) => ({
+  ...plate,
+  name,
+  barcode: "", // A new physical block needs its own barcode
+  attributes: { ...source.attributes },
+  origin,
+});
+
+const isEven = (n) => n % 2 === 0;
+
+// Checks an operation can run; returns an error message or null
+export const validateReformat = (operation, sourcePlates, options = {}) => {
+  const [plate] = sourcePlates;
+  if (operation === "combine") {
+    const given = sourcePlates.filter(Boolean);
+    if (given.length === 0) return "Pick at least one plate to combine.";
+    if (new Set(given.map((p) => p.id)).size !== given.length) return "Pick each plate only once.";
+    if (given.some((p) => p.format.rows !== given[0].format.rows || p.format.columns !== given[0].format.columns)) {
+      return "The plates to combine must all have the same format.";
+    }
+    if (!createFormat(given[0].format.rows * 2, given[0].format.columns * 2)) return "The combined plate would be too large.";
+  }
+  if (operation === "split" && !(isEven(plate.format.rows) && isEven(plate.format.columns))) {
+    return `A ${formatLabel(plate.format)} plate cannot be split into quadrants (rows and columns must be even).`;
+  }
+  if (operation === "transpose" && !createFormat(plate.format.columns, plate.format.rows)) {
+    return "The transposed plate would be too large.";
+  }
+  if (operation === "subsample") {
+    const { rowStep, rowOffset, columnStep, columnOffset } = { ...DEFAULT_SUBSAMPLE, ...options.subsample };
+    if (!(rowStep >= 1 && columnStep >= 1)) return "Steps must be at least 1.";
+    if (!(rowOffset >= 0 && rowOffset < plate.format.rows && columnOffset >= 0 && columnOffset < plate.format.columns)) {
+      return "The starting row and column must be on the plate.";
+    }
+  }
+  return null;
+};
+
+// Runs a reformatting operation. sourcePlates: the plate to reformat, or the
+// four quadrant plates (null for an empty quadrant) when combining.
+// options: { layout, subsample, lastPlateId }. Returns the new plates; ids follow
+// `plates` and lastPlateId (see nextPlateId).
+export const reformatPlates = (operation, sourcePlates, plates, schema, options = {}) => {
+  const layout = options.layout || "interleaved";
+  const [plate] = sourcePlates;
+  const { rows, columns } = (sourcePlates.find(Boolean) || {}).format || {};
+  const id = nextPlateId(plates, options.lastPlateId);
+  const origin = { operation, plateIds: sourcePlates.filter(Boolean).map((p) => p.id), layout };
+
+  if (operation === "combine") {
+    const format = createFormat(rows * 2, columns * 2);
+    const combined = remapPlate(
+      id,
+      format,
+      (row, column) => {
+        const col = column - 1;
+        const quadrant =
+          layout === "blocks"
+            ? (row >= rows ? 2 : 0) + (col >= columns ? 1 : 0)
+            : (row % 2) * 2 + (col % 2);
+        const source = sourcePlates[quadrant];
+        if (!source) return null;
+        return layout === "blocks"
+          ? { plate: source, row: row % rows, column: (col % columns) + 1 }
+          : { plate: source, row: Math.floor(row / 2), column: Math.floor(col / 2) + 1 };
+      },
+      schema
+    );
+    const name = `Blocks ${origin.plateIds.join(", ")} combined`;
+    return [withInfo(combined, sourcePlates.find(Boolean), name, origin)];
+  }
+
+  if (operation === "split") {
+    const format = createFormat(rows / 2, columns / 2);
+    return QUADRANT_NAMES.map((quadrantName, quadrant) => {
+      const rowShift = Math.floor(quadrant / 2);
+      const columnShift = quadrant % 2;
+      const quarter = remapPlate(
+        id + quadrant,
+        format,
+        (row, column) =>
+          layout === "blocks"
+            ? { plate, row: row + rowShift * format.rows, column: column + columnShift * format.columns }
+            : { plate, row: row * 2 + rowShift, column: (column - 1) * 2 + columnShift + 1 },
+        schema
+      );
+      return withInfo(quarter, plate, `Block ${plate.id} ${quadrantName}`, { ...origin, quadrant: quadrantName });
+    });
+  }
+
+  if (operation === "transpose") {
+    const transposed = remapPlate(id, createFormat(columns, rows), (row, column) => ({ plate, row: column - 1, column: row + 1 }), schema);
+    return [withInfo(transposed, plate, `Block ${plate.id} transposed`, origin)];
+  }
+
+  if (operation === "rotate") {
+    const rotated = remapPlate(
+      id,
+      plate.format,
+      (row, column) => ({ plate, row: rows - 1 - row, column: columns + 1 - column }),
+      schema
+    );
+    return [withInfo(rotated, plate, `Block ${plate.id} rotated 180°`, origin)];
+  }
+
+  if (operation === "subsample") {
+    const subsample = { ...DEFAULT_SUBSAMPLE, ...options.subsample };
+    const format = createFormat(
+      Math.ceil((rows - subsample.rowOffset) / subsample.rowStep),
+      Math.ceil((columns - subsample.columnOffset) / subsample.columnStep)
+    );
+    const sampled = remapPlate(
+      id,
+      format,
+      (row, column) => ({
+        plate,
+        row: subsample.rowOffset + row * subsample.rowStep,
+        column: subsample.columnOffset + (column - 1) * subsample.columnStep + 1,
+      }),
+      schema
+    );
+    return [withInfo(sampled, plate, `Block ${plate.id} subsampled`, { ...origin, subsample })];
+  }
+
+  throw new Error(`Unknown reformatting operation "${operation}".`);
+};
+
+// "Block 2 C3" for the well a reformatted well came from, or null
+export const describeSourceWell = (plate, wellId) => {
+  const source = plate.sourceWells && plate.sourceWells[wellId];
+  return source ? `Block ${source.plateId} ${source.wellId}` : null;
+};
@@ -0,0 +1,68 @@
+import { PLATE_FORMATS, getWellIds } from "./plateFormats";
+import { createField } from "./metadataSchema";
+import { createPlateMetadata } from "./plateModel";
+import { describeSourceWell, reformatPlates, validateReformat } from "./plateReformat";
+
+const schema = [createField("base_strain")];
+
+// Every well holds "<block>:<well>", so moved wells are easy to follow
+const makePlate = (id, format = PLATE_FORMATS[96]) => {
+  const metadata = createPlateMetadata(format, schema);
+  getWellIds(format).forEach((wellId) => {
+    metadata[wellId] = { base_strain: `${id}:${wellId}` };
+  });
+  return { id, name: "", barcode: `KB-${id}`, attributes: { media: "YPD" }, format, metadata };
+};
+
+test("four 96-well plates interleave into a 384-well plate and split back", () => {
+  const quadrants = [makePlate(1), makePlate(2), makePlate(3), makePlate(4)];
+  const [combined] = reformatPlates("combine", quadrants, quadrants, schema);
+  expect(combined.id).toBe(5);
+  expect(combined.format).toEqual(PLATE_FORMATS[384]);
+  expect(["A1", "A2", "B1", "B2", "P24"].map((wellId) => combined.metadata[wellId].base_strain)).toEqual([
+    "1:A1",
+    "2:A1",
+    "3:A1",
+    "4:A1",
+    "4:H12",
+  ]);
+  expect(combined.sourceWells.C4).toEqual({ plateId: 2, wellId: "B2" });
+  expect(combined).toMatchObject({ barcode: "", attributes: { media: "YPD" }, origin: { operation: "combine", plateIds: [1, 2, 3, 4] } });
+
+  const split = reformatPlates("split", [combined], [...quadrants, combined], schema);
+  expect(split.map((plate) => plate.id)).toEqual([6, 7, 8, 9]);
+  split.forEach((plate, index) => expect(plate.metadata).toEqual(quadrants[index].metadata));
+  expect(describeSourceWell(split[1], "A1")).toBe("Block 5 A2");
+});
+
+test("side-by-side quadrants keep each plate in one corner, empty quadrants stay empty", () => {
+  const [combined] = reformatPlates("combine", [makePlate(1), null, null, makePlate(4)], [], schema, { layout: "blocks" });
+  expect(combined.metadata.H12.base_strain).toBe("1:H12");
+  expect(combined.metadata.I13.base_strain).toBe("4:A1");
+  expect(combined.metadata.A13.base_strain).toBe("");
+  expect(combined.sourceWells).not.toHaveProperty("A13");
+});
+
+test("plates transpose, rotate and subsample", () => {
+  const plate = makePlate(1);
+  const [transposed] = reformatPlates("transpose", [plate], [plate], schema);
+  expect(transposed.format).toEqual({ rows: 12, columns: 8 });
+  expect(transposed.metadata.C2.base_strain).toBe("1:B3");
+
+  const [rotated] = reformatPlates("rotate", [plate], [plate], schema);
+  expect(rotated.metadata.A1.base_strain).toBe("1:H12");
+  expect(rotated.metadata.B3.base_strain).toBe("1:G10");
+
+  const [sampled] = reformatPlates("subsample", [plate], [plate], schema, {
+    subsample: { rowStep: 2, rowOffset: 1, columnStep: 1, columnOffset: 0 },
+  });
+  expect(sampled.format).toEqual({ rows: 4, columns: 12 });
+  expect(sampled.metadata.B5.base_strain).toBe("1:D5");
+});
+
+test("operations that cannot work are explained", () => {
+  expect(validateReformat("split", [makePlate(1, PLATE_FORMATS[24])])).toBeNull();
+  expect(validateReformat("split", [makePlate(1, { rows: 3, columns: 5 })])).toMatch(/even/);
+  expect(validateReformat("combine", [makePlate(1), makePlate(2, PLATE_FORMATS[24]), null, null])).toMatch(/same format/);
+  expect(validateReformat("combine", [makePlate(1), makePlate(1), null, null])).toMatch(/only once/);
+});
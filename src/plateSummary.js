@@ -0,0 +1,49 @@
+// Counts over all plates for the overview page
+
+import { getWellIds } from "./plateFormats";
+import { isEmptyValue, isWellEmpty } from "./metadataSchema";
+
+const byCountThenName = (a, b) => b.count - a.count || String(a.label).localeCompare(String(b.label));
+
+// Wells per distinct value of one field: [{ value, label, count, plateIds }]
+export const countValues = (plates, fieldName) => {
+  const summary = new Map();
+  plates.forEach((plate) => {
+    getWellIds(plate.format).forEach((wellId) => {
+      const value = (plate.metadata[wellId] || {})[fieldName];
+      if (isEmptyValue(value)) return;
+      if (!summary.has(value)) summary.set(value, { value, label: String(value), count: 0, plateIds: [] });
+      const entry = summary.get(value);
+      entry.count++;
+      if (!entry.plateIds.includes(plate.id)) entry.plateIds.push(plate.id);
+    });
+  });
+  return [...summary.values()].sort(byCountThenName);
+};
+
+// Filled and empty wells on each plate: [{ plateId, total, filled, empty }]
+export const countWellsPerPlate = (plates) =>
+  plates.map((plate) => {
+    const wellIds = getWellIds(plate.format);
+    const empty = wellIds.filter((wellId) => isWellEmpty(plate.metadata[wellId])).length;
+    return { plateId: plate.id, total: wellIds.length, filled: wellIds.length - empty, empty };
+  });
+
+// Distinct combinations of several fields on wells that have at least one of
+// them set: [{ values: [..], label, count, plateIds }]
+export const countCombinations = (plates, fieldNames) => {
+  const summary = new Map();
+  plates.forEach((plate) => {
+    getWellIds(plate.format).forEach((wellId) => {
+      const wellData = plate.metadata[wellId] || {};
+      const values = fieldNames.map((name) => (isEmptyValue(wellData[name]) ? "" : String(wellData[name])));
+      if (values.every((value) => value === "")) return;
+      const key = JSON.stringify(values);
+      if (!summary.has(key)) summary.set(key, { values, label: values.join(" / "), count: 0, plateIds: [] });
+      const entry = summary.get(key);
+      entry.count++;
+      if (!entry.plateIds.includes(plate.id)) entry.plateIds.push(plate.id);
+    });
+  });
+  return [...summary.values()].sort(byCountThenName);
+};
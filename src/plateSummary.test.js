@@ -0,0 +1,36 @@
+import { PLATE_FORMATS } from "./plateFormats";
+import { DEFAULT_SCHEMA } from "./metadataSchema";
+import { createPlateMetadata } from "./plateModel";
+import { countCombinations, countValues, countWellsPerPlate } from "./plateSummary";
+
+const makePlates = () => {
+  const plate = (id) => ({ id, format: PLATE_FORMATS[6], metadata: createPlateMetadata(PLATE_FORMATS[6], DEFAULT_SCHEMA) });
+  const plates = [plate(1), plate(2)];
+  plates[0].metadata.A1 = { ...plates[0].metadata.A1, base_strain: "yNP1", nanobody: "Nb1" };
+  plates[0].metadata.A2 = { ...plates[0].metadata.A2, base_strain: "yNP1" };
+  plates[1].metadata.B1 = { ...plates[1].metadata.B1, base_strain: "yNP1", nanobody: "Nb1" };
+  plates[1].metadata.B2 = { ...plates[1].metadata.B2, base_strain: "yNP2" };
+  return plates;
+};
+
+test("wells per value list the blocks they appear on", () => {
+  expect(countValues(makePlates(), "base_strain")).toEqual([
+    { value: "yNP1", label: "yNP1", count: 3, plateIds: [1, 2] },
+    { value: "yNP2", label: "yNP2", count: 1, plateIds: [2] },
+  ]);
+});
+
+test("filled and empty wells per block", () => {
+  expect(countWellsPerPlate(makePlates())).toEqual([
+    { plateId: 1, total: 6, filled: 2, empty: 4 },
+    { plateId: 2, total: 6, filled: 2, empty: 4 },
+  ]);
+});
+
+test("combinations of fields and where they occur", () => {
+  expect(countCombinations(makePlates(), ["base_strain", "nanobody"]).map((c) => [c.label, c.count, c.plateIds])).toEqual([
+    ["yNP1 / Nb1", 2, [1, 2]],
+    ["yNP1 / ", 1, [1]],
+    ["yNP2 / ", 1, [2]],
+  ]);
+});
@@ -0,0 +1,137 @@
+// Versioned project file (.spotplate.json): plates in order, per-well metadata,
+// plate attributes, the well and plate schemas, the loaded strain reference
+// sheet and display settings.
+// The same format is used for projects and the autosave kept in the browser.
+
+import { DEFAULT_FORMAT, getWellIds } from "./plateFormats";
+import { DEFAULT_SCHEMA, conformPlatesToSchema, createField, createWellMetadata } from "./metadataSchema";
+import { DEFAULT_LOOKUP_CONFIG } from "./strainLookup";
+import { DEFAULT_VALIDATION } from "./validation";
+import { DEFAULT_COLOR_SETTINGS } from "./colors";
+import { DEFAULT_PLATE_SCHEMA, conformPlateInfo, nextPlateId, trackLastPlateId } from "./plateInfo";
+import { DEFAULT_WORKLIST_CONFIG } from "./worklist";
+import { DEFAULT_DATASET_CONFIG } from "./datasetExport";
+
+export const PROJECT_FILE_TYPE = "spotplate-project";
+export const PROJECT_FILE_VERSION = 2;
+export const PROJECT_FILE_EXTENSION = ".spotplate.json";
+
+// Upgrades keyed by the version they start from; each returns the next version
+const MIGRATIONS = {
+  // Unversioned session snapshots ({ doc, csvData, settings }) saved before the
+  // file format existed, or a bare { plates, schema } dump
+  0: (file) => ({
+    type: PROJECT_FILE_TYPE,
+    version: 1,
+    name: file.name || "",
+    doc: file.doc || { plates: file.plates || [], schema: file.schema },
+    referenceData: { strains: file.csvData || [] },
+    settings: file.settings || {},
+  }),
+  // Version 1 kept the strain sheet as cleaned row objects; version 2 keeps the
+  // raw rows plus the lookup config that reads them
+  1: (file) => {
+    const strains = (file.referenceData && file.referenceData.strains) || [];
+    const headers = strains.length > 0 ? Object.keys(strains[0]) : [];
+    return {
+      ...file,
+      version: 2,
+      doc: { ...file.doc, lookup: { ...DEFAULT_LOOKUP_CONFIG, headerRow: 1 } },
+      referenceData: {
+        strainSheet: strains.length > 0 ? [headers, ...strains.map((row) => headers.map((h) => row[h] || ""))] : [],
+      },
+    };
+  },
+};
+
+export const createProjectFile = (snapshot, name = "") => ({
+  type: PROJECT_FILE_TYPE,
+  version: PROJECT_FILE_VERSION,
+  name,
+  savedAt: new Date().toISOString(),
+  doc: snapshot.doc,
+  referenceData: { strainSheet: snapshot.csvData || [] },
+  settings: snapshot.settings || {},
+});
+
+export const migrateProjectFile = (file) => {
+  let migrated = file;
+  let version = Number.isInteger(file.version) ? file.version : 0;
+  if (version > PROJECT_FILE_VERSION) {
+    throw new Error(`This project was saved by a newer version of the app (file version ${version}).`);
+  }
+  while (version < PROJECT_FILE_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`Cannot read project file version ${version}.`);
+    migrated = migrate(migrated);
+    version = migrated.version;
+  }
+  return migrated;
+};
+
+// Fills in anything an older or hand-edited file may lack, so the app can rely on it
+const normalizeDoc = (doc) => {
+  const plates = Array.isArray(doc && doc.plates) ? doc.plates : [];
+  let schema = Array.isArray(doc && doc.schema) && doc.schema.length > 0 ? doc.schema : null;
+
+  // ✅ Files without a schema get one from the fields found on their wells
+  if (!schema) {
+    const names = new Set();
+    plates.forEach((plate) => Object.values(plate.metadata || {}).forEach((wellData) => Object.keys(wellData || {}).forEach((name) => names.add(name))));
+    schema = names.size > 0 ? [...names].map((name) => createField(name)) : DEFAULT_SCHEMA;
+  }
+  schema = schema.map((field) => createField(field.name, field));
+  const plateSchema = (Array.isArray(doc && doc.plateSchema) ? doc.plateSchema : DEFAULT_PLATE_SCHEMA).map((field) =>
+    createField(field.name, field)
+  );
+
+  // ✅ Plate ids are permanent; missing or repeated ones get a fresh number
+  const normalizedPlates = [];
+  plates.forEach((plate) => {
+    const format = plate.format || DEFAULT_FORMAT;
+    const metadata = {};
+    getWellIds(format).forEach((wellId) => {
+      metadata[wellId] = (plate.metadata && plate.metadata[wellId]) || createWellMetadata(schema);
+    });
+    const id = Number(plate.id);
+    const isTaken = !Number.isInteger(id) || id < 1 || normalizedPlates.some((p) => p.id === id);
+    const plateId = isTaken ? nextPlateId([...plates, ...normalizedPlates], doc && doc.lastPlateId) : id;
+    normalizedPlates.push(conformPlateInfo({ ...plate, id: plateId, format, metadata }, plateSchema));
+  });
+  if (normalizedPlates.length === 0) {
+    normalizedPlates.push(conformPlateInfo({ id: 1, format: DEFAULT_FORMAT, metadata: {} }, plateSchema));
+    getWellIds(DEFAULT_FORMAT).forEach((wellId) => {
+      normalizedPlates[0].metadata[wellId] = createWellMetadata(schema);
+    });
+  }
+
+  // ✅ Files from before doc.lastPlateId start from their highest block number
+  return trackLastPlateId({
+    ...doc,
+    schema,
+    plateSchema,
+    plates: conformPlatesToSchema(normalizedPlates, schema),
+    lookup: { ...DEFAULT_LOOKUP_CONFIG, ...(doc && doc.lookup) },
+    validation: { ...DEFAULT_VALIDATION, ...(doc && doc.validation) },
+    colors: { ...DEFAULT_COLOR_SETTINGS, ...(doc && doc.colors) },
+    worklist: { ...DEFAULT_WORKLIST_CONFIG, ...(doc && doc.worklist) },
+    dataset: { ...DEFAULT_DATASET_CONFIG, ...(doc && doc.dataset) },
+  });
+};
+
+// Reads a parsed project file (any version) into a session snapshot
+export const readProjectFile = (file) => {
+  if (!file || typeof file !== "object") throw new Error("Not a project file.");
+  if (file.type && file.type !== PROJECT_FILE_TYPE) throw new Error("Not a spot plating project file.");
+  const migrated = migrateProjectFile(file);
+  return {
+    name: migrated.name || "",
+    snapshot: {
+      doc: normalizeDoc(migrated.doc),
+      csvData: (migrated.referenceData && migrated.referenceData.strainSheet) || [],
+      settings: migrated.settings || {},
+    },
+  };
+};
+
+export const serializeProjectFile = (snapshot, name) => JSON.stringify(createProjectFile(snapshot, name), null, 2);
@@ -0,0 +1,93 @@
+import { PLATE_FORMATS } from "./plateFormats";
+import { createField } from "./metadataSchema";
+import { DEFAULT_LOOKUP_CONFIG } from "./strainLookup";
+import { DEFAULT_VALIDATION } from "./validation";
+import { DEFAULT_COLOR_SETTINGS } from "./colors";
+import { DEFAULT_PLATE_SCHEMA } from "./plateInfo";
+import { DEFAULT_WORKLIST_CONFIG } from "./worklist";
+import { DEFAULT_DATASET_CONFIG } from "./datasetExport";
+import { PROJECT_FILE_VERSION, readProjectFile, serializeProjectFile } from "./projectFile";
+
+const makePlate = (id, format, values = {}, info = {}) => {
+  const metadata = {};
+  for (let row = 0; row < format.rows; row++) {
+    for (let col = 1; col <= format.columns; col++) {
+      metadata[`${String.fromCharCode(65 + row)}${col}`] = { base_strain: "", notes: "" };
+    }
+  }
+  Object.keys(values).forEach((wellId) => {
+    metadata[wellId] = { ...metadata[wellId], ...values[wellId] };
+  });
+  return { id, name: "", barcode: "", attributes: { media: "" }, ...info, format, metadata };
+};
+
+test("a project survives a save and reload unchanged", () => {
+  const schema = [createField("base_strain"), createField("notes")];
+  const snapshot = {
+    doc: {
+      schema,
+      plateSchema: [createField("media")],
+      lookup: { ...DEFAULT_LOOKUP_CONFIG, ignoreCase: true },
+      validation: { ...DEFAULT_VALIDATION, onExportErrors: "block" },
+      colors: { ...DEFAULT_COLOR_SETTINGS, palette: "okabeIto", overrides: { base_strain: { yNP22422: "#ff0000" } } },
+      worklist: { ...DEFAULT_WORKLIST_CONFIG, order: "destination" },
+      dataset: { ...DEFAULT_DATASET_CONFIG, labelField: "notes", fileNamePattern: "{barcode}.tif" },
+      lastPlateId: 5, // Blocks 3 to 5 were deleted
+      plates: [
+        makePlate(
+          2,
+          PLATE_FORMATS[24],
+          { A1: { base_strain: "yNP22422", notes: 'has "quotes", commas\nand lines' } },
+          { name: "Screen A", barcode: "KB-0002", attributes: { media: "SC -Ura" } }
+        ),
+        makePlate(1, PLATE_FORMATS[6]),
+      ],
+    },
+    csvData: [["NP Plasmids"], ["Strain_Name", "Construct_1"], ["yNP22422", "pNP1"]],
+    settings: { displayedField: "notes", currentPlateIndex: 1 },
+  };
+
+  const file = JSON.parse(serializeProjectFile(snapshot, "Screen 1"));
+  expect(file.version).toBe(PROJECT_FILE_VERSION);
+
+  const { name, snapshot: loaded } = readProjectFile(file);
+  expect(name).toBe("Screen 1");
+  expect(loaded).toEqual(snapshot);
+});
+
+test("unversioned sessions are migrated forward", () => {
+  const { snapshot } = readProjectFile({
+    plates: [{ id: 1, metadata: { A1: { base_strain: "yNP1" } } }],
+    csvData: [{ Strain_Name: "yNP1" }],
+  });
+  expect(snapshot.doc.plates[0].format).toEqual(PLATE_FORMATS[96]);
+  expect(snapshot.doc.plates[0].metadata.A1).toEqual({ base_strain: "yNP1" });
+  expect(snapshot.doc.plates[0].metadata.H12).toEqual({ base_strain: "" });
+  expect(snapshot.doc.schema.map((f) => f.name)).toEqual(["base_strain"]);
+  // The old cleaned strain rows become a raw sheet with its headers in row 1
+  expect(snapshot.csvData).toEqual([["Strain_Name"], ["yNP1"]]);
+  expect(snapshot.doc.lookup.headerRow).toBe(1);
+  expect(snapshot.doc.lastPlateId).toBe(1);
+  // Plates from before plate attributes get the default plate fields, left blank
+  expect(snapshot.doc.plateSchema).toEqual(DEFAULT_PLATE_SCHEMA);
+  expect(snapshot.doc.plates[0]).toMatchObject({ name: "", barcode: "", attributes: { media: "", operator: "" } });
+});
+
+test("missing and repeated block numbers get fresh ones, the rest are kept", () => {
+  const { snapshot } = readProjectFile({
+    type: "spotplate-project",
+    version: PROJECT_FILE_VERSION,
+    doc: { plates: [{ id: 4 }, { id: 2 }, { id: 4 }, {}] },
+  });
+  expect(snapshot.doc.plates.map((plate) => plate.id)).toEqual([4, 2, 5, 6]);
+  expect(snapshot.doc.lastPlateId).toBe(6);
+
+  // Numbers of deleted blocks are not handed out again either
+  const saved = readProjectFile({ type: "spotplate-project", version: PROJECT_FILE_VERSION, doc: { plates: [{ id: 1 }, { id: 1 }], lastPlateId: 9 } });
+  expect(saved.snapshot.doc.plates.map((plate) => plate.id)).toEqual([1, 10]);
+  expect(saved.snapshot.doc.lastPlateId).toBe(10);
+});
+
+test("files from a newer version are rejected", () => {
+  expect(() => readProjectFile({ type: "spotplate-project", version: PROJECT_FILE_VERSION + 1 })).toThrow(/newer version/);
+});
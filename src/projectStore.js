@@ -0,0 +1,110 @@
+// Browser persistence for named projects, the crash-recovery autosave and the
+// library of layout templates (IndexedDB). A project record is
+// { id, name, createdAt, modifiedAt, data } where data is a session snapshot
+// ({ doc, csvData, settings }); templates are stored as created by layoutTemplates.
+
+const DB_NAME = "spotplating_helper";
+const DB_VERSION = 2; // 2: layout templates
+const PROJECTS_STORE = "projects";
+const AUTOSAVE_STORE = "autosave";
+const AUTOSAVE_KEY = "last";
+const TEMPLATES_STORE = "templates";
+
+export const isStorageAvailable = () => typeof indexedDB !== "undefined";
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!isStorageAvailable()) return Promise.reject(new Error("IndexedDB is not available in this browser."));
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PROJECTS_STORE)) db.createObjectStore(PROJECTS_STORE, { keyPath: "id" });
+        if (!db.objectStoreNames.contains(AUTOSAVE_STORE)) db.createObjectStore(AUTOSAVE_STORE);
+        if (!db.objectStoreNames.contains(TEMPLATES_STORE)) db.createObjectStore(TEMPLATES_STORE, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Runs one request against a store and resolves with its result
+const runRequest = async (storeName, mode, makeRequest) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Projects without their data, most recently modified first
+export const listProjects = async () => {
+  const projects = await runRequest(PROJECTS_STORE, "readonly", (store) => store.getAll());
+  return projects
+    .map(({ id, name, createdAt, modifiedAt }) => ({ id, name, createdAt, modifiedAt }))
+    .sort((a, b) => b.modifiedAt - a.modifiedAt);
+};
+
+export const getProject = (id) => runRequest(PROJECTS_STORE, "readonly", (store) => store.get(id));
+
+export const createProject = async (name, data) => {
+  const now = Date.now();
+  const project = { id: createId(), name, createdAt: now, modifiedAt: now, data };
+  await runRequest(PROJECTS_STORE, "readwrite", (store) => store.put(project));
+  return project;
+};
+
+// Stores new data for an existing project and bumps its modification time
+export const saveProjectData = async (id, data) => {
+  const project = await getProject(id);
+  if (!project) throw new Error("Project not found.");
+  const updated = { ...project, data, modifiedAt: Date.now() };
+  await runRequest(PROJECTS_STORE, "readwrite", (store) => store.put(updated));
+  return updated;
+};
+
+export const renameProject = async (id, name) => {
+  const project = await getProject(id);
+  if (!project) throw new Error("Project not found.");
+  const updated = { ...project, name, modifiedAt: Date.now() };
+  await runRequest(PROJECTS_STORE, "readwrite", (store) => store.put(updated));
+  return updated;
+};
+
+export const duplicateProject = async (id, name) => {
+  const project = await getProject(id);
+  if (!project) throw new Error("Project not found.");
+  return createProject(name, project.data);
+};
+
+export const deleteProject = (id) => runRequest(PROJECTS_STORE, "readwrite", (store) => store.delete(id));
+
+// The autosave slot always holds the latest session, saved to a project or not
+export const saveAutosave = (autosave) =>
+  runRequest(AUTOSAVE_STORE, "readwrite", (store) => store.put({ ...autosave, savedAt: Date.now() }, AUTOSAVE_KEY));
+
+export const getAutosave = () => runRequest(AUTOSAVE_STORE, "readonly", (store) => store.get(AUTOSAVE_KEY));
+
+export const clearAutosave = () => runRequest(AUTOSAVE_STORE, "readwrite", (store) => store.delete(AUTOSAVE_KEY));
+
+// Layout templates, by name
+export const listTemplates = async () => {
+  const templates = await runRequest(TEMPLATES_STORE, "readonly", (store) => store.getAll());
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const saveTemplate = (template) => runRequest(TEMPLATES_STORE, "readwrite", (store) => store.put(template));
+
+export const deleteTemplate = (id) => runRequest(TEMPLATES_STORE, "readwrite", (store) => store.delete(id));
@@ -0,0 +1,131 @@
+// Where each well value came from. Every plate keeps, per well and field, the
+// values it has held with their source:
+//   plate.provenance = { wellId: { field: [{ value, kind, detail, at, user }] } }
+// kind is one of PROVENANCE_KINDS; detail names the import file, the lookup
+// column, the template or the edit. Entries are added by recordProvenance after
+// every change to the document, so no editing path has to remember to do it.
+
+import { getFieldNames, isEmptyValue } from "./metadataSchema";
+
+export const PROVENANCE_KINDS = {
+  manual: "Edited",
+  import: "Imported",
+  lookup: "Strain lookup",
+  template: "Layout template",
+  compare: "Accepted from",
+};
+
+// Older entries of a well's field are dropped beyond this
+export const MAX_PROVENANCE_ENTRIES = 20;
+
+const sameValue = (a, b) => String(isEmptyValue(a) ? "" : a) === String(isEmptyValue(b) ? "" : b);
+
+// Source of a change: { kind, detail, at, user, fieldDetails? }; fieldDetails
+// gives some fields their own detail (e.g. the lookup column each came from)
+export const createStamp = (kind, detail = "", user = "", at = new Date().toISOString()) => ({ kind, detail, at, user });
+
+// Adds an entry for every well value that differs between prevDoc and nextDoc.
+// Plates new to nextDoc (copies, reformatted plates) keep the history they were
+// given and only get entries for values that history does not end with.
+export const recordProvenance = (prevDoc, nextDoc, stamp) => {
+  const prevById = new Map(prevDoc.plates.map((plate) => [plate.id, plate]));
+  const fieldNames = getFieldNames(nextDoc.schema);
+  let anyChange = false;
+
+  const plates = nextDoc.plates.map((plate) => {
+    const prevPlate = prevById.get(plate.id);
+    if (prevPlate && prevPlate.metadata === plate.metadata) return plate;
+    const provenance = { ...plate.provenance };
+    let changed = false;
+
+    Object.keys(plate.metadata).forEach((wellId) => {
+      const data = plate.metadata[wellId] || {};
+      const prevData = prevPlate ? prevPlate.metadata[wellId] || {} : null;
+      if (prevData === data) return;
+      fieldNames.forEach((field) => {
+        const entries = (provenance[wellId] && provenance[wellId][field]) || [];
+        const last = entries[entries.length - 1];
+        const before = prevData ? prevData[field] : last ? last.value : "";
+        if (sameValue(before, data[field]) || (last && sameValue(last.value, data[field]))) return;
+        const entry = {
+          value: isEmptyValue(data[field]) ? "" : data[field],
+          kind: stamp.kind,
+          detail: (stamp.fieldDetails && stamp.fieldDetails[field]) || stamp.detail || "",
+          at: stamp.at,
+          user: stamp.user || "",
+        };
+        provenance[wellId] = { ...provenance[wellId], [field]: [...entries, entry].slice(-MAX_PROVENANCE_ENTRIES) };
+        changed = true;
+      });
+    });
+
+    if (!changed) return plate;
+    anyChange = true;
+    return { ...plate, provenance };
+  });
+
+  return anyChange ? { ...nextDoc, plates } : nextDoc;
+};
+
+// { field: entries } for one well
+export const getWellHistory = (plate, wellId) => (plate.provenance && plate.provenance[wellId]) || {};
+
+export const getLastEntry = (plate, wellId, field) => {
+  const entries = getWellHistory(plate, wellId)[field] || [];
+  return entries[entries.length - 1] || null;
+};
+
+// "Imported: spots.csv"
+export const describeSource = (entry) => `${PROVENANCE_KINDS[entry.kind] || entry.kind}${entry.detail ? `: ${entry.detail}` : ""}`;
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// "2024-05-01 16:03" in the viewer's time zone; stamps are stored (and exported) in UTC
+export const formatTimestamp = (at) => {
+  const date = new Date(at);
+  if (!at || Number.isNaN(date.getTime())) return at ? String(at) : "";
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// "Imported: spots.csv, 2024-05-01 14:03 by Sam"
+export const describeEntry = (entry) =>
+  `${describeSource(entry)}, ${formatTimestamp(entry.at)}${entry.user ? ` by ${entry.user}` : ""}`;
+
+export const renameFieldInProvenance = (plates, oldName, newName) =>
+  plates.map((plate) => {
+    if (!plate.provenance) return plate;
+    const provenance = {};
+    Object.keys(plate.provenance).forEach((wellId) => {
+      const { [oldName]: entries, ...rest } = plate.provenance[wellId];
+      provenance[wellId] = entries ? { ...rest, [newName]: entries } : rest;
+    });
+    return { ...plate, provenance };
+  });
+
+export const removeFieldFromProvenance = (plates, name) =>
+  plates.map((plate) => {
+    if (!plate.provenance) return plate;
+    const provenance = {};
+    Object.keys(plate.provenance).forEach((wellId) => {
+      const { [name]: removed, ...rest } = plate.provenance[wellId];
+      provenance[wellId] = rest;
+    });
+    return { ...plate, provenance };
+  });
+
+// Provenance columns of the long CSV export: source, time and user of each field's current value
+export const PROVENANCE_COLUMN_PREFIXES = ["source:", "set_at:", "set_by:"];
+
+export const isProvenanceColumn = (header) =>
+  PROVENANCE_COLUMN_PREFIXES.some((prefix) => String(header).trim().startsWith(prefix));
+
+export const getProvenanceColumns = (fieldNames) =>
+  fieldNames.flatMap((name) => PROVENANCE_COLUMN_PREFIXES.map((prefix) => `${prefix}${name}`));
+
+// Blank when the value has no recorded source (or was set before recording began)
+export const getProvenanceValues = (plate, wellId, fieldNames) =>
+  fieldNames.flatMap((name) => {
+    const entry = getLastEntry(plate, wellId, name);
+    const value = (plate.metadata[wellId] || {})[name];
+    return entry && sameValue(entry.value, value) ? [describeSource(entry), entry.at, entry.user] : ["", "", ""];
+  });
@@ -0,0 +1,120 @@
+import { PLATE_FORMATS } from "./plateFormats";
+import { DEFAULT_SCHEMA } from "./metadataSchema";
+import { createPlateMetadata, setWellValues } from "./plateModel";
+import { reformatPlates } from "./plateReformat";
+import {
+  MAX_PROVENANCE_ENTRIES,
+  createStamp,
+  describeEntry,
+  formatTimestamp,
+  getLastEntry,
+  getProvenanceValues,
+  getWellHistory,
+  recordProvenance,
+  removeFieldFromProvenance,
+  renameFieldInProvenance,
+} from "./provenance";
+
+const makeDoc = () => ({
+  schema: DEFAULT_SCHEMA,
+  plates: [1, 2].map((id) => ({ id, format: PLATE_FORMATS[96], metadata: createPlateMetadata(PLATE_FORMATS[96], DEFAULT_SCHEMA) })),
+});
+
+const setValue = (doc, plateIndex, wellId, values) => ({
+  ...doc,
+  plates: doc.plates.map((plate, i) => (i === plateIndex ? { ...plate, metadata: { ...plate.metadata, [wellId]: { ...plate.metadata[wellId], ...values } } } : plate)),
+});
+
+const stamp = (kind, detail, extra = {}) => ({ ...createStamp(kind, detail, "Sam", "2024-05-01T14:03:00.000Z"), ...extra });
+
+test("a change records its value and source; untouched plates are left alone", () => {
+  const doc = makeDoc();
+  const next = recordProvenance(doc, setValue(doc, 0, "A1", { base_strain: "yNP1" }), stamp("manual", "Edit A1"));
+
+  expect(getWellHistory(next.plates[0], "A1")).toEqual({
+    base_strain: [{ value: "yNP1", kind: "manual", detail: "Edit A1", at: "2024-05-01T14:03:00.000Z", user: "Sam" }],
+  });
+  expect(next.plates[0].provenance).not.toHaveProperty("A2");
+  expect(next.plates[1]).toBe(doc.plates[1]);
+  expect(describeEntry(getLastEntry(next.plates[0], "A1", "base_strain"))).toBe(`Edited: Edit A1, ${formatTimestamp("2024-05-01T14:03:00.000Z")} by Sam`);
+});
+
+test("timestamps are shown in local time", () => {
+  const at = "2024-05-01T14:03:00.000Z";
+  const local = new Date(at);
+  const pad = (number) => String(number).padStart(2, "0");
+  expect(formatTimestamp(at)).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/);
+  expect(formatTimestamp(at)).toBe(`${local.getFullYear()}-05-${pad(local.getDate())} ${pad(local.getHours())}:${pad(local.getMinutes())}`);
+  expect(formatTimestamp("")).toBe("");
+});
+
+test("documents without well changes come back as they were", () => {
+  const doc = makeDoc();
+  const renamed = { ...doc, plates: [{ ...doc.plates[0], name: "Screen" }, doc.plates[1]] };
+  expect(recordProvenance(doc, renamed, stamp("manual", "Rename"))).toBe(renamed);
+});
+
+test("per-field details name the lookup column each value came from", () => {
+  const doc = makeDoc();
+  const looked = setValue(doc, 1, "B2", { base_strain: "yNP2", nanobody: "Nb1" });
+  const next = recordProvenance(doc, looked, stamp("lookup", "NP Plasmids sheet", { fieldDetails: { nanobody: "NP Plasmids column F" } }));
+  expect(getLastEntry(next.plates[1], "B2", "nanobody").detail).toBe("NP Plasmids column F");
+  expect(getLastEntry(next.plates[1], "B2", "base_strain").detail).toBe("NP Plasmids sheet");
+});
+
+test("clearing a value is recorded, and each well keeps its latest entries only", () => {
+  let doc = makeDoc();
+  for (let i = 0; i <= MAX_PROVENANCE_ENTRIES; i++) {
+    doc = recordProvenance(doc, setValue(doc, 0, "C3", { notes: `take ${i}` }), stamp("manual", `Edit ${i}`));
+  }
+  doc = recordProvenance(doc, setValue(doc, 0, "C3", { notes: "" }), stamp("manual", "Clear"));
+  const entries = getWellHistory(doc.plates[0], "C3").notes;
+  expect(entries).toHaveLength(MAX_PROVENANCE_ENTRIES);
+  expect(entries[entries.length - 1]).toMatchObject({ value: "", detail: "Clear" });
+  expect(entries[0].value).toBe("take 2");
+});
+
+test("new plates keep the history they were built with", () => {
+  let doc = makeDoc();
+  doc = recordProvenance(doc, setValue(doc, 0, "A1", { base_strain: "yNP1" }), stamp("import", "spots.csv"));
+  const source = doc.plates[0];
+  const copy = { ...setWellValues(source, ["A2"], { base_strain: "yNP9" }), id: 3 };
+  const next = recordProvenance(doc, { ...doc, plates: [...doc.plates, copy] }, stamp("manual", "Copy Block 1"));
+
+  expect(getWellHistory(next.plates[2], "A1").base_strain).toHaveLength(1);
+  expect(getLastEntry(next.plates[2], "A2", "base_strain")).toMatchObject({ value: "yNP9", kind: "manual" });
+});
+
+test("reformatted plates carry each source well's history", () => {
+  let doc = makeDoc();
+  doc = recordProvenance(doc, setValue(doc, 0, "B2", { base_strain: "yNP1" }), stamp("import", "spots.csv"));
+  const [rotated] = reformatPlates("rotate", [doc.plates[0]], doc.plates, DEFAULT_SCHEMA);
+  expect(getLastEntry(rotated, "G11", "base_strain")).toMatchObject({ value: "yNP1", detail: "spots.csv" });
+  expect(getWellHistory(rotated, "B2")).toEqual({});
+});
+
+test("provenance values stay blank unless the last entry holds the current value", () => {
+  let doc = makeDoc();
+  doc = recordProvenance(doc, setValue(doc, 0, "A1", { base_strain: "yNP1" }), stamp("import", "spots.csv"));
+  const plate = doc.plates[0];
+  expect(getProvenanceValues(plate, "A1", ["base_strain", "notes"])).toEqual([
+    "Imported: spots.csv",
+    "2024-05-01T14:03:00.000Z",
+    "Sam",
+    "",
+    "",
+    "",
+  ]);
+  const changedUnrecorded = setWellValues(plate, ["A1"], { base_strain: "yNP2" });
+  expect(getProvenanceValues(changedUnrecorded, "A1", ["base_strain"])).toEqual(["", "", ""]);
+});
+
+test("renaming and removing a field moves or drops its history", () => {
+  let doc = makeDoc();
+  doc = recordProvenance(doc, setValue(doc, 0, "A1", { base_strain: "yNP1", notes: "x" }), stamp("manual", "Edit"));
+  const renamed = renameFieldInProvenance(doc.plates, "base_strain", "strain");
+  expect(Object.keys(getWellHistory(renamed[0], "A1")).sort()).toEqual(["notes", "strain"]);
+  const removed = removeFieldFromProvenance(renamed, "notes");
+  expect(Object.keys(getWellHistory(removed[0], "A1"))).toEqual(["strain"]);
+  expect(removed[1]).toBe(doc.plates[1]);
+});
@@ -0,0 +1,121 @@
+// "Search Strain": fills well fields from the uploaded NP Plasmids sheet.
+// The sheet is kept as raw rows; the lookup config says which row holds the
+// headers, which column is the strain key and which columns fill which fields.
+
+export const DEFAULT_LOOKUP_CONFIG = {
+  headerRow: 2, // 1-based; the NP Plasmids export has a title row above the headers
+  keyColumn: "Strain_Name",
+  wellField: "base_strain", // Well field holding the strain ID to look up
+  columnMap: [
+    { column: "Construct_1", field: "negsel" },
+    { column: "Construct_2", field: "anchor" },
+    { column: "Construct_3", field: "receptor" },
+  ],
+  ignoreCase: false,
+  ignoreWhitespace: false,
+};
+
+// Header cells cleaned the way the sheet has always been read: trimmed, spaces
+// to underscores, duplicates numbered ("Construct", "Construct_2", ...)
+const cleanHeaders = (headerCells) => {
+  const headerCount = {};
+  return headerCells.map((cell) => {
+    const header = String(cell || "").trim().replace(/\s+/g, "_");
+    if (headerCount[header]) {
+      headerCount[header]++;
+      return `${header}_${headerCount[header]}`; // Rename duplicate headers
+    }
+    headerCount[header] = 1;
+    return header; // Keep the first occurrence unchanged
+  });
+};
+
+// Turns the raw sheet rows into { headers, records } using the configured header row
+export const buildStrainTable = (rows, config = DEFAULT_LOOKUP_CONFIG) => {
+  const headerIndex = Math.max(0, (parseInt(config.headerRow, 10) || 1) - 1);
+  if (!rows || rows.length <= headerIndex) return { headers: [], records: [] };
+
+  const headers = cleanHeaders(rows[headerIndex]);
+  const records = rows
+    .slice(headerIndex + 1)
+    .map((row) => {
+      const record = {};
+      headers.forEach((key, index) => {
+        record[key] = row[index] || ""; // Ensure valid mapping
+      });
+      return record;
+    })
+    .filter((record) => Object.values(record).some((val) => val !== "")); // ✅ Remove empty rows
+
+  return { headers, records };
+};
+
+export const renameFieldInLookup = (config, oldName, newName) => ({
+  ...config,
+  wellField: config.wellField === oldName ? newName : config.wellField,
+  columnMap: config.columnMap.map((m) => (m.field === oldName ? { ...m, field: newName } : m)),
+});
+
+// A deleted field is unset wherever the lookup used it
+export const removeFieldFromLookup = (config, name) => ({
+  ...config,
+  wellField: config.wellField === name ? "" : config.wellField,
+  columnMap: config.columnMap.map((m) => (m.field === name ? { ...m, field: "" } : m)),
+});
+
+// Whether the lookup reads or fills the field
+export const isFieldUsedByLookup = (config, name) =>
+  config.wellField === name || config.columnMap.some((m) => m.field === name);
+
+export const normalizeStrainKey = (value, config) => {
+  let key = String(value === undefined || value === null ? "" : value);
+  key = config.ignoreWhitespace ? key.replace(/\s+/g, "") : key;
+  return config.ignoreCase ? key.toLowerCase() : key;
+};
+
+// Fills mapped fields on every well whose strain is in the sheet. Wells whose
+// strain is missing, or listed more than once, are reported; for duplicates the
+// first row is used.
+export const runStrainLookup = (plates, table, config) => {
+  const index = new Map();
+  table.records.forEach((record) => {
+    const key = normalizeStrainKey(record[config.keyColumn], config);
+    if (!key) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(record);
+  });
+
+  const report = { matched: 0, notFound: [], ambiguous: [] };
+  const mappings = config.columnMap.filter((m) => m.column && m.field);
+
+  const updatedPlates = plates.map((plate) => {
+    let metadata = null;
+
+    // ✅ Loop through all wells in this plate
+    Object.keys(plate.metadata).forEach((wellId) => {
+      const wellMetadata = plate.metadata[wellId];
+      const strain = wellMetadata[config.wellField] || "";
+      if (!strain) return; // Skip wells without a strain
+
+      const matches = index.get(normalizeStrainKey(strain, config)) || [];
+      if (matches.length === 0) {
+        report.notFound.push({ plateId: plate.id, wellId, strain });
+        return;
+      }
+      if (matches.length > 1) report.ambiguous.push({ plateId: plate.id, wellId, strain, count: matches.length });
+
+      // ✅ Extract corresponding metadata values (only into fields the well has)
+      const updated = { ...wellMetadata };
+      mappings.forEach(({ column, field }) => {
+        if (field in updated) updated[field] = matches[0][column] || "";
+      });
+      if (!metadata) metadata = { ...plate.metadata };
+      metadata[wellId] = updated;
+      report.matched++;
+    });
+
+    return metadata ? { ...plate, metadata } : plate;
+  });
+
+  return { plates: updatedPlates, report };
+};
@@ -0,0 +1,70 @@
+import {
+  DEFAULT_LOOKUP_CONFIG,
+  buildStrainTable,
+  isFieldUsedByLookup,
+  removeFieldFromLookup,
+  renameFieldInLookup,
+  runStrainLookup,
+} from "./strainLookup";
+import { renameFieldInPlates } from "./metadataSchema";
+
+const sheet = [
+  ["NP Plasmids export"],
+  ["Strain Name", "Construct_1", "Construct_2", "Construct_3", "Notes", "Notes"],
+  ["yNP22422", "negA", "anchorA", "recA", "", ""],
+  ["yNP22423", "negB", "anchorB", "recB", "", ""],
+  ["yNP22423", "negC", "anchorC", "recC", "", ""],
+];
+
+const plates = [
+  {
+    id: 1,
+    metadata: {
+      A1: { base_strain: "yNP22422", negsel: "", anchor: "", receptor: "" },
+      A2: { base_strain: " ynp22422 ", negsel: "", anchor: "", receptor: "" },
+      A3: { base_strain: "yNP22423", negsel: "", anchor: "", receptor: "" },
+      A4: { base_strain: "yNP99999", negsel: "", anchor: "", receptor: "" },
+      A5: { base_strain: "", negsel: "", anchor: "", receptor: "" },
+    },
+  },
+];
+
+test("headers come from the configured row and are cleaned", () => {
+  const table = buildStrainTable(sheet, DEFAULT_LOOKUP_CONFIG);
+  expect(table.headers).toEqual(["Strain_Name", "Construct_1", "Construct_2", "Construct_3", "Notes", "Notes_2"]);
+  expect(table.records).toHaveLength(3);
+});
+
+test("lookup fills mapped fields and reports missing and duplicate strains", () => {
+  const table = buildStrainTable(sheet, DEFAULT_LOOKUP_CONFIG);
+  const { plates: updated, report } = runStrainLookup(plates, table, DEFAULT_LOOKUP_CONFIG);
+
+  expect(updated[0].metadata.A1).toMatchObject({ negsel: "negA", anchor: "anchorA", receptor: "recA" });
+  expect(updated[0].metadata.A3.negsel).toBe("negB");
+  expect(report.matched).toBe(2);
+  expect(report.notFound.map((w) => w.wellId)).toEqual(["A2", "A4"]);
+  expect(report.ambiguous).toEqual([{ plateId: 1, wellId: "A3", strain: "yNP22423", count: 2 }]);
+});
+
+test("case and whitespace can be ignored", () => {
+  const config = { ...DEFAULT_LOOKUP_CONFIG, ignoreCase: true, ignoreWhitespace: true };
+  const { plates: updated, report } = runStrainLookup(plates, buildStrainTable(sheet, config), config);
+  expect(updated[0].metadata.A2.receptor).toBe("recA");
+  expect(report.notFound.map((w) => w.wellId)).toEqual(["A4"]);
+});
+
+test("renaming fields keeps the lookup working; deleting them unsets them", () => {
+  let config = renameFieldInLookup(DEFAULT_LOOKUP_CONFIG, "base_strain", "strain");
+  config = renameFieldInLookup(config, "receptor", "receptor_construct");
+  const renamed = renameFieldInPlates(renameFieldInPlates(plates, "base_strain", "strain"), "receptor", "receptor_construct");
+
+  const { plates: updated, report } = runStrainLookup(renamed, buildStrainTable(sheet, config), config);
+  expect(report.matched).toBe(2);
+  expect(updated[0].metadata.A1).toMatchObject({ negsel: "negA", receptor_construct: "recA" });
+
+  const removed = removeFieldFromLookup(config, "strain");
+  expect(removed.wellField).toBe("");
+  expect(removeFieldFromLookup(config, "anchor").columnMap[1]).toEqual({ column: "Construct_2", field: "" });
+  expect(isFieldUsedByLookup(config, "receptor_construct")).toBe(true);
+  expect(isFieldUsedByLookup(removed, "strain")).toBe(false);
+});
@@ -0,0 +1,74 @@
+import { useCallback, useReducer } from "react";
+
+// Undo/redo history for the plate document ({ plates, schema, ... }).
+// Every edit is committed with a label; entries[index] is the current state.
+
+const DEFAULT_LIMIT = 100;
+
+const historyReducer = (state, action) => {
+  switch (action.type) {
+    case "commit": {
+      const current = state.entries[state.index];
+      const doc = action.updater(current.doc);
+      if (doc === current.doc) return state;
+
+      // ✅ Repeated edits of the same thing (e.g. typing a unit) collapse into one entry
+      if (action.coalesceKey && current.coalesceKey === action.coalesceKey && state.index > 0) {
+        const entries = state.entries.slice(0, state.index + 1);
+        entries[state.index] = { ...current, doc, time: Date.now() };
+        return { ...state, entries };
+      }
+
+      const entries = [
+        ...state.entries.slice(0, state.index + 1),
+        { label: action.label, doc, coalesceKey: action.coalesceKey, time: Date.now() },
+      ];
+      const overflow = Math.max(0, entries.length - state.limit);
+      return { ...state, entries: entries.slice(overflow), index: entries.length - 1 - overflow };
+    }
+    case "undo":
+      return state.index > 0 ? { ...state, index: state.index - 1 } : state;
+    case "redo":
+      return state.index < state.entries.length - 1 ? { ...state, index: state.index + 1 } : state;
+    case "jump":
+      if (action.index < 0 || action.index >= state.entries.length) return state;
+      return { ...state, index: action.index };
+    case "reset":
+      return { ...state, entries: [{ label: action.label, doc: action.doc, time: Date.now() }], index: 0 };
+    default:
+      return state;
+  }
+};
+
+const useHistory = (initialDoc, { limit = DEFAULT_LIMIT, initialLabel = "Start" } = {}) => {
+  const [state, dispatch] = useReducer(historyReducer, undefined, () => ({
+    entries: [{ label: initialLabel, doc: initialDoc, time: Date.now() }],
+    index: 0,
+    limit,
+  }));
+
+  // updater receives the current document and must return a new one (or the same object for no change)
+  const commit = useCallback((label, updater, options = {}) => {
+    dispatch({ type: "commit", label, updater, coalesceKey: options.coalesceKey });
+  }, []);
+  const undo = useCallback(() => dispatch({ type: "undo" }), []);
+  const redo = useCallback(() => dispatch({ type: "redo" }), []);
+  const jumpTo = useCallback((index) => dispatch({ type: "jump", index }), []);
+  // Replaces the whole history, e.g. when a project is opened
+  const reset = useCallback((doc, label = initialLabel) => dispatch({ type: "reset", doc, label }), [initialLabel]);
+
+  return {
+    doc: state.entries[state.index].doc,
+    entries: state.entries,
+    index: state.index,
+    canUndo: state.index > 0,
+    canRedo: state.index < state.entries.length - 1,
+    commit,
+    undo,
+    redo,
+    jumpTo,
+    reset,
+  };
+};
+
+export default useHistory;
@@ -0,0 +1,33 @@
+import { act, renderHook } from "@testing-library/react";
+import useHistory from "./useHistory";
+
+test("commits can be undone, redone and jumped to", () => {
+  const { result } = renderHook(() => useHistory({ count: 0 }));
+
+  act(() => result.current.commit("Add one", (doc) => ({ count: doc.count + 1 })));
+  act(() => result.current.commit("Add two", (doc) => ({ count: doc.count + 2 })));
+  expect(result.current.doc.count).toBe(3);
+  expect(result.current.entries.map((e) => e.label)).toEqual(["Start", "Add one", "Add two"]);
+
+  act(() => result.current.undo());
+  expect(result.current.doc.count).toBe(1);
+  act(() => result.current.redo());
+  expect(result.current.doc.count).toBe(3);
+  act(() => result.current.jumpTo(0));
+  expect(result.current.doc.count).toBe(0);
+  expect(result.current.canRedo).toBe(true);
+
+  // A new edit after undoing drops the redo branch
+  act(() => result.current.commit("Add five", (doc) => ({ count: doc.count + 5 })));
+  expect(result.current.entries.map((e) => e.label)).toEqual(["Start", "Add five"]);
+  expect(result.current.canRedo).toBe(false);
+});
+
+test("edits with the same coalesce key share one entry", () => {
+  const { result } = renderHook(() => useHistory({ unit: "" }));
+
+  act(() => result.current.commit("Change unit", () => ({ unit: "µ" }), { coalesceKey: "unit" }));
+  act(() => result.current.commit("Change unit", () => ({ unit: "µM" }), { coalesceKey: "unit" }));
+  expect(result.current.entries).toHaveLength(2);
+  expect(result.current.doc.unit).toBe("µM");
+});
@@ -0,0 +1,206 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import * as store from "./projectStore";
+import { createProjectFile, readProjectFile } from "./projectFile";
+
+const AUTOSAVE_DELAY = 1000;
+
+// Same plates and strain sheet in two stored project files
+const isSameSession = (a, b) => JSON.stringify([a.doc, a.referenceData]) === JSON.stringify([b.doc, b.referenceData]);
+
+// Named projects and autosave. `snapshot` is the current session
+// ({ doc, csvData, settings }); `onLoad(data, label)` replaces the session.
+// Stored data uses the project file format so old records are migrated on load.
+const useProjects = (snapshot, onLoad, createBlankSnapshot) => {
+  const storageAvailable = store.isStorageAvailable();
+  const [projects, setProjects] = useState([]);
+  const [currentProject, setCurrentProject] = useState(null); // { id, name } or null for an unsaved session
+  const [pendingAutosave, setPendingAutosave] = useState(null); // Autosave found at startup, offered for restore
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const persistedRef = useRef({ doc: snapshot.doc, csvData: snapshot.csvData }); // Last data saved or loaded
+  const onLoadRef = useRef(onLoad);
+  onLoadRef.current = onLoad;
+
+  const reportError = (action) => (error) => {
+    console.error(`Could not ${action}:`, error);
+    alert(`Could not ${action}: ${error.message || error}`);
+  };
+
+  const refreshProjects = useCallback(() => {
+    if (!storageAvailable) return Promise.resolve();
+    return store.listProjects().then(setProjects);
+  }, [storageAvailable]);
+
+  // ✅ On startup: list projects and look for a session left behind by a crash or closed tab.
+  // Only offered when it holds something not saved elsewhere: an unsaved session, or
+  // changes its project did not get (a deleted project's session is offered unlinked)
+  useEffect(() => {
+    if (!storageAvailable) return;
+    refreshProjects().catch((error) => console.error("Could not list projects:", error));
+    store
+      .getAutosave()
+      .then((autosave) => {
+        if (!autosave || !autosave.data) return null;
+        if (!autosave.projectId) {
+          setPendingAutosave(autosave);
+          return null;
+        }
+        return store.getProject(autosave.projectId).then((project) => {
+          if (!project) setPendingAutosave({ ...autosave, projectId: null, projectName: null });
+          else if (!isSameSession(project.data, autosave.data)) setPendingAutosave(autosave);
+        });
+      })
+      .catch((error) => console.error("Could not read autosave:", error));
+  }, [storageAvailable, refreshProjects]);
+
+  // ✅ Autosave shortly after every change to the plates or the strain sheet
+  useEffect(() => {
+    if (!storageAvailable) return undefined;
+    const persisted = persistedRef.current;
+    if (persisted.doc === snapshot.doc && persisted.csvData === snapshot.csvData) return undefined;
+
+    const timer = setTimeout(() => {
+      persistedRef.current = { doc: snapshot.doc, csvData: snapshot.csvData };
+      const saves = [
+        store.saveAutosave({
+          projectId: currentProject ? currentProject.id : null,
+          projectName: currentProject ? currentProject.name : null,
+          data: createProjectFile(snapshot, currentProject ? currentProject.name : ""),
+        }),
+      ];
+      if (currentProject) {
+        saves.push(store.saveProjectData(currentProject.id, createProjectFile(snapshot, currentProject.name)).then(refreshProjects));
+      }
+      Promise.all(saves)
+        .then(() => setLastSavedAt(Date.now()))
+        .catch((error) => console.error("Autosave failed:", error));
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [storageAvailable, snapshot, currentProject, refreshProjects]);
+
+  // Throws if the stored data cannot be read
+  const load = (stored, label, project) => {
+    const { snapshot: data } = readProjectFile(stored);
+    persistedRef.current = { doc: data.doc, csvData: data.csvData };
+    onLoadRef.current(data, label);
+    setCurrentProject(project ? { id: project.id, name: project.name } : null);
+    setPendingAutosave(null);
+    // The autosave belonged to the session being replaced
+    store.clearAutosave().catch((error) => console.error("Could not clear autosave:", error));
+  };
+
+  const newProject = () => {
+    const name = window.prompt("Name of the new project:", "Untitled project");
+    if (!name) return;
+    const data = createProjectFile(createBlankSnapshot(), name);
+    store
+      .createProject(name, data)
+      .then((project) => {
+        load(project.data, `New project ${name}`, project);
+        return refreshProjects();
+      })
+      .catch(reportError("create the project"));
+  };
+
+  // Saves the current session as a new project and keeps working in it
+  const saveAsProject = () => {
+    const name = window.prompt("Save this session as:", currentProject ? `${currentProject.name} (copy)` : "Untitled project");
+    if (!name) return;
+    store
+      .createProject(name, createProjectFile(snapshot, name))
+      .then((project) => {
+        persistedRef.current = { doc: snapshot.doc, csvData: snapshot.csvData };
+        setCurrentProject({ id: project.id, name: project.name });
+        setLastSavedAt(project.modifiedAt);
+        return refreshProjects();
+      })
+      .catch(reportError("save the project"));
+  };
+
+  const openProject = (id) => {
+    store
+      .getProject(id)
+      .then((project) => {
+        if (!project) throw new Error("Project not found.");
+        load(project.data, `Open ${project.name}`, project);
+      })
+      .catch(reportError("open the project"));
+  };
+
+  const renameProject = (id) => {
+    const project = projects.find((p) => p.id === id);
+    const name = window.prompt("New project name:", project ? project.name : "");
+    if (!name) return;
+    store
+      .renameProject(id, name)
+      .then(() => {
+        if (currentProject && currentProject.id === id) setCurrentProject({ id, name });
+        return refreshProjects();
+      })
+      .catch(reportError("rename the project"));
+  };
+
+  const duplicateProject = (id) => {
+    const project = projects.find((p) => p.id === id);
+    const name = window.prompt("Name of the copy:", project ? `${project.name} (copy)` : "");
+    if (!name) return;
+    store.duplicateProject(id, name).then(refreshProjects).catch(reportError("duplicate the project"));
+  };
+
+  const deleteProject = (id) => {
+    const project = projects.find((p) => p.id === id);
+    if (!window.confirm(`Delete project "${project ? project.name : id}"? This cannot be undone.`)) return;
+    store
+      .deleteProject(id)
+      .then(() => {
+        // The open session stays on screen, it is just no longer linked to a project
+        if (currentProject && currentProject.id === id) setCurrentProject(null);
+        return refreshProjects();
+      })
+      .catch(reportError("delete the project"));
+  };
+
+  const restoreAutosave = () => {
+    if (!pendingAutosave) return;
+    const { projectId, projectName, data } = pendingAutosave;
+    try {
+      load(data, "Restore autosave", projectId ? { id: projectId, name: projectName } : null);
+      // Saved again (and into its project) by the next autosave, so it is not lost with another closed tab
+      persistedRef.current = { doc: null, csvData: null };
+    } catch (error) {
+      reportError("restore the autosave")(error);
+    }
+  };
+
+  // Opens a session from outside the browser store (e.g. a project file); it is not linked to a stored project
+  const importSession = (file, label) => load(file, label, null);
+
+  // Drops the offered autosave, unless this session has already autosaved over it
+  const dismissAutosave = () => {
+    const offered = pendingAutosave;
+    setPendingAutosave(null);
+    if (!offered) return;
+    store
+      .getAutosave()
+      .then((autosave) => (autosave && autosave.savedAt === offered.savedAt ? store.clearAutosave() : null))
+      .catch((error) => console.error("Could not clear autosave:", error));
+  };
+
+  return {
+    storageAvailable,
+    projects,
+    currentProject,
+    pendingAutosave,
+    lastSavedAt,
+    newProject,
+    saveAsProject,
+    openProject,
+    renameProject,
+    duplicateProject,
+    deleteProject,
+    restoreAutosave,
+    dismissAutosave,
+    importSession,
+  };
+};
+
+export default useProjects;
@@ -0,0 +1,201 @@
+// Checks run over the plates before export. Rules live in the document
+// (doc.validation) so they are undoable and saved with the project. Field type
+// checks from the schema (numbers, list options) always run on top of them.
+
+import { getWellIds } from "./plateFormats";
+import { getField, isEmptyValue, isWellEmpty, validateFieldValue } from "./metadataSchema";
+import { normalizeStrainKey } from "./strainLookup";
+
+export const RULE_TYPES = {
+  required: "Required on every used well",
+  requiredWith: "Required when another field is set",
+  allowedValues: "Only allowed values",
+  numeric: "Number within range",
+  inReference: "Must exist in the reference sheet",
+  samePerPlate: "Same value across each plate",
+  duplicatePlates: "No duplicate blocks",
+};
+
+export const SEVERITIES = {
+  error: "Error",
+  warning: "Warning",
+};
+
+// What happens to an export while there are errors
+export const EXPORT_ERROR_MODES = {
+  warn: "Warn, let me export anyway",
+  block: "Block the export",
+};
+
+let ruleCount = 0;
+export const createRule = (type, overrides = {}) => ({
+  id: `${type}-${Date.now().toString(36)}-${++ruleCount}`,
+  type,
+  field: "",
+  otherField: "", // requiredWith: the field that makes `field` required
+  values: [], // allowedValues
+  min: "", // numeric; blank means unbounded
+  max: "",
+  severity: "error",
+  enabled: true,
+  ...overrides,
+});
+
+export const DEFAULT_VALIDATION = {
+  rules: [
+    createRule("requiredWith", { id: "nanobody-needs-strain", field: "base_strain", otherField: "nanobody" }),
+    createRule("numeric", { id: "dilution-numeric", field: "dilution" }),
+    createRule("inReference", { id: "strain-in-sheet", field: "base_strain", severity: "warning" }),
+    createRule("duplicatePlates", { id: "duplicate-blocks", severity: "warning" }),
+  ],
+  onExportErrors: "warn",
+};
+
+// Keeps rules pointing at a field after it is renamed
+export const renameFieldInRules = (validation, oldName, newName) => ({
+  ...validation,
+  rules: validation.rules.map((rule) => ({
+    ...rule,
+    field: rule.field === oldName ? newName : rule.field,
+    otherField: rule.otherField === oldName ? newName : rule.otherField,
+  })),
+});
+
+const describeRange = (rule) => {
+  const hasMin = !isEmptyValue(rule.min);
+  const hasMax = !isEmptyValue(rule.max);
+  if (hasMin && hasMax) return ` between ${rule.min} and ${rule.max}`;
+  if (hasMin) return ` of at least ${rule.min}`;
+  if (hasMax) return ` of at most ${rule.max}`;
+  return "";
+};
+
+// Message for one well, or null if the well passes the rule
+const checkWell = (rule, wellData, context) => {
+  const value = wellData[rule.field];
+  switch (rule.type) {
+    case "required":
+      return isEmptyValue(value) && !isWellEmpty(wellData) ? `${rule.field} is missing` : null;
+    case "requiredWith":
+      return isEmptyValue(value) && !isEmptyValue(wellData[rule.otherField])
+        ? `${rule.otherField} is set but ${rule.field} is missing`
+        : null;
+    case "allowedValues":
+      return !isEmptyValue(value) && rule.values.length > 0 && !rule.values.includes(String(value))
+        ? `${rule.field} "${value}" is not one of ${rule.values.join(", ")}`
+        : null;
+    case "numeric": {
+      if (isEmptyValue(value)) return null;
+      const number = Number(value);
+      const tooLow = !isEmptyValue(rule.min) && number < Number(rule.min);
+      const tooHigh = !isEmptyValue(rule.max) && number > Number(rule.max);
+      return Number.isNaN(number) || tooLow || tooHigh ? `${rule.field} "${value}" is not a number${describeRange(rule)}` : null;
+    }
+    case "inReference":
+      return !isEmptyValue(value) && !context.referenceKeys.has(normalizeStrainKey(value, context.lookup))
+        ? `${rule.field} "${value}" is not in the reference sheet`
+        : null;
+    default:
+      return null;
+  }
+};
+
+const PLATE_RULES = ["samePerPlate", "duplicatePlates"];
+
+// Rules that look at a whole plate at once; returns problems without an id
+const checkPlate = (rule, plate, plateIndex, plates) => {
+  if (rule.type === "samePerPlate") {
+    const counts = {};
+    Object.values(plate.metadata).forEach((wellData) => {
+      const value = wellData[rule.field];
+      if (!isEmptyValue(value)) counts[value] = (counts[value] || 0) + 1;
+    });
+    const values = Object.keys(counts);
+    if (values.length < 2) return [];
+    const majority = values.reduce((best, value) => (counts[value] > counts[best] ? value : best));
+    return getWellIds(plate.format)
+      .filter((wellId) => {
+        const value = (plate.metadata[wellId] || {})[rule.field];
+        return !isEmptyValue(value) && String(value) !== majority;
+      })
+      .map((wellId) => ({
+        wellId,
+        message: `${rule.field} "${plate.metadata[wellId][rule.field]}" differs from "${majority}" on the rest of the block`,
+      }));
+  }
+
+  if (rule.type === "duplicatePlates") {
+    const isEmptyPlate = Object.values(plate.metadata).every(isWellEmpty);
+    if (isEmptyPlate) return [];
+    const content = JSON.stringify(plate.metadata);
+    const original = plates.slice(0, plateIndex).find((other) => JSON.stringify(other.metadata) === content);
+    return original ? [{ wellId: null, message: `Block ${plate.id} has the same metadata as Block ${original.id}` }] : [];
+  }
+  return [];
+};
+
+// Every problem in the document, in plate and well order:
+// [{ id, ruleId, severity, plateId, wellId, field, message }]
+// strainTable is the parsed reference sheet ({ headers, records }).
+export const runValidation = (doc, strainTable = { records: [] }) => {
+  const { plates, schema, lookup } = doc;
+  const validation = doc.validation || DEFAULT_VALIDATION;
+  const rules = validation.rules.filter(
+    (rule) => rule.enabled && (PLATE_RULES.includes(rule.type) || getField(schema, rule.field))
+  );
+  const problems = [];
+  const add = (rule, plate, wellId, field, message) =>
+    problems.push({
+      id: `${rule.id}:${plate ? plate.id : ""}:${wellId || ""}:${field || ""}`,
+      ruleId: rule.id,
+      severity: rule.severity,
+      plateId: plate ? plate.id : null,
+      wellId,
+      field,
+      message,
+    });
+
+  const referenceRules = rules.filter((rule) => rule.type === "inReference");
+  const hasReference = strainTable.records.length > 0;
+  if (referenceRules.length > 0 && !hasReference) {
+    add({ id: "no-reference", severity: "warning" }, null, null, null, "No reference sheet loaded, so strains were not checked against it");
+  }
+  const context = {
+    lookup,
+    referenceKeys: new Set(strainTable.records.map((record) => normalizeStrainKey(record[lookup.keyColumn], lookup))),
+  };
+  const wellRules = rules.filter((rule) => !PLATE_RULES.includes(rule.type) && (rule.type !== "inReference" || hasReference));
+  const typeCheck = { id: "field-type", severity: "error" };
+
+  plates.forEach((plate, plateIndex) => {
+    getWellIds(plate.format).forEach((wellId) => {
+      const wellData = plate.metadata[wellId] || {};
+
+      // ✅ Values that do not fit their field type (numbers, list options)
+      schema.forEach((field) => {
+        const error = validateFieldValue(field, wellData[field.name]);
+        if (error) add(typeCheck, plate, wellId, field.name, error);
+      });
+
+      wellRules.forEach((rule) => {
+        const message = checkWell(rule, wellData, context);
+        if (message) add(rule, plate, wellId, rule.field, message);
+      });
+    });
+
+    rules
+      .filter((rule) => PLATE_RULES.includes(rule.type))
+      .forEach((rule) => {
+        checkPlate(rule, plate, plateIndex, plates).forEach(({ wellId, message }) =>
+          add(rule, plate, wellId, rule.field || null, message)
+        );
+      });
+  });
+
+  return problems;
+};
+
+export const countProblems = (problems) => ({
+  errors: problems.filter((problem) => problem.severity === "error").length,
+  warnings: problems.filter((problem) => problem.severity === "warning").length,
+});
@@ -0,0 +1,62 @@
+import { PLATE_FORMATS } from "./plateFormats";
+import { DEFAULT_SCHEMA, createField } from "./metadataSchema";
+import { createPlateMetadata } from "./plateModel";
+import { DEFAULT_LOOKUP_CONFIG } from "./strainLookup";
+import { DEFAULT_VALIDATION, countProblems, createRule, renameFieldInRules, runValidation } from "./validation";
+
+const schema = [...DEFAULT_SCHEMA, createField("od", { type: "number" })];
+
+const makeDoc = (rules = DEFAULT_VALIDATION.rules) => {
+  const plate = (id) => ({ id, format: PLATE_FORMATS[24], metadata: createPlateMetadata(PLATE_FORMATS[24], schema) });
+  const plates = [plate(1), plate(2)];
+  plates[0].metadata.A1 = { ...plates[0].metadata.A1, base_strain: "yNP1", nanobody: "Nb1", dilution: "0.1" };
+  plates[0].metadata.A2 = { ...plates[0].metadata.A2, nanobody: "Nb2", dilution: "1:10", od: "high" };
+  plates[0].metadata.A3 = { ...plates[0].metadata.A3, base_strain: "yNP404" };
+  return { plates, schema, lookup: { ...DEFAULT_LOOKUP_CONFIG, headerRow: 1 }, validation: { ...DEFAULT_VALIDATION, rules } };
+};
+
+const sheet = { headers: ["Strain_Name"], records: [{ Strain_Name: "yNP1" }] };
+const summarize = (problems) => problems.map((p) => `${p.severity} ${p.plateId ?? "-"} ${p.wellId ?? "-"} ${p.field ?? "-"}`);
+
+test("default rules catch missing strains, bad dilutions and unknown strains", () => {
+  expect(summarize(runValidation(makeDoc(), sheet))).toEqual([
+    "error 1 A2 od",
+    "error 1 A2 base_strain",
+    "error 1 A2 dilution",
+    "warning 1 A3 base_strain",
+  ]);
+});
+
+test("the reference check says when no sheet is loaded", () => {
+  const problems = runValidation(makeDoc(), { records: [] });
+  expect(problems[0]).toMatchObject({ plateId: null, severity: "warning" });
+  expect(countProblems(problems)).toEqual({ errors: 3, warnings: 1 });
+});
+
+test("allowed values, ranges, per-plate consistency and duplicate blocks", () => {
+  const doc = makeDoc([
+    createRule("allowedValues", { field: "nanobody", values: ["Nb1"] }),
+    createRule("numeric", { field: "dilution", min: "0.5", severity: "warning" }),
+    createRule("samePerPlate", { field: "base_strain" }),
+    createRule("duplicatePlates"),
+    createRule("required", { field: "notes", enabled: false }),
+  ]);
+  doc.plates[0].metadata.B1 = { ...doc.plates[0].metadata.B1, base_strain: "yNP1" };
+  doc.plates[1] = { ...doc.plates[0], id: 2 };
+
+  const messages = runValidation(doc, sheet)
+    .filter((p) => p.plateId === 1 && p.field !== "od")
+    .map((p) => `${p.wellId} ${p.message}`);
+  expect(messages).toEqual([
+    'A1 dilution "0.1" is not a number of at least 0.5',
+    'A2 nanobody "Nb2" is not one of Nb1',
+    'A2 dilution "1:10" is not a number of at least 0.5',
+    'A3 base_strain "yNP404" differs from "yNP1" on the rest of the block',
+  ]);
+  expect(runValidation(doc, sheet).pop().message).toBe("Block 2 has the same metadata as Block 1");
+});
+
+test("renaming a field keeps its rules", () => {
+  const renamed = renameFieldInRules(DEFAULT_VALIDATION, "base_strain", "strain");
+  expect(renamed.rules[0]).toMatchObject({ field: "strain", otherField: "nanobody" });
+});
@@ -0,0 +1,70 @@
+// Metadata search across all plates. A query is a list of conditions
+// (field, operator, value) combined with AND or OR.
+
+import { getWellIds } from "./plateFormats";
+import { getFieldNames, isEmptyValue } from "./metadataSchema";
+
+export const ANY_FIELD = "*"; // Condition field matching if any field of the well matches
+
+export const SEARCH_OPERATORS = {
+  equals: "=",
+  notEquals: "≠",
+  contains: "contains",
+  isEmpty: "is empty",
+  isNotEmpty: "is not empty",
+};
+
+const VALUELESS_OPERATORS = ["isEmpty", "isNotEmpty"];
+
+export const createCondition = (field = ANY_FIELD, operator = "contains", value = "") => ({ field, operator, value });
+
+export const DEFAULT_QUERY = {
+  combine: "and", // "and" | "or"
+  ignoreCase: true,
+  conditions: [createCondition()],
+};
+
+export const operatorNeedsValue = (operator) => !VALUELESS_OPERATORS.includes(operator);
+
+// Conditions still waiting for a value are left out of the search
+export const getActiveConditions = (query) =>
+  query.conditions.filter((condition) => !operatorNeedsValue(condition.operator) || condition.value !== "");
+
+const matchValue = (value, condition, ignoreCase) => {
+  if (condition.operator === "isEmpty") return isEmptyValue(value);
+  if (condition.operator === "isNotEmpty") return !isEmptyValue(value);
+
+  const normalize = (text) => (ignoreCase ? String(text).trim().toLowerCase() : String(text).trim());
+  const actual = normalize(isEmptyValue(value) ? "" : value);
+  const expected = normalize(condition.value);
+  if (condition.operator === "equals") return actual === expected;
+  if (condition.operator === "notEquals") return actual !== expected;
+  return actual.includes(expected);
+};
+
+const matchCondition = (wellData, condition, fieldNames, ignoreCase) => {
+  if (condition.field !== ANY_FIELD) return matchValue(wellData[condition.field], condition, ignoreCase);
+  // ✅ "Any field": negative operators must hold for every field, positive ones for some field
+  const test = (name) => matchValue(wellData[name], condition, ignoreCase);
+  return ["notEquals", "isEmpty"].includes(condition.operator) ? fieldNames.every(test) : fieldNames.some(test);
+};
+
+export const matchesWell = (wellData, query, schema) => {
+  const conditions = getActiveConditions(query);
+  if (conditions.length === 0) return false;
+  const fieldNames = getFieldNames(schema);
+  const test = (condition) => matchCondition(wellData || {}, condition, fieldNames, query.ignoreCase);
+  return query.combine === "or" ? conditions.some(test) : conditions.every(test);
+};
+
+// Matching wells per plate, in plate and well order: [{ plateId, plateIndex, wellIds }]
+export const searchPlates = (plates, query, schema) => {
+  if (getActiveConditions(query).length === 0) return [];
+  return plates
+    .map((plate, plateIndex) => ({
+      plateId: plate.id,
+      plateIndex,
+      wellIds: getWellIds(plate.format).filter((wellId) => matchesWell(plate.metadata[wellId], query, schema)),
+    }))
+    .filter((result) => result.wellIds.length > 0);
+};
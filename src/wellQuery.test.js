@@ -0,0 +1,40 @@
+import { PLATE_FORMATS } from "./plateFormats";
+import { DEFAULT_SCHEMA } from "./metadataSchema";
+import { createPlateMetadata } from "./plateModel";
+import { ANY_FIELD, DEFAULT_QUERY, createCondition, searchPlates } from "./wellQuery";
+
+const makePlates = () => {
+  const plate = (id) => ({ id, format: PLATE_FORMATS[6], metadata: createPlateMetadata(PLATE_FORMATS[6], DEFAULT_SCHEMA) });
+  const plates = [plate(1), plate(2), plate(3)];
+  plates[0].metadata.A1 = { ...plates[0].metadata.A1, base_strain: "yNP22422", nanobody: "Nb12" };
+  plates[0].metadata.B3 = { ...plates[0].metadata.B3, base_strain: "yNP22423" };
+  plates[2].metadata.A2 = { ...plates[2].metadata.A2, base_strain: "yNP22422", nanobody: "nb12" };
+  return plates;
+};
+
+const search = (conditions, options = {}) =>
+  searchPlates(makePlates(), { ...DEFAULT_QUERY, ...options, conditions }, DEFAULT_SCHEMA).map(
+    (result) => `${result.plateId}:${result.wellIds.join(",")}`
+  );
+
+test("equals and contains search every plate", () => {
+  expect(search([createCondition("nanobody", "equals", "NB12")])).toEqual(["1:A1", "3:A2"]);
+  expect(search([createCondition("nanobody", "equals", "NB12")], { ignoreCase: false })).toEqual([]);
+  expect(search([createCondition(ANY_FIELD, "contains", "2423")])).toEqual(["1:B3"]);
+});
+
+test("conditions combine with AND or OR", () => {
+  const strain = createCondition("base_strain", "contains", "yNP");
+  const noNanobody = createCondition("nanobody", "isEmpty");
+  expect(search([strain, noNanobody])).toEqual(["1:B3"]);
+  expect(search([createCondition("base_strain", "equals", "yNP22423"), createCondition("nanobody", "equals", "nb12")], { combine: "or" })).toEqual([
+    "1:A1,B3",
+    "3:A2",
+  ]);
+});
+
+test("empty and non-empty checks; unfinished conditions are ignored", () => {
+  expect(search([createCondition(ANY_FIELD, "isNotEmpty")])).toEqual(["1:A1,B3", "3:A2"]);
+  expect(search([createCondition("notes", "isEmpty"), createCondition("base_strain", "equals", "")])[1]).toBe("2:A1,A2,A3,B1,B2,B3");
+  expect(search([createCondition("base_strain", "contains", "")])).toEqual([]);
+});
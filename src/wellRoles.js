@@ -0,0 +1,26 @@
+// Well roles: what a well is for in the experiment. The role is stored like any
+// other metadata, in the "role" field, so it is exported, searched and coloured
+// like the rest; the field is added to the schema the first time a role is set.
+// An empty role means a sample.
+
+import { createField, getField } from "./metadataSchema";
+
+export const ROLE_FIELD = "role";
+
+export const WELL_ROLES = {
+  sample: { label: "Sample", badge: "" },
+  positive_control: { label: "Positive control", badge: "+" },
+  negative_control: { label: "Negative control", badge: "−" },
+  blank: { label: "Blank", badge: "B" },
+  excluded: { label: "Excluded", badge: "×" },
+};
+
+// Locked: the grid and exports find roles by this field's name
+export const createRoleField = () => createField(ROLE_FIELD, { type: "list", options: Object.keys(WELL_ROLES), locked: true });
+
+export const ensureRoleField = (schema) => (getField(schema, ROLE_FIELD) ? schema : [...schema, createRoleField()]);
+
+export const getWellRole = (wellData) => {
+  const role = wellData && wellData[ROLE_FIELD];
+  return WELL_ROLES[role] ? role : "sample";
+};
@@ -0,0 +1,344 @@
+// Liquid-handler worklists for a spotting run: every filled well of the
+// destination blocks (except excluded wells) gets one transfer per source (strains, nanobodies, ...)
+// from the source plate well holding that value. Source wells come from the
+// source map (typed in or uploaded) and the rest are laid out automatically.
+// Writing the files is in worklistExport.js, so this module stays free of PDF code.
+
+import Papa from "papaparse";
+import { PLATE_FORMATS, formatLabel, getFormatKey, getWellIds, isWellInFormat, normalizeWellId } from "./plateFormats";
+import { getField, isEmptyValue } from "./metadataSchema";
+import { plateLabel } from "./plateInfo";
+import { getWellRole } from "./wellRoles";
+
+export const WORKLIST_FORMATS = {
+  csv: "Transfer list (CSV)",
+  echo: "Echo pick list (CSV, volumes in nL)",
+  opentronsPython: "Opentrons protocol (Python)",
+  opentronsJson: "Opentrons transfers (JSON)",
+  checklist: "Checklist for manual pipetting (PDF)",
+};
+
+export const TRANSFER_ORDERS = {
+  source: "By source well (fewest tip changes)",
+  destination: "By destination block and well",
+};
+
+// Opentrons labware for plates of each size; blocks of agar usually need a
+// custom definition, which can be named in the settings instead
+const OPENTRONS_LABWARE = {
+  6: "corning_6_wellplate_16.8ml_flat",
+  12: "corning_12_wellplate_6.9ml_flat",
+  24: "corning_24_wellplate_3.4ml_flat",
+  48: "corning_48_wellplate_1.6ml_flat",
+  96: "corning_96_wellplate_360ul_flat",
+  384: "corning_384_wellplate_112ul_flat",
+};
+const OPENTRONS_SLOTS = 11; // OT-2 deck; slot 12 is the trash
+const PIPETTES = [
+  { name: "p20_single_gen2", tipRack: "opentrons_96_tiprack_20ul", maxVolume: 20 },
+  { name: "p300_single_gen2", tipRack: "opentrons_96_tiprack_300ul", maxVolume: 300 },
+];
+
+let sourceCount = 0;
+
+// A source plate: which field's values it holds, its layout and volume rules
+export const createSource = (overrides = {}) => ({
+  id: `source-${Date.now().toString(36)}-${++sourceCount}`,
+  field: "",
+  plateName: "Source plate",
+  formatKey: "96",
+  volume: 2, // µL per transfer
+  volumeField: "", // Number field whose well value overrides the volume
+  volumes: {}, // { value: µL } overrides for single values
+  wells: {}, // Source map: { value: { plate, well } }; unmapped values are laid out automatically
+  ...overrides,
+});
+
+export const DEFAULT_WORKLIST_CONFIG = {
+  sources: [
+    createSource({ id: "strains", field: "base_strain", plateName: "Strain source" }),
+    createSource({ id: "nanobodies", field: "nanobody", plateName: "Nanobody source" }),
+  ],
+  order: "source",
+  destinationLabware: "", // Opentrons load name for the blocks; blank picks one by plate size where there is a standard one
+  sourceLabware: OPENTRONS_LABWARE[96],
+};
+
+const byValue = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+
+// Distinct values of the source's field on the given plates, sorted
+const collectValues = (plates, fieldName) => {
+  const values = new Set();
+  plates.forEach((plate) =>
+    Object.values(plate.metadata).forEach((wellData) => {
+      if (!isEmptyValue(wellData[fieldName])) values.add(String(wellData[fieldName]));
+    })
+  );
+  return [...values].sort(byValue);
+};
+
+// Where each value sits on the source plates: the source map first, then the
+// remaining values row by row into free wells, spilling over onto "<name> 2", ...
+// Returns { wells: { value: { plate, well } }, problems: [message] }
+export const layoutSource = (source, values) => {
+  const format = PLATE_FORMATS[source.formatKey] || PLATE_FORMATS[96];
+  const wells = {};
+  const problems = [];
+  const used = new Set();
+
+  values.forEach((value) => {
+    const mapped = source.wells[value];
+    if (!mapped) return;
+    const well = normalizeWellId(mapped.well);
+    const plate = mapped.plate || source.plateName;
+    if (!well || !isWellInFormat(well, format)) {
+      problems.push(`${source.plateName}: "${mapped.well}" for ${value} is not a well of a ${source.formatKey}-well plate; it was given a free well.`);
+    } else if (used.has(`${plate}|${well}`)) {
+      problems.push(`${plate} ${well} is mapped to more than one ${source.field}; ${value} was moved to a free well.`);
+    } else {
+      wells[value] = { plate, well };
+      used.add(`${plate}|${well}`);
+    }
+  });
+
+  const wellIds = getWellIds(format);
+  let plateNumber = 1;
+  let index = 0;
+  values
+    .filter((value) => !wells[value])
+    .forEach((value) => {
+      for (;;) {
+        if (index === wellIds.length) {
+          plateNumber++;
+          index = 0;
+        }
+        const plate = plateNumber === 1 ? source.plateName : `${source.plateName} ${plateNumber}`;
+        const well = wellIds[index++];
+        if (!used.has(`${plate}|${well}`)) {
+          wells[value] = { plate, well };
+          used.add(`${plate}|${well}`);
+          return;
+        }
+      }
+    });
+  return { wells, problems };
+};
+
+// Row-major order of source wells ("A2" before "B1")
+const compareWells = (a, b) => {
+  const [, rowA, colA] = /^([A-Z]+)(\d+)$/.exec(a);
+  const [, rowB, colB] = /^([A-Z]+)(\d+)$/.exec(b);
+  return rowA.length - rowB.length || rowA.localeCompare(rowB) || Number(colA) - Number(colB);
+};
+
+// µL for one transfer: the well's volume field, then a per-value rule, then the default
+const transferVolume = (source, wellData, value) => {
+  if (source.volumeField && !isEmptyValue(wellData[source.volumeField])) return Number(wellData[source.volumeField]);
+  if (!isEmptyValue(source.volumes[value])) return Number(source.volumes[value]);
+  return Number(source.volume);
+};
+
+// Works out the transfers for the given plates:
+// { transfers: [{ step, sourceId, sourcePlate, sourceWell, value, destinationId, destinationPlate,
+//   destinationBarcode, destinationWell, volume }], layouts: [{ source, wells }], problems: [message] }
+export const buildWorklist = (plates, schema, config = DEFAULT_WORKLIST_CONFIG) => {
+  const problems = [];
+  const layouts = [];
+  const transfers = [];
+
+  config.sources.forEach((source, sourceIndex) => {
+    if (!getField(schema, source.field)) {
+      problems.push(`${source.plateName}: there is no field "${source.field}".`);
+      return;
+    }
+    const layout = layoutSource(source, collectValues(plates, source.field));
+    problems.push(...layout.problems);
+    layouts.push({ source, wells: layout.wells });
+
+    plates.forEach((plate, plateIndex) => {
+      getWellIds(plate.format).forEach((wellId, wellIndex) => {
+        const wellData = plate.metadata[wellId] || {};
+        if (isEmptyValue(wellData[source.field]) || getWellRole(wellData) === "excluded") return;
+        const value = String(wellData[source.field]);
+        const volume = transferVolume(source, wellData, value);
+        if (!Number.isFinite(volume) || volume <= 0) {
+          problems.push(`Block ${plate.id} ${wellId}: no valid ${source.field} volume, transfer skipped.`);
+          return;
+        }
+        transfers.push({
+          order: { sourceIndex, plateIndex, wellIndex },
+          sourceId: source.id,
+          sourcePlate: layout.wells[value].plate,
+          sourceWell: layout.wells[value].well,
+          value,
+          destinationId: plate.id,
+          destinationPlate: plateLabel(plate),
+          destinationBarcode: plate.barcode || "",
+          destinationWell: wellId,
+          volume,
+        });
+      });
+    });
+  });
+
+  // ✅ Source order keeps transfers of one value together, so a tip can serve
+  // them all when pipetting by hand; destination order fills one block at a time
+  const bySource = (a, b) =>
+    a.order.sourceIndex - b.order.sourceIndex || byValue(a.sourcePlate, b.sourcePlate) || compareWells(a.sourceWell, b.sourceWell);
+  const byDestination = (a, b) =>
+    a.order.plateIndex - b.order.plateIndex || a.order.wellIndex - b.order.wellIndex || a.order.sourceIndex - b.order.sourceIndex;
+  transfers.sort((a, b) =>
+    config.order === "destination" ? byDestination(a, b) || bySource(a, b) : bySource(a, b) || byDestination(a, b)
+  );
+  return {
+    transfers: transfers.map(({ order, ...transfer }, index) => ({ step: index + 1, ...transfer })),
+    layouts,
+    problems,
+  };
+};
+
+// Reads an uploaded source map (columns "value", "source_well" and optionally
+// "source_plate") into source.wells; throws an Error with a user-facing message
+export const readSourceMap = (text) => {
+  const result = Papa.parse(text.replace(/^\uFEFF/, ""), { header: true, skipEmptyLines: true });
+  const headers = (result.meta.fields || []).map((header) => header.trim().toLowerCase());
+  const column = (name) => (result.meta.fields || [])[headers.indexOf(name)];
+  if (!column("value") || !column("source_well")) {
+    throw new Error('A source map needs "value" and "source_well" columns (and optionally "source_plate").');
+  }
+  const wells = {};
+  result.data.forEach((row) => {
+    const value = String(row[column("value")] || "").trim();
+    const well = String(row[column("source_well")] || "").trim();
+    if (!value || !well) return;
+    wells[value] = { plate: column("source_plate") ? String(row[column("source_plate")] || "").trim() : "", well };
+  });
+  return wells;
+};
+
+// **Writers, one per output format**
+
+export const buildTransferRows = (worklist) => [
+  ["step", "source_plate", "source_well", "content", "destination_block", "destination_name", "destination_barcode", "destination_well", "volume_ul"],
+  ...worklist.transfers.map((t) => [
+    t.step,
+    t.sourcePlate,
+    t.sourceWell,
+    t.value,
+    t.destinationId,
+    t.destinationPlate,
+    t.destinationBarcode,
+    t.destinationWell,
+    t.volume,
+  ]),
+];
+
+// Echo pick lists use the instrument's own headers and volumes in nL
+export const buildEchoRows = (worklist) => [
+  ["Source Plate Name", "Source Well", "Destination Plate Name", "Destination Plate Barcode", "Destination Well", "Transfer Volume"],
+  ...worklist.transfers.map((t) => [
+    t.sourcePlate,
+    t.sourceWell,
+    `Block ${t.destinationId}`,
+    t.destinationBarcode,
+    t.destinationWell,
+    Math.round(t.volume * 1000),
+  ]),
+];
+
+// Load name for a block; null for formats without standard labware (1536-well, custom sizes)
+const destinationLabware = (plate, config) => config.destinationLabware || OPENTRONS_LABWARE[getFormatKey(plate.format)] || null;
+
+// Deck layout for an Opentrons run: source plates, then the blocks, then tip racks.
+// Throws an Error when the run does not fit on one deck, or a block has no labware.
+export const planOpentronsDeck = (worklist, plates, config = DEFAULT_WORKLIST_CONFIG) => {
+  const maxVolume = Math.max(0, ...worklist.transfers.map((t) => t.volume));
+  const pipette = PIPETTES.find((p) => maxVolume <= p.maxVolume);
+  if (!pipette) throw new Error(`Transfers of ${maxVolume} µL are larger than any single-channel pipette takes.`);
+
+  const sourcePlates = [...new Set(worklist.transfers.map((t) => t.sourcePlate))];
+  const blockIds = new Set(worklist.transfers.map((t) => t.destinationId));
+  const blocks = plates.filter((plate) => blockIds.has(plate.id));
+  const unknown = blocks.filter((plate) => !destinationLabware(plate, config));
+  if (unknown.length > 0) {
+    throw new Error(
+      `No standard Opentrons labware fits ${unknown.map((plate) => `Block ${plate.id} (${formatLabel(plate.format)})`).join(", ")}. ` +
+        "Enter the load name of its labware definition in the worklist settings."
+    );
+  }
+  const labware = [
+    ...sourcePlates.map((name) => ({ key: name, loadName: config.sourceLabware || OPENTRONS_LABWARE[96], label: name })),
+    ...blocks.map((plate) => ({ key: `Block ${plate.id}`, loadName: destinationLabware(plate, config), label: plateLabel(plate) })),
+  ].map((entry, index) => ({ ...entry, slot: index + 1 }));
+  const tipRacks = Math.max(1, Math.ceil(worklist.transfers.length / 96));
+
+  if (labware.length + tipRacks > OPENTRONS_SLOTS) {
+    throw new Error(
+      `This run needs ${labware.length} plates and ${tipRacks} tip racks, more than the ${OPENTRONS_SLOTS} deck slots. Export fewer blocks at a time.`
+    );
+  }
+  const tipRackSlots = Array.from({ length: tipRacks }, (_, i) => OPENTRONS_SLOTS - i);
+  return { pipette, labware, tipRackSlots };
+};
+
+export const buildOpentronsJson = (worklist, plates, config = DEFAULT_WORKLIST_CONFIG) => {
+  const deck = planOpentronsDeck(worklist, plates, config);
+  return {
+    type: "spotplate-worklist",
+    version: 1,
+    pipette: deck.pipette.name,
+    tipRack: deck.pipette.tipRack,
+    tipRackSlots: deck.tipRackSlots,
+    labware: deck.labware,
+    transfers: worklist.transfers.map((t) => ({
+      step: t.step,
+      source: t.sourcePlate,
+      sourceWell: t.sourceWell,
+      destination: `Block ${t.destinationId}`,
+      destinationWell: t.destinationWell,
+      volume: t.volume,
+      content: t.value,
+    })),
+  };
+};
+
+// JSON string literals are valid Python string literals too
+const py = (value) => JSON.stringify(value);
+
+export const buildOpentronsProtocol = (worklist, plates, config = DEFAULT_WORKLIST_CONFIG, { title = "Spotting run" } = {}) => {
+  const deck = planOpentronsDeck(worklist, plates, config);
+  const lines = [
+    "from opentrons import protocol_api",
+    "",
+    `metadata = {"protocolName": ${py(title)}, "description": "Generated by the spot plating helper"}`,
+    'requirements = {"robotType": "OT-2", "apiLevel": "2.15"}',
+    "",
+    "# (source, source well, destination, destination well, volume in µL)",
+    "TRANSFERS = [",
+    ...worklist.transfers.map(
+      (t) => `    (${py(t.sourcePlate)}, ${py(t.sourceWell)}, ${py(`Block ${t.destinationId}`)}, ${py(t.destinationWell)}, ${t.volume}),`
+    ),
+    "]",
+    "",
+    "",
+    "def run(protocol: protocol_api.ProtocolContext):",
+    `    tip_racks = [protocol.load_labware(${py(deck.pipette.tipRack)}, slot) for slot in ${py(deck.tipRackSlots)}]`,
+    `    pipette = protocol.load_instrument(${py(deck.pipette.name)}, "left", tip_racks=tip_racks)`,
+    "    labware = {",
+    ...deck.labware.map((entry) => `        ${py(entry.key)}: protocol.load_labware(${py(entry.loadName)}, ${entry.slot}, ${py(entry.label)}),`),
+    "    }",
+    "    for source, source_well, destination, destination_well, volume in TRANSFERS:",
+    "        pipette.transfer(volume, labware[source][source_well], labware[destination][destination_well], new_tip=\"always\")",
+  ];
+  return `${lines.join("\n")}\n`;
+};
+
+// Keeps sources pointing at a field after it is renamed
+export const renameFieldInWorklist = (config, oldName, newName) => ({
+  ...config,
+  sources: config.sources.map((source) => ({
+    ...source,
+    field: source.field === oldName ? newName : source.field,
+    volumeField: source.volumeField === oldName ? newName : source.volumeField,
+  })),
+});
@@ -0,0 +1,111 @@
+import { PLATE_FORMATS } from "./plateFormats";
+import { DEFAULT_SCHEMA, createField } from "./metadataSchema";
+import { createPlateMetadata } from "./plateModel";
+import {
+  DEFAULT_WORKLIST_CONFIG,
+  buildEchoRows,
+  buildOpentronsProtocol,
+  buildTransferRows,
+  buildWorklist,
+  layoutSource,
+  planOpentronsDeck,
+  readSourceMap,
+} from "./worklist";
+
+const schema = [...DEFAULT_SCHEMA, createField("spot_volume", { type: "number", unit: "µL" })];
+
+const makePlate = (id, values) => {
+  const plate = { id, name: "", barcode: `KB-${id}`, format: PLATE_FORMATS[24], metadata: createPlateMetadata(PLATE_FORMATS[24], schema) };
+  Object.keys(values).forEach((wellId) => {
+    plate.metadata[wellId] = { ...plate.metadata[wellId], ...values[wellId] };
+  });
+  return plate;
+};
+
+const plates = [
+  makePlate(5, { A1: { base_strain: "yNP2", nanobody: "Nb1" }, A2: { base_strain: "yNP10" } }),
+  makePlate(2, { B1: { base_strain: "yNP2", spot_volume: 3 } }),
+];
+
+test("each filled well gets one transfer per source, grouped by source well", () => {
+  const { transfers, layouts, problems } = buildWorklist(plates, schema);
+  expect(problems).toEqual([]);
+  expect(layouts[0].wells).toEqual({ yNP2: { plate: "Strain source", well: "A1" }, yNP10: { plate: "Strain source", well: "A2" } });
+  expect(transfers.map((t) => [t.sourcePlate, t.sourceWell, t.destinationId, t.destinationWell])).toEqual([
+    ["Strain source", "A1", 5, "A1"],
+    ["Strain source", "A1", 2, "B1"],
+    ["Strain source", "A2", 5, "A2"],
+    ["Nanobody source", "A1", 5, "A1"],
+  ]);
+  expect(transfers.map((t) => t.step)).toEqual([1, 2, 3, 4]);
+});
+
+test("destination order fills one block at a time", () => {
+  const { transfers } = buildWorklist(plates, schema, { ...DEFAULT_WORKLIST_CONFIG, order: "destination" });
+  expect(transfers.map((t) => `${t.destinationId}${t.destinationWell}:${t.value}`)).toEqual(["5A1:yNP2", "5A1:Nb1", "5A2:yNP10", "2B1:yNP2"]);
+});
+
+test("volumes come from the well's field, then per-value rules, then the default", () => {
+  const [strains, nanobodies] = DEFAULT_WORKLIST_CONFIG.sources;
+  const config = {
+    ...DEFAULT_WORKLIST_CONFIG,
+    sources: [{ ...strains, volume: 2, volumeField: "spot_volume", volumes: { yNP10: "5" } }, nanobodies],
+  };
+  const volumes = buildWorklist(plates, schema, config).transfers.map((t) => [t.destinationWell, t.value, t.volume]);
+  expect(volumes).toEqual([
+    ["A1", "yNP2", 2],
+    ["B1", "yNP2", 3],
+    ["A2", "yNP10", 5],
+    ["A1", "Nb1", 2],
+  ]);
+});
+
+test("the source map is used first and bad entries are reported", () => {
+  const source = { ...DEFAULT_WORKLIST_CONFIG.sources[0], formatKey: "6", wells: { b: { plate: "", well: "a1" }, c: { plate: "", well: "Z9" } } };
+  const { wells, problems } = layoutSource(source, ["a", "b", "c", "d", "e", "f", "g"]);
+  expect(wells.b).toEqual({ plate: "Strain source", well: "A1" });
+  expect(wells.a.well).toBe("A2");
+  expect(wells.g).toEqual({ plate: "Strain source 2", well: "A1" });
+  expect(problems).toHaveLength(1);
+
+  expect(readSourceMap("\uFEFFValue,Source_Well,Source_Plate\r\nyNP2,C3,Rack 1\r\n")).toEqual({ yNP2: { plate: "Rack 1", well: "C3" } });
+  expect(() => readSourceMap("strain,well\r\nyNP2,C3\r\n")).toThrow(/source_well/);
+});
+
+test("worklists are written as transfer lists, Echo pick lists and Opentrons protocols", () => {
+  const worklist = buildWorklist(plates, schema);
+  expect(buildTransferRows(worklist)[1]).toEqual([1, "Strain source", "A1", "yNP2", 5, "Block 5", "KB-5", "A1", 2]);
+  expect(buildEchoRows(worklist)[1]).toEqual(["Strain source", "A1", "Block 5", "KB-5", "A1", 2000]);
+
+  const deck = planOpentronsDeck(worklist, plates);
+  expect(deck.pipette.name).toBe("p20_single_gen2");
+  expect(deck.labware.map((entry) => [entry.key, entry.slot])).toEqual([
+    ["Strain source", 1],
+    ["Nanobody source", 2],
+    ["Block 5", 3],
+    ["Block 2", 4],
+  ]);
+  const protocol = buildOpentronsProtocol(worklist, plates);
+  expect(protocol).toContain('("Strain source", "A1", "Block 5", "A1", 2),');
+  expect(protocol).toContain('"Block 2": protocol.load_labware("corning_24_wellplate_3.4ml_flat", 4, "Block 2"),');
+
+  const tooMany = Array.from({ length: 12 }, (_, i) => makePlate(i + 1, { A1: { base_strain: "yNP2" } }));
+  expect(() => planOpentronsDeck(buildWorklist(tooMany, schema), tooMany)).toThrow(/deck slots/);
+});
+
+test("Opentrons exports need labware for blocks without a standard one", () => {
+  const big = { ...makePlate(9, {}), format: PLATE_FORMATS[1536], metadata: createPlateMetadata(PLATE_FORMATS[1536], schema) };
+  big.metadata.AF48 = { ...big.metadata.AF48, base_strain: "yNP2" };
+  const worklist = buildWorklist([big], schema);
+  expect(() => planOpentronsDeck(worklist, [big])).toThrow(/Block 9 \(1536-well\)/);
+  expect(() => buildOpentronsProtocol(worklist, [big])).toThrow(/labware/);
+
+  const config = { ...DEFAULT_WORKLIST_CONFIG, destinationLabware: "custom_1536_agar_block" };
+  expect(buildOpentronsProtocol(worklist, [big], config)).toContain('protocol.load_labware("custom_1536_agar_block", 2, "Block 9")');
+});
+
+test("excluded wells get no transfers", () => {
+  const withExcluded = [makePlate(1, { A1: { base_strain: "yNP2", role: "excluded" }, A2: { base_strain: "yNP2", role: "blank" } })];
+  const { transfers } = buildWorklist(withExcluded, schema);
+  expect(transfers.map((t) => t.destinationWell)).toEqual(["A2"]);
+});
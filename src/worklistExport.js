@@ -0,0 +1,33 @@
+// Writes a built worklist in the chosen format. Kept apart from worklist.js so
+// that reading the worklist settings (project files) does not load jsPDF.
+
+import { writeCsv, csvBlob } from "./csvExport";
+import { exportWorklistChecklist } from "./pdfExport";
+import { buildEchoRows, buildOpentronsJson, buildOpentronsProtocol, buildTransferRows } from "./worklist";
+
+const safeFileName = (text) => String(text).replace(/[^\w.-]+/g, "_");
+
+// Resolves to { blob, fileName } ready for saveAs.
+// options: { format, title, date, csvOptions }
+export const exportWorklist = async (worklist, plates, config, options) => {
+  const { format, title = "worklist", csvOptions = {} } = options;
+  const baseName = safeFileName(title);
+  switch (format) {
+    case "echo":
+      return { blob: csvBlob(writeCsv(buildEchoRows(worklist), { ...csvOptions, delimiter: ",", bom: false })), fileName: `${baseName}_echo.csv` };
+    case "opentronsJson":
+      return {
+        blob: new Blob([JSON.stringify(buildOpentronsJson(worklist, plates, config), null, 2)], { type: "application/json" }),
+        fileName: `${baseName}_opentrons.json`,
+      };
+    case "opentronsPython":
+      return {
+        blob: new Blob([buildOpentronsProtocol(worklist, plates, config, { title })], { type: "text/x-python" }),
+        fileName: `${baseName}_opentrons.py`,
+      };
+    case "checklist":
+      return { blob: exportWorklistChecklist(worklist, options), fileName: `${baseName}_checklist.pdf` };
+    default:
+      return { blob: csvBlob(writeCsv(buildTransferRows(worklist), csvOptions)), fileName: `${baseName}_transfers.csv` };
+  }
+};
@@ -0,0 +1,21 @@
+import { PLATE_FORMATS } from "./plateFormats";
+import { DEFAULT_SCHEMA } from "./metadataSchema";
+import { createPlateMetadata } from "./plateModel";
+import { DEFAULT_WORKLIST_CONFIG, buildWorklist } from "./worklist";
+import { exportWorklist } from "./worklistExport";
+
+const plate = { id: 5, name: "", barcode: "KB-5", format: PLATE_FORMATS[24], metadata: createPlateMetadata(PLATE_FORMATS[24], DEFAULT_SCHEMA) };
+plate.metadata.A1 = { ...plate.metadata.A1, base_strain: "yNP2" };
+
+test.each([
+  ["csv", "Run_7_transfers.csv"],
+  ["echo", "Run_7_echo.csv"],
+  ["opentronsJson", "Run_7_opentrons.json"],
+  ["opentronsPython", "Run_7_opentrons.py"],
+  ["checklist", "Run_7_checklist.pdf"],
+])("the %s worklist is written as %s", async (format, expected) => {
+  const worklist = buildWorklist([plate], DEFAULT_SCHEMA);
+  const { blob, fileName } = await exportWorklist(worklist, [plate], DEFAULT_WORKLIST_CONFIG, { format, title: "Run 7" });
+  expect(fileName).toBe(expected);
+  expect(blob.size).toBeGreaterThan(0);
+});